@@ -0,0 +1,28 @@
+/**
+ * Ad Platforms
+ *
+ * Platforms ad observations (AdObservation) are recorded for. Keys are stored on the
+ * observation (`platform`) and must match the ad filter options in the frontend
+ * (src/data/mockData.js).
+ *
+ * What counts as an observed ad differs per platform - see the "Ad Activity" section
+ * of the README.
+ */
+
+export const AD_PLATFORMS = [
+  { key: 'facebook', name: 'Facebook & Instagram' },
+  { key: 'tiktok', name: 'TikTok' },
+  { key: 'pinterest', name: 'Pinterest' },
+  { key: 'google', name: 'Google' },
+];
+
+export const AD_PLATFORM_KEYS = AD_PLATFORMS.map(platform => platform.key);
+
+/**
+ * Platform key for a key or display name in any case ("TikTok" -> "tiktok"), null if unknown
+ */
+export const getAdPlatform = (value) => {
+  if (typeof value !== 'string') return null;
+  const lower = value.trim().toLowerCase();
+  return AD_PLATFORMS.find(platform => platform.key === lower || platform.name.toLowerCase() === lower)?.key || null;
+};
@@ -0,0 +1,129 @@
+/**
+ * Country reference data used by country detection
+ *
+ * Names match the country filter options in the frontend (src/data/mockData.js),
+ * so the stored `country` name can be filtered on directly.
+ */
+
+// Stored country name when detection is not confident enough
+export const UNKNOWN_COUNTRY = 'Unknown';
+
+/**
+ * ISO 3166-1 alpha-2 code -> country name
+ */
+export const COUNTRY_NAMES = {
+  AD: 'Andorra', AE: 'United Arab Emirates', AL: 'Albania', AR: 'Argentina', AT: 'Austria',
+  AU: 'Australia', BA: 'Bosnia and Herzegovina', BB: 'Barbados', BD: 'Bangladesh', BE: 'Belgium',
+  BG: 'Bulgaria', BH: 'Bahrain', BO: 'Bolivia', BR: 'Brazil', BS: 'Bahamas',
+  BY: 'Belarus', BZ: 'Belize', CA: 'Canada', CH: 'Switzerland', CL: 'Chile',
+  CN: 'China', CO: 'Colombia', CR: 'Costa Rica', CU: 'Cuba', CY: 'Cyprus',
+  CZ: 'Czech Republic', DE: 'Germany', DK: 'Denmark', DO: 'Dominican Republic', DZ: 'Algeria',
+  EC: 'Ecuador', EE: 'Estonia', EG: 'Egypt', ES: 'Spain', ET: 'Ethiopia',
+  FI: 'Finland', FJ: 'Fiji', FM: 'Micronesia', FR: 'France', GB: 'United Kingdom',
+  GH: 'Ghana', GR: 'Greece', GT: 'Guatemala', GY: 'Guyana', HK: 'Hong Kong',
+  HN: 'Honduras', HR: 'Croatia', HT: 'Haiti', HU: 'Hungary', ID: 'Indonesia',
+  IE: 'Ireland', IL: 'Israel', IN: 'India', IQ: 'Iraq', IR: 'Iran',
+  IS: 'Iceland', IT: 'Italy', JM: 'Jamaica', JO: 'Jordan', JP: 'Japan',
+  KE: 'Kenya', KH: 'Cambodia', KR: 'South Korea', KW: 'Kuwait', LA: 'Laos',
+  LB: 'Lebanon', LI: 'Liechtenstein', LK: 'Sri Lanka', LT: 'Lithuania', LU: 'Luxembourg',
+  LV: 'Latvia', MA: 'Morocco', MC: 'Monaco', MD: 'Moldova', ME: 'Montenegro',
+  MH: 'Marshall Islands', MK: 'North Macedonia', MM: 'Myanmar', MT: 'Malta', MX: 'Mexico',
+  MY: 'Malaysia', NG: 'Nigeria', NI: 'Nicaragua', NL: 'Netherlands', NO: 'Norway',
+  NZ: 'New Zealand', OM: 'Oman', PA: 'Panama', PE: 'Peru', PG: 'Papua New Guinea',
+  PH: 'Philippines', PK: 'Pakistan', PL: 'Poland', PR: 'Puerto Rico', PT: 'Portugal',
+  PW: 'Palau', PY: 'Paraguay', QA: 'Qatar', RO: 'Romania', RS: 'Serbia',
+  RU: 'Russia', SA: 'Saudi Arabia', SE: 'Sweden', SG: 'Singapore', SI: 'Slovenia',
+  SK: 'Slovakia', SM: 'San Marino', SR: 'Suriname', SV: 'El Salvador', TH: 'Thailand',
+  TL: 'Timor-Leste', TN: 'Tunisia', TO: 'Tonga', TR: 'Turkey', TT: 'Trinidad and Tobago',
+  TW: 'Taiwan', TZ: 'Tanzania', UA: 'Ukraine', UG: 'Uganda', US: 'United States',
+  UY: 'Uruguay', VA: 'Vatican City', VE: 'Venezuela', VN: 'Vietnam', VU: 'Vanuatu',
+  WS: 'Samoa', XK: 'Kosovo', ZA: 'South Africa', ZM: 'Zambia', ZW: 'Zimbabwe',
+};
+
+/**
+ * Currency -> countries using it (first entry is the largest market)
+ * Shared currencies (USD, EUR, ...) only count as weak evidence for each country.
+ */
+export const CURRENCY_COUNTRIES = {
+  USD: ['US', 'EC', 'SV', 'PA', 'PR', 'MH', 'FM', 'PW', 'TL', 'ZW'],
+  EUR: ['DE', 'FR', 'IT', 'ES', 'NL', 'BE', 'AT', 'IE', 'PT', 'FI', 'GR', 'LU', 'SI', 'CY', 'MT', 'SK', 'EE', 'LV', 'LT', 'HR', 'MC', 'SM', 'VA', 'AD', 'XK', 'ME'],
+  CHF: ['CH', 'LI'],
+  CAD: ['CA'], GBP: ['GB'], AUD: ['AU'], NZD: ['NZ'], MXN: ['MX'], BRL: ['BR'],
+  ARS: ['AR'], CLP: ['CL'], COP: ['CO'], PEN: ['PE'], UYU: ['UY'], SEK: ['SE'],
+  NOK: ['NO'], DKK: ['DK'], ISK: ['IS'], PLN: ['PL'], CZK: ['CZ'], HUF: ['HU'],
+  RON: ['RO'], BGN: ['BG'], RSD: ['RS'], UAH: ['UA'], RUB: ['RU'], TRY: ['TR'],
+  JPY: ['JP'], KRW: ['KR'], CNY: ['CN'], SGD: ['SG'], HKD: ['HK'], TWD: ['TW'],
+  MYR: ['MY'], THB: ['TH'], IDR: ['ID'], PHP: ['PH'], VND: ['VN'], INR: ['IN'],
+  PKR: ['PK'], BDT: ['BD'], LKR: ['LK'], ZAR: ['ZA'], EGP: ['EG'], NGN: ['NG'],
+  KES: ['KE'], GHS: ['GH'], MAD: ['MA'], ILS: ['IL'], AED: ['AE'], SAR: ['SA'],
+  QAR: ['QA'], KWD: ['KW'], BHD: ['BH'], OMR: ['OM'], JOD: ['JO'],
+};
+
+/**
+ * International dialling prefix -> countries (+1 is shared by the US and Canada)
+ */
+export const PHONE_PREFIXES = {
+  1: ['US', 'CA'],
+  7: ['RU'],
+  20: ['EG'], 27: ['ZA'], 30: ['GR'], 31: ['NL'], 32: ['BE'], 33: ['FR'], 34: ['ES'],
+  36: ['HU'], 39: ['IT'], 40: ['RO'], 41: ['CH'], 43: ['AT'], 44: ['GB'], 45: ['DK'],
+  46: ['SE'], 47: ['NO'], 48: ['PL'], 49: ['DE'], 51: ['PE'], 52: ['MX'], 54: ['AR'],
+  55: ['BR'], 56: ['CL'], 57: ['CO'], 60: ['MY'], 61: ['AU'], 62: ['ID'], 63: ['PH'],
+  64: ['NZ'], 65: ['SG'], 66: ['TH'], 81: ['JP'], 82: ['KR'], 84: ['VN'], 86: ['CN'],
+  90: ['TR'], 91: ['IN'], 92: ['PK'],
+  351: ['PT'], 352: ['LU'], 353: ['IE'], 354: ['IS'], 356: ['MT'], 357: ['CY'], 358: ['FI'],
+  359: ['BG'], 370: ['LT'], 371: ['LV'], 372: ['EE'], 380: ['UA'], 381: ['RS'], 385: ['HR'],
+  386: ['SI'], 420: ['CZ'], 421: ['SK'], 852: ['HK'], 886: ['TW'], 966: ['SA'], 971: ['AE'],
+  972: ['IL'], 974: ['QA'],
+};
+
+/**
+ * Country-code TLDs that are mostly registered as generic domains (.co, .io, .ai, ...)
+ * and say nothing about where the store is based
+ */
+export const GENERIC_CCTLDS = ['ai', 'cc', 'co', 'fm', 'gg', 'io', 'la', 'ly', 'me', 'nu', 'sh', 'tv', 'to', 'ws'];
+
+/**
+ * Cities commonly printed in store addresses
+ */
+export const ADDRESS_CITIES = {
+  'new york': 'US', 'los angeles': 'US', 'chicago': 'US', 'miami': 'US', 'houston': 'US',
+  'toronto': 'CA', 'vancouver': 'CA', 'montreal': 'CA', 'calgary': 'CA',
+  'london': 'GB', 'manchester': 'GB', 'birmingham': 'GB', 'glasgow': 'GB',
+  'berlin': 'DE', 'munich': 'DE', 'münchen': 'DE', 'hamburg': 'DE', 'köln': 'DE',
+  'paris': 'FR', 'lyon': 'FR', 'marseille': 'FR', 'rome': 'IT', 'milan': 'IT', 'milano': 'IT',
+  'madrid': 'ES', 'barcelona': 'ES', 'amsterdam': 'NL', 'rotterdam': 'NL', 'dublin': 'IE',
+  'brussels': 'BE', 'vienna': 'AT', 'wien': 'AT', 'zurich': 'CH', 'zürich': 'CH', 'geneva': 'CH',
+  'stockholm': 'SE', 'oslo': 'NO', 'copenhagen': 'DK', 'københavn': 'DK', 'helsinki': 'FI',
+  'warsaw': 'PL', 'warszawa': 'PL', 'lisbon': 'PT', 'lisboa': 'PT', 'porto': 'PT',
+  'sydney': 'AU', 'melbourne': 'AU', 'brisbane': 'AU', 'perth': 'AU', 'auckland': 'NZ',
+  'são paulo': 'BR', 'sao paulo': 'BR', 'rio de janeiro': 'BR', 'mexico city': 'MX',
+  'buenos aires': 'AR', 'santiago': 'CL', 'bogotá': 'CO', 'bogota': 'CO', 'lima': 'PE',
+  'tokyo': 'JP', 'osaka': 'JP', 'seoul': 'KR', 'singapore': 'SG', 'hong kong': 'HK',
+  'taipei': 'TW', 'kuala lumpur': 'MY', 'bangkok': 'TH', 'jakarta': 'ID', 'manila': 'PH',
+  'mumbai': 'IN', 'delhi': 'IN', 'bangalore': 'IN', 'dubai': 'AE', 'abu dhabi': 'AE',
+  'riyadh': 'SA', 'tel aviv': 'IL', 'istanbul': 'TR', 'johannesburg': 'ZA', 'cape town': 'ZA',
+};
+
+/**
+ * Country name for an ISO code ('Unknown' for unrecognized codes)
+ */
+export const getCountryName = (code) => COUNTRY_NAMES[code?.toUpperCase()] || UNKNOWN_COUNTRY;
+
+// Country name -> ISO code (lowercase names)
+const CODES_BY_NAME = Object.fromEntries(
+  Object.entries(COUNTRY_NAMES).map(([code, name]) => [name.toLowerCase(), code])
+);
+
+/**
+ * ISO code for a country code or name ("de", "UK", "Germany"), null if unrecognized
+ */
+export const getCountryCode = (value) => {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (/^[a-z]{2}$/i.test(trimmed)) {
+    const code = trimmed.toUpperCase() === 'UK' ? 'GB' : trimmed.toUpperCase();
+    return COUNTRY_NAMES[code] ? code : null;
+  }
+  return CODES_BY_NAME[trimmed.toLowerCase()] || null;
+};
@@ -0,0 +1,90 @@
+/**
+ * Niche Taxonomy
+ *
+ * Fixed store categories used by utils/nicheClassifier.js. Names are stored on the
+ * store (`niches`) and must match the niche filter options in the frontend
+ * (src/data/mockData.js).
+ *
+ * Bump NICHE_TAXONOMY_VERSION whenever this file changes so
+ * `npm run backfill-niches` re-classifies stores classified with an older taxonomy.
+ *
+ * Keywords are lowercase words or phrases, matched as whole words (simple plurals included:
+ * "hoodie" matches "hoodies"). Keep them specific to the niche - generic shop words
+ * ("gift", "sale", "collection") belong to no niche.
+ */
+
+export const NICHE_TAXONOMY_VERSION = 1;
+
+export const NICHE_TAXONOMY = [
+  {
+    name: 'Fashion & Apparel',
+    keywords: ['apparel', 'clothing', 'dress', 't-shirt', 'tee', 'shirt', 'hoodie', 'sweatshirt', 'jacket', 'jeans', 'pants', 'leggings', 'skirt', 'sweater', 'streetwear', 'swimwear', 'lingerie', 'outerwear', 'sneaker', 'shoe', 'boot'],
+  },
+  {
+    name: 'Jewelry & Accessories',
+    keywords: ['jewelry', 'jewellery', 'necklace', 'bracelet', 'earring', 'ring', 'pendant', 'anklet', 'charm', 'watch', 'sunglasses', 'handbag', 'wallet', 'scarf', 'hair clip'],
+  },
+  {
+    name: 'Beauty & Cosmetics',
+    keywords: ['beauty', 'cosmetic', 'makeup', 'skincare', 'skin care', 'serum', 'moisturizer', 'lipstick', 'mascara', 'foundation', 'nail polish', 'lashes', 'fragrance', 'perfume', 'haircare', 'shampoo'],
+  },
+  {
+    name: 'Health & Wellness',
+    keywords: ['wellness', 'supplement', 'vitamin', 'collagen', 'probiotic', 'cbd', 'herbal', 'essential oil', 'posture', 'massager', 'immune', 'detox'],
+  },
+  {
+    name: 'Fitness',
+    keywords: ['fitness', 'gym', 'workout', 'activewear', 'sportswear', 'yoga', 'pilates', 'dumbbell', 'kettlebell', 'resistance band', 'protein', 'pre-workout', 'athletic'],
+  },
+  {
+    name: 'Pet Supplies',
+    keywords: ['pet', 'dog', 'puppy', 'cat', 'kitten', 'leash', 'collar', 'harness', 'pet bed', 'litter', 'aquarium', 'bird', 'paw', 'chew toy'],
+  },
+  {
+    name: 'Home Decor',
+    keywords: ['home decor', 'decor', 'candle', 'vase', 'wall art', 'poster', 'rug', 'cushion', 'pillow', 'curtain', 'lamp', 'lighting', 'mirror', 'furniture', 'bedding'],
+  },
+  {
+    name: 'Kitchen & Dining',
+    keywords: ['kitchen', 'cookware', 'bakeware', 'knife', 'cutting board', 'mug', 'tumbler', 'drinkware', 'tableware', 'utensil', 'coffee', 'tea', 'barware', 'dinnerware'],
+  },
+  {
+    name: 'Baby & Kids',
+    keywords: ['baby', 'infant', 'toddler', 'newborn', 'nursery', 'kids', 'children', 'maternity', 'diaper', 'stroller', 'onesie', 'bib'],
+  },
+  {
+    name: 'Toys & Games',
+    keywords: ['toy', 'game', 'puzzle', 'board game', 'plush', 'lego', 'action figure', 'collectible', 'card game', 'trading card', 'doll'],
+  },
+  {
+    name: 'Electronics & Gadgets',
+    keywords: ['electronics', 'gadget', 'phone case', 'charger', 'cable', 'headphone', 'earbuds', 'speaker', 'smartwatch', 'led light', 'camera', 'drone', 'power bank', 'keyboard', 'gaming'],
+  },
+  {
+    name: 'Outdoor & Sports',
+    keywords: ['outdoor', 'camping', 'hiking', 'fishing', 'hunting', 'cycling', 'bike', 'golf', 'surf', 'climbing', 'tent', 'backpack', 'ski', 'snowboard'],
+  },
+  {
+    name: 'Automotive',
+    keywords: ['car', 'auto', 'automotive', 'vehicle', 'truck', 'motorcycle', 'car accessories', 'detailing', 'wheel', 'tire', 'dash cam'],
+  },
+  {
+    name: 'Food & Beverage',
+    keywords: ['food', 'snack', 'chocolate', 'candy', 'sauce', 'spice', 'seasoning', 'wine', 'beer', 'spirits', 'gourmet', 'bakery', 'honey'],
+  },
+  {
+    name: 'Art & Crafts',
+    keywords: ['art', 'craft', 'painting', 'art print', 'canvas', 'sticker', 'yarn', 'knitting', 'sewing', 'embroidery', 'bead', 'stationery', 'journal', 'notebook'],
+  },
+];
+
+export const NICHE_NAMES = NICHE_TAXONOMY.map(niche => niche.name);
+
+/**
+ * Taxonomy name for a niche name in any case ("pet supplies" -> "Pet Supplies"), null if unknown
+ */
+export const getNicheName = (value) => {
+  if (typeof value !== 'string') return null;
+  const lower = value.trim().toLowerCase();
+  return NICHE_NAMES.find(name => name.toLowerCase() === lower) || null;
+};
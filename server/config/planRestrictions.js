@@ -11,13 +11,17 @@ export const PLAN_RESTRICTIONS = {
     canUseFilters: false, // Cannot use filters (countries, themes, tags, dates)
     canExportCSV: false, // Cannot export to CSV
     canCopyLinks: false, // Cannot copy links
-    canSearch: true, // Can search/view stores without filters
+    canSearch: true, // Can search stores by text (?q=) and view stores without filters
     maxFilterQueriesPerMonth: 0,
     maxCSVExportsPerDay: 0,
     maxCopyOperationsPerDay: 0,
     maxUsers: 0,
     maxDevices: -1, // Unlimited devices for new/free users
     maxLinksPerCSV: 0,
+    maxSavedSearches: 0, // Saved searches need filters
+    maxApiKeys: 0, // No public API access
+    maxWatchedStores: 0, // Watchlists are a paid feature
+    maxLookalikeStores: 0, // Lookalike stores are a paid feature
     requiresUpgrade: false, // Can use basic features
     suspendAfterDevices: -1, // Never suspend free users
   },
@@ -31,9 +35,13 @@ export const PLAN_RESTRICTIONS = {
     maxFilterQueriesPerMonth: 1000,
     maxCSVExportsPerDay: 2,
     maxCopyOperationsPerDay: 2,
-    maxUsers: 1,
+    maxUsers: 1, // Single user (no team)
     maxDevices: 2, // Up to 2 devices
     maxLinksPerCSV: 200, // Max 200 links per CSV export
+    maxSavedSearches: 3, // Up to 3 saved searches with email alerts
+    maxApiKeys: 1, // 1 active API key
+    maxWatchedStores: 25, // Follow up to 25 stores
+    maxLookalikeStores: 20, // Up to 20 similar stores per store
     suspendAfterDevices: 3, // Suspend account if logged in on 3rd device (exceeds limit)
   },
   pro: {
@@ -46,9 +54,13 @@ export const PLAN_RESTRICTIONS = {
     maxFilterQueriesPerMonth: 10000,
     maxCSVExportsPerDay: 10,
     maxCopyOperationsPerDay: 5,
-    maxUsers: 3,
+    maxUsers: 3, // Team of 3 (owner included)
     maxDevices: 3, // Up to 3 devices
     maxLinksPerCSV: 500, // Max 500 links per CSV export
+    maxSavedSearches: 10, // Up to 10 saved searches with email alerts
+    maxApiKeys: 3, // Up to 3 active API keys
+    maxWatchedStores: 100, // Follow up to 100 stores
+    maxLookalikeStores: 50, // Up to 50 similar stores per store
     suspendAfterDevices: 4, // Suspend account if logged in on 4th device (exceeds limit)
   },
   enterprise: {
@@ -64,6 +76,10 @@ export const PLAN_RESTRICTIONS = {
     maxUsers: -1, // Unlimited
     maxDevices: 10, // Up to 10 devices
     maxLinksPerCSV: -1, // Unlimited
+    maxSavedSearches: -1, // Unlimited
+    maxApiKeys: -1, // Unlimited
+    maxWatchedStores: -1, // Unlimited
+    maxLookalikeStores: 100, // Up to 100 similar stores per store
     suspendAfterDevices: 11, // Suspend account if logged in on 11th device (exceeds limit)
   },
 };
@@ -115,6 +131,14 @@ export const getMaxDevices = (plan) => {
   return restrictions.maxDevices === -1 ? Infinity : restrictions.maxDevices;
 };
 
+/**
+ * Get maximum team seats for a plan, owner included (0 or 1 = no team)
+ */
+export const getMaxUsers = (plan) => {
+  const restrictions = getPlanRestrictions(plan);
+  return restrictions.maxUsers === -1 ? Infinity : (restrictions.maxUsers || 0);
+};
+
 /**
  * Get maximum links per CSV for a plan
  */
@@ -127,6 +151,38 @@ export const getMaxLinksPerCSV = (plan) => {
   return restrictions.maxLinksPerCSV;
 };
 
+/**
+ * Get maximum saved searches for a plan
+ */
+export const getMaxSavedSearches = (plan) => {
+  const restrictions = getPlanRestrictions(plan);
+  return restrictions.maxSavedSearches === -1 ? Infinity : (restrictions.maxSavedSearches || 0);
+};
+
+/**
+ * Get maximum active API keys for a plan (0 = no public API access)
+ */
+export const getMaxApiKeys = (plan) => {
+  const restrictions = getPlanRestrictions(plan);
+  return restrictions.maxApiKeys === -1 ? Infinity : (restrictions.maxApiKeys || 0);
+};
+
+/**
+ * Get maximum watched stores for a plan (0 = no watchlist)
+ */
+export const getMaxWatchedStores = (plan) => {
+  const restrictions = getPlanRestrictions(plan);
+  return restrictions.maxWatchedStores === -1 ? Infinity : (restrictions.maxWatchedStores || 0);
+};
+
+/**
+ * Get maximum similar stores listed per store for a plan (0 = no lookalikes)
+ */
+export const getMaxLookalikeStores = (plan) => {
+  const restrictions = getPlanRestrictions(plan);
+  return restrictions.maxLookalikeStores || 0;
+};
+
 /**
  * Get device suspension threshold for a plan
  */
@@ -0,0 +1,105 @@
+/**
+ * Tech Stack Catalog
+ *
+ * Shopify apps and third-party tools recognized by utils/techStackDetector.js.
+ * Names are stored on the store (`techStack`) and must match the app filter
+ * options in the frontend (src/data/mockData.js).
+ *
+ * Patterns are regex sources matched (case-insensitive) against the homepage HTML -
+ * script and asset hosts, app embed markup and the tools' loader snippets. Prefer
+ * hosts the app serves its own assets from over its name, which shops also print in text.
+ */
+
+export const TECH_CATEGORIES = [
+  'Email & SMS',
+  'Reviews',
+  'Subscriptions',
+  'Page Builders',
+  'Buy Now Pay Later',
+  'Customer Support',
+  'Loyalty & Referrals',
+  'Upsell & Conversion',
+  'Analytics & Pixels',
+];
+
+export const TECH_CATALOG = [
+  // Email & SMS
+  { name: 'Klaviyo', category: 'Email & SMS', patterns: ['static\\.klaviyo\\.com', 'klaviyo\\.com/onsite', '_learnq'] },
+  { name: 'Omnisend', category: 'Email & SMS', patterns: ['omnisnippet1\\.com', 'omnisrc\\.com', 'omnisend'] },
+  { name: 'Privy', category: 'Email & SMS', patterns: ['widget\\.privy\\.com', 'privy\\.com/assets'] },
+  { name: 'Attentive', category: 'Email & SMS', patterns: ['cdn\\.attn\\.tv', 'attentivemobile'] },
+  { name: 'Postscript', category: 'Email & SMS', patterns: ['sdk\\.postscript\\.io', 'postscript-sdk'] },
+  { name: 'Mailchimp', category: 'Email & SMS', patterns: ['chimpstatic\\.com', 'list-manage\\.com'] },
+
+  // Reviews
+  { name: 'Judge.me', category: 'Reviews', patterns: ['judge\\.me', 'judgeme', 'jdgm-'] },
+  { name: 'Loox', category: 'Reviews', patterns: ['loox\\.io', 'loox-rating', 'looxreviews'] },
+  { name: 'Yotpo', category: 'Reviews', patterns: ['staticw2\\.yotpo\\.com', 'cdn-widgetsrepository\\.yotpo\\.com', 'yotpo-widget'] },
+  { name: 'Okendo', category: 'Reviews', patterns: ['okendo\\.io', 'okeReviews', 'oke-widget'] },
+  { name: 'Stamped.io', category: 'Reviews', patterns: ['stamped\\.io', 'stamped-main-widget'] },
+  { name: 'Ali Reviews', category: 'Reviews', patterns: ['alireviews', 'ali-reviews'] },
+
+  // Subscriptions
+  { name: 'ReCharge', category: 'Subscriptions', patterns: ['rechargeapps\\.com', 'rechargecdn\\.com', 'recharge-subscription'] },
+  { name: 'Bold Subscriptions', category: 'Subscriptions', patterns: ['sub\\.boldapps\\.net', 'bold-subscriptions'] },
+  { name: 'Appstle Subscriptions', category: 'Subscriptions', patterns: ['appstle-subscription', 'subscription-admin\\.appstle\\.com'] },
+  { name: 'Skio', category: 'Subscriptions', patterns: ['skio\\.com', 'skio-plan-picker'] },
+
+  // Page builders
+  { name: 'PageFly', category: 'Page Builders', patterns: ['pagefly', '__pf-'] },
+  { name: 'GemPages', category: 'Page Builders', patterns: ['gempages', 'gem-page'] },
+  { name: 'Shogun', category: 'Page Builders', patterns: ['shogun-frontend', 'getshogun\\.com', 'shg-box'] },
+  { name: 'Replo', category: 'Page Builders', patterns: ['replo\\.app', 'replo-'] },
+
+  // Buy now, pay later
+  { name: 'Afterpay', category: 'Buy Now Pay Later', patterns: ['afterpay\\.com', 'js\\.afterpay', 'afterpay-placement'] },
+  { name: 'Klarna', category: 'Buy Now Pay Later', patterns: ['klarnaservices\\.com', 'klarna-placement', 'js\\.klarna\\.com'] },
+  { name: 'Sezzle', category: 'Buy Now Pay Later', patterns: ['sezzle\\.com', 'sezzle-widget'] },
+  { name: 'Affirm', category: 'Buy Now Pay Later', patterns: ['cdn1\\.affirm\\.com', 'affirm-as-low-as'] },
+
+  // Customer support
+  { name: 'Gorgias', category: 'Customer Support', patterns: ['gorgias\\.chat', 'gorgias\\.io', 'gorgias-chat'] },
+  { name: 'Tidio', category: 'Customer Support', patterns: ['code\\.tidio\\.co', 'tidiochat'] },
+  { name: 'Zendesk', category: 'Customer Support', patterns: ['static\\.zdassets\\.com', 'zendesk\\.com/embeddable'] },
+  { name: 'Intercom', category: 'Customer Support', patterns: ['widget\\.intercom\\.io', 'intercomsettings'] },
+  { name: 'Re:amaze', category: 'Customer Support', patterns: ['cdn\\.reamaze\\.com'] },
+
+  // Loyalty & referrals
+  { name: 'Smile.io', category: 'Loyalty & Referrals', patterns: ['cdn\\.sweettooth\\.io', 'smile\\.io', 'smile-ui'] },
+  { name: 'LoyaltyLion', category: 'Loyalty & Referrals', patterns: ['loyaltylion'] },
+  { name: 'Rivo', category: 'Loyalty & Referrals', patterns: ['rivo\\.io', 'rivo-loyalty'] },
+
+  // Upsell & conversion
+  { name: 'Vitals', category: 'Upsell & Conversion', patterns: ['appsolve\\.io', 'vitals\\.co'] },
+  { name: 'ReConvert', category: 'Upsell & Conversion', patterns: ['reconvert'] },
+  { name: 'Rebuy', category: 'Upsell & Conversion', patterns: ['rebuyengine\\.com', 'rebuy-widget'] },
+  { name: 'Frequently Bought Together', category: 'Upsell & Conversion', patterns: ['cbb-frequently-bought', 'codeblackbelt'] },
+  { name: 'Route', category: 'Upsell & Conversion', patterns: ['cdn\\.routeapp\\.io', 'route-widget'] },
+
+  // Analytics & pixels
+  { name: 'Meta Pixel', category: 'Analytics & Pixels', patterns: ['connect\\.facebook\\.net/[^"\']*fbevents\\.js', 'fbq\\(\\s*["\']init["\']'] },
+  { name: 'TikTok Pixel', category: 'Analytics & Pixels', patterns: ['analytics\\.tiktok\\.com', 'ttq\\.load\\('] },
+  { name: 'Pinterest Tag', category: 'Analytics & Pixels', patterns: ['s\\.pinimg\\.com/ct/', 'pintrk\\(\\s*["\']load["\']'] },
+  { name: 'Snapchat Pixel', category: 'Analytics & Pixels', patterns: ['sc-static\\.net/scevent', 'snaptr\\(\\s*["\']init["\']'] },
+  { name: 'Google Analytics', category: 'Analytics & Pixels', patterns: ['googletagmanager\\.com/gtag/js\\?id=(?:g|ua)-', 'google-analytics\\.com/(?:analytics|ga)\\.js'] },
+  { name: 'Google Tag Manager', category: 'Analytics & Pixels', patterns: ['googletagmanager\\.com/gtm\\.js'] },
+  { name: 'Google Ads', category: 'Analytics & Pixels', patterns: ['googletagmanager\\.com/gtag/js\\?id=aw-', 'googleadservices\\.com'] },
+  { name: 'Hotjar', category: 'Analytics & Pixels', patterns: ['static\\.hotjar\\.com', 'hotjar'] },
+  { name: 'Microsoft Clarity', category: 'Analytics & Pixels', patterns: ['clarity\\.ms/tag'] },
+];
+
+export const TECH_NAMES = TECH_CATALOG.map(tech => tech.name);
+
+/**
+ * Catalog name for an app name in any case ("judge.me" -> "Judge.me"), null if unknown
+ */
+export const getTechName = (value) => {
+  if (typeof value !== 'string') return null;
+  const lower = value.trim().toLowerCase();
+  return TECH_NAMES.find(name => name.toLowerCase() === lower) || null;
+};
+
+/**
+ * Category of a catalog app (null if unknown)
+ */
+export const getTechCategory = (name) => TECH_CATALOG.find(tech => tech.name === name)?.category || null;
@@ -0,0 +1,72 @@
+/**
+ * Theme Fingerprint Catalog
+ *
+ * Built-in fingerprints used by utils/themeDetector.js. Admins can add themes or
+ * override these entries at runtime (theme_fingerprints table, merged by
+ * services/themeCatalogService.js) - no deploy needed.
+ *
+ * Bump THEME_CATALOG_VERSION whenever this file changes so
+ * `npm run backfill-themes` re-detects stores detected with an older catalog.
+ *
+ * Fingerprint fields:
+ * - name: display name stored on the store (must match the theme filter options)
+ * - type: 'free' | 'paid'
+ * - themeStoreIds: Shopify Theme Store ids (Shopify.theme.theme_store_id) - strongest signal
+ * - aliases: other lowercase names the theme reports as Shopify.theme.schema_name / name
+ * - assetPatterns: regex sources matched against the store's asset URLs
+ *   (defaults to asset files named after the theme, e.g. /assets/impulse.js)
+ */
+
+export const THEME_CATALOG_VERSION = 1;
+
+export const THEME_TYPES = ['free', 'paid'];
+
+export const BUILTIN_THEME_FINGERPRINTS = [
+  // Free themes (Shopify)
+  { name: 'Dawn', type: 'free', themeStoreIds: [887] },
+  { name: 'Refresh', type: 'free', themeStoreIds: [1567] },
+  { name: 'Sense', type: 'free', themeStoreIds: [1356] },
+  { name: 'Craft', type: 'free', themeStoreIds: [1368] },
+  { name: 'Studio', type: 'free', themeStoreIds: [1431] },
+  { name: 'Taste', type: 'free', themeStoreIds: [1434] },
+  { name: 'Origin', type: 'free', themeStoreIds: [1841] },
+  { name: 'Debut', type: 'free', themeStoreIds: [796] },
+  { name: 'Brooklyn', type: 'free', themeStoreIds: [730] },
+  { name: 'Minimal', type: 'free', themeStoreIds: [380] },
+  { name: 'Supply', type: 'free', themeStoreIds: [679] },
+  { name: 'Venture', type: 'free', themeStoreIds: [775] },
+  { name: 'Simple', type: 'free', themeStoreIds: [578] },
+
+  // Paid themes
+  { name: 'Impulse', type: 'paid', themeStoreIds: [857] },
+  { name: 'Motion', type: 'paid', themeStoreIds: [847] },
+  { name: 'Prestige', type: 'paid', themeStoreIds: [855] },
+  { name: 'Empire', type: 'paid', themeStoreIds: [838] },
+  { name: 'Expanse', type: 'paid', themeStoreIds: [902] },
+  { name: 'Warehouse', type: 'paid', themeStoreIds: [871] },
+  { name: 'Enterprise', type: 'paid', themeStoreIds: [1657] },
+  { name: 'Symmetry', type: 'paid', themeStoreIds: [568] },
+  { name: 'Modular', type: 'paid', themeStoreIds: [849] },
+  { name: 'Palo Alto', type: 'paid', themeStoreIds: [777], aliases: ['palo-alto', 'paloalto'] },
+  { name: 'Loft', type: 'paid', themeStoreIds: [846] },
+  { name: 'Blockshop', type: 'paid', themeStoreIds: [606] },
+  { name: 'Flow', type: 'paid', themeStoreIds: [801] },
+  { name: 'Avenue', type: 'paid', themeStoreIds: [865] },
+  { name: 'Broadcast', type: 'paid', themeStoreIds: [868] },
+  { name: 'Pipeline', type: 'paid', themeStoreIds: [739] },
+  { name: 'Envy', type: 'paid', themeStoreIds: [411] },
+  { name: 'Streamline', type: 'paid', themeStoreIds: [872] },
+  { name: 'Fashionopolism', type: 'paid', themeStoreIds: [141] },
+  { name: 'District', type: 'paid', themeStoreIds: [735] },
+  { name: 'Venue', type: 'paid', themeStoreIds: [836] },
+  { name: 'Editorial', type: 'paid', themeStoreIds: [827] },
+  { name: 'Focal', type: 'paid', themeStoreIds: [714] },
+  { name: 'Chronicle', type: 'paid', themeStoreIds: [1795] },
+  { name: 'Galleria', type: 'paid', themeStoreIds: [851] },
+];
+
+// Reported when no fingerprint matches
+export const UNKNOWN_THEME = 'Unknown';
+
+// Reported when the store runs a theme that is not from the Theme Store (no theme_store_id)
+export const CUSTOM_THEME = 'Custom';
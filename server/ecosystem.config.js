@@ -19,5 +19,25 @@ module.exports = {
     max_memory_restart: '500M',
     watch: false,
     ignore_watch: ['node_modules', 'logs'],
-  }],
+  },
+  // Store pipeline workers (persistent job queue) - scale with `instances`
+  ...['discovery', 'verify', 'health', 'classify'].map(queue => ({
+    name: `sneaklink-worker-${queue}`,
+    script: './workers/pipelineWorker.js',
+    args: queue,
+    instances: 1,
+    exec_mode: 'fork',
+    env: {
+      NODE_ENV: 'production',
+    },
+    error_file: `./logs/worker-${queue}-err.log`,
+    out_file: `./logs/worker-${queue}-out.log`,
+    log_date_format: 'YYYY-MM-DD HH:mm:ss Z',
+    merge_logs: true,
+    autorestart: true,
+    max_memory_restart: '500M',
+    kill_timeout: 60000, // Let the current job finish on stop/restart
+    watch: false,
+  })),
+  ],
 };
@@ -1,10 +1,130 @@
 /**
  * Authentication and Authorization Middleware
- * Supports both JWT tokens (for user auth) and API keys (for admin operations)
+ * Supports JWT tokens (for user auth), per-user API keys (for the public API)
+ * and the env API keys (for admin operations)
  */
 
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import { getPrisma } from '../config/postgres.js';
+import { getPlanRestrictions, getMaxApiKeys } from '../config/planRestrictions.js';
+import { getEffectivePlan } from '../services/organizationService.js';
+
+// Per-user API keys start with this prefix (distinguishes them from the env API_KEY/ADMIN_API_KEY)
+export const USER_API_KEY_PREFIX = 'snk_';
+
+/**
+ * Hash an API key for storage/lookup (keys are never stored in plain text)
+ */
+export const hashApiKey = (apiKey) => {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+};
+
+/**
+ * Check if a value looks like a per-user API key
+ */
+const isUserApiKey = (apiKey) => {
+  return typeof apiKey === 'string' && apiKey.startsWith(USER_API_KEY_PREFIX);
+};
+
+/**
+ * Whether a session was signed out from the Account page (its token is refused from then on)
+ * Database errors count as not revoked - the JWT itself is valid.
+ */
+export const isSessionRevoked = async (sessionId) => {
+  if (!sessionId) return false;
+  try {
+    const prisma = getPrisma();
+    const session = await prisma.session.findUnique({
+      where: { sessionId },
+      select: { revokedAt: true },
+    });
+    return !!session?.revokedAt;
+  } catch (error) {
+    console.warn('Database error checking session revocation, but token is valid:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Resolve a per-user API key to its user
+ * Returns: { user, apiKey } on success, { status, body } on failure
+ */
+const resolveUserApiKey = async (rawKey, req) => {
+  const prisma = getPrisma();
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashApiKey(rawKey) },
+    include: { user: true },
+  });
+
+  if (!apiKey || apiKey.revokedAt || !apiKey.user) {
+    console.warn(`⚠️  Failed API key authentication attempt from ${req.ip}`);
+    return {
+      status: 401,
+      body: {
+        error: 'Unauthorized',
+        message: 'Invalid or revoked API key',
+      },
+    };
+  }
+
+  const { user } = apiKey;
+
+  if (!user.isActive) {
+    return {
+      status: 403,
+      body: {
+        error: user.accountStatus === 'deactivated' ? 'Account deactivated' : 'Account suspended',
+        message: 'This API key belongs to an account that is not active. Please contact support for assistance.',
+      },
+    };
+  }
+
+  // Keys stay valid after a downgrade, but only plans with API access can use them
+  const plan = await getEffectivePlan(user);
+  if (getMaxApiKeys(plan) === 0) {
+    return {
+      status: 403,
+      body: {
+        error: 'Upgrade required',
+        message: `API access is not available on the ${getPlanRestrictions(plan).name} plan. Please upgrade to use API keys.`,
+        requiresUpgrade: true,
+      },
+    };
+  }
+
+  // Record usage - don't block the request on it
+  prisma.apiKey.update({
+    where: { id: apiKey.id },
+    data: {
+      lastUsedAt: new Date(),
+      lastUsedIp: req.ip || null,
+      requestCount: { increment: 1 },
+    },
+  }).catch(error => {
+    console.warn('Failed to record API key usage:', error.message);
+  });
+
+  return { user, apiKey };
+};
+
+/**
+ * Attach an API key's user to the request (same shape as JWT auth)
+ */
+const attachApiKeyUser = (req, { user, apiKey }) => {
+  req.user = {
+    id: user.id,
+    userId: user.id,
+    email: user.email,
+    name: user.name,
+    picture: user.picture,
+  };
+  req.apiKey = {
+    id: apiKey.id,
+    name: apiKey.name,
+  };
+  req.authenticated = true;
+};
 
 /**
  * JWT Token authentication middleware
@@ -34,6 +154,14 @@ export const authenticateJWT = async (req, res, next) => {
       // This keeps users logged in across sessions
       const prisma = getPrisma();
       if (decoded.sessionId) {
+        // Sessions the user signed out from the Account page stay signed out
+        if (await isSessionRevoked(decoded.sessionId)) {
+          return res.status(401).json({
+            error: 'Session signed out',
+            message: 'This session was signed out. Please log in again.',
+          });
+        }
+
         try {
           const session = await prisma.session.findUnique({
             where: {
@@ -161,7 +289,7 @@ export const authenticateJWT = async (req, res, next) => {
               where: { id: decoded.userId },
             });
             
-            if (user && user.isActive) {
+            if (user && user.isActive && !(await isSessionRevoked(decoded.sessionId))) {
               // Attach user to request even with expired token
               req.user = {
                 id: user.id,
@@ -212,6 +340,15 @@ export const authenticate = (req, res, next) => {
     return authenticateJWT(req, res, next);
   }
 
+  // Per-user API keys are read-only - they only work on the public store reads (optionalAuth),
+  // never on routes that change stores, exports or billing
+  if (isUserApiKey(req.headers['x-api-key'])) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'API keys can only read stores (GET /api/stores and GET /api/stores/:id). Sign in to do this.',
+    });
+  }
+
   // Fallback to API key authentication (for admin operations)
   // Skip authentication for read-only endpoints in development
   if (process.env.NODE_ENV === 'development' && req.method === 'GET') {
@@ -340,6 +477,11 @@ export const optionalAuth = async (req, res, next) => {
             },
           });
 
+          // Signed out from the Account page - continue without auth
+          if (session?.revokedAt) {
+            return next();
+          }
+
           // If session not found but token is valid, try to create/update it
           if (!session && decoded.userId) {
             try {
@@ -437,6 +579,13 @@ export const optionalAuth = async (req, res, next) => {
         // Invalid token - silently continue without authentication
         // Don't set req.user, but don't fail the request
       }
+    } else if (isUserApiKey(req.headers['x-api-key'])) {
+      // Per-user API key (public API) - an invalid key is an error, not an anonymous request
+      const result = await resolveUserApiKey(req.headers['x-api-key'], req);
+      if (!result.user) {
+        return res.status(result.status).json(result.body);
+      }
+      attachApiKeyUser(req, result);
     } else {
       // Try API key authentication
       const apiKey = req.headers['x-api-key'] || req.query.apiKey;
@@ -5,20 +5,9 @@
 
 import { getPrisma } from '../config/postgres.js';
 import { getPlanRestrictions, getMaxDevices, getSuspendAfterDevices } from '../config/planRestrictions.js';
-import crypto from 'crypto';
-
-/**
- * Generate a device ID from request headers
- */
-export const generateDeviceId = (req) => {
-  const userAgent = req.headers['user-agent'] || '';
-  const ip = req.ip || req.connection.remoteAddress || '';
-  const acceptLanguage = req.headers['accept-language'] || '';
-  
-  // Create a hash of device characteristics
-  const deviceString = `${userAgent}-${ip}-${acceptLanguage}`;
-  return crypto.createHash('sha256').update(deviceString).digest('hex').substring(0, 16);
-};
+import { getEffectivePlan } from '../services/organizationService.js';
+import { getDeviceDetails } from '../utils/deviceLabel.js';
+import { getSessionDeviceId } from '../utils/deviceChecker.js';
 
 /**
  * Track device and enforce device limits
@@ -30,6 +19,18 @@ export const trackDevice = async (req, res, next) => {
       return next();
     }
 
+    if (req.apiKey) {
+      // API key requests come from the user's own servers/tools, not devices
+      return next();
+    }
+
+    // Devices are keyed by the ID their session signed in with, as login registers them
+    const deviceId = await getSessionDeviceId(req.user.sessionId);
+    if (!deviceId) {
+      // Session from before device IDs were stored - login registered (and limited) its device
+      return next();
+    }
+
     const prisma = getPrisma();
     const userDoc = await prisma.user.findUnique({
       where: { id: req.user.userId || req.user.id },
@@ -42,9 +43,7 @@ export const trackDevice = async (req, res, next) => {
       return next();
     }
 
-    const plan = userDoc.subscriptionPlan || 'free';
-    const deviceId = generateDeviceId(req);
-    const sessionId = req.user.sessionId;
+    const plan = await getEffectivePlan(userDoc);
 
     // Find existing device
     const existingDevice = userDoc.devices.find(
@@ -114,6 +113,7 @@ export const trackDevice = async (req, res, next) => {
           userId: userDoc.id,
           deviceId,
           lastActive: new Date(),
+          ...getDeviceDetails(req),
         },
       });
     } else if (maxDevices !== -1 && currentDeviceCount >= maxDevices) {
@@ -135,6 +135,7 @@ export const trackDevice = async (req, res, next) => {
             userId: userDoc.id,
             deviceId,
             lastActive: new Date(),
+            ...getDeviceDetails(req),
           },
         });
         return next();
@@ -154,6 +155,7 @@ export const trackDevice = async (req, res, next) => {
           userId: userDoc.id,
           deviceId,
           lastActive: new Date(),
+          ...getDeviceDetails(req),
         },
       });
     }
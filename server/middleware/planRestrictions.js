@@ -5,6 +5,7 @@
 
 import { getPlanRestrictions, canPerformAction } from '../config/planRestrictions.js';
 import { getPrisma } from '../config/postgres.js';
+import { getEffectivePlan } from '../services/organizationService.js';
 
 /**
  * Middleware to check if user's plan allows a specific action
@@ -44,7 +45,8 @@ export const checkPlanAction = (action) => {
         });
       }
 
-      const plan = userDoc.subscriptionPlan || 'free';
+      // Team members holding a seat use their team's plan
+      const plan = await getEffectivePlan(userDoc);
       const canPerform = canPerformAction(plan, action);
 
       if (!canPerform) {
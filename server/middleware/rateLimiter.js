@@ -97,3 +97,16 @@ export const storeAdditionLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+
+// Staff and admin sign-in rate limiter (authenticator codes are only 6 digits)
+export const staffSignInLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Limit each IP to 10 sign-in attempts per 15 minutes
+  message: {
+    error: 'Too many sign-in attempts',
+    message: 'Too many sign-in attempts from this IP, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
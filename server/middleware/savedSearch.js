@@ -0,0 +1,73 @@
+/**
+ * Saved Search Middleware
+ * Expands ?savedSearchId=... into the saved filter parameters so the rest of the
+ * GET /api/stores chain (validation, usage tracking, filtering) treats it like
+ * a normal filtered query.
+ */
+
+import { getPrisma } from '../config/postgres.js';
+import { markSavedSearchViewed } from '../services/savedSearchService.js';
+import { getTeamUserIds } from '../services/organizationService.js';
+import { STORE_FILTER_KEYS } from '../utils/storeFilters.js';
+
+/**
+ * Apply a saved search to req.query (must run after optionalAuth/authenticateJWT)
+ * Saved filters replace any filter parameters sent with the request.
+ */
+export const applySavedSearch = async (req, res, next) => {
+  const { savedSearchId } = req.query;
+
+  if (!savedSearchId) {
+    return next();
+  }
+
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Please log in to use saved searches.',
+      requiresAuth: true,
+    });
+  }
+
+  try {
+    const prisma = getPrisma();
+    const userId = req.user.userId || req.user.id;
+    // Teammates' saved searches can be opened too
+    const savedSearch = typeof savedSearchId === 'string'
+      ? await prisma.savedSearch.findFirst({
+          where: { id: savedSearchId, userId: { in: await getTeamUserIds(userId) } },
+        })
+      : null;
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        error: 'Saved search not found',
+        message: 'Saved search not found',
+      });
+    }
+
+    const savedFilters = savedSearch.filters || {};
+    for (const key of STORE_FILTER_KEYS) {
+      delete req.query[key];
+      if (savedFilters[key] !== undefined) req.query[key] = savedFilters[key]; // A price of 0 is a real filter
+    }
+    delete req.query.filterCount; // A saved search counts as a single filter query
+
+    req.savedSearch = savedSearch;
+
+    // Opening your own saved search clears its unread count - don't block the request on it
+    if (savedSearch.userId === userId) {
+      markSavedSearchViewed(savedSearch.id).catch(error => {
+        console.warn('[Saved Searches] Could not mark search as viewed:', error.message);
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error applying saved search:', error);
+    res.status(500).json({
+      error: 'Failed to load saved search',
+      message: error.message,
+    });
+  }
+};
@@ -11,11 +11,15 @@ import {
   getMaxCopyOperationsPerDay,
   getMaxLinksPerCSV,
 } from '../config/planRestrictions.js';
+import { STORE_FILTER_KEYS } from '../utils/storeFilters.js';
+import { getUsageAccount } from '../services/organizationService.js';
 
 /**
  * Reset usage counters if needed (monthly/daily resets)
+ * @param {Object} userDoc - Record holding the counters (a user or a team)
+ * @param {string} model - 'user' or 'organization'
  */
-export const resetUsageIfNeeded = async (userDoc) => {
+export const resetUsageIfNeeded = async (userDoc, model = 'user') => {
   const prisma = getPrisma();
   const now = new Date();
   const updateData = {};
@@ -57,7 +61,7 @@ export const resetUsageIfNeeded = async (userDoc) => {
   }
 
   if (Object.keys(updateData).length > 0) {
-    const updated = await prisma.user.update({
+    const updated = await prisma[model].update({
       where: { id: userDoc.id },
       data: updateData,
     });
@@ -67,24 +71,33 @@ export const resetUsageIfNeeded = async (userDoc) => {
   return userDoc;
 };
 
+/**
+ * Usage account of a user with its counters reset if needed
+ * Team members holding a seat count against their team's plan and counters
+ * @param {Object} userDoc - User record
+ * @returns {Promise<Object>} - { model, record, plan }
+ */
+const loadUsageAccount = async (userDoc) => {
+  const account = await getUsageAccount(userDoc);
+  account.record = await resetUsageIfNeeded(account.record, account.model);
+  return account;
+};
+
 /**
  * Check and track filter query usage
  * Only blocks if filters are actually being used
+ * Public API requests (per-user API key) are always metered, with or without filters
  */
 export const checkFilterQueryUsage = async (req, res, next) => {
   try {
     // Check if any filters are being used
     const hasFilters = !!(
-      req.query.countries || 
-      req.query.themes || 
-      req.query.tags || 
-      req.query.dateFrom || 
-      req.query.dateTo ||
+      STORE_FILTER_KEYS.some(key => req.query[key]) ||
       req.query.businessModel
     );
 
     // If no filters are used, allow the request to proceed (anyone can view stores without filters)
-    if (!hasFilters) {
+    if (!hasFilters && !req.apiKey) {
       // Still try to get user info for plan limits, but don't block
       if (req.user) {
         try {
@@ -93,7 +106,7 @@ export const checkFilterQueryUsage = async (req, res, next) => {
             where: { id: req.user.userId || req.user.id },
           });
           if (userDoc) {
-            const plan = userDoc.subscriptionPlan || 'free';
+            const { plan } = await getUsageAccount(userDoc);
             req.userPlan = plan;
             req.userRestrictions = getPlanRestrictions(plan);
             req.userDoc = userDoc;
@@ -116,7 +129,7 @@ export const checkFilterQueryUsage = async (req, res, next) => {
     }
 
     const prisma = getPrisma();
-    let userDoc = await prisma.user.findUnique({
+    const userDoc = await prisma.user.findUnique({
       where: { id: req.user.userId || req.user.id },
     });
     if (!userDoc) {
@@ -126,11 +139,18 @@ export const checkFilterQueryUsage = async (req, res, next) => {
     }
 
     // Reset usage if needed
-    userDoc = await resetUsageIfNeeded(userDoc);
-
-    const plan = userDoc.subscriptionPlan || 'free';
+    const account = await loadUsageAccount(userDoc);
+    const { plan, record: usage } = account;
     const restrictions = getPlanRestrictions(plan);
 
+    // API pages can't be larger than the plan's links-per-CSV limit (otherwise the API bypasses it)
+    if (req.apiKey) {
+      const maxLinks = getMaxLinksPerCSV(plan);
+      if (maxLinks !== Infinity && parseInt(req.query.limit, 10) > maxLinks) {
+        req.query.limit = maxLinks;
+      }
+    }
+
     // Free users cannot use filters
     if (plan === 'free' || !restrictions.canUseFilters) {
       return res.status(403).json({
@@ -147,7 +167,7 @@ export const checkFilterQueryUsage = async (req, res, next) => {
     const effectiveFilterCount = Math.max(1, filterCount || 1); // Ensure at least 1
     
     const maxQueries = getMaxFilterQueriesPerMonth(plan);
-    const currentUsage = userDoc.filterQueriesThisMonth || 0;
+    const currentUsage = usage.filterQueriesThisMonth || 0;
     const projectedUsage = currentUsage + effectiveFilterCount;
     
     if (currentUsage >= maxQueries) {
@@ -174,6 +194,7 @@ export const checkFilterQueryUsage = async (req, res, next) => {
     // Increment usage (will be saved after successful query)
     req.trackFilterQuery = true;
     req.userDoc = userDoc;
+    req.usageAccount = account;
     req.userPlan = plan;
     req.userRestrictions = restrictions;
     req.filterCount = effectiveFilterCount; // Store for use in tracking
@@ -188,20 +209,20 @@ export const checkFilterQueryUsage = async (req, res, next) => {
 
 /**
  * Track filter query after successful request
- * @param {Object} userDoc - User document
+ * @param {Object} account - Usage account (req.usageAccount)
  * @param {number} count - Number of filter interactions to track (default: 1)
  */
-export const trackFilterQuery = async (userDoc, count = 1) => {
-  if (!userDoc) return;
+export const trackFilterQuery = async (account, count = 1) => {
+  if (!account) return;
   
   // Ensure count is a positive integer
   const filterCount = Math.max(1, parseInt(count, 10) || 1);
   
   const prisma = getPrisma();
-  await prisma.user.update({
-    where: { id: userDoc.id },
+  await prisma[account.model].update({
+    where: { id: account.record.id },
     data: {
-      filterQueriesThisMonth: (userDoc.filterQueriesThisMonth || 0) + filterCount,
+      filterQueriesThisMonth: { increment: filterCount },
     },
   });
 };
@@ -219,7 +240,7 @@ export const checkCSVExportUsage = async (req, res, next) => {
     }
 
     const prisma = getPrisma();
-    let userDoc = await prisma.user.findUnique({
+    const userDoc = await prisma.user.findUnique({
       where: { id: req.user.userId || req.user.id },
     });
     if (!userDoc) {
@@ -229,9 +250,8 @@ export const checkCSVExportUsage = async (req, res, next) => {
     }
 
     // Reset usage if needed
-    userDoc = await resetUsageIfNeeded(userDoc);
-
-    const plan = userDoc.subscriptionPlan || 'free';
+    const account = await loadUsageAccount(userDoc);
+    const { plan, record: usage } = account;
     const { getPlanRestrictions, getMaxCSVExportsPerDay, getMaxLinksPerCSV } = await import('../config/planRestrictions.js');
     const restrictions = getPlanRestrictions(plan);
 
@@ -247,12 +267,12 @@ export const checkCSVExportUsage = async (req, res, next) => {
 
     // Check daily limit
     const maxExports = getMaxCSVExportsPerDay(plan);
-    if (userDoc.csvExportsToday >= maxExports) {
+    if (usage.csvExportsToday >= maxExports) {
       return res.status(403).json({
         error: 'Daily limit reached',
         message: `You have reached your daily limit of ${maxExports} CSV exports. Please upgrade or try again tomorrow.`,
         limit: maxExports,
-        used: userDoc.csvExportsToday,
+        used: usage.csvExportsToday,
         limitReached: true, // Flag to distinguish from free user restriction
       });
     }
@@ -270,6 +290,7 @@ export const checkCSVExportUsage = async (req, res, next) => {
 
     req.trackCSVExport = true;
     req.userDoc = userDoc;
+    req.usageAccount = account;
     req.userPlan = plan;
 
     next();
@@ -284,15 +305,16 @@ export const checkCSVExportUsage = async (req, res, next) => {
 
 /**
  * Track CSV export after successful request
+ * @param {Object} account - Usage account (req.usageAccount)
  */
-export const trackCSVExport = async (userDoc) => {
-  if (!userDoc) return;
+export const trackCSVExport = async (account) => {
+  if (!account) return;
   
   const prisma = getPrisma();
-  await prisma.user.update({
-    where: { id: userDoc.id },
+  await prisma[account.model].update({
+    where: { id: account.record.id },
     data: {
-      csvExportsToday: (userDoc.csvExportsToday || 0) + 1,
+      csvExportsToday: { increment: 1 },
     },
   });
 };
@@ -310,7 +332,7 @@ export const checkCopyUsage = async (req, res, next) => {
     }
 
     const prisma = getPrisma();
-    let userDoc = await prisma.user.findUnique({
+    const userDoc = await prisma.user.findUnique({
       where: { id: req.user.userId || req.user.id },
     });
     if (!userDoc) {
@@ -320,9 +342,8 @@ export const checkCopyUsage = async (req, res, next) => {
     }
 
     // Reset usage if needed
-    userDoc = await resetUsageIfNeeded(userDoc);
-
-    const plan = userDoc.subscriptionPlan || 'free';
+    const account = await loadUsageAccount(userDoc);
+    const { plan, record: usage } = account;
     const restrictions = getPlanRestrictions(plan);
 
     // Free users cannot copy
@@ -337,17 +358,18 @@ export const checkCopyUsage = async (req, res, next) => {
 
     // Check daily limit
     const maxCopies = getMaxCopyOperationsPerDay(plan);
-    if (userDoc.copyOperationsToday >= maxCopies) {
+    if (usage.copyOperationsToday >= maxCopies) {
       return res.status(403).json({
         error: 'Daily limit reached',
         message: `You have reached your daily limit of ${maxCopies} copy operations. Please upgrade or try again tomorrow.`,
         limit: maxCopies,
-        used: userDoc.copyOperationsToday,
+        used: usage.copyOperationsToday,
       });
     }
 
     req.trackCopy = true;
     req.userDoc = userDoc;
+    req.usageAccount = account;
     req.userPlan = plan;
 
     next();
@@ -362,15 +384,16 @@ export const checkCopyUsage = async (req, res, next) => {
 
 /**
  * Track copy operation after successful request
+ * @param {Object} account - Usage account (req.usageAccount)
  */
-export const trackCopy = async (userDoc) => {
-  if (!userDoc) return;
+export const trackCopy = async (account) => {
+  if (!account) return;
   
   const prisma = getPrisma();
-  await prisma.user.update({
-    where: { id: userDoc.id },
+  await prisma[account.model].update({
+    where: { id: account.record.id },
     data: {
-      copyOperationsToday: (userDoc.copyOperationsToday || 0) + 1,
+      copyOperationsToday: { increment: 1 },
     },
   });
 };
@@ -3,6 +3,8 @@
  * Prevents injection attacks and validates input
  */
 
+import { pickStoreFilters, STORE_FILTER_KEYS, ARRAY_FILTER_KEYS } from '../utils/storeFilters.js';
+
 /**
  * Validate and sanitize UUID (PostgreSQL primary key)
  */
@@ -91,6 +93,26 @@ export const validateDate = (dateString) => {
   return !isNaN(date.getTime());
 };
 
+/**
+ * Sanitize a store filter set from a request body (saved searches, filtered exports)
+ * Returns: { countries, themes, tags, niches, techStack, shipsTo, currencies, locales, adPlatforms, productQuery, priceMin, priceMax, adWithinDays, dateFrom, dateTo }
+ * (empty fields omitted)
+ */
+export const sanitizeStoreFilters = (filters = {}) => {
+  const sanitized = {};
+  for (const key of STORE_FILTER_KEYS) {
+    if (key === 'dateFrom' || key === 'dateTo') {
+      sanitized[key] = validateDate(filters[key]) ? filters[key] : null;
+    } else if (ARRAY_FILTER_KEYS.includes(key)) {
+      sanitized[key] = sanitizeArray(filters[key]);
+    } else {
+      // Product keyword / price bounds / ad window - parsed by pickStoreFilters
+      sanitized[key] = sanitizeString(filters[key]);
+    }
+  }
+  return pickStoreFilters(sanitized);
+};
+
 /**
  * Validate pagination parameters
  */
@@ -186,22 +208,19 @@ export const validateFilters = (req, res, next) => {
       delete req.query.dateTo;
   }
   
-  // Sanitize filter arrays
-  if (req.query.countries) {
-    req.query.countries = sanitizeArray(
-      Array.isArray(req.query.countries) ? req.query.countries : [req.query.countries]
-    );
-  }
-  
-  if (req.query.themes) {
-    req.query.themes = sanitizeArray(
-      Array.isArray(req.query.themes) ? req.query.themes : [req.query.themes]
+  // Sanitize filter arrays (countries, themes, tags, niches, techStack, shipsTo, currencies, locales, adPlatforms)
+  for (const key of ARRAY_FILTER_KEYS) {
+    if (!req.query[key]) continue;
+    req.query[key] = sanitizeArray(
+      Array.isArray(req.query[key]) ? req.query[key] : [req.query[key]]
     );
   }
   
-  if (req.query.tags) {
-    req.query.tags = sanitizeArray(
-      Array.isArray(req.query.tags) ? req.query.tags : [req.query.tags]
+  // Product keyword search and free-text search (single strings)
+  for (const key of ['productQuery', 'q']) {
+    if (!req.query[key]) continue;
+    req.query[key] = sanitizeString(
+      Array.isArray(req.query[key]) ? req.query[key][0] : req.query[key]
     );
   }
   
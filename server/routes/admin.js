@@ -7,6 +7,21 @@ import axios from 'axios';
 import https from 'https';
 import { getPrisma } from '../config/postgres.js';
 import { sendStaffInvitation } from '../services/emailService.js';
+import { staffSignInLimiter } from '../middleware/rateLimiter.js';
+import { verifyStaffTotp } from '../utils/staffCredentials.js';
+import { recordAuditEvent, findAuditEvents, writeAuditExportStream } from '../services/auditLogService.js';
+import { AUDIT_ACTIONS, AUDIT_TARGET_TYPES, buildAuditFilter } from '../utils/auditLog.js';
+import { PERMISSIONS, STAFF_ROLES, LOCKED_ROLES, ALL_PERMISSIONS, isStaffRole, normalizePermissions, grantsPermission, findUngrantablePermissions } from '../utils/permissions.js';
+import { getRolePermissions, resolveStaffPermissions, getStaffRoles, updateRolePermissions, getPermissionGroups } from '../services/roleService.js';
+import { QUEUES, getQueueStats, retryDeadJobs } from '../services/jobQueue.js';
+import { getSourceYield } from '../services/scrapingStatsService.js';
+import {
+  listThemeFingerprints,
+  sanitizeThemeFingerprint,
+  saveThemeFingerprint,
+  deleteThemeFingerprint,
+  getUnmatchedThemeStoreIds,
+} from '../services/themeCatalogService.js';
 
 const router = express.Router();
 
@@ -35,37 +50,51 @@ const verifyAdminToken = async (req, res, next) => {
       });
     }
 
-    // If staff, fetch latest permissions from database
+    // Staff tokens keep the isAdmin they were signed in with, so it isn't trusted for them:
+    // a staff member is an admin only while ADMIN_EMAILS lists them or their current role is admin
+    const adminEmails = process.env.ADMIN_EMAILS?.split(',').map(e => e.trim().toLowerCase()) || [];
+    let isAdmin = decoded.isStaff
+      ? adminEmails.includes(decoded.email?.toLowerCase())
+      : !!decoded.isAdmin;
+
+    // If staff, resolve their current permissions (role + own grants) from the database -
+    // never from the token, so role edits and revoked grants apply at once
     if (decoded.isStaff && decoded.staffId) {
+      let staff;
+      let permissions = [];
       try {
         const prisma = getPrisma();
-        const staff = await prisma.staff.findUnique({
+        staff = await prisma.staff.findUnique({
           where: { id: decoded.staffId },
         });
-        if (staff && staff.status === 'active') {
-          req.staff = {
-            id: staff.id,
-            role: staff.role,
-            permissions: staff.permissions || [],
-          };
-        } else {
-          return res.status(403).json({
-            error: 'Forbidden',
-            message: 'Staff account is not active'
-          });
+        if (staff) {
+          permissions = await resolveStaffPermissions(staff);
         }
       } catch (dbError) {
-        // If staff not found, still allow if token is valid (might be deleted)
-        req.staff = {
-          id: decoded.staffId,
-          role: decoded.staffRole,
-          permissions: decoded.staffPermissions || [],
-        };
+        console.error('Error loading staff permissions:', dbError.message);
+        return res.status(503).json({
+          error: 'Service unavailable',
+          message: 'Could not verify staff permissions'
+        });
+      }
+      if (!staff || staff.status !== 'active') {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Staff account is not active'
+        });
       }
+      isAdmin = staff.role === 'admin' || adminEmails.includes(staff.email.toLowerCase());
+      req.staff = {
+        id: staff.id,
+        name: staff.name,
+        email: staff.email,
+        role: staff.role,
+        permissions,
+      };
     }
 
     // Attach admin and staff info to request
-    req.admin = decoded;
+    req.admin = { ...decoded, isAdmin };
     
     next();
   } catch (error) {
@@ -81,18 +110,20 @@ const verifyAdminToken = async (req, res, next) => {
 
 // Middleware to check specific permissions
 const checkPermission = (requiredPermission) => {
+  // Catch typos when routes are registered, not when a staff member gets a 403
+  if (!PERMISSIONS[requiredPermission]) {
+    throw new Error(`Unknown permission: ${requiredPermission}`);
+  }
+
   return (req, res, next) => {
     // Admins have all permissions
     if (req.admin?.isAdmin) {
       return next();
     }
 
-    // Staff must have the required permission or "all" permission
-    if (req.staff) {
-      const permissions = req.staff.permissions || [];
-      if (permissions.includes('all') || permissions.includes(requiredPermission)) {
-        return next();
-      }
+    // Staff must have the required permission (from their role or own grants) or "all"
+    if (req.staff && grantsPermission(req.staff.permissions, requiredPermission)) {
+      return next();
     }
 
     return res.status(403).json({
@@ -102,6 +133,22 @@ const checkPermission = (requiredPermission) => {
   };
 };
 
+/**
+ * Permissions a staff member would hand out without holding them (admins can grant anything)
+ * @param {Object} req - Request (req.admin / req.staff from verifyAdminToken)
+ * @param {Object} grant - { role, permissions } being assigned
+ * @returns {Promise<string[]>} - Permissions the actor lacks (empty when allowed)
+ */
+const findPermissionsActorLacks = async (req, { role = null, permissions = [] }) => {
+  if (req.admin?.isAdmin) return [];
+  const rolePermissions = role ? await getRolePermissions(role) : [];
+  return findUngrantablePermissions(req.staff?.permissions || [], [...new Set([...rolePermissions, ...permissions])]);
+};
+
+// User and staff fields kept in audit log diffs
+const USER_AUDIT_FIELDS = ['name', 'email', 'subscriptionPlan', 'isActive', 'accountStatus', 'suspensionCount'];
+const STAFF_AUDIT_FIELDS = ['name', 'email', 'role', 'permissions', 'status'];
+
 // Generate unique session ID for admin
 const generateSessionId = () => {
   return crypto.randomBytes(32).toString('hex');
@@ -123,9 +170,11 @@ const generateAdminToken = (adminData) => {
 
 /**
  * POST /api/auth/admin/verify-totp
- * Verify TOTP code from Google Authenticator
+ * Owner sign-in with the shared ADMIN_TOTP_SECRET - only to bootstrap the first admin.
+ * Once any active admin-role staff member has enrolled their own authenticator, admins
+ * sign in with their own credentials (POST /api/auth/staff/login) and this is disabled.
  */
-router.post('/verify-totp', async (req, res) => {
+router.post('/verify-totp', staffSignInLimiter, async (req, res) => {
   try {
     const { code } = req.body;
 
@@ -137,7 +186,7 @@ router.post('/verify-totp', async (req, res) => {
     }
 
     // Get TOTP secret from environment variable
-    let totpSecret = process.env.ADMIN_TOTP_SECRET;
+    const totpSecret = process.env.ADMIN_TOTP_SECRET?.trim();
 
     if (!totpSecret) {
       console.error('ADMIN_TOTP_SECRET not configured');
@@ -147,72 +196,21 @@ router.post('/verify-totp', async (req, res) => {
       });
     }
 
-    // Trim whitespace from secret
-    totpSecret = totpSecret.trim();
-
-    // Generate expected codes for debugging
-    const currentTime = Math.floor(Date.now() / 1000);
-    const timeStep = Math.floor(currentTime / 30);
-    
-    // Generate codes for current and adjacent time steps
-    const expectedCodes = {
-      current: speakeasy.totp({ secret: totpSecret, encoding: 'base32', time: currentTime }),
-      previous: speakeasy.totp({ secret: totpSecret, encoding: 'base32', time: currentTime - 30 }),
-      next: speakeasy.totp({ secret: totpSecret, encoding: 'base32', time: currentTime + 30 }),
-      previous2: speakeasy.totp({ secret: totpSecret, encoding: 'base32', time: currentTime - 60 }),
-      next2: speakeasy.totp({ secret: totpSecret, encoding: 'base32', time: currentTime + 60 }),
-    };
-
-    // Try verification with base32 encoding and larger window
-    let verifiedResult = speakeasy.totp.verify({
-      secret: totpSecret,
-      encoding: 'base32',
-      token: code,
-      window: 10, // Increased to 10 time steps (300 seconds = 5 minutes)
-      time: currentTime,
-    });
-
-    // If base32 fails, try ascii encoding
-    if (!verifiedResult) {
-      verifiedResult = speakeasy.totp.verify({
-        secret: totpSecret,
-        encoding: 'ascii',
-        token: code,
-        window: 10,
-        time: currentTime,
-      });
-    }
-
-    // If still fails, try hex encoding
-    if (!verifiedResult) {
-      verifiedResult = speakeasy.totp.verify({
-        secret: totpSecret,
-        encoding: 'hex',
-        token: code,
-        window: 10,
-        time: currentTime,
+    const prisma = getPrisma();
+    const enrolledAdmins = await prisma.staff.count({
+      where: { role: 'admin', status: 'active', totpEnabledAt: { not: null } },
+    });
+    if (enrolledAdmins > 0) {
+      return res.status(403).json({
+        error: 'Shared admin code disabled',
+        message: 'Admins now sign in with their own authenticator. Use the Staff tab with your email and code.'
       });
     }
 
-    // Check if code matches any of the expected codes (manual check)
-    const codeMatches = Object.values(expectedCodes).includes(code);
-    if (codeMatches && !verifiedResult) {
-      verifiedResult = true; // Override if code matches expected
-    }
-
-    if (!verifiedResult) {
+    if (!verifyStaffTotp(totpSecret, code)) {
       return res.status(401).json({ 
         error: 'Invalid code',
         message: 'The authentication code is invalid or has expired. Please check: 1) Your phone\'s time is synchronized, 2) You\'re entering the current 6-digit code, 3) The code hasn\'t expired (codes change every 30 seconds).',
-        debug: {
-          receivedCode: code,
-          expectedCodes: expectedCodes,
-          serverTime: new Date().toISOString(),
-          unixTimestamp: currentTime,
-          timeStep: timeStep,
-          secretLength: totpSecret.length,
-          hint: 'Compare your code with the expected codes above. If none match, check time synchronization or regenerate the secret.'
-        }
       });
     }
 
@@ -263,6 +261,43 @@ router.get('/verify', verifyAdminToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/auth/admin/me/permissions
+ * The signed-in admin or staff member's role and effective permissions (what the admin UI shows)
+ */
+router.get('/me/permissions', verifyAdminToken, async (req, res) => {
+  try {
+    if (req.staff) {
+      return res.json({
+        success: true,
+        isAdmin: req.admin.isAdmin,
+        name: req.staff.name,
+        email: req.staff.email,
+        role: req.staff.role,
+        roleLabel: STAFF_ROLES[req.staff.role]?.label || req.staff.role,
+        // Admins pass every permission check (checkPermission), whatever their role grants
+        permissions: req.admin.isAdmin ? [ALL_PERMISSIONS] : req.staff.permissions,
+      });
+    }
+
+    res.json({
+      success: true,
+      isAdmin: true,
+      name: req.admin.name || 'Admin',
+      email: req.admin.email || null,
+      role: 'admin',
+      roleLabel: STAFF_ROLES.admin.label,
+      permissions: [ALL_PERMISSIONS],
+    });
+  } catch (error) {
+    console.error('Error fetching permissions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch permissions',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * GET /api/auth/admin/setup
  * Generate TOTP secret and QR code for setup (one-time use)
@@ -645,7 +680,7 @@ router.get('/recent-users', verifyAdminToken, checkPermission('users.view'), asy
  * - New tickets (no admin reply yet)
  * - Tickets where user has replied after admin's last reply
  */
-router.get('/support/tickets/count', verifyAdminToken, async (req, res) => {
+router.get('/support/tickets/count', verifyAdminToken, checkPermission('tickets.view'), async (req, res) => {
   try {
     // Check PostgreSQL connection
     const prisma = getPrisma();
@@ -686,7 +721,7 @@ router.get('/support/tickets/count', verifyAdminToken, async (req, res) => {
  * GET /api/auth/admin/support/tickets
  * Get all support tickets (admin only)
  */
-router.get('/support/tickets', verifyAdminToken, async (req, res) => {
+router.get('/support/tickets', verifyAdminToken, checkPermission('tickets.view'), async (req, res) => {
   try {
     const { status = 'all', page = 1, limit = 50 } = req.query;
     
@@ -759,7 +794,7 @@ router.get('/support/tickets', verifyAdminToken, async (req, res) => {
  * POST /api/auth/admin/support/tickets/:id/reply
  * Admin reply to a ticket (sends email notification)
  */
-router.post('/support/tickets/:id/reply', verifyAdminToken, async (req, res) => {
+router.post('/support/tickets/:id/reply', verifyAdminToken, checkPermission('tickets.reply'), async (req, res) => {
   try {
     const ticketId = req.params.id;
     const { message } = req.body;
@@ -860,6 +895,14 @@ router.delete('/support/tickets/:id', verifyAdminToken, checkPermission('tickets
       where: { id: ticketId },
     });
 
+    await recordAuditEvent(req, {
+      action: 'ticket.delete',
+      targetType: 'ticket',
+      targetId: ticket.id,
+      targetLabel: `${ticket.ticketId}: ${ticket.subject}`,
+      metadata: { ticketId: ticket.ticketId, userEmail: ticket.userEmail, status: ticket.status },
+    });
+
     res.json({
       success: true,
       message: `Ticket ${ticket.ticketId} deleted successfully`,
@@ -877,7 +920,7 @@ router.delete('/support/tickets/:id', verifyAdminToken, checkPermission('tickets
  * DELETE /api/auth/admin/support/tickets
  * Delete multiple tickets or all tickets (admin only)
  */
-router.delete('/support/tickets', verifyAdminToken, async (req, res) => {
+router.delete('/support/tickets', verifyAdminToken, checkPermission('tickets.delete'), async (req, res) => {
   try {
     const { ticketIds, deleteAll } = req.body;
 
@@ -885,6 +928,12 @@ router.delete('/support/tickets', verifyAdminToken, async (req, res) => {
     if (deleteAll === true) {
       // Delete all tickets
       const result = await prisma.supportTicket.deleteMany({});
+
+      await recordAuditEvent(req, {
+        action: 'tickets.delete_bulk',
+        targetType: 'ticket',
+        metadata: { deleteAll: true, deletedCount: result.count },
+      });
       
       return res.json({
         success: true,
@@ -901,6 +950,12 @@ router.delete('/support/tickets', verifyAdminToken, async (req, res) => {
         }
       });
 
+      await recordAuditEvent(req, {
+        action: 'tickets.delete_bulk',
+        targetType: 'ticket',
+        metadata: { ticketIds, deletedCount: result.count },
+      });
+
       return res.json({
         success: true,
         message: `${result.count} ticket(s) deleted successfully`,
@@ -1007,6 +1062,15 @@ router.post('/users', verifyAdminToken, checkPermission('users.create'), async (
       },
     });
 
+    await recordAuditEvent(req, {
+      action: 'user.create',
+      targetType: 'user',
+      targetId: newUser.id,
+      targetLabel: newUser.email,
+      after: newUser,
+      fields: USER_AUDIT_FIELDS,
+    });
+
     res.json({
       success: true,
       message: 'User created successfully',
@@ -1027,6 +1091,199 @@ router.post('/users', verifyAdminToken, checkPermission('users.create'), async (
   }
 });
 
+// Bulk routes are registered before /users/:id so ":id" doesn't swallow them
+/**
+ * PUT /api/auth/admin/users/restore-all
+ * Restore all suspended and deactivated users back to active
+ */
+router.put('/users/restore-all', verifyAdminToken, checkPermission('users.restore'), async (req, res) => {
+  try {
+    // Find ALL inactive users (regardless of accountStatus)
+    const prisma = getPrisma();
+    const inactiveUsers = await prisma.user.findMany({
+      where: { isActive: false },
+    });
+
+    console.log(`[Admin API] Found ${inactiveUsers.length} inactive users to restore`);
+    console.log(`[Admin API] Inactive users breakdown:`, inactiveUsers.map(u => ({
+      id: u.id,
+      name: u.name,
+      email: u.email,
+      isActive: u.isActive,
+      accountStatus: u.accountStatus || 'NOT SET'
+    })));
+
+    if (inactiveUsers.length === 0) {
+      return res.json({
+        success: true,
+        message: 'No users to restore',
+        restored: 0,
+      });
+    }
+
+    // Use updateMany (bulk update)
+    // Subscription data was preserved during suspension/deactivation and will remain unchanged
+    const updateResult = await prisma.user.updateMany({
+      where: { isActive: false },
+      data: {
+        isActive: true,
+        accountStatus: 'active',
+        suspensionCount: 0, // Reset suspension count when manually restored by admin
+        // Subscription fields (subscriptionPlan, subscriptionBillingCycle, etc.) remain unchanged
+        // They were preserved during suspension and will remain as they were before suspension
+      },
+    });
+
+    await recordAuditEvent(req, {
+      action: 'users.restore_all',
+      targetType: 'user',
+      metadata: { restored: updateResult.count, userIds: inactiveUsers.map(user => user.id) },
+    });
+
+    // Send restoration notifications to all restored users (async, don't wait)
+    const { sendAccountRestorationNotification } = await import('../services/emailService.js');
+    inactiveUsers.forEach(user => {
+      const previousStatus = user.accountStatus || 'suspended';
+      sendAccountRestorationNotification({
+        userName: user.name || 'User',
+        userEmail: user.email,
+        previousStatus,
+      }).catch(err => console.error(`[Admin API] Failed to send restoration notification to ${user.email}:`, err));
+    });
+
+    console.log(`[Admin API] UpdateMany result:`, {
+      count: updateResult.count,
+    });
+
+    // Verify the update worked
+    const stillInactive = await prisma.user.count({ where: { isActive: false } });
+    const activeCount = await prisma.user.count({ where: { isActive: true } });
+    console.log(`[Admin API] Verification - Still inactive: ${stillInactive}, Now active: ${activeCount}`);
+
+    const finalInactiveCount = stillInactive;
+    const finalActiveCount = activeCount;
+
+    res.json({
+      success: true,
+      message: `Successfully restored users to active status`,
+      restored: updateResult.count,
+      total: inactiveUsers.length,
+      finalActive: finalActiveCount,
+      finalInactive: finalInactiveCount,
+    });
+  } catch (error) {
+    console.error('Error restoring all users:', error);
+    res.status(500).json({
+      error: 'Failed to restore users',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/auth/admin/users/activate-all
+ * Force activate ALL users (sets all users to active regardless of current status)
+ */
+router.put('/users/activate-all', verifyAdminToken, checkPermission('users.restore'), async (req, res) => {
+  try {
+    // Get total user count
+    const prisma = getPrisma();
+    const totalUsers = await prisma.user.count();
+    console.log(`[Admin API] Total users in database: ${totalUsers}`);
+
+    // Update ALL users to active
+    const updateResult = await prisma.user.updateMany({
+      where: {}, // Empty filter = match all documents
+      data: {
+        isActive: true,
+        accountStatus: 'active',
+      },
+    });
+
+    console.log(`[Admin API] Activate-all result:`, {
+      count: updateResult.count,
+    });
+
+    await recordAuditEvent(req, {
+      action: 'users.activate_all',
+      targetType: 'user',
+      metadata: { modified: updateResult.count, total: totalUsers },
+    });
+
+    // Verify
+    const activeCount = await prisma.user.count({ where: { isActive: true } });
+    const inactiveCount = await prisma.user.count({ where: { isActive: false } });
+
+    res.json({
+      success: true,
+      message: `Successfully activated all users`,
+      total: totalUsers,
+      modified: updateResult.count,
+      active: activeCount,
+      inactive: inactiveCount,
+    });
+  } catch (error) {
+    console.error('Error activating all users:', error);
+    res.status(500).json({
+      error: 'Failed to activate all users',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/admin/users/delete-all
+ * Delete ALL users from the database (use with caution!)
+ */
+router.delete('/users/delete-all', verifyAdminToken, checkPermission('users.delete'), async (req, res) => {
+  try {
+    const prisma = getPrisma();
+    // Get total user count before deletion
+    const totalUsers = await prisma.user.count();
+    console.log(`[Admin API] Total users before deletion: ${totalUsers}`);
+
+    if (totalUsers === 0) {
+      return res.json({
+        success: true,
+        message: 'No users to delete',
+        deleted: 0,
+      });
+    }
+
+    // Delete ALL users
+    const deleteResult = await prisma.user.deleteMany({});
+
+    console.log(`[Admin API] Delete-all result:`, {
+      deleted: deleteResult.count,
+      acknowledged: true
+    });
+
+    await recordAuditEvent(req, {
+      action: 'users.delete_all',
+      targetType: 'user',
+      metadata: { deleted: deleteResult.count, total: totalUsers },
+    });
+
+    // Verify
+    const remainingUsers = await prisma.user.count();
+    console.log(`[Admin API] Users remaining after deletion: ${remainingUsers}`);
+
+    res.json({
+      success: true,
+      message: `Successfully deleted all users`,
+      deleted: deleteResult.count,
+      total: totalUsers,
+      remaining: remainingUsers,
+    });
+  } catch (error) {
+    console.error('Error deleting all users:', error);
+    res.status(500).json({
+      error: 'Failed to delete all users',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * PUT /api/auth/admin/users/:id
  * Update user details (including plan)
@@ -1080,6 +1337,16 @@ router.put('/users/:id', verifyAdminToken, checkPermission('users.edit'), async
       data: updateData,
     });
 
+    await recordAuditEvent(req, {
+      action: 'user.update',
+      targetType: 'user',
+      targetId: user.id,
+      targetLabel: user.email,
+      before: user,
+      after: updatedUser,
+      fields: USER_AUDIT_FIELDS,
+    });
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -1133,7 +1400,7 @@ router.put('/users/:id/suspend', verifyAdminToken, checkPermission('users.suspen
 
     // Set user as inactive and mark as suspended (subscription data stays intact)
     // Increment suspensionCount to track violations
-    await prisma.user.update({
+    const suspendedUser = await prisma.user.update({
       where: { id: user.id },
       data: {
         isActive: false,
@@ -1170,6 +1437,17 @@ router.put('/users/:id/suspend', verifyAdminToken, checkPermission('users.suspen
       }
     ).catch(err => console.error('[Admin API] Failed to send suspension notification:', err));
 
+    await recordAuditEvent(req, {
+      action: 'user.suspend',
+      targetType: 'user',
+      targetId: user.id,
+      targetLabel: user.email,
+      before: user,
+      after: suspendedUser,
+      fields: USER_AUDIT_FIELDS,
+      metadata: { reason: req.body.reason || 'policy_violation', adminCaseId, sessionsTerminated: sessionResult.count },
+    });
+
     console.log(`[Admin API] Suspended user ${user.email} and terminated ${sessionResult.count} active session(s)`);
 
     res.json({
@@ -1196,7 +1474,7 @@ router.put('/users/:id/suspend', verifyAdminToken, checkPermission('users.suspen
  * PUT /api/auth/admin/users/:id/deactivate
  * Deactivate a user (permanent restriction - cannot login unless admin restores)
  */
-router.put('/users/:id/deactivate', verifyAdminToken, async (req, res) => {
+router.put('/users/:id/deactivate', verifyAdminToken, checkPermission('users.deactivate'), async (req, res) => {
   try {
     const userId = req.params.id;
 
@@ -1223,7 +1501,7 @@ router.put('/users/:id/deactivate', verifyAdminToken, async (req, res) => {
     // Save current subscription data before deactivating (subscription data is preserved in User model fields)
     // The subscription fields (subscriptionPlan, subscriptionBillingCycle, etc.) remain unchanged
     // Set user as inactive and mark as deactivated (subscription data stays intact)
-    await prisma.user.update({
+    const deactivatedUser = await prisma.user.update({
       where: { id: user.id },
       data: {
         isActive: false,
@@ -1259,6 +1537,17 @@ router.put('/users/:id/deactivate', verifyAdminToken, async (req, res) => {
       }
     ).catch(err => console.error('[Admin API] Failed to send deactivation notification:', err));
 
+    await recordAuditEvent(req, {
+      action: 'user.deactivate',
+      targetType: 'user',
+      targetId: user.id,
+      targetLabel: user.email,
+      before: user,
+      after: deactivatedUser,
+      fields: USER_AUDIT_FIELDS,
+      metadata: { reason: req.body.reason || 'policy_violation', adminCaseId, sessionsTerminated: sessionResult.count },
+    });
+
     console.log(`[Admin API] Deactivated user ${user.email} and terminated ${sessionResult.count} active session(s)`);
 
     res.json({
@@ -1322,6 +1611,16 @@ router.put('/users/:id/restore', verifyAdminToken, checkPermission('users.restor
       },
     });
 
+    await recordAuditEvent(req, {
+      action: 'user.restore',
+      targetType: 'user',
+      targetId: user.id,
+      targetLabel: user.email,
+      before: user,
+      after: updatedUser,
+      fields: USER_AUDIT_FIELDS,
+    });
+
     // Send restoration notification email (async, don't wait)
     const { sendAccountRestorationNotification } = await import('../services/emailService.js');
     sendAccountRestorationNotification({
@@ -1353,7 +1652,7 @@ router.put('/users/:id/restore', verifyAdminToken, checkPermission('users.restor
  * DELETE /api/auth/admin/users/:id
  * Delete a user from the database permanently
  */
-router.delete('/users/:id', verifyAdminToken, async (req, res) => {
+router.delete('/users/:id', verifyAdminToken, checkPermission('users.delete'), async (req, res) => {
   try {
     const userId = req.params.id;
 
@@ -1381,6 +1680,15 @@ router.delete('/users/:id', verifyAdminToken, async (req, res) => {
       where: { id: userId },
     });
 
+    await recordAuditEvent(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: user.id,
+      targetLabel: user.email,
+      before: user,
+      fields: USER_AUDIT_FIELDS,
+    });
+
     res.json({
       success: true,
       message: 'User deleted successfully',
@@ -1400,186 +1708,11 @@ router.delete('/users/:id', verifyAdminToken, async (req, res) => {
 });
 
 /**
- * PUT /api/auth/admin/users/restore-all
- * Restore all suspended and deactivated users back to active
+ * GET /api/auth/admin/warned-users
+ * Get users with multiple active sessions (exceeding device limit)
+ * Now supports filtering by type: 'warned', 'suspended', 'deactivated', 'all'
  */
-router.put('/users/restore-all', verifyAdminToken, async (req, res) => {
-  try {
-    // Find ALL inactive users (regardless of accountStatus)
-    const prisma = getPrisma();
-    const inactiveUsers = await prisma.user.findMany({
-      where: { isActive: false },
-    });
-
-    console.log(`[Admin API] Found ${inactiveUsers.length} inactive users to restore`);
-    console.log(`[Admin API] Inactive users breakdown:`, inactiveUsers.map(u => ({
-      id: u.id,
-      name: u.name,
-      email: u.email,
-      isActive: u.isActive,
-      accountStatus: u.accountStatus || 'NOT SET'
-    })));
-
-    if (inactiveUsers.length === 0) {
-      return res.json({
-        success: true,
-        message: 'No users to restore',
-        restored: 0,
-      });
-    }
-
-    // Use updateMany (bulk update)
-    // Subscription data was preserved during suspension/deactivation and will remain unchanged
-    const updateResult = await prisma.user.updateMany({
-      where: { isActive: false },
-      data: {
-        isActive: true,
-        accountStatus: 'active',
-        suspensionCount: 0, // Reset suspension count when manually restored by admin
-        // Subscription fields (subscriptionPlan, subscriptionBillingCycle, etc.) remain unchanged
-        // They were preserved during suspension and will remain as they were before suspension
-      },
-    });
-
-    // Send restoration notifications to all restored users (async, don't wait)
-    const { sendAccountRestorationNotification } = await import('../services/emailService.js');
-    inactiveUsers.forEach(user => {
-      const previousStatus = user.accountStatus || 'suspended';
-      sendAccountRestorationNotification({
-        userName: user.name || 'User',
-        userEmail: user.email,
-        previousStatus,
-      }).catch(err => console.error(`[Admin API] Failed to send restoration notification to ${user.email}:`, err));
-    });
-
-    console.log(`[Admin API] UpdateMany result:`, {
-      count: updateResult.count,
-    });
-
-    // Verify the update worked
-    const stillInactive = await prisma.user.count({ where: { isActive: false } });
-    const activeCount = await prisma.user.count({ where: { isActive: true } });
-    console.log(`[Admin API] Verification - Still inactive: ${stillInactive}, Now active: ${activeCount}`);
-
-    const finalInactiveCount = stillInactive;
-    const finalActiveCount = activeCount;
-
-    res.json({
-      success: true,
-      message: `Successfully restored users to active status`,
-      restored: updateResult.modifiedCount || individuallyUpdated,
-      matched: updateResult.matchedCount,
-      total: inactiveUsers.length,
-      finalActive: finalActiveCount,
-      finalInactive: finalInactiveCount,
-    });
-  } catch (error) {
-    console.error('Error restoring all users:', error);
-    res.status(500).json({
-      error: 'Failed to restore users',
-      message: error.message,
-    });
-  }
-});
-
-/**
- * PUT /api/auth/admin/users/activate-all
- * Force activate ALL users (sets all users to active regardless of current status)
- */
-router.put('/users/activate-all', verifyAdminToken, async (req, res) => {
-  try {
-    // Get total user count
-    const prisma = getPrisma();
-    const totalUsers = await prisma.user.count();
-    console.log(`[Admin API] Total users in database: ${totalUsers}`);
-
-    // Update ALL users to active
-    const updateResult = await prisma.user.updateMany({
-      where: {}, // Empty filter = match all documents
-      data: {
-        isActive: true,
-        accountStatus: 'active',
-      },
-    });
-
-    console.log(`[Admin API] Activate-all result:`, {
-      count: updateResult.count,
-    });
-
-    // Verify
-    const activeCount = await prisma.user.count({ where: { isActive: true } });
-    const inactiveCount = await prisma.user.count({ where: { isActive: false } });
-
-    res.json({
-      success: true,
-      message: `Successfully activated all users`,
-      total: totalUsers,
-      modified: updateResult.count,
-      active: activeCount,
-      inactive: inactiveCount,
-    });
-  } catch (error) {
-    console.error('Error activating all users:', error);
-    res.status(500).json({
-      error: 'Failed to activate all users',
-      message: error.message,
-    });
-  }
-});
-
-/**
- * DELETE /api/auth/admin/users/delete-all
- * Delete ALL users from the database (use with caution!)
- */
-router.delete('/users/delete-all', verifyAdminToken, async (req, res) => {
-  try {
-    const prisma = getPrisma();
-    // Get total user count before deletion
-    const totalUsers = await prisma.user.count();
-    console.log(`[Admin API] Total users before deletion: ${totalUsers}`);
-
-    if (totalUsers === 0) {
-      return res.json({
-        success: true,
-        message: 'No users to delete',
-        deleted: 0,
-      });
-    }
-
-    // Delete ALL users
-    const deleteResult = await prisma.user.deleteMany({});
-
-    console.log(`[Admin API] Delete-all result:`, {
-      deleted: deleteResult.count,
-      acknowledged: true
-    });
-
-    // Verify
-    const remainingUsers = await prisma.user.count();
-    console.log(`[Admin API] Users remaining after deletion: ${remainingUsers}`);
-
-    res.json({
-      success: true,
-      message: `Successfully deleted all users`,
-      deleted: deleteResult.count,
-      total: totalUsers,
-      remaining: remainingUsers,
-    });
-  } catch (error) {
-    console.error('Error deleting all users:', error);
-    res.status(500).json({
-      error: 'Failed to delete all users',
-      message: error.message,
-    });
-  }
-});
-
-/**
- * GET /api/auth/admin/warned-users
- * Get users with multiple active sessions (exceeding device limit)
- * Now supports filtering by type: 'warned', 'suspended', 'deactivated', 'all'
- */
-router.get('/warned-users', verifyAdminToken, async (req, res) => {
+router.get('/warned-users', verifyAdminToken, checkPermission('users.view'), async (req, res) => {
   try {
     const { type = 'warned' } = req.query;
 
@@ -1729,7 +1862,7 @@ router.get('/warned-users', verifyAdminToken, async (req, res) => {
  * GET /api/auth/admin/users/debug
  * Debug endpoint to check all users and their statuses
  */
-router.get('/users/debug', verifyAdminToken, async (req, res) => {
+router.get('/users/debug', verifyAdminToken, checkPermission('users.view'), async (req, res) => {
   try {
     // Get all users with their status
     const prisma = getPrisma();
@@ -1795,7 +1928,9 @@ router.get('/users/debug', verifyAdminToken, async (req, res) => {
  */
 router.post('/staff', verifyAdminToken, checkPermission('staff.manage'), async (req, res) => {
   try {
-    const { name, email, role, permissions } = req.body;
+    const { name, email } = req.body;
+    const role = req.body.role || 'support';
+    const permissions = normalizePermissions(req.body.permissions);
 
     if (!name || !email) {
       return res.status(400).json({
@@ -1804,6 +1939,21 @@ router.post('/staff', verifyAdminToken, checkPermission('staff.manage'), async (
       });
     }
 
+    if (!isStaffRole(role)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Role must be one of: ${Object.keys(STAFF_ROLES).join(', ')}`
+      });
+    }
+
+    const lacking = await findPermissionsActorLacks(req, { role, permissions });
+    if (lacking.length > 0) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `You can't grant permissions you don't have: ${lacking.join(', ')}`
+      });
+    }
+
     // Check if staff member already exists
     const prisma = getPrisma();
     const existingStaff = await prisma.staff.findUnique({
@@ -1837,8 +1987,8 @@ router.post('/staff', verifyAdminToken, checkPermission('staff.manage'), async (
       data: {
         name,
         email: email.toLowerCase(),
-        role: role || 'support',
-        permissions: permissions || [],
+        role,
+        permissions,
         addedBy: req.admin.userId || null,
         status: 'pending',
         invitationToken,
@@ -1846,6 +1996,15 @@ router.post('/staff', verifyAdminToken, checkPermission('staff.manage'), async (
       },
     });
 
+    await recordAuditEvent(req, {
+      action: 'staff.invite',
+      targetType: 'staff',
+      targetId: staff.id,
+      targetLabel: staff.email,
+      after: staff,
+      fields: STAFF_AUDIT_FIELDS,
+    });
+
     // Send invitation email
     try {
       const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
@@ -1857,7 +2016,7 @@ router.post('/staff', verifyAdminToken, checkPermission('staff.manage'), async (
           sendStaffInvitation({
             staffName: name,
             staffEmail: email,
-            role: role || 'support',
+            role,
             acceptUrl,
           }),
           new Promise((_, reject) => 
@@ -1907,7 +2066,7 @@ router.post('/staff', verifyAdminToken, checkPermission('staff.manage'), async (
  * GET /api/auth/admin/staff
  * Get all staff members
  */
-router.get('/staff', verifyAdminToken, async (req, res) => {
+router.get('/staff', verifyAdminToken, checkPermission('staff.view'), async (req, res) => {
   try {
     const prisma = getPrisma();
     const staffMembers = await prisma.staff.findMany({
@@ -1945,6 +2104,8 @@ router.get('/staff', verifyAdminToken, async (req, res) => {
         permissions: staff.permissions,
         status: staff.status,
         invitationAccepted: staff.invitationAccepted,
+        authenticatorEnabled: !!staff.totpEnabledAt,
+        recoveryCodesRemaining: staff.recoveryCodes?.length || 0,
         addedAt: staff.createdAt,
         addedBy: addedByInfo,
       };
@@ -1965,11 +2126,11 @@ router.get('/staff', verifyAdminToken, async (req, res) => {
 
 /**
  * PUT /api/auth/admin/staff/:id
- * Update staff member permissions
+ * Update a staff member's role and/or own permissions (replaces the list)
  */
 router.put('/staff/:id', verifyAdminToken, checkPermission('staff.manage'), async (req, res) => {
   try {
-    const { permissions } = req.body;
+    const { role } = req.body;
     const prisma = getPrisma();
     
     const staff = await prisma.staff.findUnique({
@@ -1982,14 +2143,51 @@ router.put('/staff/:id', verifyAdminToken, checkPermission('staff.manage'), asyn
       });
     }
 
-    // Update permissions (add to existing or replace)
+    // Staff can only manage members whose access they fully hold themselves
+    if ((await findPermissionsActorLacks(req, { role: staff.role, permissions: staff.permissions })).length > 0) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You cannot manage a staff member with more access than you'
+      });
+    }
+
+    if (role !== undefined && !isStaffRole(role)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Role must be one of: ${Object.keys(STAFF_ROLES).join(', ')}`
+      });
+    }
+
+    const permissions = req.body.permissions !== undefined ? normalizePermissions(req.body.permissions) : staff.permissions;
+    const lacking = await findPermissionsActorLacks(req, {
+      role: role !== undefined && role !== staff.role ? role : null,
+      permissions: permissions.filter(permission => !staff.permissions.includes(permission)),
+    });
+    if (lacking.length > 0) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `You can't grant permissions you don't have: ${lacking.join(', ')}`
+      });
+    }
+
     const updatedStaff = await prisma.staff.update({
       where: { id: req.params.id },
       data: {
-        permissions: permissions || [],
+        permissions,
+        ...(role !== undefined ? { role } : {}),
       },
     });
 
+    await recordAuditEvent(req, {
+      action: 'staff.permissions.update',
+      targetType: 'staff',
+      targetId: staff.id,
+      targetLabel: staff.email,
+      before: staff,
+      after: updatedStaff,
+      fields: STAFF_AUDIT_FIELDS,
+    });
+
     res.json({
       success: true,
       message: 'Staff permissions updated successfully',
@@ -2011,6 +2209,97 @@ router.put('/staff/:id', verifyAdminToken, checkPermission('staff.manage'), asyn
   }
 });
 
+/**
+ * POST /api/auth/admin/staff/:id/reset-credentials
+ * Reset a staff member's sign-in credentials (lost phone or recovery codes)
+ * Clears their authenticator, recovery codes and sign-in link and emails a new
+ * invitation to enroll again - their existing sessions stop working at once.
+ */
+router.post('/staff/:id/reset-credentials', verifyAdminToken, checkPermission('staff.manage'), async (req, res) => {
+  try {
+    const prisma = getPrisma();
+    const staff = await prisma.staff.findUnique({
+      where: { id: req.params.id },
+    });
+
+    if (!staff) {
+      return res.status(404).json({
+        error: 'Staff member not found',
+      });
+    }
+
+    // Staff can only manage members whose access they fully hold themselves
+    if ((await findPermissionsActorLacks(req, { role: staff.role, permissions: staff.permissions })).length > 0) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You cannot manage a staff member with more access than you'
+      });
+    }
+
+    const invitationToken = crypto.randomBytes(32).toString('hex');
+    const invitationTokenExpires = new Date();
+    invitationTokenExpires.setDate(invitationTokenExpires.getDate() + 7); // 7 days expiry
+
+    const updatedStaff = await prisma.staff.update({
+      where: { id: staff.id },
+      data: {
+        status: 'pending',
+        invitationToken,
+        invitationTokenExpires,
+        invitationAccepted: false,
+        invitationAcceptedAt: null,
+        totpSecret: null,
+        totpEnabledAt: null,
+        recoveryCodes: [],
+        loginLinkToken: null,
+        loginLinkExpires: null,
+      },
+    });
+
+    await recordAuditEvent(req, {
+      action: 'staff.credentials.reset',
+      targetType: 'staff',
+      targetId: staff.id,
+      targetLabel: staff.email,
+      before: staff,
+      after: updatedStaff,
+      fields: STAFF_AUDIT_FIELDS,
+    });
+
+    try {
+      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
+      await sendStaffInvitation({
+        staffName: staff.name,
+        staffEmail: staff.email,
+        role: staff.role,
+        acceptUrl: `${frontendUrl}/staff/accept-invite?token=${invitationToken}`,
+      });
+    } catch (emailError) {
+      console.error('Error sending staff invitation email:', emailError);
+      // The reset still stands - the admin can reset again to resend
+    }
+
+    res.json({
+      success: true,
+      message: 'Sign-in credentials reset and a new invitation sent',
+      staff: {
+        id: updatedStaff.id,
+        name: updatedStaff.name,
+        email: updatedStaff.email,
+        role: updatedStaff.role,
+        permissions: updatedStaff.permissions,
+        status: updatedStaff.status,
+      },
+    });
+  } catch (error) {
+    console.error('Error resetting staff credentials:', error);
+    res.status(500).json({
+      error: 'Failed to reset staff credentials',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * DELETE /api/auth/admin/staff/:id
  * Remove a staff member
@@ -2028,10 +2317,27 @@ router.delete('/staff/:id', verifyAdminToken, checkPermission('staff.manage'), a
       });
     }
 
+    // Staff can only manage members whose access they fully hold themselves
+    if ((await findPermissionsActorLacks(req, { role: staff.role, permissions: staff.permissions })).length > 0) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You cannot manage a staff member with more access than you'
+      });
+    }
+
     await prisma.staff.delete({
       where: { id: req.params.id },
     });
 
+    await recordAuditEvent(req, {
+      action: 'staff.delete',
+      targetType: 'staff',
+      targetId: staff.id,
+      targetLabel: staff.email,
+      before: staff,
+      fields: STAFF_AUDIT_FIELDS,
+    });
+
     res.json({
       success: true,
       message: 'Staff member removed successfully',
@@ -2045,11 +2351,96 @@ router.delete('/staff/:id', verifyAdminToken, checkPermission('staff.manage'), a
   }
 });
 
+/**
+ * GET /api/auth/admin/roles
+ * Named staff roles with their permission sets, and the permission registry
+ */
+router.get('/roles', verifyAdminToken, checkPermission('staff.view'), async (req, res) => {
+  try {
+    const roles = await getStaffRoles();
+    res.json({
+      success: true,
+      roles,
+      permissionGroups: getPermissionGroups(),
+    });
+  } catch (error) {
+    console.error('Error fetching staff roles:', error);
+    res.status(500).json({
+      error: 'Failed to fetch staff roles',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/auth/admin/roles/:name
+ * Replace a role's permission set - applies to everyone with that role on their next request
+ * Body: { permissions: string[] }
+ */
+router.put('/roles/:name', verifyAdminToken, checkPermission('staff.manage'), async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!isStaffRole(name)) {
+      return res.status(404).json({
+        error: 'Role not found',
+      });
+    }
+    if (LOCKED_ROLES.includes(name)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `The ${STAFF_ROLES[name].label} role always has full access`
+      });
+    }
+    if (!Array.isArray(req.body.permissions)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'permissions must be an array'
+      });
+    }
+
+    const permissions = normalizePermissions(req.body.permissions);
+    const before = await getRolePermissions(name);
+    const lacking = await findPermissionsActorLacks(req, {
+      permissions: permissions.filter(permission => !before.includes(permission)),
+    });
+    if (lacking.length > 0) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `You can't grant permissions you don't have: ${lacking.join(', ')}`
+      });
+    }
+
+    await updateRolePermissions(name, permissions, req.admin?.email || null);
+
+    await recordAuditEvent(req, {
+      action: 'role.update',
+      targetType: 'role',
+      targetId: name,
+      targetLabel: STAFF_ROLES[name].label,
+      before: { permissions: before },
+      after: { permissions },
+    });
+
+    const roles = await getStaffRoles();
+    res.json({
+      success: true,
+      message: `${STAFF_ROLES[name].label} permissions updated`,
+      role: roles.find(role => role.name === name),
+    });
+  } catch (error) {
+    console.error('Error updating staff role:', error);
+    res.status(500).json({
+      error: 'Failed to update staff role',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * GET /api/auth/admin/subscriptions/count
  * Get count of new subscriptions (created in last 24 hours or since last view)
  */
-router.get('/subscriptions/count', verifyAdminToken, async (req, res) => {
+router.get('/subscriptions/count', verifyAdminToken, checkPermission('subscriptions.view'), async (req, res) => {
   try {
     const prisma = getPrisma();
     try {
@@ -2880,7 +3271,7 @@ function formatTimeDiff(start, end) {
  * POST /api/auth/admin/subscriptions/:id/refund
  * Process refund via Paystack
  */
-router.post('/subscriptions/:id/refund', verifyAdminToken, checkPermission('subscriptions.update'), async (req, res) => {
+router.post('/subscriptions/:id/refund', verifyAdminToken, checkPermission('subscriptions.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { amount, customerNote, merchantNote } = req.body;
@@ -2961,6 +3352,22 @@ router.post('/subscriptions/:id/refund', verifyAdminToken, checkPermission('subs
 
     try {
       const refund = await paystackRequest('POST', '/refund', refundData);
+
+      await recordAuditEvent(req, {
+        action: 'subscription.refund',
+        targetType: 'subscription',
+        targetId: subscription.id,
+        targetLabel: subscription.user?.email,
+        metadata: {
+          refundId: refund.data.id,
+          transaction: transactionReference,
+          amount: refund.data.amount ? refund.data.amount / 100 : null,
+          currency: refund.data.currency,
+          status: refund.data.status,
+          customerNote: customerNote || null,
+          merchantNote: merchantNote || null,
+        },
+      });
       
       res.json({
         success: true,
@@ -2989,4 +3396,334 @@ router.post('/subscriptions/:id/refund', verifyAdminToken, checkPermission('subs
   }
 });
 
+/**
+ * GET /api/auth/admin/queues
+ * Pipeline job queue counts per queue and status, plus recent dead jobs
+ */
+router.get('/queues', verifyAdminToken, checkPermission('scraping.view'), async (req, res) => {
+  try {
+    const stats = await getQueueStats();
+    res.json(stats);
+  } catch (error) {
+    console.error('Error fetching queue stats:', error);
+    res.status(500).json({
+      error: 'Failed to fetch queue stats',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/admin/queues/retry-dead
+ * Re-queue dead jobs - body: { queue?: 'discovery' | 'verify' | 'health' | 'classify' } (all queues if omitted)
+ */
+router.post('/queues/retry-dead', verifyAdminToken, checkPermission('scraping.manage'), async (req, res) => {
+  try {
+    const { queue = null } = req.body;
+    if (queue !== null && !QUEUES.includes(queue)) {
+      return res.status(400).json({
+        error: 'Invalid queue',
+        message: `Queue must be one of: ${QUEUES.join(', ')}`,
+      });
+    }
+
+    const retried = await retryDeadJobs(queue);
+    await recordAuditEvent(req, {
+      action: 'queues.retry_dead',
+      targetType: 'scraping',
+      targetLabel: queue || 'all queues',
+      metadata: { queue, retried },
+    });
+    res.json({
+      success: true,
+      retried,
+      message: `${retried} dead jobs re-queued`,
+    });
+  } catch (error) {
+    console.error('Error retrying dead jobs:', error);
+    res.status(500).json({
+      error: 'Failed to retry dead jobs',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Scraping settings as shown on the admin scraping page
+ */
+const formatScrapingConfig = (config) => ({
+  enabledSources: config.ENABLED_SOURCES,
+  batchSize: config.BATCH_SIZE,
+  maxConcurrent: config.MAX_CONCURRENT,
+  autoScrapeInterval: config.AUTO_SCRAPE_INTERVAL,
+  isPaused: config.PAUSED,
+});
+
+/**
+ * GET /api/auth/admin/scraping
+ * Scraping control center - settings, sources, current/last run and queue counts
+ */
+router.get('/scraping', verifyAdminToken, checkPermission('scraping.view'), async (req, res) => {
+  try {
+    // Loaded on use - the scraping service pulls in every scraper
+    const { getScrapingRunStatus, getScrapingConfig, getScrapingSources } = await import('../services/continuousScrapingService.js');
+    const [status, queueStats] = await Promise.all([
+      getScrapingRunStatus(),
+      getQueueStats(),
+    ]);
+
+    // getScrapingRunStatus loaded the persisted settings
+    res.json({
+      config: formatScrapingConfig(getScrapingConfig()),
+      sources: getScrapingSources(),
+      status,
+      queues: queueStats.queues,
+      deadJobs: queueStats.deadJobs,
+    });
+  } catch (error) {
+    console.error('Error fetching scraping status:', error);
+    res.status(500).json({
+      error: 'Failed to fetch scraping status',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/auth/admin/scraping/config
+ * Update scraping settings - body: { enabledSources?: { [key]: boolean }, batchSize?, maxConcurrent?, autoScrapeInterval? }
+ * Workers pick up changes on their next sweep (within a minute); a running scrape from its next run.
+ */
+router.put('/scraping/config', verifyAdminToken, checkPermission('scraping.manage'), async (req, res) => {
+  try {
+    const { sanitizeScrapingConfigUpdate, getScrapingConfig, updateScrapingConfig } = await import('../services/continuousScrapingService.js');
+    const { updates, error } = sanitizeScrapingConfigUpdate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid scraping settings',
+        message: error,
+      });
+    }
+
+    const previousConfig = formatScrapingConfig(getScrapingConfig());
+    const config = await updateScrapingConfig(updates, req.admin?.email || null);
+    await recordAuditEvent(req, {
+      action: 'scraping.config.update',
+      targetType: 'scraping',
+      targetLabel: 'Scraping settings',
+      before: previousConfig,
+      after: formatScrapingConfig(config),
+    });
+    res.json({
+      success: true,
+      config: formatScrapingConfig(config),
+      message: 'Scraping settings saved',
+    });
+  } catch (error) {
+    console.error('Error updating scraping settings:', error);
+    res.status(500).json({
+      error: 'Failed to update scraping settings',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/auth/admin/scraping/yield
+ * Per-source yield - URLs found, saved, Shopify-confirmed and rejected by reason
+ * Query params: days (1-90, default 7)
+ */
+router.get('/scraping/yield', verifyAdminToken, checkPermission('scraping.view'), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+    const sources = await getSourceYield({ days });
+    res.json({ days, sources });
+  } catch (error) {
+    console.error('Error fetching scraping yield:', error);
+    res.status(500).json({
+      error: 'Failed to fetch scraping yield',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/admin/scraping/start
+ * Run a scrape of all enabled sources now (also resumes scheduled scraping)
+ */
+router.post('/scraping/start', verifyAdminToken, checkPermission('scraping.manage'), async (req, res) => {
+  try {
+    const { startScrapingNow } = await import('../services/continuousScrapingService.js');
+    const result = await startScrapingNow(req.admin?.email || null);
+    await recordAuditEvent(req, { action: 'scraping.start', targetType: 'scraping', targetLabel: 'Scraping' });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error starting scraping:', error);
+    res.status(500).json({
+      error: 'Failed to start scraping',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/admin/scraping/stop
+ * Stop scraping - the running scrape ends after its current source, no new runs are scheduled
+ */
+router.post('/scraping/stop', verifyAdminToken, checkPermission('scraping.manage'), async (req, res) => {
+  try {
+    const { stopScraping } = await import('../services/continuousScrapingService.js');
+    const result = await stopScraping(req.admin?.email || null);
+    await recordAuditEvent(req, { action: 'scraping.stop', targetType: 'scraping', targetLabel: 'Scraping' });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error stopping scraping:', error);
+    res.status(500).json({
+      error: 'Failed to stop scraping',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/auth/admin/themes
+ * Theme fingerprint catalog - merged themes (built-in + admin entries), the admin entries,
+ * and Theme Store ids seen on stores that no fingerprint matched
+ */
+router.get('/themes', verifyAdminToken, checkPermission('scraping.view'), async (req, res) => {
+  try {
+    const [catalog, unmatched] = await Promise.all([
+      listThemeFingerprints(),
+      getUnmatchedThemeStoreIds(),
+    ]);
+    res.json({ ...catalog, unmatched });
+  } catch (error) {
+    console.error('Error fetching theme catalog:', error);
+    res.status(500).json({
+      error: 'Failed to fetch theme catalog',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/auth/admin/themes
+ * Add a theme or extend/override one by name
+ * Body: { name, type: 'free' | 'paid', themeStoreIds?: number[], aliases?: string[], assetPatterns?: string[], isActive? }
+ * Run `npm run backfill-themes` to re-detect existing stores with the new catalog.
+ */
+router.put('/themes', verifyAdminToken, checkPermission('scraping.manage'), async (req, res) => {
+  try {
+    const { fingerprint, error } = sanitizeThemeFingerprint(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid theme fingerprint',
+        message: error,
+      });
+    }
+
+    const entry = await saveThemeFingerprint(fingerprint, req.admin?.email || null);
+    await recordAuditEvent(req, {
+      action: 'theme.save',
+      targetType: 'theme',
+      targetId: entry.id,
+      targetLabel: entry.name,
+      metadata: { fingerprint },
+    });
+    res.json({
+      success: true,
+      entry,
+      message: `Theme "${entry.name}" saved`,
+    });
+  } catch (error) {
+    console.error('Error saving theme fingerprint:', error);
+    res.status(500).json({
+      error: 'Failed to save theme fingerprint',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/admin/themes/:id
+ * Remove an admin entry (a built-in theme it changed goes back to its defaults)
+ */
+router.delete('/themes/:id', verifyAdminToken, checkPermission('scraping.manage'), async (req, res) => {
+  try {
+    const deleted = await deleteThemeFingerprint(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Theme fingerprint not found',
+      });
+    }
+    await recordAuditEvent(req, { action: 'theme.delete', targetType: 'theme', targetId: req.params.id });
+    res.json({ success: true, message: 'Theme fingerprint removed' });
+  } catch (error) {
+    console.error('Error deleting theme fingerprint:', error);
+    res.status(500).json({
+      error: 'Failed to delete theme fingerprint',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/auth/admin/audit-events
+ * Audit log of privileged actions, newest first
+ * Query params: q (actor email, target, IDs or IP), action (e.g. 'user.suspend', or 'user' for all user actions),
+ *   actorType, actorId, targetType, targetId, dateFrom, dateTo, page, limit (max 100)
+ */
+router.get('/audit-events', verifyAdminToken, checkPermission('audit.view'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const result = await findAuditEvents(buildAuditFilter(req.query), { page, limit });
+    res.json({
+      ...result,
+      actions: AUDIT_ACTIONS,
+      targetTypes: AUDIT_TARGET_TYPES,
+    });
+  } catch (error) {
+    console.error('Error fetching audit events:', error);
+    res.status(500).json({
+      error: 'Failed to fetch audit events',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/auth/admin/audit-events/export
+ * Download every matching audit event - same filters as GET /audit-events, plus format: 'csv' (default) | 'ndjson'
+ */
+router.get('/audit-events/export', verifyAdminToken, checkPermission('audit.view'), async (req, res) => {
+  try {
+    const format = req.query.format === 'ndjson' ? 'ndjson' : 'csv';
+    const date = new Date().toISOString().split('T')[0];
+
+    await recordAuditEvent(req, {
+      action: 'audit.export',
+      targetType: 'audit',
+      targetLabel: 'Audit log',
+      metadata: { format, filters: req.query },
+    });
+
+    res.setHeader('Content-Type', format === 'ndjson' ? 'application/x-ndjson' : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit_log_${date}.${format}"`);
+    const rowCount = await writeAuditExportStream(res, buildAuditFilter(req.query), format);
+    console.log(`📋 Audit log exported by ${req.admin?.email || 'admin'}: ${rowCount} events`);
+  } catch (error) {
+    console.error('Error exporting audit events:', error);
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.status(500).json({
+      error: 'Failed to export audit events',
+      message: error.message,
+    });
+  }
+});
+
 export default router;
@@ -0,0 +1,161 @@
+import express from 'express';
+import crypto from 'crypto';
+import { getPrisma } from '../config/postgres.js';
+import { authenticateJWT, hashApiKey, USER_API_KEY_PREFIX } from '../middleware/auth.js';
+import { writeLimiter } from '../middleware/rateLimiter.js';
+import { validateObjectId, sanitizeString } from '../middleware/validator.js';
+import { getPlanRestrictions, getMaxApiKeys } from '../config/planRestrictions.js';
+import { getEffectivePlan } from '../services/organizationService.js';
+
+const router = express.Router();
+
+// Fields safe to return to the client (never the hash)
+const API_KEY_SELECT = {
+  id: true,
+  name: true,
+  keyPrefix: true,
+  lastUsedAt: true,
+  requestCount: true,
+  revokedAt: true,
+  createdAt: true,
+};
+
+/**
+ * GET /api/api-keys
+ * List the user's API keys (active and revoked)
+ */
+router.get('/', authenticateJWT, async (req, res) => {
+  try {
+    const prisma = getPrisma();
+    const [user, apiKeys] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { id: true, subscriptionPlan: true },
+      }),
+      prisma.apiKey.findMany({
+        where: { userId: req.user.id },
+        orderBy: { createdAt: 'desc' },
+        select: API_KEY_SELECT,
+      }),
+    ]);
+
+    const maxApiKeys = getMaxApiKeys(await getEffectivePlan(user));
+
+    res.json({
+      apiKeys,
+      limit: maxApiKeys === Infinity ? -1 : maxApiKeys,
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      error: 'Failed to fetch API keys',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/api-keys
+ * Create an API key - the full key is only returned in this response
+ */
+router.post('/', authenticateJWT, writeLimiter, async (req, res) => {
+  try {
+    const name = sanitizeString(req.body.name || '');
+
+    if (!name || name.length > 100) {
+      return res.status(400).json({
+        error: 'Invalid name',
+        message: 'Name is required and must be at most 100 characters',
+      });
+    }
+
+    const prisma = getPrisma();
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, subscriptionPlan: true },
+    });
+    const plan = await getEffectivePlan(user);
+    const maxApiKeys = getMaxApiKeys(plan);
+
+    if (maxApiKeys === 0) {
+      return res.status(403).json({
+        error: 'Upgrade required',
+        message: `API access is not available on the ${getPlanRestrictions(plan).name} plan. Please upgrade to access this feature.`,
+        requiresUpgrade: true,
+        upgradeUrl: '/account/manage-plan',
+      });
+    }
+
+    const activeCount = await prisma.apiKey.count({
+      where: { userId: req.user.id, revokedAt: null },
+    });
+
+    if (activeCount >= maxApiKeys) {
+      return res.status(403).json({
+        error: 'API key limit reached',
+        message: `Your plan allows up to ${maxApiKeys} active API ${maxApiKeys === 1 ? 'key' : 'keys'}. Please revoke a key or upgrade.`,
+        limit: maxApiKeys,
+        limitReached: true,
+      });
+    }
+
+    const key = `${USER_API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        userId: req.user.id,
+        name,
+        keyPrefix: key.substring(0, USER_API_KEY_PREFIX.length + 8),
+        keyHash: hashApiKey(key),
+      },
+      select: API_KEY_SELECT,
+    });
+
+    res.json({
+      success: true,
+      apiKey,
+      key,
+      message: 'API key created. Copy it now - it will not be shown again.',
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      error: 'Failed to create API key',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/api-keys/:id
+ * Revoke an API key (kept in the list as revoked)
+ */
+router.delete('/:id', authenticateJWT, writeLimiter, validateObjectId, async (req, res) => {
+  try {
+    const prisma = getPrisma();
+    const result = await prisma.apiKey.updateMany({
+      where: { id: req.params.id, userId: req.user.id, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({
+        error: 'API key not found',
+        message: 'API key not found or already revoked',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -3,9 +3,21 @@ import { OAuth2Client } from 'google-auth-library';
 import { getPrisma } from '../config/postgres.js';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
-import { authenticateJWT } from '../middleware/auth.js';
-import { sendStaffWelcomeEmail } from '../services/emailService.js';
+import { authenticateJWT, isSessionRevoked } from '../middleware/auth.js';
+import { sendStaffWelcomeEmail, sendStaffLoginLinkEmail, sendNewDeviceSignInEmail } from '../services/emailService.js';
+import { staffSignInLimiter } from '../middleware/rateLimiter.js';
+import {
+  LOGIN_LINK_EXPIRY_MINUTES,
+  hashCredential,
+  generateStaffTotpSecret,
+  verifyStaffTotp,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  generateLoginLinkToken,
+} from '../utils/staffCredentials.js';
 import { getMaxDevices, getSuspendAfterDevices } from '../config/planRestrictions.js';
+import { getDeviceDetails, describeUserAgent } from '../utils/deviceLabel.js';
+import { getEffectivePlan, getAccountSummary } from '../services/organizationService.js';
 
 const router = express.Router();
 
@@ -42,12 +54,11 @@ const generateToken = (user, sessionId) => {
   );
 };
 
-// Get device info from request
-const getDeviceInfo = (req) => {
+// Get device info from request (deviceId: the frontend's device ID, when it sent one)
+const getDeviceInfo = (req, deviceId = null) => {
   return {
-    userAgent: req.headers['user-agent'] || 'Unknown',
-    ip: req.ip || req.connection.remoteAddress || 'Unknown',
-    deviceId: crypto
+    ...getDeviceDetails(req),
+    deviceId: deviceId || crypto
       .createHash('sha256')
       .update((req.headers['user-agent'] || '') + (req.ip || ''))
       .digest('hex')
@@ -55,6 +66,20 @@ const getDeviceInfo = (req) => {
   };
 };
 
+// Email the user about a sign-in from a device their account hasn't used before (async, don't wait)
+const notifyNewDeviceSignIn = (user, deviceInfo) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
+  sendNewDeviceSignInEmail({
+    email: user.email,
+    userName: user.name,
+    deviceLabel: describeUserAgent(deviceInfo.userAgent).label,
+    ip: deviceInfo.ip,
+    country: deviceInfo.country,
+    signedInAt: new Date(),
+    devicesUrl: `${frontendUrl}/account?tab=account`,
+  }).catch(err => console.error('[Auth] Failed to send new device email:', err));
+};
+
 // Manage user sessions with device limits based on subscription plan
 const manageUserSessions = async (userId, newSessionId, token, deviceInfo) => {
   try {
@@ -74,7 +99,7 @@ const manageUserSessions = async (userId, newSessionId, token, deviceInfo) => {
       throw new Error('User not found');
     }
     
-    const plan = user.subscriptionPlan || 'free';
+    const plan = await getEffectivePlan(user);
     const maxDevices = getMaxDevices(plan);
     
     // Count active sessions (each session represents a device)
@@ -89,6 +114,9 @@ const manageUserSessions = async (userId, newSessionId, token, deviceInfo) => {
           sessionId: newSessionId,
           token: token,
           ip: deviceInfo?.ip || null,
+          deviceId: deviceInfo?.deviceId || null,
+          userAgent: deviceInfo?.userAgent || null,
+          country: deviceInfo?.country || null,
           isActive: true,
           lastActivity: new Date(),
         },
@@ -177,6 +205,9 @@ const manageUserSessions = async (userId, newSessionId, token, deviceInfo) => {
         sessionId: newSessionId,
         token: token,
         ip: deviceInfo?.ip || null,
+        deviceId: deviceInfo?.deviceId || null,
+        userAgent: deviceInfo?.userAgent || null,
+        country: deviceInfo?.country || null,
         isActive: true,
         lastActivity: new Date(),
       },
@@ -360,6 +391,7 @@ router.post('/google/verify', async (req, res) => {
     if (!deviceId) {
       return res.status(400).json({ error: 'Device ID is required' });
     }
+    const deviceInfo = getDeviceInfo(req, deviceId);
 
     const client = getGoogleClient();
     
@@ -461,8 +493,11 @@ router.post('/google/verify', async (req, res) => {
         });
       }
       
-      // Register device (create or update)
-      await registerDevice(user.id, deviceId);
+      // Register device (create or update) - tell the user about devices their account hasn't used before
+      const { isNew } = await registerDevice(user.id, deviceId, deviceInfo);
+      if (isNew) {
+        notifyNewDeviceSignIn(user, deviceInfo);
+      }
       
       // Update existing user
       try {
@@ -513,13 +548,12 @@ router.post('/google/verify', async (req, res) => {
       
       // Register device for new user
       const { registerDevice } = await import('../utils/deviceChecker.js');
-      await registerDevice(user.id, deviceId);
+      await registerDevice(user.id, deviceId, deviceInfo);
     }
 
     // Generate session ID and token
     const sessionId = generateSessionId();
     const token = generateToken(user, sessionId);
-    const deviceInfo = getDeviceInfo(req);
 
     // Check if user is admin (for admin dashboard access)
     const adminEmails = process.env.ADMIN_EMAILS?.split(',').map(e => e.trim().toLowerCase()) || [];
@@ -622,6 +656,11 @@ router.get('/me', async (req, res) => {
         },
       });
 
+      // Signed out from the Account page
+      if (session?.revokedAt) {
+        return res.status(401).json({ error: 'Session signed out' });
+      }
+
       // If session not found but token is valid, try to create/update it
       if (!session && decoded.userId) {
         try {
@@ -715,11 +754,8 @@ router.get('/me', async (req, res) => {
           autoRenew: user.subscriptionAutoRenew || false,
           billingCycle: user.subscriptionBillingCycle || null,
         },
-        usage: {
-          filterQueriesThisMonth: user.filterQueriesThisMonth || 0,
-          csvExportsToday: user.csvExportsToday || 0,
-          copyOperationsToday: user.copyOperationsToday || 0,
-        },
+        // Effective plan and usage (the team's while holding a team seat)
+        ...(await getAccountSummary(user)),
       },
     });
   } catch (error) {
@@ -753,11 +789,8 @@ router.get('/me', async (req, res) => {
                   autoRenew: user.subscriptionAutoRenew || false,
                   billingCycle: user.subscriptionBillingCycle || null,
                 },
-                usage: {
-                  filterQueriesThisMonth: user.filterQueriesThisMonth || 0,
-                  csvExportsToday: user.csvExportsToday || 0,
-                  copyOperationsToday: user.copyOperationsToday || 0,
-                },
+                // Effective plan and usage (the team's while holding a team seat)
+                ...(await getAccountSummary(user)),
               },
               tokenExpired: true, // Signal to frontend that token needs refresh
             });
@@ -893,6 +926,7 @@ router.post('/email/verify', async (req, res) => {
         error: 'Device ID is required' 
       });
     }
+    const deviceInfo = getDeviceInfo(req, deviceId);
 
     // Verify code
     const { verifyCode } = await import('../utils/codeStore.js');
@@ -954,8 +988,11 @@ router.post('/email/verify', async (req, res) => {
         });
       }
       
-      // Register device (create or update)
-      await registerDevice(user.id, deviceId);
+      // Register device (create or update) - tell the user about devices their account hasn't used before
+      const { isNew } = await registerDevice(user.id, deviceId, deviceInfo);
+      if (isNew) {
+        notifyNewDeviceSignIn(user, deviceInfo);
+      }
       
       // Update existing user
       user = await prisma.user.update({
@@ -982,13 +1019,12 @@ router.post('/email/verify', async (req, res) => {
       
       // Register device for new user
       const { registerDevice } = await import('../utils/deviceChecker.js');
-      await registerDevice(user.id, deviceId);
+      await registerDevice(user.id, deviceId, deviceInfo);
     }
 
     // Generate session ID and token
     const sessionId = generateSessionId();
     const token = generateToken(user, sessionId);
-    const deviceInfo = getDeviceInfo(req);
 
     // Manage user sessions (create session)
     await manageUserSessions(user.id, sessionId, token, deviceInfo);
@@ -1153,6 +1189,14 @@ router.get('/session/check', async (req, res) => {
       const prisma = getPrisma();
       if (decoded.sessionId) {
         try {
+          // Signed out from the Account page
+          if (await isSessionRevoked(decoded.sessionId)) {
+            return res.json({
+              valid: false,
+              error: 'Session signed out'
+            });
+          }
+
           const session = await prisma.session.findUnique({
             where: {
               sessionId: decoded.sessionId,
@@ -1387,9 +1431,118 @@ router.post('/tickets/:id/reply', authenticateJWT, async (req, res) => {
   }
 });
 
+/**
+ * Find the staff member of a pending invitation
+ * @returns {Promise<Object|null>} - Staff (null if the token is invalid or expired)
+ */
+const findInvitedStaff = (prisma, token) => prisma.staff.findFirst({
+  where: {
+    invitationToken: token,
+    invitationTokenExpires: {
+      gt: new Date(),
+    },
+  },
+});
+
+/**
+ * Sign a staff member in - find or create their user account and issue a session
+ * @returns {Promise<Object>} - Login response body
+ */
+const issueStaffSession = async (req, prisma, staff) => {
+  const email = staff.email.toLowerCase();
+
+  // Find or create user account for staff (for session management)
+  let user = await prisma.user.findUnique({
+    where: { email },
+  });
+
+  if (!user) {
+    // Create user account for staff
+    user = await prisma.user.create({
+      data: {
+        email,
+        name: staff.name,
+        provider: 'email',
+        isActive: true,
+        accountStatus: 'active',
+        subscriptionPlan: 'free',
+        subscriptionStatus: 'active',
+      },
+    });
+  } else {
+    // Update existing user
+    user = await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        name: staff.name,
+        isActive: true,
+        accountStatus: 'active',
+        lastLogin: new Date(),
+      },
+    });
+  }
+
+  // Generate session ID and token with staff info
+  const sessionId = generateSessionId();
+
+  // Create token with staff information
+  const adminEmails = process.env.ADMIN_EMAILS?.split(',').map(e => e.trim().toLowerCase()) || [];
+  const isAdmin = adminEmails.includes(email) || staff.role === 'admin';
+
+  const tokenPayload = {
+    userId: user.id,
+    email: user.email,
+    name: user.name,
+    sessionId: sessionId,
+    isStaff: true,
+    staffId: staff.id,
+    staffRole: staff.role,
+    staffPermissions: staff.permissions,
+    isAdmin: isAdmin, // As of sign-in - admin routes re-check the role and ADMIN_EMAILS on every request
+  };
+
+  const token = jwt.sign(
+    tokenPayload,
+    process.env.JWT_SECRET || 'your-secret-key-change-in-production',
+    { expiresIn: '365d' } // 1 year expiration - keep users logged in
+  );
+
+  const deviceInfo = getDeviceInfo(req);
+
+  // Manage user sessions
+  await manageUserSessions(user.id, sessionId, token, deviceInfo);
+
+  return {
+    success: true,
+    token,
+    sessionId,
+    isAdmin: isAdmin,
+    isStaff: true,
+    staff: {
+      id: staff.id,
+      name: staff.name,
+      email: staff.email,
+      role: staff.role,
+      permissions: staff.permissions,
+    },
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      picture: user.picture,
+      subscription: {
+        plan: user.subscriptionPlan || 'free',
+        status: user.subscriptionStatus || 'active',
+      },
+    },
+  };
+};
+
 /**
  * POST /api/auth/staff/accept-invite
- * Accept staff invitation
+ * Accept staff invitation - step 1: start authenticator enrollment
+ * Returns a new TOTP secret and its QR code; the invitation is accepted once a code
+ * from it is confirmed (POST /api/auth/staff/accept-invite/confirm)
  */
 router.post('/staff/accept-invite', async (req, res) => {
   try {
@@ -1404,14 +1557,68 @@ router.post('/staff/accept-invite', async (req, res) => {
 
     // Find staff member by invitation token
     const prisma = getPrisma();
-    const staff = await prisma.staff.findFirst({
-      where: {
-        invitationToken: token,
-        invitationTokenExpires: {
-          gt: new Date(),
-        },
+    const staff = await findInvitedStaff(prisma, token);
+
+    if (!staff) {
+      return res.status(400).json({
+        error: 'Invalid or expired invitation',
+        message: 'This invitation link is invalid or has expired. Please contact the admin for a new invitation.'
+      });
+    }
+
+    if (staff.invitationAccepted) {
+      return res.status(400).json({
+        error: 'Invitation already accepted',
+        message: 'This invitation has already been accepted. You can now login.'
+      });
+    }
+
+    // A new secret every time the link is opened - nothing is enabled until a code is confirmed
+    const { secret, qrCode } = await generateStaffTotpSecret(staff.email);
+    await prisma.staff.update({
+      where: { id: staff.id },
+      data: { totpSecret: secret, totpEnabledAt: null },
+    });
+
+    res.json({
+      success: true,
+      requiresTotpSetup: true,
+      qrCode,
+      manualEntryKey: secret,
+      staff: {
+        id: staff.id,
+        name: staff.name,
+        email: staff.email,
+        role: staff.role,
       },
     });
+  } catch (error) {
+    console.error('Error accepting staff invitation:', error);
+    res.status(500).json({
+      error: 'Failed to accept invitation',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/staff/accept-invite/confirm
+ * Accept staff invitation - step 2: confirm the first authenticator code
+ * Activates the staff account and returns its recovery codes (shown once)
+ */
+router.post('/staff/accept-invite/confirm', staffSignInLimiter, async (req, res) => {
+  try {
+    const { token, code } = req.body;
+
+    if (!token || !code) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Invitation token and authentication code are required'
+      });
+    }
+
+    const prisma = getPrisma();
+    const staff = await findInvitedStaff(prisma, token);
 
     if (!staff) {
       return res.status(400).json({
@@ -1427,13 +1634,30 @@ router.post('/staff/accept-invite', async (req, res) => {
       });
     }
 
+    if (!staff.totpSecret) {
+      return res.status(400).json({
+        error: 'Authenticator not set up',
+        message: 'Open your invitation link again to set up your authenticator app.'
+      });
+    }
+
+    if (!verifyStaffTotp(staff.totpSecret, code)) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'The authentication code is invalid or has expired. Enter the current 6-digit code from your authenticator app.'
+      });
+    }
+
     // Accept the invitation
+    const { codes, hashes } = generateRecoveryCodes();
     await prisma.staff.update({
       where: { id: staff.id },
       data: {
         invitationAccepted: true,
         invitationAcceptedAt: new Date(),
         status: 'active',
+        totpEnabledAt: new Date(),
+        recoveryCodes: hashes,
       },
     });
 
@@ -1455,7 +1679,8 @@ router.post('/staff/accept-invite', async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Invitation accepted successfully. Check your email for login instructions.',
+      message: 'Invitation accepted successfully. Save your recovery codes - they will not be shown again.',
+      recoveryCodes: codes,
       staff: {
         id: staff.id,
         name: staff.name,
@@ -1464,7 +1689,7 @@ router.post('/staff/accept-invite', async (req, res) => {
       },
     });
   } catch (error) {
-    console.error('Error accepting staff invitation:', error);
+    console.error('Error confirming staff invitation:', error);
     res.status(500).json({
       error: 'Failed to accept invitation',
       message: error.message,
@@ -1474,16 +1699,17 @@ router.post('/staff/accept-invite', async (req, res) => {
 
 /**
  * POST /api/auth/staff/login
- * Staff login (no password required if invitation accepted)
+ * Staff login with their own authenticator code (or one of their recovery codes)
+ * Body: { email, code } or { email, recoveryCode }
  */
-router.post('/staff/login', async (req, res) => {
+router.post('/staff/login', staffSignInLimiter, async (req, res) => {
   try {
-    const { email } = req.body;
+    const { email, code, recoveryCode } = req.body;
 
-    if (!email) {
+    if (!email || (!code && !recoveryCode)) {
       return res.status(400).json({
-        error: 'Email required',
-        message: 'Email is required for staff login'
+        error: 'Credentials required',
+        message: 'Email and an authentication code (or recovery code) are required for staff login'
       });
     }
 
@@ -1493,22 +1719,32 @@ router.post('/staff/login', async (req, res) => {
       where: { email: email.toLowerCase() },
     });
 
-    if (!staff) {
-      return res.status(404).json({
-        error: 'Staff member not found',
-        message: 'No staff member found with this email'
-      });
+    const invalidCredentials = {
+      error: 'Invalid credentials',
+      message: 'The email or code is incorrect. Codes change every 30 seconds - enter the current one.'
+    };
+
+    // Unknown emails, pending invitations and staff without an authenticator (accepted before
+    // per-staff credentials - they need a new invitation) have no code to check against.
+    // They all get the same answer as a wrong code, so the response can't reveal who is staff.
+    if (!staff || !staff.invitationAccepted || !staff.totpEnabledAt || !staff.totpSecret) {
+      return res.status(401).json(invalidCredentials);
     }
 
-    // Check if invitation has been accepted
-    if (!staff.invitationAccepted) {
-      return res.status(403).json({
-        error: 'Invitation not accepted',
-        message: 'Please accept your invitation first. Check your email for the invitation link.'
-      });
+    const recoveryCodes = staff.recoveryCodes || [];
+    let remainingRecoveryCodes = null;
+    if (code) {
+      if (!verifyStaffTotp(staff.totpSecret, code)) {
+        return res.status(401).json(invalidCredentials);
+      }
+    } else {
+      remainingRecoveryCodes = consumeRecoveryCode(recoveryCodes, recoveryCode);
+      if (!remainingRecoveryCodes) {
+        return res.status(401).json(invalidCredentials);
+      }
     }
 
-    // Check if staff is active
+    // Check if staff is active - before a recovery code is used up, so a refused sign-in keeps it
     if (staff.status !== 'active') {
       return res.status(403).json({
         error: 'Account inactive',
@@ -1516,93 +1752,132 @@ router.post('/staff/login', async (req, res) => {
       });
     }
 
-    // Find or create user account for staff (for session management)
-    let user = await prisma.user.findUnique({
+    if (remainingRecoveryCodes) {
+      // Only if the codes are unchanged since they were read - a concurrent sign-in can't reuse the code
+      const { count } = await prisma.staff.updateMany({
+        where: { id: staff.id, recoveryCodes: { equals: recoveryCodes } },
+        data: { recoveryCodes: remainingRecoveryCodes },
+      });
+      if (count !== 1) {
+        return res.status(401).json(invalidCredentials);
+      }
+    }
+
+    const recoveryCodesRemaining = (remainingRecoveryCodes || recoveryCodes).length;
+    const session = await issueStaffSession(req, prisma, staff);
+    res.json({ ...session, recoveryCodesRemaining });
+  } catch (error) {
+    console.error('Error in staff login:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/staff/login-link
+ * Email a one-time sign-in link (fallback when the authenticator app is unavailable)
+ * Always answers the same way so it can't be used to find staff emails
+ */
+router.post('/staff/login-link', staffSignInLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        error: 'Email required',
+        message: 'Email is required to send a sign-in link'
+      });
+    }
+
+    const prisma = getPrisma();
+    const staff = await prisma.staff.findUnique({
       where: { email: email.toLowerCase() },
     });
 
-    if (!user) {
-      // Create user account for staff
-      user = await prisma.user.create({
-        data: {
-          email: email.toLowerCase(),
-          name: staff.name,
-          provider: 'email',
-          isActive: true,
-          accountStatus: 'active',
-          subscriptionPlan: 'free',
-          subscriptionStatus: 'active',
-        },
+    if (staff && staff.status === 'active' && staff.totpEnabledAt) {
+      const { token, tokenHash, expires } = generateLoginLinkToken();
+      await prisma.staff.update({
+        where: { id: staff.id },
+        data: { loginLinkToken: tokenHash, loginLinkExpires: expires },
       });
-    } else {
-      // Update existing user
-      user = await prisma.user.update({
-        where: { id: user.id },
-        data: {
-          name: staff.name,
-          isActive: true,
-          accountStatus: 'active',
-          lastLogin: new Date(),
-        },
+
+      try {
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
+        await sendStaffLoginLinkEmail({
+          staffName: staff.name,
+          staffEmail: staff.email,
+          loginUrl: `${frontendUrl}/manager/login?loginToken=${token}`,
+          expiresInMinutes: LOGIN_LINK_EXPIRY_MINUTES,
+        });
+      } catch (emailError) {
+        console.error('Error sending staff sign-in link email:', emailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If this email belongs to an active staff member, a sign-in link is on its way.',
+    });
+  } catch (error) {
+    console.error('Error creating staff sign-in link:', error);
+    res.status(500).json({
+      error: 'Failed to send sign-in link',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/staff/login-link/verify
+ * Sign in with an emailed sign-in link (each link works once)
+ */
+router.post('/staff/login-link/verify', staffSignInLimiter, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Sign-in link token is required'
       });
     }
 
-    // Generate session ID and token with staff info
-    const sessionId = generateSessionId();
-    
-    // Create token with staff information
-    const adminEmails = process.env.ADMIN_EMAILS?.split(',').map(e => e.trim().toLowerCase()) || [];
-    const isAdmin = adminEmails.includes(email.toLowerCase()) || staff.role === 'admin';
-    
-    const tokenPayload = {
-      userId: user.id,
-      email: user.email,
-      name: user.name,
-      sessionId: sessionId,
-      isStaff: true,
-      staffId: staff.id,
-      staffRole: staff.role,
-      staffPermissions: staff.permissions,
-      isAdmin: isAdmin,
+    const prisma = getPrisma();
+    const linkCondition = {
+      loginLinkToken: hashCredential(token),
+      loginLinkExpires: { gt: new Date() },
+    };
+    const invalidLink = {
+      error: 'Invalid or expired link',
+      message: 'This sign-in link is invalid, expired or has already been used. Request a new one.'
     };
-    
-    const token = jwt.sign(
-      tokenPayload,
-      process.env.JWT_SECRET || 'your-secret-key-change-in-production',
-      { expiresIn: '365d' } // 1 year expiration - keep users logged in
-    );
-    
-    const deviceInfo = getDeviceInfo(req);
 
-    // Manage user sessions
-    await manageUserSessions(user.id, sessionId, token, deviceInfo);
+    const staff = await prisma.staff.findFirst({ where: linkCondition });
+    if (!staff) {
+      return res.status(400).json(invalidLink);
+    }
 
-    res.json({
-      success: true,
-      token,
-      sessionId,
-      isAdmin: isAdmin,
-      isStaff: true,
-      staff: {
-        id: staff.id,
-        name: staff.name,
-        email: staff.email,
-        role: staff.role,
-        permissions: staff.permissions,
-      },
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        picture: user.picture,
-        subscription: {
-          plan: user.subscriptionPlan || 'free',
-          status: user.subscriptionStatus || 'active',
-        },
-      },
+    // Use up the link before signing in - only one of several concurrent requests spends it
+    const { count } = await prisma.staff.updateMany({
+      where: { id: staff.id, ...linkCondition },
+      data: { loginLinkToken: null, loginLinkExpires: null },
     });
+    if (count !== 1) {
+      return res.status(400).json(invalidLink);
+    }
+
+    if (staff.status !== 'active') {
+      return res.status(403).json({
+        error: 'Account inactive',
+        message: 'Your staff account is not active. Please contact the admin.'
+      });
+    }
+
+    res.json(await issueStaffSession(req, prisma, staff));
   } catch (error) {
-    console.error('Error in staff login:', error);
+    console.error('Error verifying staff sign-in link:', error);
     res.status(500).json({
       error: 'Login failed',
       message: error.message,
@@ -1611,4 +1886,3 @@ router.post('/staff/login', async (req, res) => {
 });
 
 export default router;
-
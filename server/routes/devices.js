@@ -0,0 +1,181 @@
+import express from 'express';
+import { getPrisma } from '../config/postgres.js';
+import { authenticateJWT } from '../middleware/auth.js';
+import { writeLimiter } from '../middleware/rateLimiter.js';
+import { validateObjectId } from '../middleware/validator.js';
+import { getMaxDevices, getSuspendAfterDevices } from '../config/planRestrictions.js';
+import { getEffectivePlan } from '../services/organizationService.js';
+import { describeUserAgent } from '../utils/deviceLabel.js';
+import { getSessionDeviceId } from '../utils/deviceChecker.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/devices
+ * The user's devices and signed-in sessions, with the plan's device limits
+ */
+router.get('/', authenticateJWT, async (req, res) => {
+  try {
+    const prisma = getPrisma();
+    const [user, devices, sessions, currentDeviceId] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { id: true, subscriptionPlan: true },
+      }),
+      prisma.userDevice.findMany({
+        where: { userId: req.user.id },
+        orderBy: { lastActive: 'desc' },
+      }),
+      prisma.session.findMany({
+        where: { userId: req.user.id, isActive: true, revokedAt: null },
+        orderBy: { lastActivity: 'desc' },
+        select: {
+          id: true,
+          sessionId: true,
+          deviceId: true,
+          userAgent: true,
+          ip: true,
+          country: true,
+          lastActivity: true,
+          createdAt: true,
+        },
+      }),
+      getSessionDeviceId(req.user.sessionId),
+    ]);
+
+    const plan = await getEffectivePlan(user);
+    const maxDevices = getMaxDevices(plan);
+    const suspendAfter = getSuspendAfterDevices(plan);
+
+    res.json({
+      devices: devices.map(device => {
+        const { label, browser, os } = describeUserAgent(device.userAgent);
+        return {
+          id: device.id,
+          label,
+          browser,
+          os,
+          ip: device.ip,
+          country: device.country,
+          lastActive: device.lastActive,
+          createdAt: device.createdAt,
+          activeSessions: sessions.filter(session => session.deviceId === device.deviceId).length,
+          current: !!currentDeviceId && device.deviceId === currentDeviceId,
+        };
+      }),
+      sessions: sessions.map(session => ({
+        id: session.id,
+        label: describeUserAgent(session.userAgent).label,
+        ip: session.ip,
+        country: session.country,
+        lastActivity: session.lastActivity,
+        createdAt: session.createdAt,
+        current: session.sessionId === req.user.sessionId,
+      })),
+      limit: maxDevices === Infinity ? -1 : maxDevices,
+      suspendAfter: suspendAfter === Infinity ? -1 : suspendAfter,
+    });
+  } catch (error) {
+    console.error('Error fetching devices:', error);
+    res.status(500).json({
+      error: 'Failed to fetch devices',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/devices/sessions/:id
+ * Sign out one session - its token is refused from then on (the current one logs out instead)
+ */
+router.delete('/sessions/:id', authenticateJWT, writeLimiter, validateObjectId, async (req, res) => {
+  try {
+    const prisma = getPrisma();
+    const session = await prisma.session.findFirst({
+      where: { id: req.params.id, userId: req.user.id, revokedAt: null },
+      select: { id: true, sessionId: true },
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'Session not found or already signed out',
+      });
+    }
+
+    if (session.sessionId === req.user.sessionId) {
+      return res.status(400).json({
+        error: 'Current session',
+        message: 'Use Log out to sign out of this device',
+      });
+    }
+
+    await prisma.session.update({
+      where: { id: session.id },
+      data: { isActive: false, revokedAt: new Date() },
+    });
+
+    res.json({
+      success: true,
+      message: 'Session signed out',
+    });
+  } catch (error) {
+    console.error('Error signing out session:', error);
+    res.status(500).json({
+      error: 'Failed to sign out session',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/devices/:id
+ * Forget a device - frees its slot toward the plan's device limit and signs out its sessions
+ */
+router.delete('/:id', authenticateJWT, writeLimiter, validateObjectId, async (req, res) => {
+  try {
+    const prisma = getPrisma();
+    const device = await prisma.userDevice.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      select: { id: true, deviceId: true },
+    });
+
+    if (!device) {
+      return res.status(404).json({
+        error: 'Device not found',
+        message: 'Device not found or already removed',
+      });
+    }
+
+    const currentDeviceId = await getSessionDeviceId(req.user.sessionId);
+    if (device.deviceId === currentDeviceId) {
+      return res.status(400).json({
+        error: 'Current device',
+        message: 'You are signed in on this device. Use Log out instead.',
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.session.updateMany({
+        where: { userId: req.user.id, deviceId: device.deviceId, revokedAt: null },
+        data: { isActive: false, revokedAt: new Date() },
+      }),
+      prisma.userDevice.delete({
+        where: { id: device.id },
+      }),
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Device removed',
+    });
+  } catch (error) {
+    console.error('Error removing device:', error);
+    res.status(500).json({
+      error: 'Failed to remove device',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,112 @@
+import express from 'express';
+import fs from 'fs';
+import { getPrisma } from '../config/postgres.js';
+import { authenticateJWT } from '../middleware/auth.js';
+import { validateObjectId } from '../middleware/validator.js';
+import { EXPORT_FORMATS } from '../utils/storeExport.js';
+import { serializeExportJob } from '../services/exportService.js';
+import { getTeamUserIds } from '../services/organizationService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/exports
+ * List the user's (and their team's) background export jobs (most recent first)
+ */
+router.get('/', authenticateJWT, async (req, res) => {
+  try {
+    const prisma = getPrisma();
+    const jobs = await prisma.exportJob.findMany({
+      where: { userId: { in: await getTeamUserIds(req.user.id) } },
+      orderBy: { createdAt: 'desc' },
+      take: 20,
+      include: { user: { select: { name: true, email: true } } },
+    });
+
+    res.json({
+      exports: jobs.map(serializeExportJob),
+    });
+  } catch (error) {
+    console.error('Error fetching exports:', error);
+    res.status(500).json({
+      error: 'Failed to fetch exports',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/exports/:id
+ * Get the status and progress of an export job
+ */
+router.get('/:id', authenticateJWT, validateObjectId, async (req, res) => {
+  try {
+    const prisma = getPrisma();
+    const job = await prisma.exportJob.findFirst({
+      where: { id: req.params.id, userId: { in: await getTeamUserIds(req.user.id) } },
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Export not found',
+        message: 'Export not found or it has expired',
+      });
+    }
+
+    res.json({
+      job: serializeExportJob(job),
+    });
+  } catch (error) {
+    console.error('Error fetching export:', error);
+    res.status(500).json({
+      error: 'Failed to fetch export',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/exports/:id/download
+ * Download the file of a completed export job
+ */
+router.get('/:id/download', authenticateJWT, validateObjectId, async (req, res) => {
+  try {
+    const prisma = getPrisma();
+    const job = await prisma.exportJob.findFirst({
+      where: { id: req.params.id, userId: { in: await getTeamUserIds(req.user.id) } },
+    });
+
+    if (!job || (job.expiresAt && job.expiresAt < new Date())) {
+      return res.status(404).json({
+        error: 'Export not found',
+        message: 'Export not found or it has expired',
+      });
+    }
+
+    if (job.status !== 'completed' || !job.filePath || !fs.existsSync(job.filePath)) {
+      return res.status(409).json({
+        error: 'Export not ready',
+        message: job.status === 'failed' ? (job.error || 'Export failed') : 'Export is still running',
+        status: job.status,
+      });
+    }
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[job.format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${job.fileName}"`);
+
+    fs.createReadStream(job.filePath)
+      .on('error', (error) => {
+        console.error('Error streaming export file:', error);
+        res.destroy(error);
+      })
+      .pipe(res);
+  } catch (error) {
+    console.error('Error downloading export:', error);
+    res.status(500).json({
+      error: 'Failed to download export',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,200 @@
+import express from 'express';
+import { getPrisma } from '../config/postgres.js';
+import { authenticateJWT } from '../middleware/auth.js';
+import { writeLimiter } from '../middleware/rateLimiter.js';
+import { validateObjectId, sanitizeString, sanitizeStoreFilters } from '../middleware/validator.js';
+import { checkPlanAction } from '../middleware/planRestrictions.js';
+import { getMaxSavedSearches } from '../config/planRestrictions.js';
+import { hasStoreFilters } from '../utils/storeFilters.js';
+import { listSavedSearches, getUnreadCount } from '../services/savedSearchService.js';
+import { getEffectivePlan } from '../services/organizationService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/saved-searches
+ * List the user's saved searches with unread counts
+ */
+router.get('/', authenticateJWT, async (req, res) => {
+  try {
+    const prisma = getPrisma();
+    const userDoc = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, subscriptionPlan: true },
+    });
+    const maxSavedSearches = getMaxSavedSearches(await getEffectivePlan(userDoc));
+
+    const savedSearches = await listSavedSearches(req.user.id);
+
+    res.json({
+      savedSearches,
+      limit: maxSavedSearches === Infinity ? -1 : maxSavedSearches,
+    });
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    res.status(500).json({
+      error: 'Failed to fetch saved searches',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/saved-searches
+ * Save a named filter set (limited per plan)
+ */
+router.post('/', authenticateJWT, writeLimiter, checkPlanAction('canUseFilters'), async (req, res) => {
+  try {
+    const name = sanitizeString(req.body.name || '');
+    const filters = sanitizeStoreFilters(req.body.filters);
+    const emailAlerts = req.body.emailAlerts !== false;
+
+    if (!name || name.length > 100) {
+      return res.status(400).json({
+        error: 'Invalid name',
+        message: 'Name is required and must be at most 100 characters',
+      });
+    }
+
+    if (!hasStoreFilters(filters)) {
+      return res.status(400).json({
+        error: 'No filters',
+        message: 'Select at least one filter before saving a search',
+      });
+    }
+
+    const prisma = getPrisma();
+    const maxSavedSearches = getMaxSavedSearches(req.userPlan);
+    const currentCount = await prisma.savedSearch.count({
+      where: { userId: req.user.id },
+    });
+
+    if (currentCount >= maxSavedSearches) {
+      return res.status(403).json({
+        error: 'Saved search limit reached',
+        message: `You can save up to ${maxSavedSearches} searches on the ${req.userRestrictions.name} plan. Please upgrade or delete a saved search.`,
+        limit: maxSavedSearches,
+        requiresUpgrade: true,
+      });
+    }
+
+    const savedSearch = await prisma.savedSearch.create({
+      data: {
+        userId: req.user.id,
+        name,
+        filters,
+        emailAlerts,
+        lastNotifiedAt: new Date(),
+      },
+    });
+
+    res.json({
+      success: true,
+      savedSearch: { ...savedSearch, unreadCount: 0 },
+      message: 'Search saved successfully',
+    });
+  } catch (error) {
+    console.error('Error creating saved search:', error);
+    res.status(500).json({
+      error: 'Failed to save search',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/saved-searches/:id
+ * Rename a saved search, replace its filters or toggle email alerts
+ */
+router.patch('/:id', authenticateJWT, writeLimiter, validateObjectId, async (req, res) => {
+  try {
+    const prisma = getPrisma();
+    const existing = await prisma.savedSearch.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Saved search not found',
+        message: 'Saved search not found',
+      });
+    }
+
+    const data = {};
+
+    if (req.body.name !== undefined) {
+      const name = sanitizeString(req.body.name || '');
+      if (!name || name.length > 100) {
+        return res.status(400).json({
+          error: 'Invalid name',
+          message: 'Name is required and must be at most 100 characters',
+        });
+      }
+      data.name = name;
+    }
+
+    if (req.body.filters !== undefined) {
+      const filters = sanitizeStoreFilters(req.body.filters);
+      if (!hasStoreFilters(filters)) {
+        return res.status(400).json({
+          error: 'No filters',
+          message: 'A saved search needs at least one filter',
+        });
+      }
+      data.filters = filters;
+    }
+
+    if (req.body.emailAlerts !== undefined) {
+      data.emailAlerts = req.body.emailAlerts === true;
+    }
+
+    const savedSearch = await prisma.savedSearch.update({
+      where: { id: existing.id },
+      data,
+    });
+
+    res.json({
+      success: true,
+      savedSearch: { ...savedSearch, unreadCount: await getUnreadCount(savedSearch) },
+    });
+  } catch (error) {
+    console.error('Error updating saved search:', error);
+    res.status(500).json({
+      error: 'Failed to update saved search',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/saved-searches/:id
+ * Delete a saved search
+ */
+router.delete('/:id', authenticateJWT, writeLimiter, validateObjectId, async (req, res) => {
+  try {
+    const prisma = getPrisma();
+    const result = await prisma.savedSearch.deleteMany({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({
+        error: 'Saved search not found',
+        message: 'Saved search not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted',
+    });
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({
+      error: 'Failed to delete saved search',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
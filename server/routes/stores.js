@@ -1,31 +1,67 @@
 import express from 'express';
 import { saveDiscoveredStore } from '../services/discoveryService.js';
 // Scraping routes removed - use new scraping service instead
-import { authenticate, requireAdmin, optionalAuth } from '../middleware/auth.js';
+import { authenticate, authenticateJWT, requireAdmin, optionalAuth } from '../middleware/auth.js';
 import { writeLimiter, scrapingLimiter, storeAdditionLimiter } from '../middleware/rateLimiter.js';
-import { validatePagination, validateStoreInput, validateFilters } from '../middleware/validator.js';
+import { validateObjectId, validatePagination, validateStoreInput, validateFilters, sanitizeStoreFilters } from '../middleware/validator.js';
 import { checkFilterQueryUsage, trackFilterQuery, checkCSVExportUsage, trackCSVExport, checkCopyUsage, trackCopy } from '../middleware/usageTracking.js';
 import { trackDevice } from '../middleware/deviceTracking.js';
+import { applySavedSearch } from '../middleware/savedSearch.js';
 import { checkPlanAction } from '../middleware/planRestrictions.js';
+import { getEffectivePlan } from '../services/organizationService.js';
 import { getCachedSearchResults, cacheSearchResults, invalidateSearchCache } from '../utils/queryCache.js';
 // Prisma imports
 import { getPrisma } from '../config/postgres.js';
 import { findStores, findStoreById, updateStore, deleteStore, countStores, buildBackwardCompatibleFilter } from '../utils/prismaHelpers.js';
-import { buildVisibilityFilter } from '../utils/visibilityRules.js';
+import { buildVisibilityFilter, isStoreVisible } from '../utils/visibilityRules.js';
+import { buildStoreFilter } from '../utils/storeFilters.js';
+import { toSearchQuery, buildSearchCondition, getSearchTerms } from '../utils/storeSearch.js';
+import { findStoresByRelevance } from '../services/storeSearchService.js';
+import { buildStoreDetails } from '../utils/storeExplanation.js';
+import { EXPORT_FORMATS, normalizeExportColumns, normalizeExportFormat, buildExportSelect, renderStoreExport, getExportFilename } from '../utils/storeExport.js';
+import { SYNC_EXPORT_MAX_ROWS, EXPORT_MAX_ROWS, buildExportFilter, streamFilteredExport, startExportJob, serializeExportJob } from '../services/exportService.js';
+import { getMaxLinksPerCSV, getPlanRestrictions, getMaxLookalikeStores } from '../config/planRestrictions.js';
+import { getStoreHistory } from '../services/storeHistoryService.js';
+import { getTopProducts } from '../services/productCatalogService.js';
+import { getAdTimeline } from '../services/adObservationService.js';
+import { findSimilarStores } from '../services/lookalikeService.js';
+import { recordAuditEvent } from '../services/auditLogService.js';
 
 const router = express.Router();
 
+// ?sort= options of GET / (paid plans) -> findStores sort
+const STORE_SORTS = {
+  score: { score: 'desc' },
+  productCount: { productCount: 'desc' },
+  dateAdded: { dateAdded: 'desc' },
+  name: { name: 'asc' },
+  adCount: { adCount: 'desc' },
+};
+
 // Get all stores with filters (public read access, but with plan-based limits)
 // Note: Free users cannot use filters - they'll get an upgrade prompt
-router.get('/', optionalAuth, trackDevice, validatePagination, validateFilters, checkFilterQueryUsage, async (req, res) => {
+// Pass ?savedSearchId=... to run one of the user's saved searches instead of explicit filters
+router.get('/', optionalAuth, trackDevice, applySavedSearch, validatePagination, validateFilters, checkFilterQueryUsage, async (req, res) => {
   try {
     // Extract query parameters first
     const {
       countries,
       themes,
       tags,
+      niches,
+      techStack,
+      shipsTo,
+      currencies,
+      locales,
+      adPlatforms,
+      productQuery,
+      priceMin,
+      priceMax,
+      adWithinDays,
       dateFrom,
       dateTo,
+      q,
+      sort,
       page = 1,
       limit = 50,
       filterCount,
@@ -37,8 +73,20 @@ router.get('/', optionalAuth, trackDevice, validatePagination, validateFilters,
         countries: Array.isArray(countries) ? countries : (countries ? [countries] : []),
         themes: Array.isArray(themes) ? themes : (themes ? [themes] : []),
         tags: Array.isArray(tags) ? tags : (tags ? [tags] : []),
+        niches,
+        techStack,
+        shipsTo,
+        currencies,
+        locales,
+        adPlatforms,
+        productQuery,
+        priceMin,
+        priceMax,
+        adWithinDays,
         dateFrom,
         dateTo,
+        q,
+        sort,
         page,
         limit,
       });
@@ -56,71 +104,12 @@ router.get('/', optionalAuth, trackDevice, validatePagination, validateFilters,
     const includeUnverified = req.query.includeUnverified === 'true' && isAdmin;
     
     // Build visibility filter (enforces: verified Shopify + accessible health status)
-    // This is the PRIMARY filter - controls what stores are visible by default
-    const visibilityFilter = buildVisibilityFilter({
-      includeProtected,
-      includeInactive,
-      includeUnverified,
-    });
-    
-    // Start with visibility filter - this handles all verification/health logic
+    // plus the country/theme/tag/niche/app/market/product/date conditions - shared with saved searches
     // DO NOT add isActive/isShopify filters here - visibility filter already handles this
-    const filterConditions = [visibilityFilter];
-    
-    // Add country filter
-    if (countries) {
-      const countryArray = Array.isArray(countries) ? countries : [countries];
-      const sanitizedCountries = countryArray
-        .filter(c => typeof c === 'string' && c.length > 0 && c.length < 100)
-        .slice(0, 100);
-      if (sanitizedCountries.length > 0) {
-        filterConditions.push({ country: { in: sanitizedCountries } });
-        console.log(`[Stores API] Country filter: ${sanitizedCountries.length} countries`);
-      }
-    }
-    
-    // Add tags filter (Prisma array contains)
-    if (tags) {
-      const tagArray = Array.isArray(tags) ? tags : [tags];
-      const sanitizedTags = tagArray
-        .filter(t => typeof t === 'string' && t.length > 0 && t.length < 100)
-        .slice(0, 100);
-      if (sanitizedTags.length > 0) {
-        filterConditions.push({ tags: { hasSome: sanitizedTags } });
-        if (process.env.DEBUG_STORES_API === 'true') {
-          console.log(`[Stores API] Tags filter: ${sanitizedTags.length} tags -`, sanitizedTags);
-        }
-      }
-    }
-    
-    // Add theme filter (Shopify theme names like 'Dawn', 'Impulse', etc.)
-    if (themes) {
-      const themeArray = Array.isArray(themes) ? themes : [themes];
-      const sanitizedThemes = themeArray
-        .filter(t => typeof t === 'string' && t.length > 0 && t.length < 100)
-        .slice(0, 100);
-      if (sanitizedThemes.length > 0) {
-        filterConditions.push({ theme: { in: sanitizedThemes } });
-        if (process.env.DEBUG_STORES_API === 'true') {
-          console.log(`[Stores API] Theme filter: ${sanitizedThemes.length} themes -`, sanitizedThemes);
-        }
-      }
-    }
-    
-    // Add date range filter
-    if (dateFrom || dateTo) {
-      const dateFilter = {};
-      if (dateFrom) {
-        dateFilter.gte = new Date(dateFrom + 'T00:00:00.000Z');
-      }
-      if (dateTo) {
-        dateFilter.lte = new Date(dateTo + 'T23:59:59.999Z');
-      }
-      filterConditions.push({ dateAdded: dateFilter });
-    }
-    
-    // Combine all filters
-    const prismaFilter = { AND: filterConditions };
+    const prismaFilter = buildStoreFilter(
+      { countries, themes, tags, niches, techStack, shipsTo, currencies, locales, adPlatforms, productQuery, priceMin, priceMax, adWithinDays, dateFrom, dateTo },
+      { includeProtected, includeInactive, includeUnverified }
+    );
     
     // Determine sort order based on user plan
     // Free users: oldest to newest (ascending)
@@ -133,16 +122,37 @@ router.get('/', optionalAuth, trackDevice, validatePagination, validateFilters,
         const prisma = getPrisma();
         const userDoc = await prisma.user.findUnique({
           where: { id: req.user.userId || req.user.id },
-          select: { subscriptionPlan: true },
+          select: { id: true, subscriptionPlan: true },
         });
-        userPlan = userDoc?.subscriptionPlan || 'free';
+        userPlan = await getEffectivePlan(userDoc);
       } catch (error) {
         // If error fetching user plan, default to free
         userPlan = 'free';
       }
     }
     userPlan = userPlan || 'free';
+
+    // Free-text search (?q=) - every term in the name, URL, description or a product title
+    const searchQuery = toSearchQuery(q);
+    const searchCondition = buildSearchCondition(searchQuery);
+    if (searchCondition) {
+      const restrictions = getPlanRestrictions(userPlan);
+      if (!restrictions.canSearch) {
+        return res.status(403).json({
+          error: 'Feature not available',
+          message: `Search is not available on the ${restrictions.name} plan. Please upgrade to search stores.`,
+          plan: userPlan,
+        });
+      }
+      prismaFilter.AND.push(searchCondition);
+    }
+
     const sortOrder = userPlan === 'free' ? 'asc' : 'desc';
+    // ?sort=score|productCount|dateAdded|name|adCount (paid plans) - free users keep the date order
+    // Searches are ordered by relevance unless a sort is picked
+    const storeSort = userPlan !== 'free' && Object.hasOwn(STORE_SORTS, sort)
+      ? STORE_SORTS[sort]
+      : (searchCondition ? { relevance: 'desc' } : { dateAdded: sortOrder });
     
     // Check cache first (only for non-authenticated users, who are always free)
     // Cache key includes sort order to ensure correct sorting
@@ -150,7 +160,7 @@ router.get('/', optionalAuth, trackDevice, validatePagination, validateFilters,
       filter: prismaFilter,
       page: pageNum,
       limit: limitNum,
-      sort: { dateAdded: sortOrder },
+      sort: storeSort,
     };
     
     const cachedResult = !req.user ? getCachedSearchResults(cacheKey) : null;
@@ -166,17 +176,19 @@ router.get('/', optionalAuth, trackDevice, validatePagination, validateFilters,
     // Debug: Log the filter being used (only if DEBUG_STORES_API is set)
     if (process.env.DEBUG_STORES_API === 'true') {
       console.log('[Stores API] Filter being applied:', JSON.stringify(prismaFilter, null, 2));
-      console.log(`[Stores API] Sort order: ${sortOrder} (user plan: ${userPlan})`);
+      console.log(`[Stores API] Sort: ${JSON.stringify(storeSort)} (user plan: ${userPlan})`);
     }
     
     // Execute Prisma query
     let result;
     try {
-      result = await findStores(prismaFilter, {
-        page: pageNum,
-        limit: limitNum,
-        sort: { dateAdded: sortOrder },
-      });
+      result = storeSort.relevance
+        ? await findStoresByRelevance(prismaFilter, searchQuery, { page: pageNum, limit: limitNum })
+        : await findStores(prismaFilter, {
+          page: pageNum,
+          limit: limitNum,
+          sort: storeSort,
+        });
     } catch (dbError) {
       // Handle database schema errors (e.g., missing columns)
       if (dbError.code === 'P2022' || dbError.message?.includes('does not exist')) {
@@ -203,14 +215,12 @@ router.get('/', optionalAuth, trackDevice, validatePagination, validateFilters,
       console.log(`[Stores API] Query result: ${result.stores.length} stores found (total: ${result.total})`);
     }
     
-    // Transform response - ensure theme field is present with proper fallback
-    const FREE_THEMES = ['Dawn', 'Refresh', 'Sense', 'Craft', 'Studio', 'Taste', 'Origin', 'Debut', 'Brooklyn', 'Minimal', 'Supply', 'Venture', 'Simple'];
-    const transformedStores = result.stores.map(store => ({
+    // Transform response - stores without a detected theme report "Unknown",
+    // adCount is the number of distinct ads observed for the store (similarity vectors stay internal)
+    const transformedStores = result.stores.map(({ _count, similarityVector, ...store }) => ({
       ...store,
-      // If theme is null/empty, assign a random free theme instead of "Unknown"
-      theme: store.theme && store.theme.trim() !== '' && store.theme !== 'Unknown' 
-        ? store.theme 
-        : FREE_THEMES[Math.floor(Math.random() * FREE_THEMES.length)],
+      theme: store.theme && store.theme.trim() !== '' ? store.theme : 'Unknown',
+      adCount: _count?.adObservations ?? 0,
     }));
     
     const response = {
@@ -227,11 +237,16 @@ router.get('/', optionalAuth, trackDevice, validatePagination, validateFilters,
       response.plan = userPlan;
     }
     
+    // Search terms to highlight (stores ranked by relevance carry `searchMatches`)
+    if (searchCondition) {
+      response.searchTerms = getSearchTerms(searchQuery);
+    }
+    
     // Track filter query usage
     // Use filterCount from req (set by middleware) or from query params (fallback)
-    if (req.trackFilterQuery && req.userDoc) {
+    if (req.trackFilterQuery && req.usageAccount) {
       const count = req.filterCount || (filterCount ? parseInt(filterCount, 10) : 1);
-      await trackFilterQuery(req.userDoc, count);
+      await trackFilterQuery(req.usageAccount, count);
     }
     
     // Cache results for non-authenticated users
@@ -263,20 +278,83 @@ router.get('/', optionalAuth, trackDevice, validatePagination, validateFilters,
   }
 });
 
-// Get single store (public read access)
-router.get('/:id', async (req, res) => {
+// Get single store with the signals behind its classification (public read access, API keys accepted)
+// Stores hidden by the visibility rules are not returned (Saved ≠ Visible)
+router.get('/:id', optionalAuth, validateObjectId, async (req, res) => {
   try {
     const store = await findStoreById(req.params.id);
-    if (!store) {
+    if (!store || !isStoreVisible(store)) {
       return res.status(404).json({ error: 'Store not found' });
     }
-    res.json(store);
+    const details = buildStoreDetails(store);
+    const [topProducts, adActivity] = await Promise.all([
+      getTopProducts(store.id),
+      getAdTimeline(store.id),
+    ]);
+    details.topProducts = topProducts;
+    details.adActivity = adActivity;
+    res.json(details);
   } catch (error) {
     console.error('Error fetching store:', error);
     res.status(500).json({ error: 'Failed to fetch store' });
   }
 });
 
+// Get a store's change history (snapshots recorded on each re-scrape / health check)
+// Query: ?limit=N most recent snapshots (default 365, max 1000)
+router.get('/:id/history', validateObjectId, async (req, res) => {
+  try {
+    const store = await findStoreById(req.params.id);
+    if (!store || !isStoreVisible(store)) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 365, 1), 1000);
+    const history = await getStoreHistory(store.id, { limit });
+
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching store history:', error);
+    res.status(500).json({ error: 'Failed to fetch store history' });
+  }
+});
+
+// Get the stores most similar to a store ("lookalikes", paid plans)
+// Query: ?limit=N most similar stores (default 20, capped by the plan's maxLookalikeStores)
+router.get('/:id/similar', authenticateJWT, validateObjectId, async (req, res) => {
+  try {
+    const prisma = getPrisma();
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, subscriptionPlan: true },
+    });
+    const plan = await getEffectivePlan(user);
+    const maxLookalikeStores = getMaxLookalikeStores(plan);
+
+    if (maxLookalikeStores === 0) {
+      return res.status(403).json({
+        error: 'Upgrade required',
+        message: `Lookalike stores are not available on the ${getPlanRestrictions(plan).name} plan. Please upgrade to find similar stores.`,
+        requiresUpgrade: true,
+        upgradeUrl: '/account/manage-plan',
+      });
+    }
+
+    const store = await findStoreById(req.params.id);
+    if (!store || !isStoreVisible(store)) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), maxLookalikeStores);
+    const similar = await findSimilarStores(store, { limit });
+
+    res.json(similar);
+  } catch (error) {
+    console.error('Error finding similar stores:', error);
+    res.status(500).json({ error: 'Failed to find similar stores' });
+  }
+});
+
 // Scraping endpoints - Clean interface for new scraping configuration
 router.get('/scrape/status', optionalAuth, async (req, res) => {
   try {
@@ -440,12 +518,23 @@ router.put('/:id', authenticate, writeLimiter, validateStoreInput, async (req, r
       return res.status(403).json({ error: 'Cannot modify isShopify field' });
     }
     
-    const store = await updateStore(req.params.id, updateData);
-
-    if (!store) {
+    const existingStore = await getPrisma().store.findUnique({ where: { id: req.params.id } });
+    if (!existingStore) {
       return res.status(404).json({ error: 'Store not found' });
     }
 
+    const store = await updateStore(req.params.id, updateData);
+
+    await recordAuditEvent(req, {
+      action: 'store.update',
+      targetType: 'store',
+      targetId: store.id,
+      targetLabel: store.url,
+      before: existingStore,
+      after: store,
+      fields: Object.keys(updateData),
+    });
+
     // Invalidate cache
     invalidateSearchCache();
 
@@ -459,12 +548,21 @@ router.put('/:id', authenticate, writeLimiter, validateStoreInput, async (req, r
 // Delete store (requires admin authentication)
 router.delete('/:id', requireAdmin, writeLimiter, async (req, res) => {
   try {
-    const store = await deleteStore(req.params.id);
-    
-    if (!store) {
+    const existingStore = await getPrisma().store.findUnique({ where: { id: req.params.id } });
+    if (!existingStore) {
       return res.status(404).json({ error: 'Store not found' });
     }
 
+    await deleteStore(req.params.id);
+
+    await recordAuditEvent(req, {
+      action: 'store.delete',
+      targetType: 'store',
+      targetId: existingStore.id,
+      targetLabel: existingStore.url,
+      metadata: { name: existingStore.name, storeStatus: existingStore.storeStatus },
+    });
+
     // Invalidate cache
     invalidateSearchCache();
 
@@ -475,18 +573,81 @@ router.delete('/:id', requireAdmin, writeLimiter, async (req, res) => {
   }
 });
 
-// Export stores to CSV (requires authentication and plan access)
-router.post('/export/csv', authenticate, checkCSVExportUsage, async (req, res) => {
+// Export stores as CSV, XLSX or NDJSON (requires authentication and plan access)
+// Body: { storeIds, format?: 'csv' | 'xlsx' | 'ndjson', columns?: [...EXPORT_COLUMNS keys] }
+//   or: { filters: { countries, themes, tags, niches, techStack, shipsTo, currencies, locales, adPlatforms, productQuery, priceMin, priceMax, adWithinDays, dateFrom, dateTo }, format?, columns? }
+// Without columns this is the legacy single-column URL CSV.
+// With filters, every matching store (up to the plan's links-per-export cap) is exported:
+// small result sets are streamed back directly, larger ones start a background export job (202).
+router.post(['/export', '/export/csv'], authenticate, checkCSVExportUsage, async (req, res) => {
   try {
-    const { storeIds } = req.body;
+    const { storeIds, filters } = req.body;
 
-    if (!storeIds || !Array.isArray(storeIds) || storeIds.length === 0) {
+    if (!filters && (!storeIds || !Array.isArray(storeIds) || storeIds.length === 0)) {
       return res.status(400).json({
         error: 'Invalid request',
-        message: 'storeIds array is required',
+        message: 'storeIds array or filters object is required',
       });
     }
 
+    const format = normalizeExportFormat(req.body.format);
+    if (!format) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+      });
+    }
+    const columns = normalizeExportColumns(req.body.columns);
+
+    const plan = req.userPlan || 'free';
+    const maxLinks = getMaxLinksPerCSV(plan);
+
+    // Export the whole filtered result set
+    if (filters) {
+      const storeFilters = sanitizeStoreFilters(filters);
+      const maxRows = Math.min(maxLinks, EXPORT_MAX_ROWS);
+      const matchingCount = await getPrisma().store.count({ where: buildExportFilter(storeFilters) });
+
+      if (matchingCount === 0) {
+        return res.status(404).json({
+          error: 'No stores found',
+          message: 'No stores match the provided filters',
+        });
+      }
+
+      const totalRows = Math.min(matchingCount, maxRows);
+
+      // Track usage once per export, whether it is streamed or queued
+      if (req.trackCSVExport && req.usageAccount) {
+        await trackCSVExport(req.usageAccount);
+      }
+
+      if (totalRows > SYNC_EXPORT_MAX_ROWS) {
+        const job = await startExportJob({
+          userId: req.user.id,
+          filters: storeFilters,
+          columns,
+          format,
+          maxRows,
+          totalRows,
+        });
+
+        return res.status(202).json({
+          success: true,
+          job: serializeExportJob(job),
+          truncated: matchingCount > maxRows,
+          message: `Exporting ${totalRows} stores in the background. Download it from your exports once it finishes.`,
+        });
+      }
+
+      res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${getExportFilename(columns, format)}"`);
+      res.setHeader('X-Export-Truncated', matchingCount > maxRows ? 'true' : 'false');
+
+      await streamFilteredExport(res, { filters: storeFilters, columns, format, maxRows });
+      return;
+    }
+
     // Get stores
     const prisma = getPrisma();
     const stores = await prisma.store.findMany({
@@ -494,12 +655,8 @@ router.post('/export/csv', authenticate, checkCSVExportUsage, async (req, res) =
         id: { in: storeIds },
         isActive: true,
       },
-      select: {
-        url: true,
-        name: true,
-        country: true,
-        businessModel: true, // Note: theme is businessModel in Prisma
-      },
+      select: buildExportSelect(columns),
+      orderBy: { dateAdded: 'desc' },
     });
 
     if (stores.length === 0) {
@@ -509,11 +666,7 @@ router.post('/export/csv', authenticate, checkCSVExportUsage, async (req, res) =
       });
     }
 
-    // Check links per CSV limit
-    const plan = req.userPlan || 'free';
-    const { getMaxLinksPerCSV } = await import('../config/planRestrictions.js');
-    const maxLinks = getMaxLinksPerCSV(plan);
-    
+    // Check links per CSV limit (applies to every format)
     if (maxLinks !== Infinity && stores.length > maxLinks) {
       return res.status(403).json({
         error: 'CSV size limit exceeded',
@@ -523,58 +676,78 @@ router.post('/export/csv', authenticate, checkCSVExportUsage, async (req, res) =
       });
     }
 
-    // Generate CSV content - only store links in a single column (one per row)
-    const csvContent = stores
-      .map(store => `"${String(store.url).replace(/"/g, '""')}"`)
-      .join('\n');
+    const content = await renderStoreExport(stores, columns, format);
 
     // Track usage after successful export
-    if (req.trackCSVExport && req.userDoc) {
-      await trackCSVExport(req.userDoc);
+    if (req.trackCSVExport && req.usageAccount) {
+      await trackCSVExport(req.usageAccount);
     }
 
-    // Set headers for CSV download
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="store_links_${new Date().toISOString().split('T')[0]}.csv"`);
+    // Set headers for file download
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${getExportFilename(columns, format)}"`);
     
-    res.send(csvContent);
+    res.send(content);
   } catch (error) {
-    console.error('Error exporting CSV:', error);
+    console.error('Error exporting stores:', error);
+    // A streamed export may already have sent headers
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
     res.status(500).json({
-      error: 'Failed to export CSV',
+      error: 'Failed to export stores',
       message: error.message,
     });
   }
 });
 
 // Copy store links (requires authentication and plan access)
+// Body: { storeIds } or { filters: { countries, themes, tags, niches, techStack, shipsTo, currencies, locales, adPlatforms, productQuery, priceMin, priceMax, adWithinDays, dateFrom, dateTo } }
+// With filters, links for all matching stores are returned (up to the plan's links-per-export cap)
 router.post('/copy', authenticate, checkCopyUsage, async (req, res) => {
   try {
-    const { storeIds } = req.body;
+    const { storeIds, filters } = req.body;
 
-    if (!storeIds || !Array.isArray(storeIds) || storeIds.length === 0) {
+    if (!filters && (!storeIds || !Array.isArray(storeIds) || storeIds.length === 0)) {
       return res.status(400).json({
         error: 'Invalid request',
-        message: 'storeIds array is required',
+        message: 'storeIds array or filters object is required',
       });
     }
 
     // Get stores
     const prisma = getPrisma();
-    const stores = await prisma.store.findMany({
-      where: {
-        id: { in: storeIds },
-        isActive: true,
-      },
-      select: {
-        url: true,
-      },
-    });
+    let stores;
+    let truncated = false;
+
+    if (filters) {
+      const maxRows = Math.min(getMaxLinksPerCSV(req.userPlan || 'free'), EXPORT_MAX_ROWS);
+      stores = await prisma.store.findMany({
+        where: buildExportFilter(sanitizeStoreFilters(filters)),
+        select: {
+          url: true,
+        },
+        orderBy: [{ dateAdded: 'desc' }, { id: 'desc' }],
+        take: maxRows + 1,
+      });
+      truncated = stores.length > maxRows;
+      stores = stores.slice(0, maxRows);
+    } else {
+      stores = await prisma.store.findMany({
+        where: {
+          id: { in: storeIds },
+          isActive: true,
+        },
+        select: {
+          url: true,
+        },
+      });
+    }
 
     if (stores.length === 0) {
       return res.status(404).json({
         error: 'No stores found',
-        message: 'No active stores found with the provided IDs',
+        message: filters ? 'No stores match the provided filters' : 'No active stores found with the provided IDs',
       });
     }
 
@@ -582,14 +755,15 @@ router.post('/copy', authenticate, checkCopyUsage, async (req, res) => {
     const links = stores.map(store => store.url).join('\n');
 
     // Track usage after successful copy
-    if (req.trackCopy && req.userDoc) {
-      await trackCopy(req.userDoc);
+    if (req.trackCopy && req.usageAccount) {
+      await trackCopy(req.usageAccount);
     }
 
     res.json({
       success: true,
       links: links,
       count: stores.length,
+      truncated,
     });
   } catch (error) {
     console.error('Error copying links:', error);
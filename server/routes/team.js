@@ -0,0 +1,448 @@
+import express from 'express';
+import { getPrisma } from '../config/postgres.js';
+import { authenticateJWT } from '../middleware/auth.js';
+import { writeLimiter } from '../middleware/rateLimiter.js';
+import { validateObjectId, sanitizeString } from '../middleware/validator.js';
+import { getPlanRestrictions, getMaxUsers } from '../config/planRestrictions.js';
+import {
+  getTeamContext,
+  serializeTeam,
+  createTeam,
+  inviteToTeam,
+  lockOrganization,
+  hashInvitationToken,
+} from '../services/organizationService.js';
+
+const router = express.Router();
+
+/**
+ * Validate a team name from the request body
+ * Returns the sanitized name, or null when invalid
+ */
+const parseTeamName = (value) => {
+  const name = sanitizeString(typeof value === 'string' ? value : '');
+  return name && name.length <= 100 ? name : null;
+};
+
+/**
+ * Load the user's team and require them to own it
+ * Sends the error response and returns null otherwise
+ */
+const requireTeamOwner = async (req, res) => {
+  const team = await getTeamContext(req.user.id);
+
+  if (!team) {
+    res.status(404).json({
+      error: 'Team not found',
+      message: 'You are not part of a team',
+    });
+    return null;
+  }
+
+  if (team.role !== 'owner') {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'Only the team owner can do this',
+    });
+    return null;
+  }
+
+  return team;
+};
+
+/**
+ * GET /api/team
+ * The user's team with members, seats and shared usage (null when not in a team)
+ */
+router.get('/', authenticateJWT, async (req, res) => {
+  try {
+    const team = await getTeamContext(req.user.id);
+
+    res.json({
+      team: team ? await serializeTeam(team) : null,
+    });
+  } catch (error) {
+    console.error('Error fetching team:', error);
+    res.status(500).json({
+      error: 'Failed to fetch team',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/team
+ * Start a team - needs a plan with more than one seat (maxUsers)
+ */
+router.post('/', authenticateJWT, writeLimiter, async (req, res) => {
+  try {
+    const name = parseTeamName(req.body.name);
+    if (!name) {
+      return res.status(400).json({
+        error: 'Invalid name',
+        message: 'Team name is required and must be at most 100 characters',
+      });
+    }
+
+    const prisma = getPrisma();
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+    });
+    const plan = user?.subscriptionPlan || 'free';
+
+    if (getMaxUsers(plan) < 2) {
+      return res.status(403).json({
+        error: 'Upgrade required',
+        message: `Teams are not available on the ${getPlanRestrictions(plan).name} plan. Please upgrade to invite teammates.`,
+        requiresUpgrade: true,
+        upgradeUrl: '/account/manage-plan',
+      });
+    }
+
+    if (await getTeamContext(req.user.id)) {
+      return res.status(409).json({
+        error: 'Already in a team',
+        message: 'Leave your current team before starting a new one',
+      });
+    }
+
+    await createTeam(user, name);
+
+    res.json({
+      success: true,
+      team: await serializeTeam(await getTeamContext(req.user.id)),
+      message: 'Team created',
+    });
+  } catch (error) {
+    console.error('Error creating team:', error);
+    res.status(500).json({
+      error: 'Failed to create team',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/team
+ * Rename the team (owner only)
+ */
+router.patch('/', authenticateJWT, writeLimiter, async (req, res) => {
+  try {
+    const name = parseTeamName(req.body.name);
+    if (!name) {
+      return res.status(400).json({
+        error: 'Invalid name',
+        message: 'Team name is required and must be at most 100 characters',
+      });
+    }
+
+    const team = await requireTeamOwner(req, res);
+    if (!team) return;
+
+    const prisma = getPrisma();
+    await prisma.organization.update({
+      where: { id: team.organization.id },
+      data: { name },
+    });
+
+    res.json({
+      success: true,
+      team: await serializeTeam(await getTeamContext(req.user.id)),
+      message: 'Team renamed',
+    });
+  } catch (error) {
+    console.error('Error renaming team:', error);
+    res.status(500).json({
+      error: 'Failed to rename team',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/team
+ * Delete the team (owner only) - members go back to their own plan and usage
+ */
+router.delete('/', authenticateJWT, writeLimiter, async (req, res) => {
+  try {
+    const team = await requireTeamOwner(req, res);
+    if (!team) return;
+
+    const prisma = getPrisma();
+    await prisma.organization.delete({
+      where: { id: team.organization.id },
+    });
+
+    res.json({
+      success: true,
+      message: 'Team deleted',
+    });
+  } catch (error) {
+    console.error('Error deleting team:', error);
+    res.status(500).json({
+      error: 'Failed to delete team',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/team/invitations
+ * Invite someone by email (owner only) - a pending invitation holds a seat
+ */
+router.post('/invitations', authenticateJWT, writeLimiter, async (req, res) => {
+  try {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email) || email.length > 255) {
+      return res.status(400).json({
+        error: 'Invalid email',
+        message: 'Please provide a valid email address',
+      });
+    }
+
+    const team = await requireTeamOwner(req, res);
+    if (!team) return;
+
+    const prisma = getPrisma();
+    const { organization } = team;
+
+    const existingMember = await prisma.organizationMember.findFirst({
+      where: { organizationId: organization.id, user: { email } },
+    });
+    if (existingMember) {
+      return res.status(409).json({
+        error: 'Already a member',
+        message: 'This person is already on your team',
+      });
+    }
+
+    const maxUsers = getMaxUsers(team.plan);
+    const inviter = await prisma.user.findUnique({
+      where: { id: req.user.id },
+    });
+    const { invitation, emailSent, seatLimitReached, usedSeats } = await inviteToTeam(organization, inviter, email, maxUsers);
+
+    if (seatLimitReached) {
+      return res.status(403).json({
+        error: 'Seat limit reached',
+        message: `Your ${getPlanRestrictions(team.plan).name} plan includes ${maxUsers} ${maxUsers === 1 ? 'seat' : 'seats'} (you included). Remove a member, revoke an invitation or upgrade to invite more people.`,
+        limit: maxUsers,
+        used: usedSeats,
+        limitReached: true,
+      });
+    }
+
+    res.json({
+      success: true,
+      invitation: {
+        id: invitation.id,
+        email: invitation.email,
+        expiresAt: invitation.expiresAt,
+        createdAt: invitation.createdAt,
+      },
+      emailSent,
+      message: emailSent
+        ? `Invitation sent to ${email}`
+        : `Invitation created, but the email to ${email} could not be sent. Try again later.`,
+    });
+  } catch (error) {
+    console.error('Error inviting team member:', error);
+    res.status(500).json({
+      error: 'Failed to send invitation',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/team/invitations/accept
+ * Join a team with the token from an invitation email
+ * The invitation must have been sent to the signed-in user's email.
+ */
+router.post('/invitations/accept', authenticateJWT, writeLimiter, async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid invitation',
+        message: 'Invitation token is required',
+      });
+    }
+
+    const prisma = getPrisma();
+    const invitation = await prisma.organizationInvitation.findUnique({
+      where: { tokenHash: hashInvitationToken(token) },
+      include: {
+        organization: {
+          include: { owner: { select: { subscriptionPlan: true } } },
+        },
+      },
+    });
+
+    if (!invitation || invitation.expiresAt < new Date()) {
+      return res.status(404).json({
+        error: 'Invitation not found',
+        message: 'This invitation is invalid or has expired. Ask the team owner to send a new one.',
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, email: true },
+    });
+
+    if (!user || user.email.toLowerCase() !== invitation.email) {
+      return res.status(403).json({
+        error: 'Wrong account',
+        message: `This invitation was sent to ${invitation.email}. Sign in with that email to accept it.`,
+      });
+    }
+
+    const currentTeam = await getTeamContext(user.id);
+    if (currentTeam) {
+      return res.status(409).json({
+        error: 'Already in a team',
+        message: currentTeam.organization.id === invitation.organizationId
+          ? 'You are already on this team'
+          : 'Leave your current team before joining another one',
+      });
+    }
+
+    // The invitation already holds a seat, but the plan may have been downgraded since.
+    // The member count and the insert run under the team's row lock so concurrent accepts can't overfill it.
+    const maxUsers = getMaxUsers(invitation.organization.owner.subscriptionPlan || 'free');
+    const joined = await prisma.$transaction(async (tx) => {
+      await lockOrganization(tx, invitation.organizationId);
+
+      const memberCount = await tx.organizationMember.count({
+        where: { organizationId: invitation.organizationId },
+      });
+      if (memberCount >= maxUsers) return false;
+
+      await tx.organizationMember.create({
+        data: {
+          organizationId: invitation.organizationId,
+          userId: user.id,
+          role: 'member',
+          invitedBy: invitation.invitedBy,
+        },
+      });
+      await tx.organizationInvitation.delete({
+        where: { id: invitation.id },
+      });
+      return true;
+    });
+
+    if (!joined) {
+      return res.status(403).json({
+        error: 'Seat limit reached',
+        message: 'This team has no free seats. Ask the team owner to free a seat or upgrade.',
+        limitReached: true,
+      });
+    }
+
+    res.json({
+      success: true,
+      team: await serializeTeam(await getTeamContext(user.id)),
+      message: `You joined ${invitation.organization.name}`,
+    });
+  } catch (error) {
+    console.error('Error accepting team invitation:', error);
+    res.status(500).json({
+      error: 'Failed to accept invitation',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/team/invitations/:id
+ * Revoke a pending invitation (owner only) - frees its seat
+ */
+router.delete('/invitations/:id', authenticateJWT, writeLimiter, validateObjectId, async (req, res) => {
+  try {
+    const team = await requireTeamOwner(req, res);
+    if (!team) return;
+
+    const prisma = getPrisma();
+    const result = await prisma.organizationInvitation.deleteMany({
+      where: { id: req.params.id, organizationId: team.organization.id },
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({
+        error: 'Invitation not found',
+        message: 'Invitation not found or already accepted',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked',
+    });
+  } catch (error) {
+    console.error('Error revoking team invitation:', error);
+    res.status(500).json({
+      error: 'Failed to revoke invitation',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/team/members/:id
+ * Remove a member (owner) or leave the team (the member themselves, :id = own user ID)
+ * The owner can't leave - they delete the team instead.
+ */
+router.delete('/members/:id', authenticateJWT, writeLimiter, validateObjectId, async (req, res) => {
+  try {
+    const team = await getTeamContext(req.user.id);
+    if (!team) {
+      return res.status(404).json({
+        error: 'Team not found',
+        message: 'You are not part of a team',
+      });
+    }
+
+    const isSelf = req.params.id === req.user.id;
+    if (!isSelf && team.role !== 'owner') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the team owner can remove members',
+      });
+    }
+
+    if (isSelf && team.role === 'owner') {
+      return res.status(400).json({
+        error: 'Owner cannot leave',
+        message: 'The team owner cannot leave the team. Delete the team instead.',
+      });
+    }
+
+    const prisma = getPrisma();
+    const result = await prisma.organizationMember.deleteMany({
+      where: { userId: req.params.id, organizationId: team.organization.id, role: 'member' },
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({
+        error: 'Member not found',
+        message: 'This person is not a member of your team',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You left the team' : 'Member removed',
+    });
+  } catch (error) {
+    console.error('Error removing team member:', error);
+    res.status(500).json({
+      error: 'Failed to remove member',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
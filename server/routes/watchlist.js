@@ -0,0 +1,185 @@
+import express from 'express';
+import { getPrisma } from '../config/postgres.js';
+import { authenticateJWT } from '../middleware/auth.js';
+import { writeLimiter } from '../middleware/rateLimiter.js';
+import { validateObjectId } from '../middleware/validator.js';
+import { getPlanRestrictions, getMaxWatchedStores } from '../config/planRestrictions.js';
+import { isStoreVisible } from '../utils/visibilityRules.js';
+import { listWatchedStores } from '../services/watchlistService.js';
+import { getEffectivePlan } from '../services/organizationService.js';
+
+const router = express.Router();
+
+/**
+ * Parse a product-count threshold from the request body
+ * Returns undefined when not provided, null to clear, or a positive integer
+ */
+const parseProductCountThreshold = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const threshold = parseInt(value);
+  return Number.isInteger(threshold) && threshold > 0 && threshold <= 1000000 ? threshold : NaN;
+};
+
+/**
+ * GET /api/watchlist
+ * List the stores the user and their teammates follow (isOwn, createdBy)
+ */
+router.get('/', authenticateJWT, async (req, res) => {
+  try {
+    const prisma = getPrisma();
+    const [user, watchedStores] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { id: true, subscriptionPlan: true },
+      }),
+      listWatchedStores(req.user.id),
+    ]);
+
+    const maxWatchedStores = getMaxWatchedStores(await getEffectivePlan(user));
+
+    res.json({
+      watchedStores,
+      limit: maxWatchedStores === Infinity ? -1 : maxWatchedStores,
+    });
+  } catch (error) {
+    console.error('Error fetching watchlist:', error);
+    res.status(500).json({
+      error: 'Failed to fetch watchlist',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/watchlist/:id
+ * Follow a store (id = store ID) or update its alert settings
+ * Body: { productCountThreshold?: number | null, emailAlerts?: boolean }
+ */
+router.put('/:id', authenticateJWT, writeLimiter, validateObjectId, async (req, res) => {
+  try {
+    const productCountThreshold = parseProductCountThreshold(req.body.productCountThreshold);
+    if (Number.isNaN(productCountThreshold)) {
+      return res.status(400).json({
+        error: 'Invalid threshold',
+        message: 'Product count threshold must be a positive whole number',
+      });
+    }
+
+    const settings = {};
+    if (productCountThreshold !== undefined) settings.productCountThreshold = productCountThreshold;
+    if (typeof req.body.emailAlerts === 'boolean') settings.emailAlerts = req.body.emailAlerts;
+
+    const prisma = getPrisma();
+    const existing = await prisma.watchedStore.findUnique({
+      where: { userId_storeId: { userId: req.user.id, storeId: req.params.id } },
+    });
+
+    // Already following - just update the settings
+    if (existing) {
+      const watchedStore = await prisma.watchedStore.update({
+        where: { id: existing.id },
+        data: settings,
+      });
+      return res.json({
+        success: true,
+        watchedStore,
+        message: 'Watchlist settings updated',
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, subscriptionPlan: true },
+    });
+    const plan = await getEffectivePlan(user);
+    const maxWatchedStores = getMaxWatchedStores(plan);
+
+    if (maxWatchedStores === 0) {
+      return res.status(403).json({
+        error: 'Upgrade required',
+        message: `Watchlists are not available on the ${getPlanRestrictions(plan).name} plan. Please upgrade to follow stores.`,
+        requiresUpgrade: true,
+        upgradeUrl: '/account/manage-plan',
+      });
+    }
+
+    // Only the user's own follows count toward the limit - teammates' are listed, not counted
+    const watchedCount = await prisma.watchedStore.count({
+      where: { userId: req.user.id },
+    });
+
+    if (watchedCount >= maxWatchedStores) {
+      return res.status(403).json({
+        error: 'Watchlist limit reached',
+        message: `You can follow up to ${maxWatchedStores} stores on the ${getPlanRestrictions(plan).name} plan. Please unfollow a store or upgrade.`,
+        limit: maxWatchedStores,
+        limitReached: true,
+      });
+    }
+
+    const store = await prisma.store.findUnique({
+      where: { id: req.params.id },
+    });
+
+    if (!store || !isStoreVisible(store)) {
+      return res.status(404).json({
+        error: 'Store not found',
+        message: 'Store not found',
+      });
+    }
+
+    const watchedStore = await prisma.watchedStore.create({
+      data: {
+        userId: req.user.id,
+        storeId: store.id,
+        ...settings,
+      },
+    });
+
+    res.json({
+      success: true,
+      watchedStore,
+      message: `You're now following ${store.name}`,
+    });
+  } catch (error) {
+    console.error('Error following store:', error);
+    res.status(500).json({
+      error: 'Failed to follow store',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/watchlist/:id
+ * Unfollow a store (id = store ID)
+ */
+router.delete('/:id', authenticateJWT, writeLimiter, validateObjectId, async (req, res) => {
+  try {
+    const prisma = getPrisma();
+    const result = await prisma.watchedStore.deleteMany({
+      where: { userId: req.user.id, storeId: req.params.id },
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({
+        error: 'Not following',
+        message: 'You are not following this store',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Store unfollowed',
+    });
+  } catch (error) {
+    console.error('Error unfollowing store:', error);
+    res.status(500).json({
+      error: 'Failed to unfollow store',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,144 @@
+/**
+ * Backfill Script: Re-detect store countries and markets from page signals
+ *
+ * Re-detects the country of every store saved before signal-based detection
+ * (no country confidence), including stores the old detector defaulted to
+ * "United States" or a random country. Stores below the confidence threshold
+ * become "Unknown"; stores whose page can't be read keep their current country.
+ * Markets (primary market, currencies, locales, ship-to countries) are filled
+ * in from the same snapshot.
+ *
+ * Usage:
+ *   node scripts/backfillCountries.js
+ *
+ * Options:
+ *   --all            Re-detect every store, even ones already detected from signals
+ *   --unknown        Also re-detect stores that are currently Unknown
+ *   --limit=N        Process only N stores (for testing)
+ *   --concurrency=N  Stores fetched in parallel (default 5)
+ */
+
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { connectPostgres, disconnectPostgres, getPrisma } from '../config/postgres.js';
+import { detectCountry, getCountryUpdateData } from '../utils/countryDetector.js';
+import { fetchStoreSnapshot } from '../utils/storeSnapshot.js';
+import { recordStoreSnapshot } from '../services/storeHistoryService.js';
+import { UNKNOWN_COUNTRY } from '../config/countries.js';
+import { detectMarkets, getMarketUpdateData } from '../utils/marketDetector.js';
+
+// Load environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const all = args.includes('--all');
+const unknown = args.includes('--unknown');
+const limitArg = args.find(arg => arg.startsWith('--limit='));
+const limit = limitArg ? parseInt(limitArg.split('=')[1]) : null;
+const concurrencyArg = args.find(arg => arg.startsWith('--concurrency='));
+const concurrency = concurrencyArg ? parseInt(concurrencyArg.split('=')[1]) : 5;
+
+const PAGE_SIZE = 200;
+
+async function backfillCountries() {
+  await connectPostgres();
+  const prisma = getPrisma();
+
+  const where = {
+    storeStatus: { not: 'dead' },
+    ...(all ? {} : {
+      OR: [
+        { countryConfidence: null },
+        ...(unknown ? [{ country: UNKNOWN_COUNTRY }] : []),
+      ],
+    }),
+  };
+
+  const total = await prisma.store.count({ where });
+  const toProcess = limit ? Math.min(limit, total) : total;
+  console.log(`📊 ${total} stores to re-detect${limit ? ` (processing ${toProcess})` : ''}\n`);
+
+  const stats = { processed: 0, changed: 0, unchanged: 0, unreadable: 0, errors: 0 };
+  const countryCounts = {};
+  let cursor = null;
+
+  while (stats.processed < toProcess) {
+    const stores = await prisma.store.findMany({
+      // Page by id - updated stores drop out of `where`, so no offsets
+      where: cursor ? { ...where, id: { gt: cursor } } : where,
+      orderBy: { id: 'asc' },
+      take: Math.min(PAGE_SIZE, toProcess - stats.processed),
+      select: { id: true, url: true, country: true },
+    });
+    if (stores.length === 0) break;
+    cursor = stores[stores.length - 1].id;
+
+    for (let i = 0; i < stores.length; i += concurrency) {
+      await Promise.all(stores.slice(i, i + concurrency).map(async (store) => {
+        try {
+          const snapshot = await fetchStoreSnapshot(store.url);
+          const [countryResult, marketResult] = await Promise.all([
+            detectCountry(store.url, snapshot),
+            detectMarkets(store.url, snapshot),
+          ]);
+          if (!countryResult) {
+            stats.unreadable++;
+            return;
+          }
+
+          await prisma.store.update({
+            where: { id: store.id },
+            data: {
+              ...getCountryUpdateData(countryResult),
+              ...getMarketUpdateData(marketResult, countryResult.countryCode),
+            },
+          });
+          countryCounts[countryResult.country] = (countryCounts[countryResult.country] || 0) + 1;
+
+          if (store.country !== countryResult.country) {
+            stats.changed++;
+            await recordStoreSnapshot(store.id, 'redetection');
+            console.log(`   🌍 ${store.url}: "${store.country || '-'}" → "${countryResult.country}" (${countryResult.confidence})`);
+          } else {
+            stats.unchanged++;
+          }
+        } catch (error) {
+          stats.errors++;
+          console.error(`   ❌ Error re-detecting country for ${store.url}:`, error.message);
+        }
+      }));
+    }
+
+    stats.processed += stores.length;
+    console.log(`   ✅ Processed ${stats.processed}/${toProcess} stores...`);
+  }
+
+  console.log('\n' + '='.repeat(80));
+  console.log('✨ Country Backfill Complete!');
+  console.log('='.repeat(80));
+  console.log(`🔄 Changed: ${stats.changed}`);
+  console.log(`✅ Unchanged: ${stats.unchanged}`);
+  console.log(`⚠️  Unreadable (kept current country): ${stats.unreadable}`);
+  console.log(`❌ Errors: ${stats.errors}`);
+  console.log('\n📈 Countries:');
+  for (const [country, count] of Object.entries(countryCounts).sort((a, b) => b[1] - a[1])) {
+    console.log(`   ${country}: ${count}`);
+  }
+}
+
+// Run the script
+backfillCountries()
+  .then(async () => {
+    await disconnectPostgres();
+    console.log('\n✅ Script completed successfully');
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('❌ Script failed:', error);
+    await disconnectPostgres().catch(() => {});
+    process.exit(1);
+  });
@@ -0,0 +1,134 @@
+/**
+ * Backfill Script: Classify store niches with the niche taxonomy
+ *
+ * Classifies every store that was never classified, or was classified with an
+ * older taxonomy version (see config/niches.js). Stores whose page and
+ * /products.json can't be read keep their current niches. The product sample
+ * (StoreProduct) is refreshed from the same snapshot.
+ *
+ * Usage:
+ *   node scripts/backfillNiches.js
+ *
+ * Options:
+ *   --all            Re-classify every store, even ones on the current taxonomy version
+ *   --limit=N        Process only N stores (for testing)
+ *   --concurrency=N  Stores fetched in parallel (default 5)
+ */
+
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { connectPostgres, disconnectPostgres, getPrisma } from '../config/postgres.js';
+import { NICHE_TAXONOMY_VERSION } from '../config/niches.js';
+import { classifyNiches, getNicheUpdateData } from '../utils/nicheClassifier.js';
+import { fetchStoreSnapshot } from '../utils/storeSnapshot.js';
+import { refreshStoreProducts } from '../services/productCatalogService.js';
+
+// Load environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const all = args.includes('--all');
+const limitArg = args.find(arg => arg.startsWith('--limit='));
+const limit = limitArg ? parseInt(limitArg.split('=')[1]) : null;
+const concurrencyArg = args.find(arg => arg.startsWith('--concurrency='));
+const concurrency = concurrencyArg ? parseInt(concurrencyArg.split('=')[1]) : 5;
+
+const PAGE_SIZE = 200;
+
+async function backfillNiches() {
+  await connectPostgres();
+  const prisma = getPrisma();
+
+  const where = {
+    storeStatus: { not: 'dead' },
+    ...(all ? {} : {
+      OR: [
+        { nicheTaxonomyVersion: null },
+        { nicheTaxonomyVersion: { lt: NICHE_TAXONOMY_VERSION } },
+      ],
+    }),
+  };
+
+  const total = await prisma.store.count({ where });
+  const toProcess = limit ? Math.min(limit, total) : total;
+  console.log(`📊 ${total} stores to classify (taxonomy v${NICHE_TAXONOMY_VERSION})${limit ? ` (processing ${toProcess})` : ''}\n`);
+
+  const stats = { processed: 0, classified: 0, noNiche: 0, unreadable: 0, errors: 0 };
+  const nicheCounts = {};
+  let cursor = null;
+
+  while (stats.processed < toProcess) {
+    const stores = await prisma.store.findMany({
+      // Page by id - updated stores drop out of `where`, so no offsets
+      where: cursor ? { ...where, id: { gt: cursor } } : where,
+      orderBy: { id: 'asc' },
+      take: Math.min(PAGE_SIZE, toProcess - stats.processed),
+      select: { id: true, url: true, currencies: true },
+    });
+    if (stores.length === 0) break;
+    cursor = stores[stores.length - 1].id;
+
+    for (let i = 0; i < stores.length; i += concurrency) {
+      await Promise.all(stores.slice(i, i + concurrency).map(async (store) => {
+        try {
+          const snapshot = await fetchStoreSnapshot(store.url);
+          const nicheResult = classifyNiches(snapshot);
+          if (!nicheResult) {
+            stats.unreadable++;
+            return;
+          }
+
+          await prisma.store.update({
+            where: { id: store.id },
+            data: getNicheUpdateData(nicheResult),
+          });
+          await refreshStoreProducts(store.id, snapshot, store.currencies?.[0]);
+
+          if (nicheResult.niches.length > 0) {
+            stats.classified++;
+            nicheResult.niches.forEach(niche => {
+              nicheCounts[niche] = (nicheCounts[niche] || 0) + 1;
+            });
+          } else {
+            stats.noNiche++;
+          }
+        } catch (error) {
+          stats.errors++;
+          console.error(`   ❌ Error classifying niches for ${store.url}:`, error.message);
+        }
+      }));
+    }
+
+    stats.processed += stores.length;
+    console.log(`   ✅ Processed ${stats.processed}/${toProcess} stores...`);
+  }
+
+  console.log('\n' + '='.repeat(80));
+  console.log('✨ Niche Backfill Complete!');
+  console.log('='.repeat(80));
+  console.log(`🏷️  Classified: ${stats.classified}`);
+  console.log(`➖ No niche above the threshold: ${stats.noNiche}`);
+  console.log(`⚠️  Unreadable (kept current niches): ${stats.unreadable}`);
+  console.log(`❌ Errors: ${stats.errors}`);
+  console.log('\n📈 Niches:');
+  for (const [niche, count] of Object.entries(nicheCounts).sort((a, b) => b[1] - a[1])) {
+    console.log(`   ${niche}: ${count}`);
+  }
+}
+
+// Run the script
+backfillNiches()
+  .then(async () => {
+    await disconnectPostgres();
+    console.log('\n✅ Script completed successfully');
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('❌ Script failed:', error);
+    await disconnectPostgres().catch(() => {});
+    process.exit(1);
+  });
@@ -0,0 +1,125 @@
+/**
+ * Backfill Script: Detect installed apps and tools for existing stores
+ *
+ * Detects the tech stack (config/techStack.js) of every store saved before
+ * tech stack detection. Stores whose page can't be read are skipped and
+ * picked up again on the next run.
+ *
+ * Usage:
+ *   node scripts/backfillTechStack.js
+ *
+ * Options:
+ *   --all            Re-detect every store, even ones already detected
+ *   --limit=N        Process only N stores (for testing)
+ *   --concurrency=N  Stores fetched in parallel (default 5)
+ */
+
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { connectPostgres, disconnectPostgres, getPrisma } from '../config/postgres.js';
+import { detectStoreTechStack, getTechStackUpdateData } from '../utils/techStackDetector.js';
+import { fetchStoreSnapshot } from '../utils/storeSnapshot.js';
+
+// Load environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const all = args.includes('--all');
+const limitArg = args.find(arg => arg.startsWith('--limit='));
+const limit = limitArg ? parseInt(limitArg.split('=')[1]) : null;
+const concurrencyArg = args.find(arg => arg.startsWith('--concurrency='));
+const concurrency = concurrencyArg ? parseInt(concurrencyArg.split('=')[1]) : 5;
+
+const PAGE_SIZE = 200;
+
+async function backfillTechStack() {
+  await connectPostgres();
+  const prisma = getPrisma();
+
+  const where = {
+    storeStatus: { not: 'dead' },
+    ...(all ? {} : { techStackDetectedAt: null }),
+  };
+
+  const total = await prisma.store.count({ where });
+  const toProcess = limit ? Math.min(limit, total) : total;
+  console.log(`📊 ${total} stores to detect${limit ? ` (processing ${toProcess})` : ''}\n`);
+
+  const stats = { processed: 0, withApps: 0, noApps: 0, unreadable: 0, errors: 0 };
+  const appCounts = {};
+  let cursor = null;
+
+  while (stats.processed < toProcess) {
+    const stores = await prisma.store.findMany({
+      // Page by id - updated stores drop out of `where`, so no offsets
+      where: cursor ? { ...where, id: { gt: cursor } } : where,
+      orderBy: { id: 'asc' },
+      take: Math.min(PAGE_SIZE, toProcess - stats.processed),
+      select: { id: true, url: true },
+    });
+    if (stores.length === 0) break;
+    cursor = stores[stores.length - 1].id;
+
+    for (let i = 0; i < stores.length; i += concurrency) {
+      await Promise.all(stores.slice(i, i + concurrency).map(async (store) => {
+        try {
+          const snapshot = await fetchStoreSnapshot(store.url);
+          const techStackResult = detectStoreTechStack(snapshot);
+          if (!techStackResult) {
+            stats.unreadable++;
+            return;
+          }
+
+          await prisma.store.update({
+            where: { id: store.id },
+            data: getTechStackUpdateData(techStackResult),
+          });
+
+          if (techStackResult.techStack.length > 0) {
+            stats.withApps++;
+            techStackResult.techStack.forEach(app => {
+              appCounts[app] = (appCounts[app] || 0) + 1;
+            });
+          } else {
+            stats.noApps++;
+          }
+        } catch (error) {
+          stats.errors++;
+          console.error(`   ❌ Error detecting tech stack for ${store.url}:`, error.message);
+        }
+      }));
+    }
+
+    stats.processed += stores.length;
+    console.log(`   ✅ Processed ${stats.processed}/${toProcess} stores...`);
+  }
+
+  console.log('\n' + '='.repeat(80));
+  console.log('✨ Tech Stack Backfill Complete!');
+  console.log('='.repeat(80));
+  console.log(`🧩 With known apps: ${stats.withApps}`);
+  console.log(`➖ No known apps: ${stats.noApps}`);
+  console.log(`⚠️  Unreadable (skipped): ${stats.unreadable}`);
+  console.log(`❌ Errors: ${stats.errors}`);
+  console.log('\n📈 Apps:');
+  for (const [app, count] of Object.entries(appCounts).sort((a, b) => b[1] - a[1])) {
+    console.log(`   ${app}: ${count}`);
+  }
+}
+
+// Run the script
+backfillTechStack()
+  .then(async () => {
+    await disconnectPostgres();
+    console.log('\n✅ Script completed successfully');
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('❌ Script failed:', error);
+    await disconnectPostgres().catch(() => {});
+    process.exit(1);
+  });
@@ -0,0 +1,134 @@
+/**
+ * Backfill Script: Re-detect store themes with the fingerprint catalog
+ *
+ * Re-detects the theme of every store that was detected with an older catalog
+ * version (or never), including stores that were given a random free theme by
+ * the old detector. Stores whose page can't be read keep their current theme.
+ *
+ * Usage:
+ *   node scripts/backfillThemes.js
+ *
+ * Options:
+ *   --all            Re-detect every store, even ones on the current catalog version
+ *   --limit=N        Process only N stores (for testing)
+ *   --concurrency=N  Stores fetched in parallel (default 5)
+ */
+
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { connectPostgres, disconnectPostgres, getPrisma } from '../config/postgres.js';
+import { detectTheme, getThemeUpdateData } from '../utils/themeDetector.js';
+import { fetchStoreSnapshot } from '../utils/storeSnapshot.js';
+import { getThemeCatalog } from '../services/themeCatalogService.js';
+import { recordStoreSnapshot } from '../services/storeHistoryService.js';
+
+// Load environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const all = args.includes('--all');
+const limitArg = args.find(arg => arg.startsWith('--limit='));
+const limit = limitArg ? parseInt(limitArg.split('=')[1]) : null;
+const concurrencyArg = args.find(arg => arg.startsWith('--concurrency='));
+const concurrency = concurrencyArg ? parseInt(concurrencyArg.split('=')[1]) : 5;
+
+const PAGE_SIZE = 200;
+
+async function backfillThemes() {
+  await connectPostgres();
+  const prisma = getPrisma();
+  const { version } = await getThemeCatalog();
+
+  const where = {
+    storeStatus: { not: 'dead' },
+    ...(all ? {} : {
+      OR: [
+        { themeCatalogVersion: null },
+        { themeCatalogVersion: { not: version } },
+      ],
+    }),
+  };
+
+  const total = await prisma.store.count({ where });
+  const toProcess = limit ? Math.min(limit, total) : total;
+  console.log(`🎨 Theme catalog version ${version}`);
+  console.log(`📊 ${total} stores to re-detect${limit ? ` (processing ${toProcess})` : ''}\n`);
+
+  const stats = { processed: 0, changed: 0, unchanged: 0, unreadable: 0, errors: 0 };
+  const themeCounts = {};
+  let cursor = null;
+
+  while (stats.processed < toProcess) {
+    const stores = await prisma.store.findMany({
+      // Page by id - updated stores drop out of `where`, so no offsets
+      where: cursor ? { ...where, id: { gt: cursor } } : where,
+      orderBy: { id: 'asc' },
+      take: Math.min(PAGE_SIZE, toProcess - stats.processed),
+      select: { id: true, url: true, theme: true },
+    });
+    if (stores.length === 0) break;
+    cursor = stores[stores.length - 1].id;
+
+    for (let i = 0; i < stores.length; i += concurrency) {
+      await Promise.all(stores.slice(i, i + concurrency).map(async (store) => {
+        try {
+          const snapshot = await fetchStoreSnapshot(store.url);
+          const themeResult = await detectTheme(store.url, snapshot);
+          if (!themeResult) {
+            stats.unreadable++;
+            return;
+          }
+
+          await prisma.store.update({
+            where: { id: store.id },
+            data: getThemeUpdateData(themeResult),
+          });
+          themeCounts[themeResult.name] = (themeCounts[themeResult.name] || 0) + 1;
+
+          if (store.theme !== themeResult.name) {
+            stats.changed++;
+            await recordStoreSnapshot(store.id, 'redetection');
+            console.log(`   🎨 ${store.url}: "${store.theme || '-'}" → "${themeResult.name}" (${themeResult.confidence})`);
+          } else {
+            stats.unchanged++;
+          }
+        } catch (error) {
+          stats.errors++;
+          console.error(`   ❌ Error re-detecting theme for ${store.url}:`, error.message);
+        }
+      }));
+    }
+
+    stats.processed += stores.length;
+    console.log(`   ✅ Processed ${stats.processed}/${toProcess} stores...`);
+  }
+
+  console.log('\n' + '='.repeat(80));
+  console.log('✨ Theme Backfill Complete!');
+  console.log('='.repeat(80));
+  console.log(`🔄 Changed: ${stats.changed}`);
+  console.log(`✅ Unchanged: ${stats.unchanged}`);
+  console.log(`⚠️  Unreadable (kept current theme): ${stats.unreadable}`);
+  console.log(`❌ Errors: ${stats.errors}`);
+  console.log('\n📈 Themes:');
+  for (const [theme, count] of Object.entries(themeCounts).sort((a, b) => b[1] - a[1])) {
+    console.log(`   ${theme}: ${count}`);
+  }
+}
+
+// Run the script
+backfillThemes()
+  .then(async () => {
+    await disconnectPostgres();
+    console.log('\n✅ Script completed successfully');
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('❌ Script failed:', error);
+    await disconnectPostgres().catch(() => {});
+    process.exit(1);
+  });
@@ -3,6 +3,9 @@
 /**
  * Generate secure API keys for authentication
  * Run: node scripts/generateApiKeys.js
+ *
+ * These are the server-wide API_KEY/ADMIN_API_KEY values. Per-user keys for the
+ * public API are created by users on the Account page (POST /api/api-keys).
  */
 
 import crypto from 'crypto';
@@ -0,0 +1,54 @@
+/**
+ * Rebuild lookalike similarity vectors
+ *
+ * Runs the scheduled similarity vector rebuild (services/lookalikeService.js)
+ * once - use it after deploying the vector columns or changing the groups in
+ * utils/lookalike.js instead of waiting for the next scheduled run.
+ *
+ * Usage:
+ *   node scripts/rebuildSimilarityVectors.js
+ *
+ * Options:
+ *   --limit=N        Process only N stores (for testing)
+ */
+
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { connectPostgres, disconnectPostgres } from '../config/postgres.js';
+import { rebuildSimilarityVectors } from '../services/lookalikeService.js';
+
+// Load environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const limitArg = args.find(arg => arg.startsWith('--limit='));
+const limit = limitArg ? parseInt(limitArg.split('=')[1]) : null;
+
+async function rebuildSimilarity() {
+  await connectPostgres();
+
+  const stats = await rebuildSimilarityVectors({ limit });
+
+  console.log('\n' + '='.repeat(80));
+  console.log('✨ Similarity Vector Rebuild Complete!');
+  console.log('='.repeat(80));
+  console.log(`🧭 Vectors built: ${stats.processed - stats.errors}`);
+  console.log(`❌ Errors: ${stats.errors}`);
+}
+
+// Run the script
+rebuildSimilarity()
+  .then(async () => {
+    await disconnectPostgres();
+    console.log('\n✅ Script completed successfully');
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('❌ Script failed:', error);
+    await disconnectPostgres().catch(() => {});
+    process.exit(1);
+  });
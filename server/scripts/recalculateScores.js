@@ -0,0 +1,54 @@
+/**
+ * Recalculate store scores
+ *
+ * Runs the scheduled store score job (services/storeScoreService.js) once -
+ * use it after deploying the score columns or changing the weights in
+ * utils/storeScore.js instead of waiting for the next scheduled run.
+ *
+ * Usage:
+ *   node scripts/recalculateScores.js
+ *
+ * Options:
+ *   --limit=N        Process only N stores (for testing)
+ */
+
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { connectPostgres, disconnectPostgres } from '../config/postgres.js';
+import { recalculateStoreScores } from '../services/storeScoreService.js';
+
+// Load environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const limitArg = args.find(arg => arg.startsWith('--limit='));
+const limit = limitArg ? parseInt(limitArg.split('=')[1]) : null;
+
+async function recalculateScores() {
+  await connectPostgres();
+
+  const stats = await recalculateStoreScores({ limit });
+
+  console.log('\n' + '='.repeat(80));
+  console.log('✨ Store Score Recalculation Complete!');
+  console.log('='.repeat(80));
+  console.log(`📊 Scored: ${stats.processed - stats.errors}`);
+  console.log(`❌ Errors: ${stats.errors}`);
+}
+
+// Run the script
+recalculateScores()
+  .then(async () => {
+    await disconnectPostgres();
+    console.log('\n✅ Script completed successfully');
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('❌ Script failed:', error);
+    await disconnectPostgres().catch(() => {});
+    process.exit(1);
+  });
@@ -59,6 +59,11 @@ async function startMassiveScraping() {
     const jobId = `massive-${Date.now()}`;
     const result = await runContinuousScrapingJob(jobId);
 
+    if (result.skipped) {
+      console.log(`⏸️  ${result.message} - start scraping again from the admin scraping page.`);
+      process.exit(0);
+    }
+
     if (result.success) {
       console.log('\n' + '='.repeat(80));
       console.log('✨ MASSIVE SCRAPING JOB COMPLETED SUCCESSFULLY!');
@@ -66,9 +71,8 @@ async function startMassiveScraping() {
       console.log(`📋 Job ID: ${result.jobId}`);
       console.log(`⏱️  Duration: ${result.duration}s`);
       console.log(`📊 Results:`);
-      console.log(`   ✅ Saved: ${result.stats.saved} stores`);
-      console.log(`   ⏭️  Skipped: ${result.stats.skipped} stores`);
-      console.log(`   ❌ Errors: ${result.stats.errors} stores`);
+      console.log(`   📥 Queued: ${result.stats.queued} stores (start the pipeline workers to process them)`);
+      console.log(`   ⏭️  Skipped: ${result.stats.skipped} stores (already queued)`);
       console.log(`\n📈 Source Breakdown:`);
       for (const [source, count] of Object.entries(result.sourceResults || {})) {
         console.log(`   ${source}: ${count} stores`);
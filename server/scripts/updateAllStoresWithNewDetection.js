@@ -3,12 +3,14 @@
  * 
  * This script updates all stores in the database with the new enhanced detection features:
  * 1. Store unavailable check (deactivate unavailable stores)
- * 2. Currency-based country detection with diverse fallback
+ * 2. Signal-based country detection (Unknown below the confidence threshold)
  * 3. HTML title-based store name extraction
  * 4. Enhanced POD detection (50+ platforms)
  * 5. Multi-platform ad pixel detection
  * 6. Updated business model classification logic
  * 
+ * Every observation is also recorded as a StoreSnapshot (change history).
+ * 
  * Usage:
  *   node server/scripts/updateAllStoresWithNewDetection.js
  * 
@@ -30,12 +32,14 @@ import {
   getStoreName,
   getProductCount,
 } from '../utils/shopifyDetector.js';
-import { detectTheme } from '../utils/themeDetector.js';
+import { detectTheme, getThemeUpdateData } from '../utils/themeDetector.js';
 import {
   detectBusinessModel,
   detectFacebookAds,
 } from '../utils/businessModelDetector.js';
-import { detectCountry } from '../utils/countryDetector.js';
+import { detectCountry, getCountryUpdateData } from '../utils/countryDetector.js';
+import { fetchStoreSnapshot } from '../utils/storeSnapshot.js';
+import { recordStoreSnapshot } from '../services/storeHistoryService.js';
 
 // Load environment variables
 const __filename = fileURLToPath(import.meta.url);
@@ -93,8 +97,11 @@ async function processStore(store, dryRun = false) {
 
     console.log(`\n🔄 Processing: ${url}`);
 
+    // Fetch homepage, products.json and meta.json once for all checks below
+    const snapshot = await fetchStoreSnapshot(url);
+
     // Check 1: Store unavailable check
-    const isActive = await isStoreActive(url);
+    const isActive = await isStoreActive(url, snapshot);
     if (!isActive) {
       console.log(`   ❌ Store is unavailable - will deactivate`);
       shouldDeactivate = true;
@@ -104,13 +111,14 @@ async function processStore(store, dryRun = false) {
           where: { id: store.id },
           data: { isActive: false },
         });
+        await recordStoreSnapshot(store.id, 'redetection');
       }
       stats.deactivated++;
       return { deactivated: true };
     }
 
     // Check 2: Shopify store check (should already be Shopify, but verify)
-    const isShopify = await isShopifyStore(url);
+    const isShopify = await isShopifyStore(url, snapshot);
     if (!isShopify) {
       console.log(`   ❌ Store is not a Shopify store - will deactivate`);
       shouldDeactivate = true;
@@ -120,13 +128,14 @@ async function processStore(store, dryRun = false) {
           where: { id: store.id },
           data: { isActive: false, isShopify: false },
         });
+        await recordStoreSnapshot(store.id, 'redetection');
       }
       stats.deactivated++;
       return { deactivated: true };
     }
 
     // Check 3: Password protected check
-    const passwordProtected = await isPasswordProtected(url);
+    const passwordProtected = await isPasswordProtected(url, snapshot);
     if (passwordProtected) {
       console.log(`   ❌ Store is password protected - will deactivate`);
       shouldDeactivate = true;
@@ -136,6 +145,7 @@ async function processStore(store, dryRun = false) {
           where: { id: store.id },
           data: { isActive: false },
         });
+        await recordStoreSnapshot(store.id, 'redetection');
       }
       stats.deactivated++;
       return { deactivated: true };
@@ -143,12 +153,12 @@ async function processStore(store, dryRun = false) {
 
     // Run all detections in parallel for efficiency
     const results = await Promise.allSettled([
-      getStoreName(url).catch(() => null),
-      getProductCount(url).catch(() => null),
-      detectTheme(url).catch(() => null),
-      detectBusinessModel(url).catch(() => null),
-      detectFacebookAds(url).catch(() => null),
-      detectCountry(url).catch(() => null),
+      getStoreName(url, snapshot).catch(() => null),
+      getProductCount(url, snapshot).catch(() => null),
+      detectTheme(url, snapshot).catch(() => null),
+      detectBusinessModel(url, snapshot).catch(() => null),
+      detectFacebookAds(url, snapshot).catch(() => null),
+      detectCountry(url, snapshot).catch(() => null),
     ]);
 
     // Extract results
@@ -157,7 +167,7 @@ async function processStore(store, dryRun = false) {
     const themeResult = results[2].status === 'fulfilled' && results[2].value ? results[2].value : null;
     const businessModel = results[3].status === 'fulfilled' && results[3].value ? results[3].value : null;
     const hasFacebookAds = results[4].status === 'fulfilled' && results[4].value ? results[4].value : false;
-    const country = results[5].status === 'fulfilled' && results[5].value ? results[5].value : null;
+    const countryResult = results[5].status === 'fulfilled' && results[5].value ? results[5].value : null;
 
     // Use defaults if detection failed
     const finalProductCount = (productCount && productCount > 0) ? productCount : 1;
@@ -182,12 +192,12 @@ async function processStore(store, dryRun = false) {
         return url;
       }
     })()) || store.name || 'Unknown Store').trim().substring(0, 200); // Truncate to 200 chars (DB limit)
-    // Truncate country to 50 chars (database limit)
-    const finalCountry = (country || 'United States').substring(0, 50);
-    // Truncate theme to 50 chars (database limit)
-    const finalTheme = ((themeResult?.name || store.theme || 'Dawn').split(' ').map(word => 
-      word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
-    ).join(' ')).substring(0, 50);
+    // Keep the current country when the page could not be read
+    const countryData = getCountryUpdateData(countryResult);
+    const finalCountry = countryData.country || store.country;
+    // Keep the current theme when the page could not be read
+    const themeData = getThemeUpdateData(themeResult);
+    const finalTheme = themeData.theme || store.theme;
     // Truncate businessModel to 20 chars (database limit) - "Print on Demand" (18 chars) fits
     const finalBusinessModel = (businessModel || store.businessModel || 'Dropshipping').substring(0, 20);
 
@@ -221,8 +231,9 @@ async function processStore(store, dryRun = false) {
       console.log(`   📝 Name: "${store.name}" → "${finalName}"`);
     }
 
-    if (store.country !== finalCountry) {
-      updates.country = finalCountry;
+    // Stores saved before signal-based detection have no confidence yet - store it even when unchanged
+    if (store.country !== finalCountry || (countryData.country && store.countryConfidence === null)) {
+      Object.assign(updates, countryData);
       storeUpdates.country = true;
       shouldUpdate = true;
       console.log(`   🌍 Country: "${store.country}" → "${finalCountry}"`);
@@ -245,7 +256,7 @@ async function processStore(store, dryRun = false) {
     }
 
     if (store.theme !== finalTheme) {
-      updates.theme = finalTheme;
+      Object.assign(updates, themeData);
       storeUpdates.theme = true;
       shouldUpdate = true;
       console.log(`   🎨 Theme: "${store.theme}" → "${finalTheme}"`);
@@ -276,6 +287,7 @@ async function processStore(store, dryRun = false) {
           where: { id: store.id },
           data: updates,
         });
+        await recordStoreSnapshot(store.id, 'redetection');
       }
       
       // Update stats
@@ -289,6 +301,10 @@ async function processStore(store, dryRun = false) {
       console.log(`   ✅ Store updated`);
       return { updated: true, updates: storeUpdates };
     } else {
+      // Still record the observation so the history shows the store was re-checked
+      if (!dryRun) {
+        await recordStoreSnapshot(store.id, 'redetection');
+      }
       stats.skipped++;
       console.log(`   ⏭️  No changes needed`);
       return { skipped: true };
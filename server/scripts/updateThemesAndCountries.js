@@ -3,7 +3,7 @@
  * 
  * This script updates all stores in the database with:
  * 1. Improved theme detection (replaces "Unknown" themes with detected or random free themes)
- * 2. Improved country detection (updates countries with better accuracy)
+ * 2. Improved country detection (Unknown countries are re-detected, never defaulted)
  * 
  * Usage:
  *   node server/scripts/updateThemesAndCountries.js
@@ -172,27 +172,20 @@ async function updateThemesAndCountries() {
             if (!store.country || store.country === 'Unknown') {
               try {
                 console.log(`   🌍 Detecting country for: ${store.url}`);
-                const country = await detectCountry(store.url);
+                const countryResult = await detectCountry(store.url);
                 
-                if (country && country !== 'Unknown') {
-                  updates.country = country;
+                if (countryResult && countryResult.country !== 'Unknown') {
+                  updates.country = countryResult.country;
                   needsUpdate = true;
                   countryUpdated++;
-                  console.log(`      ✅ Country: ${country}`);
+                  console.log(`      ✅ Country: ${countryResult.country} (confidence ${countryResult.confidence})`);
                 } else {
-                  // Fallback to United States
-                  updates.country = 'United States';
-                  needsUpdate = true;
-                  countryUpdated++;
-                  console.log(`      ⚠️  Country not detected, defaulting to: United States`);
+                  // Leave it Unknown - no default country
+                  console.log(`      ⚠️  Country not detected, keeping: Unknown`);
                 }
               } catch (error) {
                 countryErrors++;
                 console.error(`      ❌ Error detecting country for ${store.url}:`, error.message);
-                // Default to United States on error
-                updates.country = 'United States';
-                needsUpdate = true;
-                countryUpdated++;
               }
             }
           }
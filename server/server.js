@@ -12,8 +12,18 @@ import contactRoutes from './routes/contact.js';
 import adminRoutes from './routes/admin.js';
 import subscriptionRoutes from './routes/subscriptions.js';
 import visitorRoutes from './routes/visitors.js';
+import savedSearchRoutes from './routes/savedSearches.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import exportRoutes from './routes/exports.js';
+import watchlistRoutes from './routes/watchlist.js';
+import teamRoutes from './routes/team.js';
+import deviceRoutes from './routes/devices.js';
 import { apiLimiter } from './middleware/rateLimiter.js';
 import { securityLogger, requestSizeLimiter, validateOrigin } from './middleware/security.js';
+import { sendSavedSearchDigests } from './services/savedSearchService.js';
+import { cleanupExpiredExports, failInterruptedExportJobs } from './services/exportService.js';
+import { recalculateStoreScores } from './services/storeScoreService.js';
+import { rebuildSimilarityVectors } from './services/lookalikeService.js';
 
 // Get current directory for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -32,6 +42,11 @@ const PORT = process.env.PORT || 3000;
   try {
     await connectPostgres();
     console.log('✅ PostgreSQL connected');
+
+    // Export jobs run in-process, so any still running were cut off by the restart
+    await failInterruptedExportJobs().catch(error => {
+      console.error('❌ Failed to reset interrupted export jobs:', error.message);
+    });
   } catch (error) {
     console.error('\n❌ PostgreSQL connection failed!');
     console.error('   PostgreSQL is required for the application to work.');
@@ -132,7 +147,7 @@ app.use(cors({
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Accept', 'Origin', 'X-Requested-With'],
-  exposedHeaders: ['Content-Length', 'Content-Type'],
+  exposedHeaders: ['Content-Length', 'Content-Type', 'Content-Disposition', 'X-Export-Truncated'],
   maxAge: 86400, // Cache preflight requests for 24 hours
 }));
 
@@ -146,6 +161,12 @@ app.use('/api/auth/admin', adminRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/visitors', visitorRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/watchlist', watchlistRoutes);
+app.use('/api/team', teamRoutes);
+app.use('/api/devices', deviceRoutes);
 
 // Log routes registration
 console.log('✅ Routes registered:');
@@ -183,6 +204,63 @@ app.use((err, req, res, next) => {
 
 // Store Processing Pipeline removed
 
+// Saved search digest - email stores newly matching each user's saved searches
+// Runs daily at 07:00 server time by default (override with SAVED_SEARCH_DIGEST_CRON)
+const savedSearchDigestSchedule = process.env.SAVED_SEARCH_DIGEST_CRON || '0 7 * * *';
+if (cron.validate(savedSearchDigestSchedule)) {
+  cron.schedule(savedSearchDigestSchedule, async () => {
+    try {
+      await sendSavedSearchDigests();
+    } catch (error) {
+      console.error('❌ Saved search digest failed:', error.message);
+    }
+  });
+  console.log(`✅ Saved search digest scheduled (${savedSearchDigestSchedule})`);
+} else {
+  console.error(`❌ Invalid SAVED_SEARCH_DIGEST_CRON expression: ${savedSearchDigestSchedule}`);
+}
+
+// Export cleanup - delete background export files once they expire (hourly)
+cron.schedule('0 * * * *', async () => {
+  try {
+    await cleanupExpiredExports();
+  } catch (error) {
+    console.error('❌ Export cleanup failed:', error.message);
+  }
+});
+
+// Store scores - recalculate the score behind ?sort=score
+// Runs every 6 hours by default (override with STORE_SCORE_CRON)
+const storeScoreSchedule = process.env.STORE_SCORE_CRON || '15 */6 * * *';
+if (cron.validate(storeScoreSchedule)) {
+  cron.schedule(storeScoreSchedule, async () => {
+    try {
+      await recalculateStoreScores();
+    } catch (error) {
+      console.error('❌ Store score recalculation failed:', error.message);
+    }
+  });
+  console.log(`✅ Store score recalculation scheduled (${storeScoreSchedule})`);
+} else {
+  console.error(`❌ Invalid STORE_SCORE_CRON expression: ${storeScoreSchedule}`);
+}
+
+// Lookalike stores - rebuild the similarity vectors behind GET /api/stores/:id/similar
+// Runs daily at 03:30 server time by default (override with LOOKALIKE_VECTORS_CRON)
+const lookalikeVectorsSchedule = process.env.LOOKALIKE_VECTORS_CRON || '30 3 * * *';
+if (cron.validate(lookalikeVectorsSchedule)) {
+  cron.schedule(lookalikeVectorsSchedule, async () => {
+    try {
+      await rebuildSimilarityVectors();
+    } catch (error) {
+      console.error('❌ Similarity vector rebuild failed:', error.message);
+    }
+  });
+  console.log(`✅ Similarity vector rebuild scheduled (${lookalikeVectorsSchedule})`);
+} else {
+  console.error(`❌ Invalid LOOKALIKE_VECTORS_CRON expression: ${lookalikeVectorsSchedule}`);
+}
+
 // Graceful shutdown handling
 let isShuttingDown = false;
 
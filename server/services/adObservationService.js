@@ -0,0 +1,191 @@
+import crypto from 'crypto';
+import { getPrisma } from '../config/postgres.js';
+import { getAdPlatform } from '../config/adPlatforms.js';
+import { normalizeShippingCountry } from '../utils/marketDetector.js';
+import { canonicalizeUrl } from '../utils/urlCanonicalizer.js';
+
+/**
+ * AD OBSERVATION SERVICE
+ *
+ * The ad library and social scrapers attach the ad they found a store in to the
+ * scraped entry (`ad`: { platform, adId, creativeUrl, creativeText, country, startedAt }).
+ * We keep one AdObservation per store and ad, and move its lastSeen forward every time
+ * a scrape sees it again - the store page's ad timeline and the "advertising on TikTok
+ * in the last 7 days" filter read from these rows.
+ */
+
+// Ad copy kept per observation
+const MAX_CREATIVE_TEXT_LENGTH = 2000;
+
+// Ads recorded per store from one scrape
+const MAX_ADS_PER_STORE = 50;
+
+const truncate = (value, length) => (typeof value === 'string' && value.trim() ? value.trim().substring(0, length) : null);
+
+// Only http(s) creative links are kept - they come from scraped, advertiser-controlled data
+const toCreativeUrl = (value) => {
+  const url = truncate(value, 1000);
+  return url && /^https?:\/\//i.test(url) ? url : null;
+};
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Convert a scraper `ad` into AdObservation fields (null if unusable)
+ * Ads without a platform ID are keyed by a hash of their creative, so the same
+ * creative seen again updates the same row.
+ * @param {Object} ad - { platform, adId, creativeUrl, creativeText, country, startedAt }
+ * @param {string} source - Scraper source name
+ */
+export const toAdObservation = (ad, source) => {
+  const platform = getAdPlatform(ad?.platform);
+  const creativeUrl = toCreativeUrl(ad?.creativeUrl);
+  const creativeText = truncate(ad?.creativeText, MAX_CREATIVE_TEXT_LENGTH);
+  const adId = ad?.adId !== undefined && ad?.adId !== null ? String(ad.adId).trim() : '';
+  if (!platform || (!adId && !creativeUrl && !creativeText)) return null;
+
+  const adKey = adId && adId.length <= 64
+    ? adId
+    : crypto.createHash('sha256').update(`${adId}|${creativeUrl || ''}|${creativeText || ''}`).digest('hex');
+
+  return {
+    platform,
+    adKey,
+    source: (source || 'unknown').substring(0, 50),
+    creativeUrl,
+    creativeText,
+    country: normalizeShippingCountry(ad.country) || null,
+    startedAt: toDate(ad.startedAt),
+  };
+};
+
+/**
+ * Record the ads a scrape saw for a store (insert new ads, move lastSeen of known ones)
+ * Never throws - ad evidence must not break the scrape or discovery job that found it.
+ * @param {string} storeId - Store ID
+ * @param {Array} ads - toAdObservation() results (or the same objects read back from a job payload)
+ * @returns {Promise<number>} - Number of ads recorded
+ */
+export const recordAdObservations = async (storeId, ads = []) => {
+  if (!storeId || !Array.isArray(ads) || ads.length === 0) return 0;
+
+  const prisma = getPrisma();
+  const seenAt = new Date();
+  let recorded = 0;
+
+  for (const ad of ads.slice(0, MAX_ADS_PER_STORE)) {
+    // Ads queued with a discovery job come back from JSON (startedAt as a string)
+    const { startedAt: startedAtValue, ...observation } = ad;
+    const startedAt = toDate(startedAtValue);
+    try {
+      await prisma.adObservation.upsert({
+        where: { storeId_platform_adKey: { storeId, platform: observation.platform, adKey: observation.adKey } },
+        create: {
+          ...observation,
+          storeId,
+          firstSeen: startedAt && startedAt < seenAt ? startedAt : seenAt,
+          lastSeen: seenAt,
+        },
+        update: {
+          lastSeen: seenAt,
+          creativeUrl: observation.creativeUrl ?? undefined,
+          creativeText: observation.creativeText ?? undefined,
+          country: observation.country ?? undefined,
+        },
+      });
+      recorded++;
+    } catch (error) {
+      console.error(`[Ad Observations] Failed to record ${observation.platform} ad for store ${storeId}:`, error.message);
+    }
+  }
+
+  return recorded;
+};
+
+/**
+ * Group the ads attached to scraped entries by canonical store URL
+ * @param {Array} stores - Scraped entries ({ url, ad, source | sourceName })
+ * @returns {Map<string, Array>} - canonical URL -> toAdObservation() results
+ */
+export const groupScrapedAds = (stores = []) => {
+  const adsByUrl = new Map();
+
+  for (const store of stores) {
+    if (!store?.ad) continue;
+    const url = canonicalizeUrl(store.url);
+    const observation = toAdObservation(store.ad, store.source || store.sourceName);
+    if (!url || !observation) continue;
+
+    const ads = adsByUrl.get(url) || [];
+    if (!ads.some(ad => ad.platform === observation.platform && ad.adKey === observation.adKey)) {
+      ads.push(observation);
+    }
+    adsByUrl.set(url, ads);
+  }
+
+  return adsByUrl;
+};
+
+/**
+ * Record scraped ads for stores that are already saved
+ * (ads for new stores travel with their discovery job and are recorded once it saves them)
+ * @param {Map<string, Array>} adsByUrl - groupScrapedAds() result
+ * @returns {Promise<Object>} - { stores, ads } recorded
+ */
+export const recordScrapedAds = async (adsByUrl) => {
+  const result = { stores: 0, ads: 0 };
+  if (!adsByUrl || adsByUrl.size === 0) return result;
+
+  try {
+    const prisma = getPrisma();
+    const known = await prisma.store.findMany({
+      where: { url: { in: [...adsByUrl.keys()] } },
+      select: { id: true, url: true },
+    });
+
+    for (const store of known) {
+      const recorded = await recordAdObservations(store.id, adsByUrl.get(store.url));
+      if (recorded > 0) {
+        result.stores++;
+        result.ads += recorded;
+      }
+    }
+  } catch (error) {
+    console.error('[Ad Observations] Failed to record scraped ads:', error.message);
+  }
+
+  return result;
+};
+
+/**
+ * Ad timeline for the store detail page (most recently seen first)
+ * @param {string} storeId - Store ID
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} - { total, ads: [{ platform, source, creativeUrl, creativeText, country, firstSeen, lastSeen }] }
+ */
+export const getAdTimeline = async (storeId, { limit = 50 } = {}) => {
+  const prisma = getPrisma();
+
+  const [ads, total] = await Promise.all([
+    prisma.adObservation.findMany({
+      where: { storeId },
+      orderBy: { lastSeen: 'desc' },
+      take: limit,
+      select: {
+        platform: true,
+        source: true,
+        creativeUrl: true,
+        creativeText: true,
+        country: true,
+        firstSeen: true,
+        lastSeen: true,
+      },
+    }),
+    prisma.adObservation.count({ where: { storeId } }),
+  ]);
+
+  return { total, ads };
+};
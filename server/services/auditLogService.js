@@ -0,0 +1,103 @@
+import { once } from 'events';
+import { getPrisma } from '../config/postgres.js';
+import { getAuditActor, diffAuditChanges, renderAuditCsvHeader, renderAuditCsvLine } from '../utils/auditLog.js';
+
+/**
+ * AUDIT LOG SERVICE
+ *
+ * Writes and reads the append-only audit log (AuditEvent, utils/auditLog.js).
+ * Events are only ever created - nothing in the app updates or deletes them.
+ */
+
+const EXPORT_PAGE_SIZE = 500;
+
+/**
+ * Record a privileged action
+ * Never throws - a failed audit write is logged and the action still succeeds.
+ * @param {Object} req - Express request (actor from verifyAdminToken, IP and user agent)
+ * @param {Object} event - { action, targetType, targetId, targetLabel, before, after, fields, metadata }
+ *   before/after are the target record before and after the action; only `fields` are compared when given
+ * @returns {Promise<Object|null>} - Created event
+ */
+export const recordAuditEvent = async (req, { action, targetType, targetId = null, targetLabel = null, before = null, after = null, fields = null, metadata = null }) => {
+  try {
+    const prisma = getPrisma();
+    return await prisma.auditEvent.create({
+      data: {
+        action,
+        ...getAuditActor(req),
+        targetType,
+        targetId: targetId ? String(targetId) : null,
+        targetLabel: targetLabel ? String(targetLabel).substring(0, 255) : null,
+        changes: before || after ? diffAuditChanges(before, after, fields) : undefined,
+        metadata: metadata || undefined,
+        ipAddress: (req.ip || req.connection?.remoteAddress || '').substring(0, 45) || null,
+        userAgent: req.headers['user-agent']?.substring(0, 500) || null,
+      },
+    });
+  } catch (error) {
+    console.error(`❌ Failed to record audit event ${action}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Find audit events, newest first
+ * @param {Object} where - buildAuditFilter() result
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} - { events, total, page, limit, totalPages }
+ */
+export const findAuditEvents = async (where, { page = 1, limit = 50 } = {}) => {
+  const prisma = getPrisma();
+  const [events, total] = await Promise.all([
+    prisma.auditEvent.findMany({
+      where,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.auditEvent.count({ where }),
+  ]);
+
+  return { events, total, page, limit, totalPages: Math.ceil(total / limit) };
+};
+
+/**
+ * Stream every matching audit event (newest first) as CSV or NDJSON, then end the stream
+ * @param {Writable} stream - HTTP response
+ * @param {Object} where - buildAuditFilter() result
+ * @param {string} format - 'csv' | 'ndjson'
+ * @returns {Promise<number>} - Number of events written
+ */
+export const writeAuditExportStream = async (stream, where, format) => {
+  const prisma = getPrisma();
+  const write = async (chunk) => {
+    if (!stream.write(chunk)) {
+      await once(stream, 'drain');
+    }
+  };
+
+  if (format === 'csv') {
+    await write(renderAuditCsvHeader() + '\n');
+  }
+
+  let rowCount = 0;
+  let cursor = null;
+  while (true) {
+    const events = await prisma.auditEvent.findMany({
+      where,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: EXPORT_PAGE_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+    if (events.length === 0) break;
+    cursor = events[events.length - 1].id;
+
+    const lines = events.map(event => (format === 'ndjson' ? JSON.stringify(event) : renderAuditCsvLine(event)));
+    await write(lines.join('\n') + '\n');
+    rowCount += events.length;
+  }
+
+  stream.end();
+  return rowCount;
+};
@@ -1,6 +1,8 @@
 import { getPrisma } from '../config/postgres.js';
 import { detectBusinessModelWithScores } from '../utils/businessModelDetectorV2.js';
 import { detectFacebookAds } from '../utils/businessModelDetector.js';
+import { fetchStoreSnapshot } from '../utils/storeSnapshot.js';
+import { recordStoreSnapshot } from './storeHistoryService.js';
 
 /**
  * PHASE 4: BUSINESS MODEL CLASSIFICATION SERVICE
@@ -20,9 +22,10 @@ import { detectFacebookAds } from '../utils/businessModelDetector.js';
  */
 export const classifyBusinessModel = async (url) => {
   try {
-    // Get business model detection with confidence scores
-    const businessModelResult = await detectBusinessModelWithScores(url);
-    const hasAds = await detectFacebookAds(url);
+    // Get business model detection with confidence scores (both detectors share one page fetch)
+    const snapshot = await fetchStoreSnapshot(url);
+    const businessModelResult = await detectBusinessModelWithScores(url, snapshot);
+    const hasAds = await detectFacebookAds(url, snapshot);
     
     // Use scores directly from detector
     const scores = businessModelResult.scores || {
@@ -130,6 +133,9 @@ export const updateStoreClassification = async (storeId, classificationResult) =
       },
     });
     
+    // Keep the new classification in the store's change history
+    await recordStoreSnapshot(storeId, 'classification');
+    
     return { success: true };
   } catch (error) {
     console.error(`[Classification] Error updating store ${storeId}:`, error.message);
@@ -138,14 +144,13 @@ export const updateStoreClassification = async (storeId, classificationResult) =
 };
 
 /**
- * Classify stores that need classification
+ * Find stores that need classification
+ * Priority: confirmed Shopify stores with null or low-confidence classifications
  */
-export const classifyPendingStores = async (limit = 100) => {
+export const findStoresPendingClassification = async (limit = 100) => {
   const prisma = getPrisma();
   
-  // Get stores that need classification
-  // Priority: confirmed Shopify stores with null or low-confidence classifications
-  const stores = await prisma.store.findMany({
+  return prisma.store.findMany({
     where: {
       AND: [
         { shopifyStatus: { in: ['confirmed', 'probable'] } }, // Only verified Shopify stores
@@ -173,8 +178,40 @@ export const classifyPendingStores = async (limit = 100) => {
       url: true,
       retryCount: true,
       tagsLocked: true,
+      nextRetryAt: true,
     },
   });
+};
+
+/**
+ * Classify a single store
+ * Throws if the store can't be updated, so queue workers can retry it
+ * @param {Object} store - { id, url }
+ * @returns {Promise<Object>} - { primaryBusinessModel, businessModelConfidence, skipped }
+ */
+export const classifyStore = async (store) => {
+  const classificationResult = await classifyBusinessModel(store.url);
+  const updateResult = await updateStoreClassification(store.id, classificationResult);
+  
+  if (!updateResult.success && !updateResult.skipped) {
+    throw new Error(updateResult.error || 'Failed to update store classification');
+  }
+  
+  return {
+    primaryBusinessModel: classificationResult.primaryBusinessModel,
+    businessModelConfidence: classificationResult.businessModelConfidence,
+    skipped: !!updateResult.skipped,
+  };
+};
+
+/**
+ * Classify stores that need classification
+ */
+export const classifyPendingStores = async (limit = 100) => {
+  const prisma = getPrisma();
+  
+  // Get stores that need classification
+  const stores = await findStoresPendingClassification(limit);
   
   console.log(`[Classification] Processing ${stores.length} stores for business model classification...`);
   
@@ -12,9 +12,12 @@ import { findNewStoresViaFingerprints } from '../utils/shopifyFingerprintScraper
 import { scrapeSocialMediaForStores } from '../utils/socialMediaScraper.js';
 import { findStoresViaCdnPatterns } from '../utils/shopifyCdnScraper.js';
 import { findStoresViaGoogleIndex } from '../utils/googleIndexScraper.js';
-import { processStore, saveStore } from './storeProcessor.js';
+import { enqueueJob, runJobNow } from './jobQueue.js';
+import { recordSourceStats } from './scrapingStatsService.js';
 import { getPrisma } from '../config/postgres.js';
 import { filterAlreadyScrapedUrls, getDeduplicationStats } from '../utils/deduplication.js';
+import { canonicalizeUrl } from '../utils/urlCanonicalizer.js';
+import { groupScrapedAds, recordScrapedAds } from './adObservationService.js';
 
 // Scraping state management
 let isScraping = false;
@@ -48,6 +51,9 @@ const SCRAPING_CONFIG = {
   DELAY_BETWEEN_SOURCES: 500, // Reduced from 2000ms to 500ms
   DELAY_BETWEEN_STORES: 100, // Reduced from 500ms to 100ms
   
+  // Scheduled scraping stopped by an admin (persisted in scraping_settings)
+  PAUSED: false,
+  
   // Countries to scrape - GLOBAL (all countries, no limits)
   // Empty array means scrape globally without country restrictions
   COUNTRIES: [], // Global scraping - no country limits
@@ -75,6 +81,42 @@ const SCRAPING_CONFIG = {
   },
 };
 
+// Defaults for the settings admins can change (see loadScrapingConfig)
+const DEFAULT_ENABLED_SOURCES = { ...SCRAPING_CONFIG.ENABLED_SOURCES };
+
+// Scraping sources in run order - key is the ENABLED_SOURCES toggle that controls each source
+const SOURCE_DEFINITIONS = [
+  // Original sources
+  { key: 'reddit', name: 'Reddit', fn: scrapeReddit, priority: 1 },
+  { key: 'marketplace', name: 'Shopify Marketplace', fn: scrapeShopifyMarketplace, priority: 1 },
+  { key: 'searchEngines', name: 'Search Engines', fn: () => scrapeSearchEngines([]), priority: 2 }, // Global scraping - no country limits
+  {
+    key: 'searchEngines',
+    name: 'Google Custom Search Engine',
+    fn: scrapeGoogleCustomSearch,
+    priority: 2,
+    isAvailable: () => !!(process.env.GOOGLE_CSE_API_KEY && process.env.GOOGLE_CSE_ID), // Only if configured
+  },
+  { key: 'socialMedia', name: 'Social Media & Platforms', fn: scrapeSocialMedia, priority: 2 },
+  { key: 'commonCrawl', name: 'Common Crawl', fn: scrapeCommonCrawl, priority: 3 },
+  // Also scrape by country for better coverage
+  { key: 'commonCrawl', name: 'Common Crawl (By Country)', fn: () => scrapeCommonCrawlByCountry(SCRAPING_CONFIG.COUNTRIES), priority: 3 },
+  { key: 'freeAPIs', name: 'Free APIs', fn: scrapeFreeAPIs, priority: 3 },
+  // Massive scraping sources for internet-wide coverage
+  { key: 'massive', name: 'Certificate Transparency', fn: scrapeCertificateTransparency, priority: 4 },
+  { key: 'massive', name: 'Massive Internet Scrape', fn: runMassiveScrape, priority: 4 },
+  // Tier 1 - Ultra Early Detection (0-6 hours after launch) - finds stores earliest
+  { key: 'shopifyFingerprints', name: 'Shopify Fingerprint Detection', fn: findNewStoresViaFingerprints, priority: 1 },
+  { key: 'shopifyCdn', name: 'Shopify CDN Pattern Scanner', fn: findStoresViaCdnPatterns, priority: 1 },
+  // Tier 2 - Early Detection (1-24 hours after launch)
+  { key: 'socialMediaAdvanced', name: 'Social Media Advanced (TikTok/Instagram/Pinterest/Google Ads)', fn: scrapeSocialMediaForStores, priority: 2 },
+  // Tier 3 - Delayed Detection (24-48 hours after launch)
+  { key: 'googleIndexGaps', name: 'Google Index Gaps', fn: findStoresViaGoogleIndex, priority: 3 },
+];
+
+// The scheduled "scrape all sources" job in the discovery queue
+const SCRAPE_JOB_KEY = 'scrape_sources';
+
 /**
  * Enhanced scraping job with better error handling and queue management
  */
@@ -94,6 +136,13 @@ export const runContinuousScrapingJob = async (jobId = null) => {
     return { success: false, message: 'Database not connected' };
   }
 
+  // Pick up settings changed from the admin panel
+  await loadScrapingConfig();
+  if (SCRAPING_CONFIG.PAUSED) {
+    console.log('⏸️  Scraping is paused by an admin, skipping...');
+    return { success: true, skipped: true, message: 'Scraping is paused' };
+  }
+
   isScraping = true;
   currentJobId = jobId || `job-${Date.now()}`;
   const startTime = Date.now();
@@ -112,130 +161,31 @@ export const runContinuousScrapingJob = async (jobId = null) => {
     
     // Phase 1: Scrape from all enabled sources in parallel batches
     console.log('\n📡 Phase 1: Scraping from multiple sources...');
-    const sources = [];
-    
-    if (SCRAPING_CONFIG.ENABLED_SOURCES.reddit) {
-      sources.push({
-        name: 'Reddit',
-        fn: scrapeReddit,
-        priority: 1,
-      });
-    }
-    
-    if (SCRAPING_CONFIG.ENABLED_SOURCES.marketplace) {
-      sources.push({
-        name: 'Shopify Marketplace',
-        fn: scrapeShopifyMarketplace,
-        priority: 1,
-      });
-    }
-    
-    if (SCRAPING_CONFIG.ENABLED_SOURCES.searchEngines) {
-      sources.push({
-        name: 'Search Engines',
-        fn: () => scrapeSearchEngines([]), // Global scraping - no country limits
-        priority: 2,
-      });
-      
-      // Add Google Custom Search if configured
-      if (process.env.GOOGLE_CSE_API_KEY && process.env.GOOGLE_CSE_ID) {
-        sources.push({
-          name: 'Google Custom Search Engine',
-          fn: scrapeGoogleCustomSearch,
-          priority: 2,
-        });
-      }
-    }
-    
-    if (SCRAPING_CONFIG.ENABLED_SOURCES.socialMedia) {
-      sources.push({
-        name: 'Social Media & Platforms',
-        fn: scrapeSocialMedia,
-        priority: 2,
-      });
-    }
-    
-    if (SCRAPING_CONFIG.ENABLED_SOURCES.commonCrawl) {
-      sources.push({
-        name: 'Common Crawl',
-        fn: scrapeCommonCrawl,
-        priority: 3,
-      });
-      
-      // Also scrape by country for better coverage
-      sources.push({
-        name: 'Common Crawl (By Country)',
-        fn: () => scrapeCommonCrawlByCountry(SCRAPING_CONFIG.COUNTRIES),
-        priority: 3,
-      });
-    }
-    
-    if (SCRAPING_CONFIG.ENABLED_SOURCES.freeAPIs) {
-      sources.push({
-        name: 'Free APIs',
-        fn: scrapeFreeAPIs,
-        priority: 3,
-      });
-    }
-    
-    // Add massive scraping sources for internet-wide coverage
-    if (SCRAPING_CONFIG.ENABLED_SOURCES.massive) {
-      sources.push({
-        name: 'Certificate Transparency',
-        fn: scrapeCertificateTransparency,
-        priority: 4,
-      });
-      
-      sources.push({
-        name: 'Massive Internet Scrape',
-        fn: runMassiveScrape,
-        priority: 4,
-      });
-    }
-    
-    // NEW: Tier 1 - Ultra Early Detection (0-6 hours after launch)
-    if (SCRAPING_CONFIG.ENABLED_SOURCES.shopifyFingerprints) {
-      sources.push({
-        name: 'Shopify Fingerprint Detection',
-        fn: findNewStoresViaFingerprints,
-        priority: 1, // High priority - finds stores earliest
-      });
-    }
-    
-    if (SCRAPING_CONFIG.ENABLED_SOURCES.shopifyCdn) {
-      sources.push({
-        name: 'Shopify CDN Pattern Scanner',
-        fn: findStoresViaCdnPatterns,
-        priority: 1, // High priority - finds stores earliest
-      });
-    }
-    
-    // NEW: Tier 2 - Early Detection (1-24 hours after launch)
-    if (SCRAPING_CONFIG.ENABLED_SOURCES.socialMediaAdvanced) {
-      sources.push({
-        name: 'Social Media Advanced (TikTok/Instagram/Pinterest/Google Ads)',
-        fn: scrapeSocialMediaForStores,
-        priority: 2, // Medium-high priority
-      });
-    }
-    
-    // NEW: Tier 3 - Delayed Detection (24-48 hours after launch)
-    if (SCRAPING_CONFIG.ENABLED_SOURCES.googleIndexGaps) {
-      sources.push({
-        name: 'Google Index Gaps',
-        fn: findStoresViaGoogleIndex,
-        priority: 3, // Medium priority
-      });
-    }
+    const sources = SOURCE_DEFINITIONS.filter(source =>
+      SCRAPING_CONFIG.ENABLED_SOURCES[source.key] && (!source.isAvailable || source.isAvailable())
+    );
+    let stopped = false;
     
     // Execute sources in batches with delays
     for (let i = 0; i < sources.length; i++) {
       const source = sources[i];
+      
+      // Admins can stop a run from the scraping page - skip the remaining sources
+      if (await isScrapingPaused()) {
+        console.log(`\n⏹️  Scraping stopped by an admin - skipping ${sources.length - i} remaining sources`);
+        stopped = true;
+        break;
+      }
+      
       try {
         console.log(`\n🔍 [${i + 1}/${sources.length}] Scraping: ${source.name}...`);
         const stores = await source.fn();
         sourceResults[source.name] = stores.length;
-        allStores.push(...stores);
+        // Remember which source found each URL (per-source yield)
+        allStores.push(...stores.map(store => (
+          typeof store === 'string' ? { url: store, sourceName: source.name } : { ...store, sourceName: source.name }
+        )));
+        await recordSourceStats(source.name, { urlsFound: stores.length });
         console.log(`   ✅ Found ${stores.length} stores from ${source.name}`);
         
         // Rate limiting between sources
@@ -248,11 +198,19 @@ export const runContinuousScrapingJob = async (jobId = null) => {
       }
     }
     
+    // Record the ads the sources saw - for known stores now (they are skipped below),
+    // for new stores once their discovery job saves them
+    const adsByUrl = groupScrapedAds(allStores);
+    if (adsByUrl.size > 0) {
+      const recordedAds = await recordScrapedAds(adsByUrl);
+      console.log(`\n📢 Ads seen for ${adsByUrl.size} stores (${recordedAds.ads} ads recorded for ${recordedAds.stores} known stores)`);
+    }
+    
     // Phase 2: Deduplicate stores (both in-memory and database)
     console.log('\n📦 Phase 2: Deduplicating stores...');
     
     // First, get all URLs from the collected stores
-    const allUrls = allStores.map(store => store.url || (typeof store === 'string' ? store : null)).filter(Boolean);
+    const allUrls = allStores.map(store => store.url).filter(Boolean);
     
     console.log(`   📊 Total URLs collected: ${allUrls.length}`);
     
@@ -270,10 +228,15 @@ export const runContinuousScrapingJob = async (jobId = null) => {
     // Filter stores to only include new URLs
     const uniqueStores = [];
     const seenUrls = new Set();
+    const rejectedBySource = {}; // { [source]: { alreadyKnown, duplicates } }
+    const reject = (store, reason) => {
+      rejectedBySource[store.sourceName] = rejectedBySource[store.sourceName] || { alreadyKnown: 0, duplicates: 0 };
+      rejectedBySource[store.sourceName][reason]++;
+    };
     
     for (const store of allStores) {
       try {
-        const storeUrl = store.url || (typeof store === 'string' ? store : null);
+        const storeUrl = store.url;
         
         if (!storeUrl) {
           continue; // Skip stores without URLs
@@ -281,11 +244,13 @@ export const runContinuousScrapingJob = async (jobId = null) => {
         
         // Skip if already seen in this batch
         if (seenUrls.has(storeUrl.toLowerCase())) {
+          reject(store, 'duplicates');
           continue;
         }
         
         // Skip if already scraped (in database)
         if (!newUrlsSet.has(storeUrl)) {
+          reject(store, 'alreadyKnown');
           continue; // Already in database, skip
         }
         
@@ -294,6 +259,8 @@ export const runContinuousScrapingJob = async (jobId = null) => {
         if (!seenUrls.has(normalizedUrl)) {
           seenUrls.add(normalizedUrl);
           uniqueStores.push(store);
+        } else {
+          reject(store, 'duplicates');
         }
       } catch (error) {
         // Skip invalid URLs
@@ -319,90 +286,34 @@ export const runContinuousScrapingJob = async (jobId = null) => {
       console.log(`   - All URLs filtered by pre-validation`);
     }
     
-    // Phase 3: Process and save stores in batches
-    console.log(`\n⚙️  Phase 3: Processing ${uniqueStores.length} stores...`);
-    let saved = 0;
-    let newStores = 0;  // Track new stores separately
-    let updatedStores = 0;  // Track updated stores separately
+    // Phase 3: Queue discovered URLs - discovery workers save them and hand them
+    // on to verification (see workers/pipelineWorker.js)
+    console.log(`\n📥 Phase 3: Queueing ${uniqueStores.length} stores for discovery...`);
+    let queued = 0;
     let skipped = 0;
-    let errors = 0;
-    let duplicates = 0;
-    
-    // Process in batches to avoid overwhelming the system
-    for (let i = 0; i < uniqueStores.length; i += SCRAPING_CONFIG.BATCH_SIZE) {
-      const batch = uniqueStores.slice(i, i + SCRAPING_CONFIG.BATCH_SIZE);
-      const batchNumber = Math.floor(i / SCRAPING_CONFIG.BATCH_SIZE) + 1;
-      const totalBatches = Math.ceil(uniqueStores.length / SCRAPING_CONFIG.BATCH_SIZE);
-      
-      console.log(`\n   📦 Processing batch ${batchNumber}/${totalBatches} (${batch.length} stores)...`);
-      
-      // Process batch with limited concurrency
-      const batchPromises = batch.map(async (storeData, index) => {
-        const storeIndex = i + index + 1;
-        
-        try {
-          // Note: Duplicate check already done in Phase 2, but keeping as safety check
-          // This should rarely trigger since we filtered in Phase 2
-          
-          // Process store with retry logic
-          let processedStore = null;
-          let retries = 0;
-          
-          while (retries < SCRAPING_CONFIG.MAX_RETRIES && !processedStore) {
-            try {
-              processedStore = await processStore(storeData);
-              break;
-            } catch (error) {
-              retries++;
-              if (retries < SCRAPING_CONFIG.MAX_RETRIES) {
-                console.log(`   ⚠️  Retry ${retries}/${SCRAPING_CONFIG.MAX_RETRIES} for ${storeData.url}`);
-                await new Promise(resolve => setTimeout(resolve, SCRAPING_CONFIG.RETRY_DELAY * retries));
-              } else {
-                throw error;
-              }
-            }
-          }
-          
-          if (processedStore && processedStore.isShopify === true) {
-            const saveResult = await saveStore(processedStore);
-            const savedStore = saveResult.store;
-            const isNew = saveResult.isNew;
-            
-            saved++;
-            totalStoresSaved++;
-            
-            // Track new vs updated stores separately
-            if (isNew) {
-              newStores++;
-            } else {
-              updatedStores++;
-            }
-            
-            if (storeIndex % 10 === 0 || saved === 1) {
-              const action = isNew ? 'NEW' : 'UPDATED';
-              console.log(`   ✅ [${storeIndex}/${uniqueStores.length}] ${action}: ${savedStore.name || savedStore.url} (${savedStore.country || 'Unknown'}) - ${savedStore.productCount || 0} products`);
-            }
-            
-            return { status: 'saved', store: savedStore, isNew };
-          } else {
-            skipped++;
-            return { status: 'skipped', store: storeData.url };
-          }
-        } catch (error) {
-          errors++;
-          console.error(`   ❌ [${storeIndex}/${uniqueStores.length}] ERROR processing ${storeData.url}:`, error.message);
-          return { status: 'error', store: storeData.url, error: error.message };
-        }
+    for (const store of uniqueStores) {
+      const isQueued = await enqueueJob('discovery', {
+        type: 'discovered_url',
+        dedupeKey: store.url.toLowerCase(),
+        payload: {
+          url: store.url,
+          source: store.sourceName,
+          metadata: store.metadata || {},
+          ads: adsByUrl.get(canonicalizeUrl(store.url)) || [],
+        },
       });
-      
-      // Wait for batch to complete with limited concurrency
-      const results = await Promise.allSettled(batchPromises);
-      
-      // Rate limiting between batches
-      if (i + SCRAPING_CONFIG.BATCH_SIZE < uniqueStores.length) {
-        await new Promise(resolve => setTimeout(resolve, SCRAPING_CONFIG.DELAY_BETWEEN_STORES * 10));
+      if (isQueued) {
+        queued++;
+      } else {
+        skipped++;
+        reject(store, 'duplicates'); // Already queued by an earlier run
       }
     }
+    totalStoresSaved += queued;
+    
+    for (const [source, rejected] of Object.entries(rejectedBySource)) {
+      await recordSourceStats(source, rejected);
+    }
     
     // Update statistics
     totalStoresScraped += uniqueStores.length;
@@ -419,27 +330,14 @@ export const runContinuousScrapingJob = async (jobId = null) => {
     console.log(`📋 Job ID: ${currentJobId}`);
     console.log(`⏱️  Duration: ${duration}s`);
     console.log(`📊 Results:`);
-    console.log(`   ✅ Saved: ${saved} stores total`);
-    console.log(`      🆕 New stores: ${newStores} (will appear in UI)`);
-    console.log(`      🔄 Updated stores: ${updatedStores} (won't appear as new)`);
-    console.log(`   ⏭️  Skipped: ${skipped} stores`);
-    console.log(`   🔄 Duplicates: ${duplicates} stores`);
-    console.log(`   ❌ Errors: ${errors} stores`);
+    console.log(`   📥 Queued: ${queued} stores for discovery`);
+    console.log(`   ⏭️  Skipped: ${skipped} stores (already queued)`);
     console.log(`\n📈 Overall Statistics:`);
     console.log(`   Total stores scraped: ${totalStoresScraped}`);
-    console.log(`   Total stores saved: ${totalStoresSaved}`);
+    console.log(`   Total stores queued: ${totalStoresSaved}`);
     console.log(`   Average per job: ${scrapingStats.averageStoresPerJob} stores`);
     console.log(`   Jobs completed: ${scrapingStats.successfulJobs}/${scrapingStats.totalJobs}`);
     
-    if (saved === 0 && uniqueStores.length > 0) {
-      console.log(`\n⚠️  WARNING: Found ${uniqueStores.length} URLs but none were saved!`);
-      console.log(`   Common reasons:`);
-      console.log(`   - Not confirmed Shopify stores`);
-      console.log(`   - Password protected`);
-      console.log(`   - Inactive stores`);
-      console.log(`   - Missing name and product count`);
-    }
-    
     console.log(`\n🔄 Next automatic scrape will run in ${SCRAPING_CONFIG.AUTO_SCRAPE_INTERVAL} minutes\n`);
     
     scrapingStats.successfulJobs++;
@@ -448,12 +346,11 @@ export const runContinuousScrapingJob = async (jobId = null) => {
       success: true,
       jobId: currentJobId,
       duration: parseFloat(duration),
+      stopped,
       stats: {
         found: uniqueStores.length,
-        saved,
+        queued,
         skipped,
-        duplicates,
-        errors,
       },
       sourceResults,
     };
@@ -496,17 +393,195 @@ export const getContinuousScrapingStatus = () => {
 };
 
 /**
- * Update scraping configuration
+ * Get scraping configuration
+ */
+export const getScrapingConfig = () => {
+  return { ...SCRAPING_CONFIG };
+};
+
+/**
+ * List scraping sources with the toggle (ENABLED_SOURCES key) that controls each one
+ */
+export const getScrapingSources = () => {
+  return SOURCE_DEFINITIONS.map(source => ({
+    key: source.key,
+    name: source.name,
+    priority: source.priority,
+    available: !source.isAvailable || source.isAvailable(),
+  }));
+};
+
+/**
+ * Load admin settings from the database into SCRAPING_CONFIG
+ * Worker and API processes each keep their own copy, so call this before relying on it.
+ * @returns {Promise<Object>} - Current configuration
+ */
+export const loadScrapingConfig = async () => {
+  const prisma = getPrisma();
+  const settings = await prisma.scrapingSettings.findUnique({ where: { id: 'default' } });
+
+  if (settings) {
+    const enabledSources = settings.enabledSources || {};
+    Object.assign(SCRAPING_CONFIG, {
+      AUTO_SCRAPE_INTERVAL: settings.autoScrapeInterval,
+      BATCH_SIZE: settings.batchSize,
+      MAX_CONCURRENT: settings.maxConcurrent,
+      PAUSED: settings.isPaused,
+      // Sources added since the settings were saved keep their default
+      ENABLED_SOURCES: Object.fromEntries(Object.keys(DEFAULT_ENABLED_SOURCES).map(key => [
+        key,
+        typeof enabledSources[key] === 'boolean' ? enabledSources[key] : DEFAULT_ENABLED_SOURCES[key],
+      ])),
+    });
+  }
+
+  return getScrapingConfig();
+};
+
+/**
+ * Validate a settings update from the admin panel
+ * @param {Object} input - { enabledSources?, batchSize?, maxConcurrent?, autoScrapeInterval? }
+ * @returns {Object} - { updates } or { error }
+ */
+export const sanitizeScrapingConfigUpdate = (input = {}) => {
+  const updates = {};
+  const limits = {
+    batchSize: [1, 1000],
+    maxConcurrent: [1, 200],
+    autoScrapeInterval: [1, 24 * 60],
+  };
+
+  for (const [field, [min, max]] of Object.entries(limits)) {
+    if (input[field] === undefined) continue;
+    const value = parseInt(input[field]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${field} must be a whole number between ${min} and ${max}` };
+    }
+    updates[field] = value;
+  }
+
+  if (input.enabledSources !== undefined) {
+    if (!input.enabledSources || typeof input.enabledSources !== 'object' || Array.isArray(input.enabledSources)) {
+      return { error: 'enabledSources must be an object of source keys to booleans' };
+    }
+    for (const [key, enabled] of Object.entries(input.enabledSources)) {
+      if (!(key in DEFAULT_ENABLED_SOURCES) || typeof enabled !== 'boolean') {
+        return { error: `Invalid source toggle: ${key}` };
+      }
+    }
+    updates.enabledSources = input.enabledSources;
+  }
+
+  return { updates };
+};
+
+/**
+ * Persist scraping settings (merged over the current configuration)
+ * @param {Object} updates - Output of sanitizeScrapingConfigUpdate, or { isPaused }
+ * @param {string|null} updatedBy - Admin email
+ * @returns {Promise<Object>} - Updated configuration
+ */
+export const updateScrapingConfig = async (updates, updatedBy = null) => {
+  const current = await loadScrapingConfig();
+  const settings = {
+    enabledSources: { ...current.ENABLED_SOURCES, ...(updates.enabledSources || {}) },
+    batchSize: updates.batchSize ?? current.BATCH_SIZE,
+    maxConcurrent: updates.maxConcurrent ?? current.MAX_CONCURRENT,
+    autoScrapeInterval: updates.autoScrapeInterval ?? current.AUTO_SCRAPE_INTERVAL,
+    isPaused: updates.isPaused ?? current.PAUSED,
+    updatedBy,
+  };
+
+  const prisma = getPrisma();
+  await prisma.scrapingSettings.upsert({
+    where: { id: 'default' },
+    create: { id: 'default', ...settings },
+    update: settings,
+  });
+
+  console.log(`📝 Scraping configuration updated${updatedBy ? ` by ${updatedBy}` : ''}:`, updates);
+  return loadScrapingConfig();
+};
+
+/**
+ * Check whether an admin stopped scraping (read from the database so other processes see it)
  */
-export const updateScrapingConfig = (newConfig) => {
-  Object.assign(SCRAPING_CONFIG, newConfig);
-  console.log('📝 Scraping configuration updated:', newConfig);
+const isScrapingPaused = async () => {
+  const prisma = getPrisma();
+  const settings = await prisma.scrapingSettings.findUnique({
+    where: { id: 'default' },
+    select: { isPaused: true },
+  });
+  return !!settings?.isPaused;
 };
 
 /**
- * Get scraping configuration
+ * Queue the scheduled scrape of all sources
+ * A completed run is re-queued AUTO_SCRAPE_INTERVAL minutes after it finished,
+ * or right away with immediate: true.
+ * @returns {Promise<boolean>} - True if a run was queued
  */
-export const getScrapingConfig = () => {
-  return { ...SCRAPING_CONFIG };
+export const scheduleScrapeRun = ({ immediate = false } = {}) => {
+  return enqueueJob('discovery', {
+    type: 'scrape_sources',
+    dedupeKey: SCRAPE_JOB_KEY,
+    maxAttempts: 3,
+    requeueAfterMs: immediate ? 0 : SCRAPING_CONFIG.AUTO_SCRAPE_INTERVAL * 60 * 1000,
+  });
+};
+
+/**
+ * Start a scrape run now (admin) - also resumes scheduled scraping
+ * @returns {Promise<Object>} - { started, message }
+ */
+export const startScrapingNow = async (updatedBy = null) => {
+  await updateScrapingConfig({ isPaused: false }, updatedBy);
+
+  // Queue a new run, or move a waiting/dead run up to now
+  const started = await scheduleScrapeRun({ immediate: true }) ||
+    await runJobNow('discovery', SCRAPE_JOB_KEY) > 0;
+
+  return started
+    ? { started: true, message: 'Scraping run queued - a discovery worker will pick it up shortly' }
+    : { started: false, message: 'A scraping run is already in progress' };
+};
+
+/**
+ * Stop scraping (admin) - the current run stops after its current source
+ * and no new runs are scheduled until scraping is started again
+ */
+export const stopScraping = async (updatedBy = null) => {
+  await updateScrapingConfig({ isPaused: true }, updatedBy);
+  return { stopped: true, message: 'Scraping stopped - the current run ends after its current source' };
 };
 
+/**
+ * Scraping status from the database (works from any process)
+ * @returns {Promise<Object>} - { isScraping, isPaused, currentRun, lastRun, nextRunAt, lastError }
+ */
+export const getScrapingRunStatus = async () => {
+  const prisma = getPrisma();
+  const config = await loadScrapingConfig();
+  const job = await prisma.pipelineJob.findUnique({
+    where: { queue_dedupeKey: { queue: 'discovery', dedupeKey: SCRAPE_JOB_KEY } },
+  });
+
+  let nextRunAt = null;
+  if (job && !config.PAUSED) {
+    if (job.status === 'queued') {
+      nextRunAt = job.nextRetryAt;
+    } else if (job.status === 'completed' && job.completedAt) {
+      nextRunAt = new Date(job.completedAt.getTime() + config.AUTO_SCRAPE_INTERVAL * 60 * 1000);
+    }
+  }
+
+  return {
+    isScraping: job?.status === 'running',
+    isPaused: config.PAUSED,
+    status: job?.status || 'never_run',
+    startedAt: job?.status === 'running' ? job.lockedAt : null,
+    lastRun: job?.result ? { ...job.result, completedAt: job.completedAt } : null,
+    lastError: job?.lastError || null,
+    nextRunAt,
+  };
+};
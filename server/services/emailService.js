@@ -23,6 +23,19 @@ const createTransporter = () => {
   });
 };
 
+// Escape text for an email's HTML body (store names and URLs come from scraped sites)
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Link to a store's URL - anything but http(s) is shown as plain text
+const storeLinkHtml = (url, label, style) => (/^https?:\/\//i.test(url || '')
+  ? `<a href="${escapeHtml(url)}" style="${style}">${escapeHtml(label)}</a>`
+  : escapeHtml(label));
+
 /**
  * Send contact form email notification
  * @param {Object} contactData - Contact form data
@@ -438,7 +451,7 @@ export const sendStaffInvitation = async (data) => {
             </p>
             
             <p style="color: #999; font-size: 12px; margin-top: 20px; line-height: 1.6;">
-              <strong>Note:</strong> After accepting, you'll be able to login without a password. Your access is managed by the admin.
+              <strong>Note:</strong> Have an authenticator app (e.g. Google Authenticator) ready - you'll set it up when you accept and use it to sign in.
             </p>
           </div>
           
@@ -465,7 +478,7 @@ Accept Invitation: ${acceptUrl}
 
 This invitation link will expire in 7 days.
 
-Note: After accepting, you'll be able to login without a password. Your access is managed by the admin.
+Note: Have an authenticator app (e.g. Google Authenticator) ready - you'll set it up when you accept and use it to sign in.
 
 ---
 © ${new Date().getFullYear()} SneakLink. All rights reserved.
@@ -604,7 +617,7 @@ export const sendStaffWelcomeEmail = async (data) => {
                 1. Click the "Login to Dashboard" button above<br>
                 2. Select the "Staff" tab on the login page<br>
                 3. Enter your email: <strong>${staffEmail}</strong><br>
-                4. No password required - your access is managed by the admin
+                4. Enter the 6-digit code from the authenticator app you set up (or one of your recovery codes)
               </p>
             </div>
           </div>
@@ -640,7 +653,7 @@ Login Instructions:
 1. Click the login link above
 2. Select the "Staff" tab on the login page
 3. Enter your email: ${staffEmail}
-4. No password required - your access is managed by the admin
+4. Enter the 6-digit code from the authenticator app you set up (or one of your recovery codes)
 
 This login link will remain active until your staff access is removed by an administrator.
 
@@ -671,6 +684,115 @@ This login link will remain active until your staff access is removed by an admi
   }
 };
 
+/**
+ * Send a one-time staff sign-in link (fallback when the authenticator app is unavailable)
+ * @param {Object} data - Sign-in link data
+ * @param {string} data.staffName - Staff member's name
+ * @param {string} data.staffEmail - Staff member's email
+ * @param {string} data.loginUrl - One-time sign-in URL
+ * @param {number} data.expiresInMinutes - Minutes until the link expires
+ * @returns {Promise<Object>} - Email send result
+ */
+export const sendStaffLoginLinkEmail = async (data) => {
+  try {
+    const { staffName, staffEmail, loginUrl, expiresInMinutes } = data;
+
+    if (!staffEmail || !loginUrl) {
+      throw new Error('Missing required fields for staff sign-in link email');
+    }
+
+    const transporter = createTransporter();
+    const fromEmail = process.env.EMAIL_FROM || process.env.EMAIL_USER;
+    const fromName = process.env.EMAIL_FROM_NAME || 'SneakLink Admin';
+    const fromField = fromEmail.includes('<') ? fromEmail : `${fromName} <${fromEmail}>`;
+
+    const messageId = `<${Date.now()}-${Math.random().toString(36).substring(7)}@${fromEmail.split('@')[1] || 'sneaklink.com'}>`;
+
+    const emailHtml = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+        <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
+          <!-- Header -->
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px; font-weight: bold;">SneakLink</h1>
+          </div>
+          
+          <!-- Content -->
+          <div style="padding: 40px 20px; background: #ffffff;">
+            <h2 style="color: #333; margin-top: 0; font-size: 24px; font-weight: 600;">Your Sign-In Link</h2>
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">
+              Hi ${staffName || 'there'},
+            </p>
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">
+              Use the button below to sign in to the SneakLink admin dashboard without your authenticator app.
+            </p>
+            
+            <!-- CTA Button -->
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${loginUrl}" style="display: inline-block; background: #667eea; color: white; padding: 14px 28px; text-decoration: none; border-radius: 6px; font-weight: 600; font-size: 16px;">
+                Sign In
+              </a>
+            </div>
+            
+            <div style="background: #fff3cd; border: 1px solid #ffc107; border-radius: 4px; padding: 15px; margin-top: 20px;">
+              <p style="color: #856404; font-size: 14px; margin: 0; line-height: 1.6;">
+                This link works once and expires in ${expiresInMinutes} minutes. If you didn't ask for it, ignore this email - your account is safe.
+              </p>
+            </div>
+          </div>
+          
+          <!-- Footer -->
+          <div style="background: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #e0e0e0;">
+            <p style="color: #999; font-size: 12px; margin: 0;">
+              © ${new Date().getFullYear()} SneakLink. All rights reserved.
+            </p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const emailText = `
+SneakLink - Your Sign-In Link
+
+Hi ${staffName || 'there'},
+
+Use this link to sign in to the SneakLink admin dashboard without your authenticator app:
+
+${loginUrl}
+
+This link works once and expires in ${expiresInMinutes} minutes. If you didn't ask for it, ignore this email - your account is safe.
+
+---
+© ${new Date().getFullYear()} SneakLink. All rights reserved.
+    `;
+
+    const info = await transporter.sendMail({
+      from: fromField,
+      to: staffEmail,
+      subject: 'Your SneakLink sign-in link',
+      html: emailHtml,
+      text: emailText,
+      headers: {
+        'Message-ID': messageId,
+        'X-Mailer': 'SneakLink Email Service',
+        'X-Entity-Ref-ID': `staff-login-link-${Date.now()}`,
+      },
+      replyTo: fromEmail,
+    });
+
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('❌ Error sending staff sign-in link email:', error);
+    throw error;
+  }
+};
+
 /**
  * Send account status change notification
  * @param {Object} data - Account status notification data
@@ -1084,6 +1206,487 @@ This is an automated notification. Please do not reply to this email.
   }
 };
 
+/**
+ * Send saved search digest (stores newly matching a user's saved searches)
+ * @param {Object} data - Digest data
+ * @param {string} data.userEmail - User's email
+ * @param {string} data.userName - User's name
+ * @param {Array} data.searches - [{ name, newCount, stores: [{ name, url, country }] }]
+ * @returns {Promise<Object>} - Email send result
+ */
+export const sendSavedSearchDigest = async (data) => {
+  try {
+    const { userEmail, userName, searches } = data;
+
+    if (!userEmail || !Array.isArray(searches) || searches.length === 0) {
+      throw new Error('Missing required fields for saved search digest');
+    }
+
+    const transporter = createTransporter();
+    const fromEmail = process.env.EMAIL_FROM || process.env.EMAIL_USER;
+    const fromName = process.env.EMAIL_FROM_NAME || 'SneakLink';
+    const fromField = fromEmail.includes('<') ? fromEmail : `${fromName} <${fromEmail}>`;
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
+    const dashboardUrl = `${frontendUrl}/dashboard`;
+
+    const messageId = `<${Date.now()}-${Math.random().toString(36).substring(7)}@${fromEmail.split('@')[1] || 'sneaklink.com'}>`;
+    const totalNew = searches.reduce((sum, search) => sum + search.newCount, 0);
+
+    const searchesHtml = searches.map(search => `
+            <div style="margin: 0 0 30px 0;">
+              <h3 style="color: #333; font-size: 18px; margin: 0 0 10px 0;">
+                ${escapeHtml(search.name)} <span style="color: #667eea; font-weight: normal;">(${search.newCount} new)</span>
+              </h3>
+              <ul style="padding-left: 20px; margin: 0;">
+                ${search.stores.map(store => `
+                <li style="color: #666; font-size: 15px; line-height: 1.8;">
+                  ${storeLinkHtml(store.url, store.name || store.url, 'color: #667eea; text-decoration: none;')}${store.country ? ` <span style="color: #999;">- ${escapeHtml(store.country)}</span>` : ''}
+                </li>`).join('')}
+              </ul>
+              ${search.newCount > search.stores.length ? `<p style="color: #999; font-size: 14px; margin: 10px 0 0 0;">...and ${search.newCount - search.stores.length} more</p>` : ''}
+            </div>`).join('');
+
+    const emailHtml = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+        <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
+          <!-- Header -->
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px; font-weight: bold;">SneakLink</h1>
+          </div>
+          
+          <!-- Content -->
+          <div style="padding: 40px 20px; background: #ffffff;">
+            <h2 style="color: #333; margin-top: 0; font-size: 24px; font-weight: 600;">New Stores Matching Your Saved Searches</h2>
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">
+              Hi ${escapeHtml(userName || 'there')},
+            </p>
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">
+              We found <strong>${totalNew}</strong> new ${totalNew === 1 ? 'store' : 'stores'} matching your saved searches since our last update.
+            </p>
+            
+            ${searchesHtml}
+            
+            <!-- CTA Button -->
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${dashboardUrl}" style="display: inline-block; background: #667eea; color: white; padding: 14px 28px; text-decoration: none; border-radius: 6px; font-weight: 600; font-size: 16px;">
+                Open Dashboard
+              </a>
+            </div>
+            
+            <p style="color: #999; font-size: 14px; margin-top: 30px; line-height: 1.6;">
+              You can turn off email alerts for any saved search from the Saved searches panel on your dashboard.
+            </p>
+          </div>
+          
+          <!-- Footer -->
+          <div style="background: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #e0e0e0;">
+            <p style="color: #999; font-size: 12px; margin: 0;">
+              © ${new Date().getFullYear()} SneakLink. All rights reserved.
+            </p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const emailText = `
+SneakLink - New Stores Matching Your Saved Searches
+
+Hi ${userName || 'there'},
+
+We found ${totalNew} new ${totalNew === 1 ? 'store' : 'stores'} matching your saved searches since our last update.
+
+${searches.map(search => `${search.name} (${search.newCount} new)
+${search.stores.map(store => `- ${store.name || store.url}: ${store.url}`).join('\n')}`).join('\n\n')}
+
+Open your dashboard: ${dashboardUrl}
+
+You can turn off email alerts for any saved search from the Saved searches panel on your dashboard.
+
+---
+© ${new Date().getFullYear()} SneakLink. All rights reserved.
+    `;
+
+    const info = await transporter.sendMail({
+      from: fromField,
+      to: userEmail,
+      subject: `${totalNew} new ${totalNew === 1 ? 'store matches' : 'stores match'} your saved searches`,
+      html: emailHtml,
+      text: emailText,
+      headers: {
+        'Message-ID': messageId,
+        'X-Mailer': 'SneakLink Email Service',
+        'X-Entity-Ref-ID': `saved-search-digest-${Date.now()}`,
+      },
+      replyTo: fromEmail,
+    });
+
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('❌ Error sending saved search digest:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send watchlist alert (changes found on a store the user follows)
+ * @param {Object} data - Alert data
+ * @param {string} data.userEmail - User's email
+ * @param {string} data.userName - User's name
+ * @param {Object} data.store - { id, name, url }
+ * @param {Array} data.events - [{ type, message }]
+ * @returns {Promise<Object>} - Email send result
+ */
+export const sendWatchlistAlert = async (data) => {
+  try {
+    const { userEmail, userName, store, events } = data;
+
+    if (!userEmail || !store || !Array.isArray(events) || events.length === 0) {
+      throw new Error('Missing required fields for watchlist alert');
+    }
+
+    const transporter = createTransporter();
+    const fromEmail = process.env.EMAIL_FROM || process.env.EMAIL_USER;
+    const fromName = process.env.EMAIL_FROM_NAME || 'SneakLink';
+    const fromField = fromEmail.includes('<') ? fromEmail : `${fromName} <${fromEmail}>`;
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
+    const storeDetailUrl = `${frontendUrl}/stores/${store.id}`;
+    const storeName = store.name || store.url;
+
+    const messageId = `<${Date.now()}-${Math.random().toString(36).substring(7)}@${fromEmail.split('@')[1] || 'sneaklink.com'}>`;
+
+    const eventsHtml = events.map(event => `
+                <li style="color: #666; font-size: 15px; line-height: 1.8;">${escapeHtml(event.message)}</li>`).join('');
+
+    const emailHtml = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+        <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
+          <!-- Header -->
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px; font-weight: bold;">SneakLink</h1>
+          </div>
+          
+          <!-- Content -->
+          <div style="padding: 40px 20px; background: #ffffff;">
+            <h2 style="color: #333; margin-top: 0; font-size: 24px; font-weight: 600;">A Store You Follow Changed</h2>
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">
+              Hi ${escapeHtml(userName || 'there')},
+            </p>
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">
+              Our latest check of ${storeLinkHtml(store.url, storeName, 'color: #667eea; text-decoration: none; font-weight: bold;')} found:
+            </p>
+            <ul style="padding-left: 20px; margin: 0 0 30px 0;">
+              ${eventsHtml}
+            </ul>
+            
+            <!-- CTA Button -->
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${storeDetailUrl}" style="display: inline-block; background: #667eea; color: white; padding: 14px 28px; text-decoration: none; border-radius: 6px; font-weight: 600; font-size: 16px;">
+                View Store History
+              </a>
+            </div>
+            
+            <p style="color: #999; font-size: 14px; margin-top: 30px; line-height: 1.6;">
+              You are receiving this because you follow this store. Unfollow it or turn off its alerts from your watchlist.
+            </p>
+          </div>
+          
+          <!-- Footer -->
+          <div style="background: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #e0e0e0;">
+            <p style="color: #999; font-size: 12px; margin: 0;">
+              © ${new Date().getFullYear()} SneakLink. All rights reserved.
+            </p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const emailText = `
+SneakLink - A Store You Follow Changed
+
+Hi ${userName || 'there'},
+
+Our latest check of ${storeName} (${store.url}) found:
+
+${events.map(event => `- ${event.message}`).join('\n')}
+
+View the store history: ${storeDetailUrl}
+
+You are receiving this because you follow this store. Unfollow it or turn off its alerts from your watchlist.
+
+---
+© ${new Date().getFullYear()} SneakLink. All rights reserved.
+    `;
+
+    const info = await transporter.sendMail({
+      from: fromField,
+      to: userEmail,
+      subject: events.length === 1 ? `${storeName}: ${events[0].message}` : `${storeName}: ${events.length} changes`,
+      html: emailHtml,
+      text: emailText,
+      headers: {
+        'Message-ID': messageId,
+        'X-Mailer': 'SneakLink Email Service',
+        'X-Entity-Ref-ID': `watchlist-alert-${Date.now()}`,
+      },
+      replyTo: fromEmail,
+    });
+
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('❌ Error sending watchlist alert:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send team invitation (join someone's SneakLink team and share their plan)
+ * @param {Object} data - Invitation data
+ * @param {string} data.email - Invitee's email
+ * @param {string} data.teamName - Team name
+ * @param {string} data.inviterName - Name of the team owner who invited them
+ * @param {string} data.planName - Team plan name (e.g. 'Pro')
+ * @param {string} data.acceptUrl - Link that accepts the invitation (after signing in)
+ * @param {number} data.expiresInDays - Days until the invitation expires
+ * @returns {Promise<Object>} - Email send result
+ */
+export const sendTeamInvitationEmail = async (data) => {
+  try {
+    const { email, teamName, inviterName, planName, acceptUrl, expiresInDays } = data;
+
+    if (!email || !acceptUrl) {
+      throw new Error('Missing required fields for team invitation email');
+    }
+
+    const transporter = createTransporter();
+    const fromEmail = process.env.EMAIL_FROM || process.env.EMAIL_USER;
+    const fromName = process.env.EMAIL_FROM_NAME || 'SneakLink';
+    const fromField = fromEmail.includes('<') ? fromEmail : `${fromName} <${fromEmail}>`;
+
+    const safeTeamName = escapeHtml(teamName);
+    const safeInviterName = escapeHtml(inviterName || 'A team owner');
+
+    const messageId = `<${Date.now()}-${Math.random().toString(36).substring(7)}@${fromEmail.split('@')[1] || 'sneaklink.com'}>`;
+
+    const emailHtml = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+        <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
+          <!-- Header -->
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px; font-weight: bold;">SneakLink</h1>
+          </div>
+          
+          <!-- Content -->
+          <div style="padding: 40px 20px; background: #ffffff;">
+            <h2 style="color: #333; margin-top: 0; font-size: 24px; font-weight: 600;">Join ${safeTeamName} on SneakLink</h2>
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">
+              Hi there,
+            </p>
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">
+              ${safeInviterName} invited you to join <strong>${safeTeamName}</strong>. As a member you use the team's ${escapeHtml(planName)} plan with your own login, and see the team's saved searches, exports and watchlists.
+            </p>
+            
+            <!-- CTA Button -->
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${escapeHtml(acceptUrl)}" style="display: inline-block; background: #667eea; color: white; padding: 14px 28px; text-decoration: none; border-radius: 6px; font-weight: 600; font-size: 16px;">
+                Accept Invitation
+              </a>
+            </div>
+            
+            <p style="color: #999; font-size: 14px; margin-top: 30px; line-height: 1.6;">
+              Sign in with this email address to accept. The invitation expires in ${escapeHtml(expiresInDays)} days. If you weren't expecting it, you can ignore this email.
+            </p>
+          </div>
+          
+          <!-- Footer -->
+          <div style="background: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #e0e0e0;">
+            <p style="color: #999; font-size: 12px; margin: 0;">
+              © ${new Date().getFullYear()} SneakLink. All rights reserved.
+            </p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const emailText = `
+SneakLink - Join ${teamName}
+
+Hi there,
+
+${inviterName || 'A team owner'} invited you to join ${teamName}. As a member you use the team's ${planName || ''} plan with your own login, and see the team's saved searches, exports and watchlists.
+
+Accept the invitation: ${acceptUrl}
+
+Sign in with this email address to accept. The invitation expires in ${expiresInDays} days. If you weren't expecting it, you can ignore this email.
+
+---
+© ${new Date().getFullYear()} SneakLink. All rights reserved.
+    `;
+
+    const info = await transporter.sendMail({
+      from: fromField,
+      to: email,
+      subject: `${inviterName || 'Someone'} invited you to join ${teamName} on SneakLink`,
+      html: emailHtml,
+      text: emailText,
+      headers: {
+        'Message-ID': messageId,
+        'X-Mailer': 'SneakLink Email Service',
+        'X-Entity-Ref-ID': `team-invitation-${Date.now()}`,
+      },
+      replyTo: fromEmail,
+    });
+
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('❌ Error sending team invitation email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send "new device signed in" notice (first sign-in from a device the account hasn't used before)
+ * @param {Object} data - Sign-in data
+ * @param {string} data.email - User's email
+ * @param {string} data.userName - User's name
+ * @param {string} data.deviceLabel - e.g. 'Chrome on Windows'
+ * @param {string|null} data.ip - IP address of the sign-in
+ * @param {string|null} data.country - Country code of the sign-in, when known
+ * @param {Date} data.signedInAt - Time of the sign-in
+ * @param {string} data.devicesUrl - Account page listing the user's devices
+ * @returns {Promise<Object>} - Email send result
+ */
+export const sendNewDeviceSignInEmail = async (data) => {
+  try {
+    const { email, userName, deviceLabel, ip, country, signedInAt, devicesUrl } = data;
+
+    if (!email || !devicesUrl) {
+      throw new Error('Missing required fields for new device email');
+    }
+
+    const transporter = createTransporter();
+    const fromEmail = process.env.EMAIL_FROM || process.env.EMAIL_USER;
+    const fromName = process.env.EMAIL_FROM_NAME || 'SneakLink';
+    const fromField = fromEmail.includes('<') ? fromEmail : `${fromName} <${fromEmail}>`;
+
+    const messageId = `<${Date.now()}-${Math.random().toString(36).substring(7)}@${fromEmail.split('@')[1] || 'sneaklink.com'}>`;
+
+    const when = new Date(signedInAt || Date.now()).toUTCString();
+    const location = [ip, country].filter(Boolean).join(' · ') || 'Unknown';
+
+    const emailHtml = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+        <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
+          <!-- Header -->
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px; font-weight: bold;">SneakLink</h1>
+          </div>
+          
+          <!-- Content -->
+          <div style="padding: 40px 20px; background: #ffffff;">
+            <h2 style="color: #333; margin-top: 0; font-size: 24px; font-weight: 600;">New device signed in</h2>
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">
+              Hi ${userName || 'there'},
+            </p>
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">
+              Your SneakLink account was just signed in from a new device.
+            </p>
+            
+            <div style="background: #f8f9fa; border-radius: 6px; padding: 16px 20px; margin: 20px 0;">
+              <p style="color: #333; font-size: 14px; margin: 0 0 8px 0;"><strong>Device:</strong> ${deviceLabel || 'Unknown device'}</p>
+              <p style="color: #333; font-size: 14px; margin: 0 0 8px 0;"><strong>IP / country:</strong> ${location}</p>
+              <p style="color: #333; font-size: 14px; margin: 0;"><strong>Time:</strong> ${when}</p>
+            </div>
+            
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">
+              If this was you, there's nothing to do. If not, sign that device out and forget it from your account page. Devices you no longer use count towards your plan's device limit until you forget them.
+            </p>
+            
+            <!-- CTA Button -->
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${devicesUrl}" style="display: inline-block; background: #667eea; color: white; padding: 14px 28px; text-decoration: none; border-radius: 6px; font-weight: 600; font-size: 16px;">
+                Review Devices
+              </a>
+            </div>
+          </div>
+          
+          <!-- Footer -->
+          <div style="background: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #e0e0e0;">
+            <p style="color: #999; font-size: 12px; margin: 0;">
+              © ${new Date().getFullYear()} SneakLink. All rights reserved.
+            </p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const emailText = `
+SneakLink - New device signed in
+
+Hi ${userName || 'there'},
+
+Your SneakLink account was just signed in from a new device.
+
+Device: ${deviceLabel || 'Unknown device'}
+IP / country: ${location}
+Time: ${when}
+
+If this was you, there's nothing to do. If not, sign that device out and forget it from your account page. Devices you no longer use count towards your plan's device limit until you forget them.
+
+Review devices: ${devicesUrl}
+
+---
+© ${new Date().getFullYear()} SneakLink. All rights reserved.
+    `;
+
+    const info = await transporter.sendMail({
+      from: fromField,
+      to: email,
+      subject: `New sign-in to SneakLink from ${deviceLabel || 'a new device'}`,
+      html: emailHtml,
+      text: emailText,
+      headers: {
+        'Message-ID': messageId,
+        'X-Mailer': 'SneakLink Email Service',
+        'X-Entity-Ref-ID': `new-device-${Date.now()}`,
+      },
+      replyTo: fromEmail,
+    });
+
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('❌ Error sending new device email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 /**
  * Test email configuration
  */
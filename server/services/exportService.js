@@ -0,0 +1,265 @@
+/**
+ * Filtered Export Service
+ * Exports every store matching a GET /api/stores filter set (not just selected IDs),
+ * capped at the plan's links-per-export limit.
+ *
+ * - Small result sets are streamed straight into the HTTP response
+ * - Larger ones run as a background ExportJob that writes a file the user downloads later
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { finished } from 'stream/promises';
+import { fileURLToPath } from 'url';
+import { getPrisma } from '../config/postgres.js';
+import { buildStoreFilter, pickStoreFilters } from '../utils/storeFilters.js';
+import { buildExportSelect, writeStoreExportStream, getExportFilename } from '../utils/storeExport.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Where finished export files are written
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(__dirname, '..', 'exports');
+
+// Result sets up to this size are streamed directly; larger ones become background jobs
+export const SYNC_EXPORT_MAX_ROWS = 1000;
+
+// Hard cap for plans with unlimited links per export
+export const EXPORT_MAX_ROWS = 100000;
+
+// Rows fetched per database query
+const EXPORT_BATCH_SIZE = 500;
+
+// How long finished export files can be downloaded
+const EXPORT_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build the where-clause for a filtered export (visibility rules always applied)
+ */
+export const buildExportFilter = (filters = {}) => {
+  return buildStoreFilter(pickStoreFilters(filters));
+};
+
+/**
+ * Fetch matching stores in batches (keyset pagination on dateAdded/id, newest first)
+ * @returns {AsyncGenerator<Array>} - Batches of stores
+ */
+export async function* fetchStoreBatches(where, columns, maxRows, onBatch = null) {
+  const prisma = getPrisma();
+  const select = { ...buildExportSelect(columns), id: true };
+  let cursor = null;
+  let fetched = 0;
+
+  while (fetched < maxRows) {
+    const stores = await prisma.store.findMany({
+      where,
+      select,
+      orderBy: [{ dateAdded: 'desc' }, { id: 'desc' }],
+      take: Math.min(EXPORT_BATCH_SIZE, maxRows - fetched),
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+
+    if (stores.length === 0) {
+      return;
+    }
+
+    fetched += stores.length;
+    cursor = stores[stores.length - 1].id;
+    if (onBatch) {
+      await onBatch(fetched);
+    }
+    yield stores;
+
+    if (stores.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+  }
+}
+
+/**
+ * Stream a filtered export directly into a writable stream (HTTP response)
+ * @returns {Promise<number>} - Number of rows written
+ */
+export const streamFilteredExport = async (stream, { filters, columns, format, maxRows }) => {
+  const where = buildExportFilter(filters);
+  return writeStoreExportStream(stream, fetchStoreBatches(where, columns, maxRows), columns, format);
+};
+
+/**
+ * Run a background export job (writes the file, records progress)
+ */
+const runExportJob = async (jobId) => {
+  const prisma = getPrisma();
+  let fileStream = null;
+  let filePath = null;
+
+  try {
+    const job = await prisma.exportJob.findUnique({ where: { id: jobId } });
+    const fileName = getExportFilename(job.columns, job.format);
+    filePath = path.join(EXPORT_DIR, `${job.id}-${fileName}`);
+
+    // The path is recorded up front so a failed or interrupted job's partial file can be removed
+    await prisma.exportJob.update({
+      where: { id: jobId },
+      data: { status: 'running', startedAt: new Date(), filePath },
+    });
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    fileStream = fs.createWriteStream(filePath);
+    // Disk errors (ENOSPC, EACCES) stop the write instead of leaving it waiting for a drain
+    const fileFailed = new Promise((resolve, reject) => {
+      fileStream.once('error', reject);
+    });
+
+    const where = buildExportFilter(job.filters);
+    const updateProgress = (processedRows) => prisma.exportJob.update({
+      where: { id: jobId },
+      data: { processedRows },
+    });
+
+    const rowCount = await Promise.race([
+      writeStoreExportStream(
+        fileStream,
+        fetchStoreBatches(where, job.columns, job.maxRows, updateProgress),
+        job.columns,
+        job.format
+      ),
+      fileFailed,
+    ]);
+    await finished(fileStream);
+
+    await prisma.exportJob.update({
+      where: { id: jobId },
+      data: {
+        status: 'completed',
+        processedRows: rowCount,
+        fileName,
+        completedAt: new Date(),
+        expiresAt: new Date(Date.now() + EXPORT_TTL_MS),
+      },
+    });
+
+    console.log(`✅ [Exports] Job ${jobId} completed: ${rowCount} rows`);
+  } catch (error) {
+    console.error(`❌ [Exports] Job ${jobId} failed:`, error.message);
+    if (fileStream) {
+      fileStream.destroy();
+    }
+    if (filePath) {
+      await fs.promises.unlink(filePath).catch(() => {});
+    }
+    await prisma.exportJob.update({
+      where: { id: jobId },
+      data: {
+        status: 'failed',
+        error: error.message,
+        completedAt: new Date(),
+        expiresAt: new Date(Date.now() + EXPORT_TTL_MS),
+      },
+    }).catch(() => {});
+  }
+};
+
+/**
+ * Queue a background export job and start it
+ * @returns {Promise<Object>} - Created ExportJob
+ */
+export const startExportJob = async ({ userId, filters, columns, format, maxRows, totalRows }) => {
+  const prisma = getPrisma();
+
+  const job = await prisma.exportJob.create({
+    data: {
+      userId,
+      format,
+      columns,
+      filters: pickStoreFilters(filters),
+      maxRows,
+      totalRows,
+    },
+  });
+
+  // Run after the response is sent
+  setImmediate(() => runExportJob(job.id));
+
+  return job;
+};
+
+/**
+ * Public view of an export job (no file path)
+ */
+export const serializeExportJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  format: job.format,
+  columns: job.columns,
+  filters: job.filters,
+  totalRows: job.totalRows,
+  processedRows: job.processedRows,
+  fileName: job.fileName,
+  error: job.error,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt,
+  // Set when listed with the job's user (team members see each other's exports)
+  createdBy: job.user ? (job.user.name || job.user.email) : undefined,
+});
+
+/**
+ * Mark jobs interrupted by a server restart as failed (they run in-process)
+ */
+export const failInterruptedExportJobs = async () => {
+  const prisma = getPrisma();
+  const interruptedJobs = await prisma.exportJob.findMany({
+    where: { status: { in: ['queued', 'running'] } },
+    select: { id: true, filePath: true },
+  });
+
+  if (interruptedJobs.length === 0) {
+    return 0;
+  }
+
+  // Remove partial files; the failed jobs expire like finished ones
+  for (const job of interruptedJobs) {
+    if (job.filePath) {
+      await fs.promises.unlink(job.filePath).catch(() => {});
+    }
+  }
+
+  const result = await prisma.exportJob.updateMany({
+    where: { id: { in: interruptedJobs.map(job => job.id) } },
+    data: {
+      status: 'failed',
+      error: 'Export was interrupted by a server restart. Please start it again.',
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + EXPORT_TTL_MS),
+    },
+  });
+  console.log(`⚠️  [Exports] Marked ${result.count} interrupted export jobs as failed`);
+  return result.count;
+};
+
+/**
+ * Delete expired export files and their jobs
+ */
+export const cleanupExpiredExports = async () => {
+  const prisma = getPrisma();
+  const expiredJobs = await prisma.exportJob.findMany({
+    where: { expiresAt: { lt: new Date() } },
+    select: { id: true, filePath: true },
+  });
+
+  for (const job of expiredJobs) {
+    if (job.filePath) {
+      await fs.promises.unlink(job.filePath).catch(() => {});
+    }
+  }
+
+  if (expiredJobs.length > 0) {
+    await prisma.exportJob.deleteMany({
+      where: { id: { in: expiredJobs.map(job => job.id) } },
+    });
+    console.log(`🧹 [Exports] Removed ${expiredJobs.length} expired exports`);
+  }
+
+  return expiredJobs.length;
+};
@@ -3,8 +3,15 @@ import * as cheerio from 'cheerio';
 import { getPrisma } from '../config/postgres.js';
 import { getHTMLWithAPI } from '../utils/scrapingApi.js';
 import { getStoreName } from '../utils/shopifyDetector.js';
-import { detectCountry } from '../utils/countryDetector.js';
-import { detectTheme } from '../utils/themeDetector.js';
+import { detectCountry, getCountryUpdateData } from '../utils/countryDetector.js';
+import { UNKNOWN_COUNTRY } from '../config/countries.js';
+import { detectMarkets, getMarketUpdateData } from '../utils/marketDetector.js';
+import { detectTheme, getThemeUpdateData } from '../utils/themeDetector.js';
+import { classifyNiches, getNicheUpdateData } from '../utils/nicheClassifier.js';
+import { detectStoreTechStack, getTechStackUpdateData } from '../utils/techStackDetector.js';
+import { fetchStoreSnapshot, getStoreDescription } from '../utils/storeSnapshot.js';
+import { recordStoreSnapshot } from './storeHistoryService.js';
+import { refreshStoreProducts } from './productCatalogService.js';
 
 /**
  * PHASE 3: HEALTH CHECK SERVICE
@@ -15,19 +22,22 @@ import { detectTheme } from '../utils/themeDetector.js';
  * Core Principle: Failures must downgrade confidence, not block saving
  */
 
+// Delay before re-detecting a store whose country came out Unknown
+const COUNTRY_RETRY_DELAY_MS = 24 * 60 * 60 * 1000;
+
 /**
  * Check if store is password protected (soft check - doesn't reject)
  */
-const checkPasswordProtection = async (url) => {
+const checkPasswordProtection = async (url, snapshot = null) => {
   try {
     const normalizedUrl = url.startsWith('http') ? url : `https://${url}`;
     
-    let html = null;
-    if (process.env.SCRAPING_API_KEY) {
+    let html = snapshot ? snapshot.html : null;
+    if (!snapshot && process.env.SCRAPING_API_KEY) {
       html = await getHTMLWithAPI(normalizedUrl);
     }
     
-    if (!html) {
+    if (!html && !snapshot) {
       try {
         const response = await axios.get(normalizedUrl, {
           timeout: 10000,
@@ -74,17 +84,24 @@ const checkPasswordProtection = async (url) => {
  * Check if store appears inactive (soft check)
  * Returns: { isActive: boolean, confidence: number, reason: string, statusType: 'nonexistent' | 'possibly_inactive' | 'healthy' }
  */
-const checkStoreActivity = async (url) => {
+const checkStoreActivity = async (url, snapshot = null) => {
   try {
     const normalizedUrl = url.startsWith('http') ? `https://${url}` : url;
     
-    let html = null;
-    let responseStatus = null;
-    if (process.env.SCRAPING_API_KEY) {
+    let html = snapshot ? snapshot.html : null;
+    let responseStatus = snapshot ? snapshot.status : null;
+    if (snapshot && responseStatus === null) {
+      return { isActive: true, confidence: 0.0, reason: 'unable_to_check', statusType: 'healthy' }; // Can't determine
+    }
+    // Server error on the homepage - checked before its content, an error page is no proof the store is gone
+    if (snapshot && responseStatus >= 500) {
+      return { isActive: false, confidence: 0.7, reason: `http_${responseStatus}`, statusType: 'possibly_inactive' };
+    }
+    if (!snapshot && process.env.SCRAPING_API_KEY) {
       html = await getHTMLWithAPI(normalizedUrl);
     }
     
-    if (!html) {
+    if (!html && !snapshot) {
       try {
         const response = await axios.get(normalizedUrl, {
           timeout: 10000,
@@ -129,7 +146,10 @@ const checkStoreActivity = async (url) => {
       }
     }
     
-    // Check HTTP status
+    // Check HTTP status (the snapshot's was checked above)
+    if (snapshot) {
+      return { isActive: true, confidence: 0.8, reason: 'appears_active', statusType: 'healthy' };
+    }
     try {
       const response = await axios.get(normalizedUrl, {
         timeout: 5000,
@@ -153,11 +173,27 @@ const checkStoreActivity = async (url) => {
 /**
  * Get product count (with error handling - never defaults)
  */
-const checkProductCount = async (url) => {
+const checkProductCount = async (url, snapshot = null) => {
   try {
     const normalizedUrl = url.startsWith('http') ? url : `https://${url}`;
     const baseUrl = normalizedUrl.replace(/\/$/, '');
     
+    // Use snapshot /products.json when provided
+    if (snapshot) {
+      if (snapshot.products) {
+        return {
+          productCount: snapshot.products.length,
+          status: 'confirmed',
+          confidence: 1.0,
+        };
+      }
+      return {
+        productCount: null,
+        status: snapshot.productsStatus === 429 ? 'rate_limited' : 'unknown',
+        confidence: 0.0,
+      };
+    }
+    
     // Try /products.json endpoint
     try {
       const response = await axios.get(`${baseUrl}/products.json`, {
@@ -230,14 +266,16 @@ export const performHealthCheck = async (storeId) => {
       return { success: false, error: 'Store not found' };
     }
     
-    // Run all health checks in parallel
-    const [passwordCheck, activityCheck, productCountCheck, nameResult, countryResult, themeResult] = await Promise.allSettled([
-      checkPasswordProtection(store.url),
-      checkStoreActivity(store.url),
-      checkProductCount(store.url),
-      getStoreName(store.url).catch(() => null),
-      detectCountry(store.url).catch(() => null),
-      detectTheme(store.url).catch(() => null),
+    // Fetch the store once, then run all health checks in parallel against the snapshot
+    const snapshot = await fetchStoreSnapshot(store.url);
+    const [passwordCheck, activityCheck, productCountCheck, nameResult, countryResult, themeResult, marketResult] = await Promise.allSettled([
+      checkPasswordProtection(store.url, snapshot),
+      checkStoreActivity(store.url, snapshot),
+      checkProductCount(store.url, snapshot),
+      getStoreName(store.url, snapshot).catch(() => null),
+      detectCountry(store.url, snapshot).catch(() => null),
+      detectTheme(store.url, snapshot).catch(() => null),
+      detectMarkets(store.url, snapshot).catch(() => null),
     ]);
     
     // Extract results
@@ -245,8 +283,9 @@ export const performHealthCheck = async (storeId) => {
     const activityResult = activityCheck.status === 'fulfilled' ? activityCheck.value : { isActive: true, confidence: 0.0 };
     const productCountResult = productCountCheck.status === 'fulfilled' ? productCountCheck.value : { productCount: null, status: 'unknown' };
     const name = nameResult.status === 'fulfilled' && nameResult.value ? nameResult.value : null;
-    const country = countryResult.status === 'fulfilled' && countryResult.value ? countryResult.value : null;
+    const countryResultValue = countryResult.status === 'fulfilled' && countryResult.value ? countryResult.value : null;
     const themeResultValue = themeResult.status === 'fulfilled' && themeResult.value ? themeResult.value : null;
+    const marketResultValue = marketResult.status === 'fulfilled' && marketResult.value ? marketResult.value : null;
     
     // Determine health status based on checks
     let healthStatus = 'healthy';
@@ -292,6 +331,10 @@ export const performHealthCheck = async (storeId) => {
       updateData.nextRetryAt = null; // Never retry nonexistent stores
     } else if (productCountResult.status === 'rate_limited' || productCountResult.status === 'unknown') {
       updateData.nextRetryAt = new Date(Date.now() + 60 * 60 * 1000); // Retry in 1 hour
+    } else if (countryResultValue?.country === UNKNOWN_COUNTRY) {
+      updateData.nextRetryAt = new Date(Date.now() + COUNTRY_RETRY_DELAY_MS); // Re-detect the country later
+    } else {
+      updateData.nextRetryAt = null; // Nothing left to retry
     }
     
     // Update name if detected
@@ -299,21 +342,38 @@ export const performHealthCheck = async (storeId) => {
       updateData.name = name.substring(0, 500);
     }
     
-    // Update country if detected
-    if (country && country !== 'Unknown') {
-      updateData.country = country.substring(0, 50);
+    // Update the meta description when the page has one (searchable with ?q=)
+    const description = getStoreDescription(snapshot);
+    if (description) {
+      updateData.description = description;
     }
     
-    // Update theme if detected
-    if (themeResultValue?.name) {
-      updateData.theme = themeResultValue.name.substring(0, 50);
-    }
+    // Update country when the page could be read (Unknown included - no default country)
+    Object.assign(updateData, getCountryUpdateData(countryResultValue));
+    
+    // Update markets (currencies, locales, ship-to countries) when the page or /meta.json could be read
+    Object.assign(updateData, getMarketUpdateData(marketResultValue, updateData.countryCode));
+    
+    // Update theme when the page could be read (Unknown/Custom included - no guessing)
+    Object.assign(updateData, getThemeUpdateData(themeResultValue));
+    
+    // Re-classify niches from the same page and products (offline, no extra requests)
+    Object.assign(updateData, getNicheUpdateData(classifyNiches(snapshot)));
+    
+    // Re-detect installed apps and tools from the same page
+    Object.assign(updateData, getTechStackUpdateData(detectStoreTechStack(snapshot)));
     
     await prisma.store.update({
       where: { id: storeId },
       data: updateData,
     });
     
+    // Refresh the sampled product catalog from the same /products.json response
+    await refreshStoreProducts(storeId, snapshot, updateData.currencies?.[0]);
+    
+    // Keep the observation in the store's change history
+    await recordStoreSnapshot(storeId, 'health_check');
+    
     return { success: true };
   } catch (error) {
     console.error(`[HealthCheck] Error checking store ${storeId}:`, error.message);
@@ -322,13 +382,12 @@ export const performHealthCheck = async (storeId) => {
 };
 
 /**
- * Perform health checks on stores that need checking
+ * Find verified Shopify stores that need a health check
  */
-export const performPendingHealthChecks = async (limit = 100) => {
+export const findStoresPendingHealthCheck = async (limit = 100) => {
   const prisma = getPrisma();
   
-  // Get stores that need health checks
-  const stores = await prisma.store.findMany({
+  return prisma.store.findMany({
     where: {
       OR: [
         { healthStatus: 'unknown' },
@@ -343,8 +402,19 @@ export const performPendingHealthChecks = async (limit = 100) => {
       id: true,
       url: true,
       retryCount: true,
+      nextRetryAt: true,
     },
   });
+};
+
+/**
+ * Perform health checks on stores that need checking
+ */
+export const performPendingHealthChecks = async (limit = 100) => {
+  const prisma = getPrisma();
+  
+  // Get stores that need health checks
+  const stores = await findStoresPendingHealthCheck(limit);
   
   console.log(`[HealthCheck] Processing ${stores.length} stores for health checks...`);
   
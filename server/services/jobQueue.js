@@ -0,0 +1,322 @@
+import crypto from 'crypto';
+import { Prisma } from '@prisma/client';
+import { getPrisma } from '../config/postgres.js';
+
+/**
+ * PIPELINE JOB QUEUE
+ *
+ * Postgres-backed queue for the store pipeline:
+ *   discovery (scrape sources, save discovered URLs) -> verify -> health -> classify
+ *
+ * Jobs survive restarts and can be worked on by any number of worker processes
+ * (see workers/pipelineWorker.js). Workers claim jobs with FOR UPDATE SKIP LOCKED,
+ * failed jobs are retried with backoff (retryCount / nextRetryAt), and jobs that
+ * run out of attempts are kept as 'dead' until an admin retries them.
+ */
+
+export const QUEUES = ['discovery', 'verify', 'health', 'classify'];
+
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+// Completed jobs are not re-queued for the same key within this window by default
+const DEFAULT_REQUEUE_AFTER_MS = 60 * 60 * 1000;
+
+// Running jobs whose worker hasn't sent a heartbeat within this window are assumed lost
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+// Completed jobs are deleted after a week (dead jobs are kept until retried)
+const COMPLETED_JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Backoff before retry N: 1 min, 5 min, 25 min, ... capped at 6 hours
+ */
+const getRetryDelayMs = (retryCount) => {
+  return Math.min(60 * 1000 * Math.pow(5, retryCount - 1), 6 * 60 * 60 * 1000);
+};
+
+/**
+ * Add a job to a queue
+ * A queue holds one job per dedupeKey: enqueueing a key that is already queued,
+ * running or dead is a no-op, and a completed job is only re-queued once it is
+ * older than requeueAfterMs.
+ * @param {string} queue - One of QUEUES
+ * @param {Object} job - { type, dedupeKey, storeId?, payload?, runAt?, maxAttempts?, requeueAfterMs? }
+ * @returns {Promise<boolean>} - True if the job was queued
+ */
+export const enqueueJob = async (queue, job) => {
+  if (!QUEUES.includes(queue)) {
+    throw new Error(`Unknown queue: ${queue}`);
+  }
+
+  const {
+    type,
+    dedupeKey,
+    storeId = null,
+    payload = {},
+    runAt = new Date(),
+    maxAttempts = 5,
+    requeueAfterMs = DEFAULT_REQUEUE_AFTER_MS,
+  } = job;
+
+  const prisma = getPrisma();
+  const requeueBefore = new Date(Date.now() - requeueAfterMs);
+
+  const rows = await prisma.$queryRaw`
+    INSERT INTO pipeline_jobs (id, queue, type, dedupe_key, store_id, payload, max_attempts, next_retry_at, created_at, updated_at)
+    VALUES (${crypto.randomUUID()}, ${queue}, ${type}, ${String(dedupeKey).substring(0, 500)}, ${storeId},
+            ${JSON.stringify(payload)}::jsonb, ${maxAttempts}, ${runAt}, now(), now())
+    ON CONFLICT (queue, dedupe_key) DO UPDATE SET
+      type = EXCLUDED.type,
+      store_id = EXCLUDED.store_id,
+      payload = EXCLUDED.payload,
+      max_attempts = EXCLUDED.max_attempts,
+      next_retry_at = EXCLUDED.next_retry_at,
+      status = 'queued',
+      retry_count = 0,
+      last_error = NULL,
+      locked_by = NULL,
+      locked_at = NULL,
+      completed_at = NULL,
+      updated_at = now()
+    WHERE pipeline_jobs.status = 'completed' AND pipeline_jobs.completed_at < ${requeueBefore}
+    RETURNING id
+  `;
+
+  return rows.length > 0;
+};
+
+/**
+ * Add many jobs to a queue
+ * @returns {Promise<Object>} - { queued, skipped }
+ */
+export const enqueueJobs = async (queue, jobs) => {
+  let queued = 0;
+  for (const job of jobs) {
+    if (await enqueueJob(queue, job)) {
+      queued++;
+    }
+  }
+  return { queued, skipped: jobs.length - queued };
+};
+
+/**
+ * Claim due jobs for a worker
+ * Rows locked by another worker are skipped, so workers never process the same job.
+ * @param {string} queue - Queue name
+ * @param {string} workerId - Identifies the worker holding the lock
+ * @param {number} limit - Maximum jobs to claim
+ * @returns {Promise<Array>} - Claimed jobs (status 'running')
+ */
+export const claimJobs = async (queue, workerId, limit = 10) => {
+  const prisma = getPrisma();
+
+  return prisma.$queryRaw`
+    UPDATE pipeline_jobs
+    SET status = 'running', locked_by = ${workerId}, locked_at = now(), updated_at = now()
+    WHERE id IN (
+      SELECT id FROM pipeline_jobs
+      WHERE queue = ${queue} AND status = 'queued' AND next_retry_at <= now()
+      ORDER BY next_retry_at
+      LIMIT ${limit}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id, queue, type, dedupe_key AS "dedupeKey", store_id AS "storeId", payload,
+              retry_count AS "retryCount", max_attempts AS "maxAttempts"
+  `;
+};
+
+/**
+ * Mark a claimed job as completed
+ */
+export const completeJob = async (job, result = null) => {
+  const prisma = getPrisma();
+  await prisma.pipelineJob.update({
+    where: { id: job.id },
+    data: {
+      status: 'completed',
+      result: result ?? Prisma.JsonNull,
+      lockedBy: null,
+      lockedAt: null,
+      completedAt: new Date(),
+    },
+  });
+};
+
+/**
+ * Record a failed attempt - schedule a retry, or dead-letter the job when out of attempts
+ * @returns {Promise<string>} - New status ('queued' | 'dead')
+ */
+export const failJob = async (job, error) => {
+  const prisma = getPrisma();
+  const retryCount = job.retryCount + 1;
+  const status = retryCount >= job.maxAttempts ? 'dead' : 'queued';
+
+  await prisma.pipelineJob.update({
+    where: { id: job.id },
+    data: {
+      status,
+      retryCount,
+      nextRetryAt: new Date(Date.now() + getRetryDelayMs(retryCount)),
+      lastError: (error?.message || String(error)).substring(0, 2000),
+      lockedBy: null,
+      lockedAt: null,
+    },
+  });
+
+  return status;
+};
+
+/**
+ * Heartbeat - refresh the locks of a worker's running jobs so long jobs aren't recovered as stale
+ */
+export const extendJobLocks = async (workerId) => {
+  const prisma = getPrisma();
+  const result = await prisma.pipelineJob.updateMany({
+    where: { lockedBy: workerId, status: 'running' },
+    data: { lockedAt: new Date() },
+  });
+  return result.count;
+};
+
+/**
+ * Put claimed jobs back without counting an attempt (worker shutting down)
+ */
+export const releaseJobs = async (jobIds) => {
+  if (jobIds.length === 0) return 0;
+  const prisma = getPrisma();
+  const result = await prisma.pipelineJob.updateMany({
+    where: { id: { in: jobIds }, status: 'running' },
+    data: { status: 'queued', lockedBy: null, lockedAt: null },
+  });
+  return result.count;
+};
+
+/**
+ * Re-queue jobs whose worker died while running them (counts as a failed attempt)
+ * @returns {Promise<number>} - Number of recovered jobs
+ */
+export const recoverStaleJobs = async () => {
+  const prisma = getPrisma();
+  const staleBefore = new Date(Date.now() - STALE_LOCK_MS);
+
+  return prisma.$executeRaw`
+    UPDATE pipeline_jobs
+    SET status = CASE WHEN retry_count + 1 >= max_attempts THEN 'dead' ELSE 'queued' END,
+        retry_count = retry_count + 1,
+        last_error = 'Worker stopped before the job finished (lock expired)',
+        locked_by = NULL,
+        locked_at = NULL,
+        next_retry_at = now(),
+        updated_at = now()
+    WHERE status = 'running' AND locked_at < ${staleBefore}
+  `;
+};
+
+/**
+ * Re-queue dead jobs (all queues, or one queue)
+ * @returns {Promise<number>} - Number of jobs re-queued
+ */
+export const retryDeadJobs = async (queue = null) => {
+  const prisma = getPrisma();
+  const result = await prisma.pipelineJob.updateMany({
+    where: {
+      status: 'dead',
+      ...(queue ? { queue } : {}),
+    },
+    data: {
+      status: 'queued',
+      retryCount: 0,
+      nextRetryAt: new Date(),
+    },
+  });
+  return result.count;
+};
+
+/**
+ * Run a waiting or dead job right away (attempts start over)
+ * @returns {Promise<number>} - Number of jobs moved up (0 if none or already running)
+ */
+export const runJobNow = async (queue, dedupeKey) => {
+  const prisma = getPrisma();
+  const result = await prisma.pipelineJob.updateMany({
+    where: {
+      queue,
+      dedupeKey,
+      status: { in: ['queued', 'dead'] },
+    },
+    data: {
+      status: 'queued',
+      retryCount: 0,
+      nextRetryAt: new Date(),
+    },
+  });
+  return result.count;
+};
+
+/**
+ * Delete old completed jobs
+ * @returns {Promise<number>} - Number of jobs deleted
+ */
+export const cleanupCompletedJobs = async () => {
+  const prisma = getPrisma();
+  const result = await prisma.pipelineJob.deleteMany({
+    where: {
+      status: 'completed',
+      completedAt: { lt: new Date(Date.now() - COMPLETED_JOB_TTL_MS) },
+    },
+  });
+  return result.count;
+};
+
+/**
+ * Job counts per queue and status, plus the most recent dead jobs
+ * @returns {Promise<Object>} - { queues: { [queue]: { queued, running, completed, dead, due } }, deadJobs }
+ */
+export const getQueueStats = async () => {
+  const prisma = getPrisma();
+
+  const [counts, due, deadJobs] = await Promise.all([
+    prisma.pipelineJob.groupBy({
+      by: ['queue', 'status'],
+      _count: { _all: true },
+    }),
+    prisma.pipelineJob.groupBy({
+      by: ['queue'],
+      where: { status: 'queued', nextRetryAt: { lte: new Date() } },
+      _count: { _all: true },
+    }),
+    prisma.pipelineJob.findMany({
+      where: { status: 'dead' },
+      orderBy: { updatedAt: 'desc' },
+      take: 50,
+      select: {
+        id: true,
+        queue: true,
+        type: true,
+        dedupeKey: true,
+        storeId: true,
+        retryCount: true,
+        lastError: true,
+        updatedAt: true,
+      },
+    }),
+  ]);
+
+  const queues = Object.fromEntries(QUEUES.map(queue => [
+    queue,
+    Object.fromEntries([...JOB_STATUSES.map(status => [status, 0]), ['due', 0]]),
+  ]));
+
+  for (const row of counts) {
+    if (queues[row.queue]) {
+      queues[row.queue][row.status] = row._count._all;
+    }
+  }
+  for (const row of due) {
+    if (queues[row.queue]) {
+      queues[row.queue].due = row._count._all;
+    }
+  }
+
+  return { queues, deadJobs };
+};
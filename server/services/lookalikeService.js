@@ -0,0 +1,217 @@
+import { getPrisma } from '../config/postgres.js';
+import { buildVisibilityFilter } from '../utils/visibilityRules.js';
+import {
+  tokenizeProducts,
+  getVocabularyWeights,
+  getPriceBand,
+  buildSimilarityVector,
+  cosineSimilarity,
+  getSharedFeatures,
+} from '../utils/lookalike.js';
+
+/**
+ * LOOKALIKE SERVICE
+ *
+ * Rebuilds the similarity vectors (utils/lookalike.js) of every store that isn't
+ * dead - scheduled in server.js (LOOKALIKE_VECTORS_CRON) and runnable by hand with
+ * `npm run rebuild-similarity` - and finds the stores most similar to one store.
+ */
+
+const PAGE_SIZE = 200;
+
+// Stores compared per lookalike request - those sharing the most niches, apps, theme,
+// business model and country come first
+const MAX_CANDIDATES = 2000;
+
+// A rebuild reads every store twice - never run two at once
+let isRebuilding = false;
+
+const STORE_VECTOR_SELECT = {
+  id: true,
+  niches: true,
+  nicheScores: true,
+  techStack: true,
+  businessModelScores: true,
+  tags: true,
+  theme: true,
+  countryCode: true,
+  products: {
+    select: { title: true, productType: true, tags: true, minPrice: true },
+  },
+};
+
+/**
+ * Page through the stores to vectorize (cursor by id)
+ * @param {Function} handlePage - Called with each page of stores (with their sampled products)
+ */
+const forEachStorePage = async (prisma, limit, handlePage) => {
+  const where = { storeStatus: { not: 'dead' } };
+  let processed = 0;
+  let cursor = null;
+
+  while (!limit || processed < limit) {
+    const stores = await prisma.store.findMany({
+      where: cursor ? { ...where, id: { gt: cursor } } : where,
+      orderBy: { id: 'asc' },
+      take: limit ? Math.min(PAGE_SIZE, limit - processed) : PAGE_SIZE,
+      select: STORE_VECTOR_SELECT,
+    });
+    if (stores.length === 0) break;
+    cursor = stores[stores.length - 1].id;
+
+    await handlePage(stores);
+    processed += stores.length;
+  }
+
+  return processed;
+};
+
+/**
+ * Rebuild store similarity vectors
+ * Pass 1 counts in how many stores each product word appears (for TF-IDF), pass 2 builds the vectors.
+ * @param {Object} options - { limit } (stores to process, for testing)
+ * @returns {Promise<Object>} - { processed, errors } (null if a rebuild is already in progress)
+ */
+export const rebuildSimilarityVectors = async ({ limit = null } = {}) => {
+  if (isRebuilding) {
+    console.warn('⚠️  Similarity vector rebuild already running - skipping');
+    return null;
+  }
+  isRebuilding = true;
+
+  try {
+    const prisma = getPrisma();
+
+    const documentFrequencies = new Map();
+    const storeCount = await forEachStorePage(prisma, limit, async (stores) => {
+      for (const store of stores) {
+        for (const word of tokenizeProducts(store.products).keys()) {
+          documentFrequencies.set(word, (documentFrequencies.get(word) || 0) + 1);
+        }
+      }
+    });
+
+    const stats = { processed: 0, errors: 0 };
+    const updatedAt = new Date();
+    await forEachStorePage(prisma, limit, async (stores) => {
+      for (const store of stores) {
+        try {
+          const vector = buildSimilarityVector(store, {
+            vocabulary: getVocabularyWeights(tokenizeProducts(store.products), documentFrequencies, storeCount),
+            priceBand: getPriceBand(store.products),
+          });
+          await prisma.store.update({
+            where: { id: store.id },
+            data: { similarityVector: vector, similarityUpdatedAt: updatedAt },
+          });
+        } catch (error) {
+          stats.errors++;
+          console.error(`[Lookalike] Failed to build vector for store ${store.id}:`, error.message);
+        }
+      }
+      stats.processed += stores.length;
+    });
+
+    console.log(`✅ Similarity vectors rebuilt: ${stats.processed} stores, ${documentFrequencies.size} words (${stats.errors} errors)`);
+    return stats;
+  } finally {
+    isRebuilding = false;
+  }
+};
+
+/**
+ * IDs of the stores to compare with a store - the ones sharing the most traits (each shared
+ * niche and app, theme, business model and country counts one), newest first on ties.
+ * Hidden stores are dropped here roughly and exactly by the visibility filter afterwards.
+ */
+const findCandidateIds = async (prisma, storeId, { niches, techStack, theme, primaryBusinessModel, countryCode }) => {
+  const rows = await prisma.$queryRaw`
+    SELECT s.id
+    FROM stores s
+    WHERE s.id <> ${storeId}
+      AND s.similarity_updated_at IS NOT NULL
+      AND s.store_status NOT IN ('dead', 'inactive_shopify', 'blocked')
+      AND (
+        s.niches && ${niches}::text[] OR
+        s.tech_stack && ${techStack}::text[] OR
+        s.theme = ${theme} OR
+        s.primary_business_model = ${primaryBusinessModel} OR
+        s.country_code = ${countryCode}
+      )
+    ORDER BY
+      cardinality(ARRAY(SELECT unnest(s.niches) INTERSECT SELECT unnest(${niches}::text[]))) +
+      cardinality(ARRAY(SELECT unnest(s.tech_stack) INTERSECT SELECT unnest(${techStack}::text[]))) +
+      (CASE WHEN s.theme = ${theme} THEN 1 ELSE 0 END) +
+      (CASE WHEN s.primary_business_model = ${primaryBusinessModel} THEN 1 ELSE 0 END) +
+      (CASE WHEN s.country_code = ${countryCode} THEN 1 ELSE 0 END) DESC,
+      s.date_added DESC
+    LIMIT ${MAX_CANDIDATES}
+  `;
+  return rows.map(row => row.id);
+};
+
+/**
+ * Find the visible stores most similar to a store
+ * @param {Object} store - Store with similarityVector, niches, techStack, theme, primaryBusinessModel, countryCode
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} - { stores: [{ ...store, similarity, sharedFeatures }], vectorUpdatedAt }
+ *   (no stores until the store has a vector)
+ */
+export const findSimilarStores = async (store, { limit = 20 } = {}) => {
+  const vector = store.similarityVector && typeof store.similarityVector === 'object' ? store.similarityVector : {};
+  if (Object.keys(vector).length === 0) {
+    return { stores: [], vectorUpdatedAt: store.similarityUpdatedAt ?? null };
+  }
+
+  // Only stores sharing at least one strong trait are compared
+  const traits = {
+    niches: store.niches || [],
+    techStack: store.techStack || [],
+    theme: store.theme && store.theme !== 'Unknown' ? store.theme : null,
+    primaryBusinessModel: store.primaryBusinessModel || null,
+    countryCode: store.countryCode || null,
+  };
+  if (traits.niches.length === 0 && traits.techStack.length === 0 &&
+    !traits.theme && !traits.primaryBusinessModel && !traits.countryCode) {
+    return { stores: [], vectorUpdatedAt: store.similarityUpdatedAt };
+  }
+
+  const prisma = getPrisma();
+  const candidateIds = await findCandidateIds(prisma, store.id, traits);
+  if (candidateIds.length === 0) {
+    return { stores: [], vectorUpdatedAt: store.similarityUpdatedAt };
+  }
+
+  const candidates = await prisma.store.findMany({
+    where: {
+      AND: [
+        buildVisibilityFilter({}),
+        { id: { in: candidateIds } },
+      ],
+    },
+    select: {
+      id: true,
+      name: true,
+      url: true,
+      country: true,
+      theme: true,
+      niches: true,
+      productCount: true,
+      score: true,
+      dateAdded: true,
+      similarityVector: true,
+    },
+  });
+
+  const ranked = candidates
+    .map(({ similarityVector, ...candidate }) => ({
+      ...candidate,
+      similarity: Math.round(cosineSimilarity(vector, similarityVector || {}) * 100) / 100,
+      sharedFeatures: getSharedFeatures(vector, similarityVector || {}),
+    }))
+    .filter(candidate => candidate.similarity > 0)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+
+  return { stores: ranked, vectorUpdatedAt: store.similarityUpdatedAt };
+};
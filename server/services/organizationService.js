@@ -0,0 +1,328 @@
+/**
+ * Organization (Team) Service
+ * A paying user can start a team and invite people by email, up to their
+ * plan's maxUsers seats (owner included). While they hold a seat, members:
+ * - use the owner's plan instead of their own (getEffectivePlan)
+ * - share the team's usage counters (getUsageAccount)
+ * - see the whole team's saved searches, exports and watchlists (getTeamUserIds)
+ *
+ * Seats go by join order, so after a downgrade the latest members lose access
+ * to the team plan until seats free up - nobody is removed automatically.
+ */
+
+import crypto from 'crypto';
+import { getPrisma } from '../config/postgres.js';
+import { getPlanRestrictions, getMaxUsers } from '../config/planRestrictions.js';
+import { sendTeamInvitationEmail } from './emailService.js';
+
+export const TEAM_INVITATION_EXPIRY_DAYS = 7;
+
+// Counters the team shares (same fields on User and Organization)
+const USAGE_FIELDS = [
+  'filterQueriesThisMonth',
+  'filterQueriesResetDate',
+  'csvExportsToday',
+  'csvExportsResetDate',
+  'copyOperationsToday',
+  'copyOperationsResetDate',
+];
+
+/**
+ * SHA-256 hash of an invitation token (only the hash is stored)
+ */
+export const hashInvitationToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const findMembership = (userId) => {
+  const prisma = getPrisma();
+  return prisma.organizationMember.findUnique({
+    where: { userId },
+    include: {
+      organization: {
+        include: {
+          owner: { select: { id: true, name: true, email: true, subscriptionPlan: true } },
+        },
+      },
+    },
+  });
+};
+
+/**
+ * Whether a membership holds one of the team's seats (the owner always does, members by join order)
+ */
+const holdsSeat = async (membership) => {
+  if (membership.role === 'owner') return true;
+
+  const maxUsers = getMaxUsers(membership.organization.owner.subscriptionPlan || 'free');
+  if (maxUsers === Infinity) return true;
+
+  const prisma = getPrisma();
+  const earlierMembers = await prisma.organizationMember.count({
+    where: {
+      organizationId: membership.organizationId,
+      role: 'member',
+      joinedAt: { lt: membership.joinedAt },
+    },
+  });
+  return earlierMembers + 1 < maxUsers; // +1 for the owner's seat
+};
+
+/**
+ * A user's team, their role in it and whether they hold a seat
+ * @param {string} userId
+ * @returns {Promise<Object|null>} - { organization, role, seated, plan } (null when not in a team)
+ */
+export const getTeamContext = async (userId) => {
+  if (!userId) return null;
+
+  const membership = await findMembership(userId);
+  if (!membership) return null;
+
+  return {
+    organization: membership.organization,
+    role: membership.role,
+    seated: await holdsSeat(membership),
+    plan: membership.organization.owner.subscriptionPlan || 'free',
+  };
+};
+
+/**
+ * The plan a user's limits come from - their team's while they hold a seat, otherwise their own
+ * @param {Object} user - { id, subscriptionPlan }
+ * @returns {Promise<string>}
+ */
+export const getEffectivePlan = async (user) => {
+  if (!user) return 'free';
+  const team = await getTeamContext(user.id);
+  return team?.seated ? team.plan : (user.subscriptionPlan || 'free');
+};
+
+/**
+ * Where a user's usage counters live - their team's row while they hold a seat, otherwise their own
+ * @param {Object} userDoc - User record
+ * @returns {Promise<Object>} - { model: 'organization' | 'user', record, plan }
+ */
+export const getUsageAccount = async (userDoc) => {
+  const team = await getTeamContext(userDoc.id);
+  if (team?.seated) {
+    return { model: 'organization', record: team.organization, plan: team.plan };
+  }
+  return { model: 'user', record: userDoc, plan: userDoc.subscriptionPlan || 'free' };
+};
+
+/**
+ * Plan, usage counters and team of a user as returned by GET /api/auth/me
+ * @param {Object} user - User record
+ * @returns {Promise<Object>} - { plan, usage, team }
+ */
+export const getAccountSummary = async (user) => {
+  const team = await getTeamContext(user.id);
+  const seated = !!team?.seated;
+  const usage = seated ? team.organization : user;
+
+  return {
+    plan: seated ? team.plan : (user.subscriptionPlan || 'free'),
+    usage: {
+      filterQueriesThisMonth: usage.filterQueriesThisMonth || 0,
+      csvExportsToday: usage.csvExportsToday || 0,
+      copyOperationsToday: usage.copyOperationsToday || 0,
+    },
+    team: team
+      ? { id: team.organization.id, name: team.organization.name, role: team.role, seated }
+      : null,
+  };
+};
+
+/**
+ * IDs of everyone whose saved work the user can see (the team's seated members, or just the user)
+ * Seats follow holdsSeat: the owner first, then members by join order.
+ * @param {string} userId
+ * @returns {Promise<string[]>}
+ */
+export const getTeamUserIds = async (userId) => {
+  const membership = await findMembership(userId);
+  if (!membership || !(await holdsSeat(membership))) return [userId];
+
+  const prisma = getPrisma();
+  const members = await prisma.organizationMember.findMany({
+    where: { organizationId: membership.organizationId },
+    select: { userId: true, role: true },
+    orderBy: { joinedAt: 'asc' },
+  });
+
+  const maxUsers = getMaxUsers(membership.organization.owner.subscriptionPlan || 'free');
+  const seated = [
+    ...members.filter(member => member.role === 'owner'),
+    ...members.filter(member => member.role !== 'owner'),
+  ];
+  // The owner always holds a seat, even on a plan without team seats
+  return (maxUsers === Infinity ? seated : seated.slice(0, Math.max(maxUsers, 1))).map(member => member.userId);
+};
+
+/**
+ * Seats in use - the owner, members and pending (unexpired) invitations
+ * @param {string} organizationId
+ * @param {Object} client - Prisma client or transaction (defaults to the shared client)
+ */
+export const countUsedSeats = async (organizationId, client = getPrisma()) => {
+  const [members, invitations] = await Promise.all([
+    client.organizationMember.count({ where: { organizationId } }),
+    client.organizationInvitation.count({ where: { organizationId, expiresAt: { gt: new Date() } } }),
+  ]);
+  return members + invitations;
+};
+
+/**
+ * Lock a team's row until the transaction ends, so seat checks and the inserts
+ * that take a seat (invitations, new members) can't interleave
+ * @param {Object} tx - Interactive transaction client
+ * @param {string} organizationId
+ */
+export const lockOrganization = (tx, organizationId) => tx.$queryRaw`
+  SELECT id FROM organizations WHERE id = ${organizationId} FOR UPDATE
+`;
+
+/**
+ * Start a team owned by a user - the team's usage starts from the owner's own counters
+ * @param {Object} owner - User record
+ * @param {string} name - Team name
+ * @returns {Promise<Object>} - Organization
+ */
+export const createTeam = async (owner, name) => {
+  const prisma = getPrisma();
+  const counters = Object.fromEntries(USAGE_FIELDS.map(field => [field, owner[field]]));
+
+  return prisma.organization.create({
+    data: {
+      name,
+      ownerId: owner.id,
+      ...counters,
+      members: {
+        create: { userId: owner.id, role: 'owner' },
+      },
+    },
+  });
+};
+
+/**
+ * Invite someone to a team by email (re-inviting the same email sends a fresh link)
+ * A new invitation takes a seat - the seat count and the insert run under the team's row lock.
+ * @param {Object} organization - Organization (with owner)
+ * @param {Object} inviter - User record of the owner
+ * @param {string} email - Normalized email
+ * @param {number} maxUsers - The team plan's seats
+ * @returns {Promise<Object>} - { invitation, emailSent } or { seatLimitReached: true, usedSeats }
+ */
+export const inviteToTeam = async (organization, inviter, email, maxUsers) => {
+  const prisma = getPrisma();
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + TEAM_INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+  const { invitation, usedSeats } = await prisma.$transaction(async (tx) => {
+    await lockOrganization(tx, organization.id);
+
+    // Re-inviting a pending email refreshes its link without taking another seat
+    const pendingInvitation = await tx.organizationInvitation.findFirst({
+      where: { organizationId: organization.id, email, expiresAt: { gt: new Date() } },
+    });
+    const seatsInUse = await countUsedSeats(organization.id, tx);
+    if (!pendingInvitation && seatsInUse >= maxUsers) {
+      return { invitation: null, usedSeats: seatsInUse };
+    }
+
+    return {
+      invitation: await tx.organizationInvitation.upsert({
+        where: { organizationId_email: { organizationId: organization.id, email } },
+        create: {
+          organizationId: organization.id,
+          email,
+          tokenHash: hashInvitationToken(token),
+          invitedBy: inviter.id,
+          expiresAt,
+        },
+        update: {
+          tokenHash: hashInvitationToken(token),
+          invitedBy: inviter.id,
+          expiresAt,
+        },
+      }),
+      usedSeats: seatsInUse,
+    };
+  });
+
+  if (!invitation) {
+    return { seatLimitReached: true, usedSeats };
+  }
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
+  const result = await sendTeamInvitationEmail({
+    email,
+    teamName: organization.name,
+    inviterName: inviter.name,
+    planName: getPlanRestrictions(organization.owner?.subscriptionPlan || inviter.subscriptionPlan).name,
+    acceptUrl: `${frontendUrl}/account?teamInvite=${token}`,
+    expiresInDays: TEAM_INVITATION_EXPIRY_DAYS,
+  });
+
+  return { invitation, emailSent: !!result?.success };
+};
+
+/**
+ * Team details as shown on the Account page
+ * @param {Object} team - getTeamContext() result
+ * @returns {Promise<Object>}
+ */
+export const serializeTeam = async (team) => {
+  const prisma = getPrisma();
+  const { organization } = team;
+  const isOwner = team.role === 'owner';
+  const maxUsers = getMaxUsers(team.plan);
+
+  const [members, invitations, usedSeats] = await Promise.all([
+    prisma.organizationMember.findMany({
+      where: { organizationId: organization.id },
+      orderBy: { joinedAt: 'asc' },
+      include: { user: { select: { id: true, name: true, email: true, picture: true } } },
+    }),
+    isOwner
+      ? prisma.organizationInvitation.findMany({
+          where: { organizationId: organization.id, expiresAt: { gt: new Date() } },
+          orderBy: { createdAt: 'desc' },
+          select: { id: true, email: true, expiresAt: true, createdAt: true },
+        })
+      : [],
+    countUsedSeats(organization.id),
+  ]);
+
+  // Seats go to the owner, then members by join order (same rule as holdsSeat)
+  const serializedMembers = members
+    .sort((a, b) => (a.role === 'owner' ? -1 : b.role === 'owner' ? 1 : 0))
+    .map((member, index) => ({
+      userId: member.user.id,
+      name: member.user.name,
+      email: member.user.email,
+      picture: member.user.picture,
+      role: member.role,
+      joinedAt: member.joinedAt,
+      seated: member.role === 'owner' || index < maxUsers,
+    }));
+
+  return {
+    id: organization.id,
+    name: organization.name,
+    role: team.role,
+    seated: team.seated,
+    plan: team.plan,
+    planName: getPlanRestrictions(team.plan).name,
+    seats: {
+      used: usedSeats,
+      limit: maxUsers === Infinity ? -1 : maxUsers,
+    },
+    usage: {
+      filterQueriesThisMonth: organization.filterQueriesThisMonth || 0,
+      csvExportsToday: organization.csvExportsToday || 0,
+      copyOperationsToday: organization.copyOperationsToday || 0,
+    },
+    members: serializedMembers,
+    invitations,
+  };
+};
@@ -0,0 +1,143 @@
+import { getPrisma } from '../config/postgres.js';
+import { normalizeCurrency } from '../utils/marketDetector.js';
+
+/**
+ * PRODUCT CATALOG SERVICE
+ *
+ * Health checks already read /products.json (first 250 products) for the product count.
+ * We keep a sample of those products per store (StoreProduct) so stores can be searched
+ * by what they sell ("pet hoodies under $40") and the store detail page can show its
+ * top products - the first products of the store's own catalog feed.
+ */
+
+// Products kept per store (first products of the /products.json feed)
+export const PRODUCT_SAMPLE_SIZE = 50;
+
+// Image URLs kept per product
+const MAX_IMAGES = 3;
+
+// Tags kept per product
+const MAX_TAGS = 20;
+
+const truncate = (value, length) => (typeof value === 'string' && value.trim() ? value.trim().substring(0, length) : null);
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Product tags - an array in /products.json, a comma-separated string in older feeds
+ */
+const toTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : (typeof tags === 'string' ? tags.split(',') : []);
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))].slice(0, MAX_TAGS);
+};
+
+/**
+ * Convert one /products.json product into StoreProduct fields (null if unusable)
+ * @param {Object} product - Raw /products.json product
+ * @param {number} position - Position in the feed
+ * @param {string|null} currency - Store currency (ISO 4217)
+ */
+export const toSampledProduct = (product, position, currency = null) => {
+  const title = truncate(product?.title, 500);
+  if (!product?.id || !title) return null;
+
+  const prices = (Array.isArray(product.variants) ? product.variants : [])
+    .map(variant => parseFloat(variant?.price))
+    .filter(price => Number.isFinite(price) && price >= 0);
+
+  return {
+    productId: String(product.id).substring(0, 30),
+    position,
+    handle: truncate(product.handle, 255) || String(product.id),
+    title,
+    vendor: truncate(product.vendor, 255),
+    productType: truncate(product.product_type, 255),
+    tags: toTags(product.tags),
+    images: (Array.isArray(product.images) ? product.images : [])
+      .map(image => image?.src)
+      .filter(src => typeof src === 'string' && src.length <= 1000)
+      .slice(0, MAX_IMAGES),
+    minPrice: prices.length > 0 ? Math.min(...prices) : null,
+    maxPrice: prices.length > 0 ? Math.max(...prices) : null,
+    currency,
+    productCreatedAt: toDate(product.created_at),
+  };
+};
+
+/**
+ * Replace a store's product sample with the products from a store snapshot
+ * Never throws - the catalog sample must not break the health check that fetched it.
+ * @param {string} storeId - Store ID
+ * @param {Object} snapshot - fetchStoreSnapshot() result
+ * @param {string|null} fallbackCurrency - Currency when /meta.json has none (detected store currency)
+ * @returns {Promise<number|null>} - Number of sampled products, null when /products.json could not be read
+ */
+export const refreshStoreProducts = async (storeId, snapshot, fallbackCurrency = null) => {
+  // Keep the previous sample when /products.json failed (rate limited, blocked, ...)
+  if (!Array.isArray(snapshot?.products)) {
+    return null;
+  }
+
+  const prisma = getPrisma();
+  const currency = normalizeCurrency(snapshot.meta?.currency) || normalizeCurrency(fallbackCurrency);
+
+  const seen = new Set();
+  const products = [];
+  for (const product of snapshot.products) {
+    if (products.length >= PRODUCT_SAMPLE_SIZE) break;
+    const sampled = toSampledProduct(product, products.length, currency);
+    if (sampled && !seen.has(sampled.productId)) {
+      seen.add(sampled.productId);
+      products.push({ ...sampled, storeId });
+    }
+  }
+
+  try {
+    await prisma.$transaction([
+      prisma.storeProduct.deleteMany({ where: { storeId } }),
+      prisma.storeProduct.createMany({ data: products, skipDuplicates: true }),
+    ]);
+    return products.length;
+  } catch (error) {
+    console.error(`[Product Catalog] Failed to refresh products for store ${storeId}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Top products for the store detail page (feed order)
+ * @param {string} storeId - Store ID
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} - Sampled products with numeric prices
+ */
+export const getTopProducts = async (storeId, { limit = 12 } = {}) => {
+  const prisma = getPrisma();
+
+  const products = await prisma.storeProduct.findMany({
+    where: { storeId },
+    orderBy: { position: 'asc' },
+    take: limit,
+    select: {
+      productId: true,
+      handle: true,
+      title: true,
+      vendor: true,
+      productType: true,
+      images: true,
+      minPrice: true,
+      maxPrice: true,
+      currency: true,
+      productCreatedAt: true,
+      sampledAt: true,
+    },
+  });
+
+  return products.map(product => ({
+    ...product,
+    minPrice: product.minPrice === null ? null : Number(product.minPrice),
+    maxPrice: product.maxPrice === null ? null : Number(product.maxPrice),
+  }));
+};
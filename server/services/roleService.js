@@ -0,0 +1,94 @@
+import { getPrisma } from '../config/postgres.js';
+import { STAFF_ROLES, LOCKED_ROLES, PERMISSIONS, normalizePermissions } from '../utils/permissions.js';
+
+/**
+ * STAFF ROLE SERVICE
+ *
+ * Reads and edits the permission sets of the named staff roles and resolves a
+ * staff member's effective permissions (role + individual grants) on every
+ * admin request, so role edits and revoked grants apply at once.
+ */
+
+/**
+ * Permission set of one role (its edited set, else the default)
+ * @param {string} role - Role name
+ * @returns {Promise<string[]>}
+ */
+export const getRolePermissions = async (role) => {
+  if (!STAFF_ROLES[role]) return [];
+  if (LOCKED_ROLES.includes(role)) return STAFF_ROLES[role].permissions;
+
+  const prisma = getPrisma();
+  const stored = await prisma.staffRole.findUnique({ where: { name: role } });
+  return stored ? normalizePermissions(stored.permissions) : STAFF_ROLES[role].permissions;
+};
+
+/**
+ * A staff member's effective permissions - their role's plus their own grants
+ * @param {Object} staff - Staff record
+ * @returns {Promise<string[]>}
+ */
+export const resolveStaffPermissions = async (staff) => {
+  const rolePermissions = await getRolePermissions(staff.role);
+  return normalizePermissions([...rolePermissions, ...(staff.permissions || [])]);
+};
+
+/**
+ * Every role with its current permission set and how many staff hold it
+ * @returns {Promise<Object[]>} - [{ name, label, description, permissions, locked, customized, staffCount }]
+ */
+export const getStaffRoles = async () => {
+  const prisma = getPrisma();
+  const [stored, counts] = await Promise.all([
+    prisma.staffRole.findMany(),
+    prisma.staff.groupBy({ by: ['role'], _count: { _all: true } }),
+  ]);
+  const storedByName = new Map(stored.map(role => [role.name, role]));
+  const countByRole = new Map(counts.map(count => [count.role, count._count._all]));
+
+  return Object.entries(STAFF_ROLES).map(([name, role]) => {
+    const locked = LOCKED_ROLES.includes(name);
+    const edited = !locked ? storedByName.get(name) : null;
+    return {
+      name,
+      label: role.label,
+      description: role.description,
+      permissions: edited ? normalizePermissions(edited.permissions) : role.permissions,
+      locked,
+      customized: !!edited,
+      updatedBy: edited?.updatedBy || null,
+      updatedAt: edited?.updatedAt || null,
+      staffCount: countByRole.get(name) || 0,
+    };
+  });
+};
+
+/**
+ * Replace a role's permission set
+ * @param {string} role - Role name (not a locked role)
+ * @param {string[]} permissions - New permission set (unknown permissions are dropped)
+ * @param {string|null} updatedBy - Editor's email
+ * @returns {Promise<Object>} - Stored StaffRole
+ */
+export const updateRolePermissions = async (role, permissions, updatedBy = null) => {
+  const prisma = getPrisma();
+  const normalized = normalizePermissions(permissions);
+  return prisma.staffRole.upsert({
+    where: { name: role },
+    create: { name: role, permissions: normalized, updatedBy },
+    update: { permissions: normalized, updatedBy },
+  });
+};
+
+/**
+ * The permission registry grouped for display
+ * @returns {Object[]} - [{ group, permissions: [{ id, label }] }]
+ */
+export const getPermissionGroups = () => {
+  const groups = new Map();
+  for (const [id, { label, group }] of Object.entries(PERMISSIONS)) {
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push({ id, label });
+  }
+  return [...groups.entries()].map(([group, permissions]) => ({ group, permissions }));
+};
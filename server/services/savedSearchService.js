@@ -0,0 +1,172 @@
+/**
+ * Saved Search Service
+ * Named filter sets that GET /api/stores understands (?savedSearchId=...)
+ *
+ * - Unread count: visible stores matching the search added since the user last opened it
+ * - Digest: a scheduled job emails each user the stores newly matching their
+ *   saved searches (added since the previous digest)
+ */
+
+import { getPrisma } from '../config/postgres.js';
+import { getMaxSavedSearches } from '../config/planRestrictions.js';
+import { buildStoreFilter } from '../utils/storeFilters.js';
+import { sendSavedSearchDigest } from './emailService.js';
+import { getEffectivePlan, getTeamUserIds } from './organizationService.js';
+
+// Max stores listed per saved search in a digest email (the rest are summarized as "...and N more")
+const DIGEST_STORES_PER_SEARCH = 10;
+
+/**
+ * Build the where-clause for stores matching a saved search added after a date
+ */
+const buildNewMatchesFilter = (savedSearch, since) => {
+  const filter = buildStoreFilter(savedSearch.filters || {});
+  filter.AND.push({ dateAdded: { gt: since } });
+  return filter;
+};
+
+/**
+ * Count visible stores matching a saved search that the user has not seen yet
+ */
+export const getUnreadCount = async (savedSearch) => {
+  const prisma = getPrisma();
+  return prisma.store.count({
+    where: buildNewMatchesFilter(savedSearch, savedSearch.lastViewedAt),
+  });
+};
+
+/**
+ * List a user's saved searches with unread counts
+ * Team members also see their teammates' searches (isOwn: false, read-only)
+ */
+export const listSavedSearches = async (userId) => {
+  const prisma = getPrisma();
+
+  const savedSearches = await prisma.savedSearch.findMany({
+    where: { userId: { in: await getTeamUserIds(userId) } },
+    orderBy: { createdAt: 'desc' },
+    include: {
+      user: { select: { name: true, email: true } },
+    },
+  });
+
+  return Promise.all(savedSearches.map(async (savedSearch) => {
+    let unreadCount = 0;
+    try {
+      unreadCount = await getUnreadCount(savedSearch);
+    } catch (error) {
+      console.warn(`[Saved Searches] Could not count unread stores for ${savedSearch.id}:`, error.message);
+    }
+    const { user, ...fields } = savedSearch;
+    return {
+      ...fields,
+      unreadCount,
+      isOwn: savedSearch.userId === userId,
+      createdBy: user?.name || user?.email || null,
+    };
+  }));
+};
+
+/**
+ * Mark a saved search as viewed (resets its unread count)
+ */
+export const markSavedSearchViewed = async (savedSearchId) => {
+  const prisma = getPrisma();
+  return prisma.savedSearch.update({
+    where: { id: savedSearchId },
+    data: { lastViewedAt: new Date() },
+  });
+};
+
+/**
+ * Email every user a digest of stores newly matching their saved searches
+ * Searches of inactive users or users whose plan no longer includes saved searches are skipped.
+ * Returns: { users, searches, emailsSent, errors }
+ */
+export const sendSavedSearchDigests = async () => {
+  const prisma = getPrisma();
+  const runStartedAt = new Date();
+
+  const savedSearches = await prisma.savedSearch.findMany({
+    where: { emailAlerts: true },
+    include: {
+      user: {
+        select: { id: true, email: true, name: true, isActive: true, subscriptionPlan: true },
+      },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  // Group searches by user so each user gets a single email
+  const searchesByUser = new Map();
+  for (const savedSearch of savedSearches) {
+    const { user } = savedSearch;
+    if (!user || !user.isActive || getMaxSavedSearches(await getEffectivePlan(user)) === 0) {
+      continue;
+    }
+    if (!searchesByUser.has(user.id)) {
+      searchesByUser.set(user.id, { user, searches: [] });
+    }
+    searchesByUser.get(user.id).searches.push(savedSearch);
+  }
+
+  const results = {
+    users: searchesByUser.size,
+    searches: 0,
+    emailsSent: 0,
+    errors: 0,
+  };
+
+  for (const { user, searches } of searchesByUser.values()) {
+    try {
+      const digestSections = [];
+
+      for (const savedSearch of searches) {
+        results.searches++;
+        const since = savedSearch.lastNotifiedAt || savedSearch.createdAt;
+        const where = buildNewMatchesFilter(savedSearch, since);
+
+        const [newCount, stores] = await Promise.all([
+          prisma.store.count({ where }),
+          prisma.store.findMany({
+            where,
+            orderBy: { dateAdded: 'desc' },
+            take: DIGEST_STORES_PER_SEARCH,
+            select: { name: true, url: true, country: true },
+          }),
+        ]);
+
+        if (newCount > 0) {
+          digestSections.push({ name: savedSearch.name, newCount, stores });
+        }
+      }
+
+      if (digestSections.length > 0) {
+        const emailResult = await sendSavedSearchDigest({
+          userEmail: user.email,
+          userName: user.name,
+          searches: digestSections,
+        });
+
+        if (!emailResult.success) {
+          // Leave lastNotifiedAt untouched so these stores are retried in the next digest
+          results.errors++;
+          continue;
+        }
+        results.emailsSent++;
+      }
+
+      await prisma.savedSearch.updateMany({
+        where: { id: { in: searches.map(s => s.id) } },
+        data: { lastNotifiedAt: runStartedAt },
+      });
+    } catch (error) {
+      console.error(`[Saved Searches] Error sending digest to user ${user.id}:`, error.message);
+      results.errors++;
+    }
+  }
+
+  console.log(`[Saved Searches] Digest completed: ${results.emailsSent} emails sent for ${results.searches} searches (${results.users} users), ${results.errors} errors`);
+
+  return results;
+};
@@ -0,0 +1,131 @@
+import { getPrisma } from '../config/postgres.js';
+
+/**
+ * SCRAPING STATS SERVICE
+ *
+ * Per-source yield for the admin scraping page:
+ * - discovery counters (URLs found, saved, rejected before saving) are kept per source and day
+ * - verification outcomes (Shopify-confirmed, rejected by status) are counted from the
+ *   stores each source discovered (Store.discoverySource)
+ */
+
+const COUNTER_FIELDS = ['urlsFound', 'saved', 'alreadyKnown', 'duplicates', 'invalidUrl'];
+
+/**
+ * Today's date (UTC) for the daily counter row
+ */
+const getStatDate = () => new Date(new Date().toISOString().slice(0, 10));
+
+/**
+ * Add to a source's counters for today
+ * Never throws - stats must not break scraping.
+ * @param {string} source - Source name
+ * @param {Object} increments - { urlsFound?, saved?, alreadyKnown?, duplicates?, invalidUrl? }
+ */
+export const recordSourceStats = async (source, increments) => {
+  const counters = Object.fromEntries(
+    Object.entries(increments).filter(([field, value]) => COUNTER_FIELDS.includes(field) && value > 0)
+  );
+  if (!source || Object.keys(counters).length === 0) return;
+
+  const prisma = getPrisma();
+  const where = { source_date: { source: source.substring(0, 100), date: getStatDate() } };
+  const upsert = () => prisma.scrapingSourceStat.upsert({
+    where,
+    create: { ...where.source_date, ...counters },
+    update: Object.fromEntries(Object.entries(counters).map(([field, value]) => [field, { increment: value }])),
+  });
+
+  try {
+    await upsert();
+  } catch (error) {
+    // Two workers created today's row at the same time - the row exists now
+    if (error.code === 'P2002') {
+      await upsert().catch(retryError => {
+        console.error(`[ScrapingStats] Failed to record stats for ${source}:`, retryError.message);
+      });
+      return;
+    }
+    console.error(`[ScrapingStats] Failed to record stats for ${source}:`, error.message);
+  }
+};
+
+/**
+ * Per-source yield over the last N days
+ * @param {Object} options - { days } (default 7)
+ * @returns {Promise<Array>} - [{ source, urlsFound, saved, shopifyConfirmed, shopifyProbable, pending, rejected: { reason: count } }]
+ */
+export const getSourceYield = async ({ days = 7 } = {}) => {
+  const prisma = getPrisma();
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  since.setUTCHours(0, 0, 0, 0);
+
+  const [counters, outcomes] = await Promise.all([
+    prisma.scrapingSourceStat.groupBy({
+      by: ['source'],
+      where: { date: { gte: since } },
+      _sum: Object.fromEntries(COUNTER_FIELDS.map(field => [field, true])),
+    }),
+    prisma.store.groupBy({
+      by: ['discoverySource', 'shopifyStatus', 'storeStatus'],
+      where: {
+        dateAdded: { gte: since },
+        discoverySource: { not: null },
+      },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const sources = new Map();
+  const getSource = (name) => {
+    if (!sources.has(name)) {
+      sources.set(name, {
+        source: name,
+        urlsFound: 0,
+        saved: 0,
+        shopifyConfirmed: 0,
+        shopifyProbable: 0,
+        pending: 0,
+        rejected: {
+          already_known: 0,
+          duplicate: 0,
+          invalid_url: 0,
+          not_shopify: 0,
+          inactive_shopify: 0,
+          dead: 0,
+          blocked: 0,
+        },
+      });
+    }
+    return sources.get(name);
+  };
+
+  for (const row of counters) {
+    const entry = getSource(row.source);
+    entry.urlsFound = row._sum.urlsFound || 0;
+    entry.saved = row._sum.saved || 0;
+    entry.rejected.already_known = row._sum.alreadyKnown || 0;
+    entry.rejected.duplicate = row._sum.duplicates || 0;
+    entry.rejected.invalid_url = row._sum.invalidUrl || 0;
+  }
+
+  for (const row of outcomes) {
+    const entry = getSource(row.discoverySource);
+    const count = row._count._all;
+
+    // Strict verification failures take precedence over the confidence status
+    if (['inactive_shopify', 'dead', 'blocked'].includes(row.storeStatus)) {
+      entry.rejected[row.storeStatus] += count;
+    } else if (row.shopifyStatus === 'confirmed') {
+      entry.shopifyConfirmed += count;
+    } else if (row.shopifyStatus === 'probable') {
+      entry.shopifyProbable += count;
+    } else if (row.shopifyStatus === 'unlikely' || row.shopifyStatus === 'unverified') {
+      entry.rejected.not_shopify += count;
+    } else {
+      entry.pending += count;
+    }
+  }
+
+  return [...sources.values()].sort((a, b) => b.urlsFound - a.urlsFound || b.saved - a.saved);
+};
@@ -0,0 +1,128 @@
+import { getPrisma } from '../config/postgres.js';
+import { notifyStoreWatchers } from './watchlistService.js';
+
+/**
+ * STORE HISTORY SERVICE
+ *
+ * Re-scrapes overwrite theme, productCount, healthStatus and business model in place.
+ * Each observation is also recorded as a StoreSnapshot so we can show how a store
+ * changed over time (theme swaps, catalog growth, going inactive, ...).
+ * Changes between snapshots also drive watchlist alerts (see watchlistService).
+ */
+
+// Store fields copied into each snapshot
+const SNAPSHOT_FIELDS = [
+  'name',
+  'country',
+  'theme',
+  'productCount',
+  'healthStatus',
+  'storeStatus',
+  'isActive',
+  'primaryBusinessModel',
+  'tags',
+  'hasFacebookAds',
+];
+
+const SNAPSHOT_SELECT = Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, true]));
+
+/**
+ * Compare two field values (arrays compared ignoring order)
+ */
+const isSameValue = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify([...(a || [])].sort()) === JSON.stringify([...(b || [])].sort());
+  }
+  return (a ?? null) === (b ?? null);
+};
+
+/**
+ * Record the store's current state as a snapshot
+ * Never throws - history must not break the pipeline that observed the store.
+ * @param {string} storeId - Store ID (read after the store was updated)
+ * @param {string} source - 'health_check' | 'verification' | 'redetection' | 'classification'
+ * @returns {Promise<Object|null>} - Created snapshot, or null on failure
+ */
+export const recordStoreSnapshot = async (storeId, source) => {
+  const prisma = getPrisma();
+
+  try {
+    const [store, previous] = await Promise.all([
+      prisma.store.findUnique({
+        where: { id: storeId },
+        select: SNAPSHOT_SELECT,
+      }),
+      prisma.storeSnapshot.findFirst({
+        where: { storeId },
+        orderBy: { observedAt: 'desc' },
+        select: SNAPSHOT_SELECT,
+      }),
+    ]);
+
+    if (!store) {
+      return null;
+    }
+
+    const changedFields = previous
+      ? SNAPSHOT_FIELDS.filter(field => !isSameValue(store[field], previous[field]))
+      : [];
+
+    const snapshot = await prisma.storeSnapshot.create({
+      data: {
+        storeId,
+        source,
+        ...store,
+        tags: store.tags || [],
+        changedFields,
+      },
+    });
+
+    // Alert users watching this store (re-detection backfills correct old data, they are not store changes)
+    if (changedFields.length > 0 && source !== 'redetection') {
+      await notifyStoreWatchers(storeId, previous, store).catch(error => {
+        console.error(`[StoreHistory] Failed to notify watchers of store ${storeId}:`, error.message);
+      });
+    }
+
+    return snapshot;
+  } catch (error) {
+    console.error(`[StoreHistory] Failed to record snapshot for store ${storeId}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Get a store's snapshot history (oldest first) and the list of field changes
+ * @param {string} storeId - Store ID
+ * @param {Object} options - { limit } most recent snapshots to return (default 365)
+ * @returns {Promise<Object>} - { snapshots, changes: [{ observedAt, field, from, to, source }] }
+ */
+export const getStoreHistory = async (storeId, { limit = 365 } = {}) => {
+  const prisma = getPrisma();
+
+  const snapshots = (await prisma.storeSnapshot.findMany({
+    where: { storeId },
+    orderBy: { observedAt: 'desc' },
+    take: limit,
+  })).reverse();
+
+  const changes = [];
+  for (let i = 1; i < snapshots.length; i++) {
+    const previous = snapshots[i - 1];
+    const current = snapshots[i];
+    for (const field of current.changedFields) {
+      changes.push({
+        observedAt: current.observedAt,
+        source: current.source,
+        field,
+        from: previous[field],
+        to: current[field],
+      });
+    }
+  }
+
+  return {
+    snapshots: snapshots.map(({ id, storeId: _storeId, ...snapshot }) => snapshot),
+    changes: changes.reverse(), // Newest first
+  };
+};
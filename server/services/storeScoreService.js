@@ -0,0 +1,121 @@
+import { getPrisma } from '../config/postgres.js';
+import { computeStoreScore, SCORE_WINDOW_DAYS } from '../utils/storeScore.js';
+
+/**
+ * STORE SCORE SERVICE
+ *
+ * Recalculates the score (utils/storeScore.js) of every store that isn't dead.
+ * Scheduled in server.js (STORE_SCORE_CRON) and runnable by hand with
+ * `npm run recalculate-scores`.
+ */
+
+const PAGE_SIZE = 200;
+
+// A run over a large table can outlast the schedule - never run two at once
+let isRecalculating = false;
+
+/**
+ * Product count of the oldest snapshot in the window, per store
+ * @returns {Promise<Map<string, number>>}
+ */
+const getBaselineProductCounts = async (prisma, storeIds, since) => {
+  const snapshots = await prisma.storeSnapshot.findMany({
+    where: {
+      storeId: { in: storeIds },
+      observedAt: { gte: since },
+      productCount: { not: null },
+    },
+    orderBy: { observedAt: 'asc' },
+    distinct: ['storeId'],
+    select: { storeId: true, productCount: true },
+  });
+  return new Map(snapshots.map(snapshot => [snapshot.storeId, snapshot.productCount]));
+};
+
+/**
+ * Ads seen in the window, per store
+ * @returns {Promise<Map<string, number>>}
+ */
+const getRecentAdCounts = async (prisma, storeIds, since) => {
+  const counts = await prisma.adObservation.groupBy({
+    by: ['storeId'],
+    where: {
+      storeId: { in: storeIds },
+      lastSeen: { gte: since },
+    },
+    _count: { _all: true },
+  });
+  return new Map(counts.map(count => [count.storeId, count._count._all]));
+};
+
+/**
+ * Recalculate store scores
+ * @param {Object} options - { limit } (stores to process, for testing)
+ * @returns {Promise<Object>} - { processed, errors } (null if a run is already in progress)
+ */
+export const recalculateStoreScores = async ({ limit = null } = {}) => {
+  if (isRecalculating) {
+    console.warn('⚠️  Store score recalculation already running - skipping');
+    return null;
+  }
+  isRecalculating = true;
+
+  try {
+    const prisma = getPrisma();
+    const now = new Date();
+    const since = new Date(now.getTime() - SCORE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const where = { storeStatus: { not: 'dead' } };
+
+    const stats = { processed: 0, errors: 0 };
+    let cursor = null;
+
+    while (!limit || stats.processed < limit) {
+      const stores = await prisma.store.findMany({
+        where: cursor ? { ...where, id: { gt: cursor } } : where,
+        orderBy: { id: 'asc' },
+        take: limit ? Math.min(PAGE_SIZE, limit - stats.processed) : PAGE_SIZE,
+        select: {
+          id: true,
+          productCount: true,
+          dateAdded: true,
+          shopifyConfidence: true,
+          businessModelConfidence: true,
+          healthStatus: true,
+        },
+      });
+      if (stores.length === 0) break;
+      cursor = stores[stores.length - 1].id;
+
+      const storeIds = stores.map(store => store.id);
+      const [baselines, adCounts] = await Promise.all([
+        getBaselineProductCounts(prisma, storeIds, since),
+        getRecentAdCounts(prisma, storeIds, since),
+      ]);
+
+      for (const store of stores) {
+        try {
+          const { score, signals } = computeStoreScore({
+            store,
+            baselineProductCount: baselines.get(store.id) ?? null,
+            recentAdCount: adCounts.get(store.id) || 0,
+            now,
+          });
+          await prisma.store.update({
+            where: { id: store.id },
+            data: { score, scoreSignals: signals, scoreUpdatedAt: now },
+          });
+        } catch (error) {
+          stats.errors++;
+          console.error(`[Store Score] Failed to score store ${store.id}:`, error.message);
+        }
+      }
+
+      stats.processed += stores.length;
+    }
+
+    console.log(`✅ Store scores recalculated: ${stats.processed} stores (${stats.errors} errors)`);
+    return stats;
+  } finally {
+    isRecalculating = false;
+  }
+};
@@ -0,0 +1,139 @@
+import { getPrisma } from '../config/postgres.js';
+import { getSearchTerms, toRankQuery, buildSearchMatches } from '../utils/storeSearch.js';
+
+/**
+ * STORE SEARCH SERVICE
+ *
+ * Ranks the stores matching a search (`q`, see utils/storeSearch.js) by relevance.
+ * Postgres ranks the matches with ts_rank over name and URL (weight A), the meta
+ * description (B) and the sampled product titles (C), plus the trigram similarity
+ * of the name to the whole query so close name matches come first.
+ *
+ * Ranking is bounded: at most MAX_RANKED_CANDIDATES matches are ranked per search,
+ * taking stores whose name or URL contains every term before the other matches.
+ */
+
+// Matches ranked per search (name / URL matches first, then the rest, newest first within each)
+const MAX_RANKED_CANDIDATES = 2000;
+
+// Matched product titles returned per store
+const MAX_PRODUCT_MATCHES = 3;
+
+/**
+ * One page of store IDs ordered by relevance to the query (newest first on ties)
+ */
+const rankStoreIds = async (prisma, storeIds, query, terms, { offset, limit }) => {
+  const rankQuery = toRankQuery(terms);
+  if (!rankQuery) return storeIds.slice(offset, offset + limit);
+
+  const rows = await prisma.$queryRaw`
+    SELECT s.id,
+           ts_rank(
+             setweight(to_tsvector('simple', s.name), 'A') ||
+             setweight(to_tsvector('simple', regexp_replace(s.url, '[^[:alnum:]]+', ' ', 'g')), 'A') ||
+             setweight(to_tsvector('simple', coalesce(s.description, '')), 'B') ||
+             setweight(to_tsvector('simple', coalesce(p.titles, '')), 'C'),
+             to_tsquery('simple', ${rankQuery})
+           ) + similarity(lower(s.name), ${query}) AS rank
+    FROM stores s
+    LEFT JOIN LATERAL (
+      SELECT string_agg(title, ' ') AS titles FROM store_products WHERE store_id = s.id
+    ) p ON true
+    WHERE s.id = ANY(${storeIds})
+    ORDER BY rank DESC, s.date_added DESC, s.id DESC
+    LIMIT ${limit} OFFSET ${offset}
+  `;
+
+  return rows.map(row => row.id);
+};
+
+/**
+ * Pick the matches to rank - stores whose name or URL contains every term come first,
+ * so the best matches are ranked however old they are
+ */
+const findRankCandidates = async (prisma, where, terms) => {
+  const nameOrUrlMatch = {
+    AND: terms.map(term => ({
+      OR: [
+        { name: { contains: term, mode: 'insensitive' } },
+        { url: { contains: term, mode: 'insensitive' } },
+      ],
+    })),
+  };
+  const findIds = (condition) => prisma.store.findMany({
+    where: { AND: [where, condition] },
+    orderBy: [{ dateAdded: 'desc' }, { id: 'desc' }],
+    take: MAX_RANKED_CANDIDATES,
+    select: { id: true },
+  });
+
+  const [nameMatches, otherMatches] = await Promise.all([
+    findIds(nameOrUrlMatch),
+    findIds({ NOT: nameOrUrlMatch }),
+  ]);
+  return [...nameMatches, ...otherMatches]
+    .slice(0, MAX_RANKED_CANDIDATES)
+    .map(match => match.id);
+};
+
+/**
+ * Find stores matching a search, most relevant first
+ * @param {Object} where - Prisma where-clause that already includes buildSearchCondition(query)
+ * @param {string} query - toSearchQuery() result
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} - findStores() result shape; each store also has `searchMatches`
+ *   ([{ field, text }], see buildSearchMatches); `total` counts every match, `totalPages`
+ *   stops at MAX_RANKED_CANDIDATES
+ */
+export const findStoresByRelevance = async (where, query, { page = 1, limit = 50 } = {}) => {
+  const prisma = getPrisma();
+  const terms = getSearchTerms(query);
+
+  const [candidateIds, total] = await Promise.all([
+    terms.length > 0 ? findRankCandidates(prisma, where, terms) : [],
+    prisma.store.count({ where }),
+  ]);
+
+  const pageIds = candidateIds.length > 0
+    ? await rankStoreIds(prisma, candidateIds, query, terms, { offset: (page - 1) * limit, limit })
+    : [];
+
+  const [stores, products] = pageIds.length > 0
+    ? await Promise.all([
+      prisma.store.findMany({
+        where: { id: { in: pageIds } },
+        include: { _count: { select: { adObservations: true } } },
+      }),
+      prisma.storeProduct.findMany({
+        where: {
+          storeId: { in: pageIds },
+          OR: terms.map(term => ({ title: { contains: term, mode: 'insensitive' } })),
+        },
+        orderBy: { position: 'asc' },
+        select: { storeId: true, title: true },
+      }),
+    ])
+    : [[], []];
+
+  const productTitles = new Map();
+  for (const product of products) {
+    const titles = productTitles.get(product.storeId) || [];
+    if (titles.length < MAX_PRODUCT_MATCHES) titles.push(product.title);
+    productTitles.set(product.storeId, titles);
+  }
+
+  const storesById = new Map(stores.map(store => [store.id, store]));
+
+  return {
+    stores: pageIds
+      .filter(id => storesById.has(id))
+      .map(id => {
+        const store = storesById.get(id);
+        return { ...store, searchMatches: buildSearchMatches(store, terms, productTitles.get(id)) };
+      }),
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(Math.min(total, MAX_RANKED_CANDIDATES) / limit),
+  };
+};
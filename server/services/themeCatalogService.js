@@ -0,0 +1,261 @@
+import { getPrisma } from '../config/postgres.js';
+import {
+  THEME_CATALOG_VERSION,
+  THEME_TYPES,
+  BUILTIN_THEME_FINGERPRINTS,
+  UNKNOWN_THEME,
+  CUSTOM_THEME,
+} from '../config/themeCatalog.js';
+
+/**
+ * THEME CATALOG SERVICE
+ *
+ * Merges the built-in fingerprints (config/themeCatalog.js) with the ones admins
+ * added in the theme_fingerprints table. The merged catalog is cached per process
+ * for a few minutes, so workers pick up admin changes without a restart.
+ */
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+let cachedCatalog = null;
+let cachedAt = 0;
+
+/**
+ * Default asset pattern - asset files named after the theme (e.g. /assets/palo-alto.min.js)
+ */
+const getDefaultAssetPattern = (name) => {
+  const slug = name.toLowerCase().split(/\s+/).join('[-_]?');
+  return `/assets/(theme[-_.])?${slug}([-_.]min)?\\.(js|css)`;
+};
+
+/**
+ * Compile asset patterns, skipping invalid ones (admin input)
+ */
+const compilePatterns = (patterns) => {
+  return patterns.flatMap(pattern => {
+    try {
+      return [new RegExp(pattern, 'i')];
+    } catch (error) {
+      console.error(`[ThemeCatalog] Ignoring invalid asset pattern "${pattern}":`, error.message);
+      return [];
+    }
+  });
+};
+
+/**
+ * Catalog version - the built-in version plus a revision of the admin entries
+ * Stored on each store (themeCatalogVersion) so backfills can find stale detections.
+ */
+const getCatalogVersion = (rows) => {
+  if (rows.length === 0) return String(THEME_CATALOG_VERSION);
+  const lastUpdate = Math.max(...rows.map(row => row.updatedAt.getTime()));
+  return `${THEME_CATALOG_VERSION}.${rows.length}.${Math.floor(lastUpdate / 1000)}`;
+};
+
+/**
+ * Built-in fingerprint with defaults filled in
+ */
+const fromBuiltin = (theme) => ({
+  name: theme.name,
+  type: theme.type,
+  themeStoreIds: theme.themeStoreIds || [],
+  aliases: theme.aliases || [],
+  assetPatterns: theme.assetPatterns || [getDefaultAssetPattern(theme.name)],
+  origin: 'builtin',
+});
+
+/**
+ * Final catalog shape used by the detector - lowercase aliases (including the name), compiled patterns
+ */
+const compileCatalog = (version, fingerprints) => ({
+  version,
+  fingerprints: fingerprints.map(theme => ({
+    ...theme,
+    aliases: [...new Set([theme.name.toLowerCase(), ...theme.aliases.map(alias => alias.toLowerCase())])],
+    assetPatterns: compilePatterns(theme.assetPatterns),
+  })),
+});
+
+/**
+ * Build the merged catalog
+ * @returns {Promise<Object>} - { version, fingerprints: [{ name, type, themeStoreIds, aliases, assetPatterns, origin }] }
+ */
+const buildThemeCatalog = async () => {
+  const prisma = getPrisma();
+  const rows = await prisma.themeFingerprint.findMany({ orderBy: { name: 'asc' } });
+
+  const byName = new Map(BUILTIN_THEME_FINGERPRINTS.map(theme => [theme.name.toLowerCase(), fromBuiltin(theme)]));
+
+  for (const row of rows) {
+    const key = row.name.toLowerCase();
+    if (!row.isActive) {
+      byName.delete(key);
+      continue;
+    }
+
+    const builtin = byName.get(key);
+    byName.set(key, {
+      name: builtin?.name || row.name,
+      type: row.type,
+      themeStoreIds: [...new Set([...(builtin?.themeStoreIds || []), ...row.themeStoreIds])],
+      aliases: [...new Set([...(builtin?.aliases || []), ...row.aliases])],
+      assetPatterns: [
+        ...(builtin?.assetPatterns || [getDefaultAssetPattern(row.name)]),
+        ...row.assetPatterns,
+      ],
+      origin: builtin ? 'override' : 'custom',
+    });
+  }
+
+  return compileCatalog(getCatalogVersion(rows), [...byName.values()]);
+};
+
+/**
+ * Get the merged theme catalog (cached)
+ * Falls back to the built-in catalog when the database is unavailable.
+ */
+export const getThemeCatalog = async () => {
+  if (cachedCatalog && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedCatalog;
+  }
+
+  try {
+    cachedCatalog = await buildThemeCatalog();
+    cachedAt = Date.now();
+  } catch (error) {
+    console.error('[ThemeCatalog] Failed to load admin fingerprints, using built-in catalog:', error.message);
+    if (!cachedCatalog) {
+      return compileCatalog(String(THEME_CATALOG_VERSION), BUILTIN_THEME_FINGERPRINTS.map(fromBuiltin));
+    }
+  }
+
+  return cachedCatalog;
+};
+
+/**
+ * Drop the cached catalog (after an admin change)
+ */
+export const invalidateThemeCatalog = () => {
+  cachedCatalog = null;
+  cachedAt = 0;
+};
+
+/**
+ * Validate an admin fingerprint
+ * @param {Object} input - { name, type?, themeStoreIds?, aliases?, assetPatterns?, isActive? }
+ * @returns {Object} - { fingerprint } or { error }
+ */
+export const sanitizeThemeFingerprint = (input = {}) => {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name || name.length > 50) {
+    return { error: 'name is required (max 50 characters)' };
+  }
+  if ([UNKNOWN_THEME, CUSTOM_THEME].some(reserved => reserved.toLowerCase() === name.toLowerCase())) {
+    return { error: `"${name}" is reserved for undetected themes` };
+  }
+
+  const type = input.type ?? 'paid';
+  if (!THEME_TYPES.includes(type)) {
+    return { error: `type must be one of: ${THEME_TYPES.join(', ')}` };
+  }
+
+  const toArray = (value) => (Array.isArray(value) ? value : value === undefined || value === null ? [] : [value]);
+
+  const themeStoreIds = toArray(input.themeStoreIds).map(id => parseInt(id));
+  if (themeStoreIds.some(id => !Number.isInteger(id) || id <= 0)) {
+    return { error: 'themeStoreIds must be positive integers' };
+  }
+
+  const aliases = toArray(input.aliases).map(alias => String(alias).trim().toLowerCase()).filter(Boolean);
+
+  const assetPatterns = toArray(input.assetPatterns).map(pattern => String(pattern).trim()).filter(Boolean);
+  for (const pattern of assetPatterns) {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      return { error: `Invalid asset pattern "${pattern}": ${error.message}` };
+    }
+  }
+
+  return {
+    fingerprint: {
+      name,
+      type,
+      themeStoreIds: [...new Set(themeStoreIds)],
+      aliases: [...new Set(aliases)].slice(0, 50),
+      assetPatterns: assetPatterns.slice(0, 20),
+      isActive: input.isActive !== false,
+    },
+  };
+};
+
+/**
+ * Admin view of the catalog - merged fingerprints plus the stored admin rows
+ */
+export const listThemeFingerprints = async () => {
+  invalidateThemeCatalog();
+  const prisma = getPrisma();
+  const [catalog, entries] = await Promise.all([
+    getThemeCatalog(),
+    prisma.themeFingerprint.findMany({ orderBy: { name: 'asc' } }),
+  ]);
+
+  return {
+    version: catalog.version,
+    themes: catalog.fingerprints.map(theme => ({
+      name: theme.name,
+      type: theme.type,
+      themeStoreIds: theme.themeStoreIds,
+      aliases: theme.aliases,
+      assetPatterns: theme.assetPatterns.map(pattern => pattern.source),
+      origin: theme.origin,
+    })),
+    entries,
+  };
+};
+
+/**
+ * Create or update an admin fingerprint (by name)
+ * @param {Object} fingerprint - Output of sanitizeThemeFingerprint
+ * @param {string|null} createdBy - Admin email
+ */
+export const saveThemeFingerprint = async (fingerprint, createdBy = null) => {
+  const prisma = getPrisma();
+  const existing = await prisma.themeFingerprint.findFirst({
+    where: { name: { equals: fingerprint.name, mode: 'insensitive' } },
+  });
+
+  const entry = existing
+    ? await prisma.themeFingerprint.update({ where: { id: existing.id }, data: fingerprint })
+    : await prisma.themeFingerprint.create({ data: { ...fingerprint, createdBy } });
+
+  invalidateThemeCatalog();
+  return entry;
+};
+
+/**
+ * Delete an admin fingerprint (built-in entries it overrode apply again)
+ * @returns {Promise<boolean>} - False if not found
+ */
+export const deleteThemeFingerprint = async (id) => {
+  const prisma = getPrisma();
+  const result = await prisma.themeFingerprint.deleteMany({ where: { id } });
+  invalidateThemeCatalog();
+  return result.count > 0;
+};
+
+/**
+ * Theme Store ids seen on stores that no fingerprint matched - candidates to add to the catalog
+ * @returns {Promise<Array>} - [{ themeStoreId, stores }]
+ */
+export const getUnmatchedThemeStoreIds = async (limit = 50) => {
+  const prisma = getPrisma();
+  const rows = await prisma.store.groupBy({
+    by: ['themeStoreId'],
+    where: { theme: UNKNOWN_THEME, themeStoreId: { not: null } },
+    _count: { _all: true },
+    orderBy: { _count: { themeStoreId: 'desc' } },
+    take: limit,
+  });
+  return rows.map(row => ({ themeStoreId: row.themeStoreId, stores: row._count._all }));
+};
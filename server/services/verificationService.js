@@ -1,6 +1,7 @@
 import axios from 'axios';
 import { getPrisma } from '../config/postgres.js';
 import { performStrictVerification } from './strictShopifyVerification.js';
+import { recordStoreSnapshot } from './storeHistoryService.js';
 
 /**
  * PHASE 2: SHOPIFY VERIFICATION SERVICE
@@ -224,6 +225,7 @@ export const updateStoreVerification = async (storeId, verificationResult, store
             nextRetryAt: verified ? null : new Date(Date.now() + 24 * 60 * 60 * 1000),
           },
         });
+        await recordStoreSnapshot(storeId, 'verification');
       } else {
         // Keep existing status - don't update
         console.log(`[Verification] Store ${storeId} previously marked as ${existingStore.storeStatus}, keeping status (not auto-approving)`);
@@ -244,6 +246,7 @@ export const updateStoreVerification = async (storeId, verificationResult, store
           nextRetryAt: verified ? null : new Date(Date.now() + 24 * 60 * 60 * 1000),
         },
       });
+      await recordStoreSnapshot(storeId, 'verification');
     }
     
     return { success: true, strictVerification, finalStatus, verified };
@@ -254,14 +257,13 @@ export const updateStoreVerification = async (storeId, verificationResult, store
 };
 
 /**
- * Verify stores that need verification (unverified or low confidence)
+ * Find stores that need verification
+ * Priority: null status (discovery phase) > unlikely (retry) > scheduled retry
  */
-export const verifyPendingStores = async (limit = 100) => {
+export const findStoresPendingVerification = async (limit = 100) => {
   const prisma = getPrisma();
   
-  // Get stores that need verification
-  // Priority: null status (discovery phase) > unlikely (retry) > scheduled retry
-  const stores = await prisma.store.findMany({
+  return prisma.store.findMany({
     where: {
       OR: [
         { shopifyStatus: null }, // Discovery phase stores (highest priority)
@@ -278,8 +280,41 @@ export const verifyPendingStores = async (limit = 100) => {
       url: true,
       shopifyStatus: true,
       retryCount: true,
+      nextRetryAt: true,
     },
   });
+};
+
+/**
+ * Verify a single store (confidence detection + strict verification)
+ * Throws if the store can't be updated, so queue workers can retry it
+ * @param {Object} store - { id, url }
+ * @returns {Promise<Object>} - { status, confidence, storeStatus, verified }
+ */
+export const verifyStore = async (store) => {
+  const verificationResult = await verifyShopifyStore(store.url);
+  const updateResult = await updateStoreVerification(store.id, verificationResult, store.url);
+  
+  if (!updateResult.success) {
+    throw new Error(updateResult.error || 'Failed to update store verification');
+  }
+  
+  return {
+    status: verificationResult.status,
+    confidence: verificationResult.confidence,
+    storeStatus: updateResult.finalStatus || updateResult.status,
+    verified: updateResult.verified ?? null,
+  };
+};
+
+/**
+ * Verify stores that need verification (unverified or low confidence)
+ */
+export const verifyPendingStores = async (limit = 100) => {
+  const prisma = getPrisma();
+  
+  // Get stores that need verification
+  const stores = await findStoresPendingVerification(limit);
   
   console.log(`[Verification] Processing ${stores.length} stores for Shopify verification...`);
   
@@ -0,0 +1,181 @@
+import { getPrisma } from '../config/postgres.js';
+import { getMaxWatchedStores } from '../config/planRestrictions.js';
+import { sendWatchlistAlert } from './emailService.js';
+import { getEffectivePlan, getTeamUserIds } from './organizationService.js';
+import { UNKNOWN_THEME, CUSTOM_THEME } from '../config/themeCatalog.js';
+
+/**
+ * WATCHLIST SERVICE
+ *
+ * Users follow individual stores and get an email when a re-check finds that a store:
+ * - went password-protected
+ * - went offline (dead / nonexistent / inactive)
+ * - changed theme
+ * - started running Facebook ads
+ * - reached the user's product-count threshold
+ *
+ * Changes are detected by comparing consecutive StoreSnapshots (see storeHistoryService).
+ */
+
+const ADS_TAG = 'Currently Running Ads';
+
+/**
+ * Check if a theme is a real detection (Unknown / Custom flip with challenge pages and catalog updates)
+ */
+const isKnownTheme = (theme) => {
+  return Boolean(theme) && theme !== UNKNOWN_THEME && theme !== CUSTOM_THEME;
+};
+
+/**
+ * Check if a snapshot describes an offline store
+ */
+const isOffline = (snapshot) => {
+  return snapshot.storeStatus === 'dead' ||
+    snapshot.healthStatus === 'nonexistent' ||
+    snapshot.isActive === false;
+};
+
+/**
+ * Check if a snapshot shows the store running ads
+ */
+const isRunningAds = (snapshot) => {
+  return snapshot.hasFacebookAds === true || (snapshot.tags || []).includes(ADS_TAG);
+};
+
+/**
+ * Detect watch-worthy events between two snapshots of the same store
+ * @param {Object} previous - Previous snapshot
+ * @param {Object} current - Current snapshot
+ * @param {number|null} productCountThreshold - Watcher's product-count threshold
+ * @returns {Array} - [{ type, message }]
+ */
+export const detectWatchEvents = (previous, current, productCountThreshold = null) => {
+  const events = [];
+
+  if (current.healthStatus === 'password_protected' && previous.healthStatus !== 'password_protected') {
+    events.push({ type: 'password_protected', message: 'Went password-protected' });
+  }
+
+  if (isOffline(current) && !isOffline(previous)) {
+    events.push({ type: 'offline', message: 'Went offline' });
+  }
+
+  if (isKnownTheme(current.theme) && isKnownTheme(previous.theme) && current.theme !== previous.theme) {
+    events.push({ type: 'theme_changed', message: `Changed theme from ${previous.theme} to ${current.theme}` });
+  }
+
+  if (isRunningAds(current) && !isRunningAds(previous)) {
+    events.push({ type: 'started_ads', message: 'Started running Facebook ads' });
+  }
+
+  if (
+    productCountThreshold &&
+    typeof current.productCount === 'number' &&
+    current.productCount >= productCountThreshold &&
+    (previous.productCount ?? 0) < productCountThreshold
+  ) {
+    events.push({
+      type: 'product_threshold',
+      message: `Reached ${productCountThreshold} products (now ${current.productCount}, was ${previous.productCount ?? 'unknown'})`,
+    });
+  }
+
+  return events;
+};
+
+/**
+ * Email everyone watching a store about changes between two snapshots
+ * Called by recordStoreSnapshot after every re-check.
+ * @returns {Promise<number>} - Number of alerts sent
+ */
+export const notifyStoreWatchers = async (storeId, previous, current) => {
+  if (!previous) return 0;
+
+  const prisma = getPrisma();
+  const watchers = await prisma.watchedStore.findMany({
+    where: { storeId, emailAlerts: true },
+    include: {
+      user: {
+        select: { id: true, email: true, name: true, isActive: true, accountStatus: true, subscriptionPlan: true },
+      },
+    },
+  });
+
+  if (watchers.length === 0) return 0;
+
+  const store = await prisma.store.findUnique({
+    where: { id: storeId },
+    select: { id: true, name: true, url: true },
+  });
+  if (!store) return 0;
+
+  let sent = 0;
+  for (const watcher of watchers) {
+    const { user } = watcher;
+
+    // Skip inactive users and plans that lost watchlist access
+    if (!user.isActive || user.accountStatus !== 'active' || getMaxWatchedStores(await getEffectivePlan(user)) === 0) {
+      continue;
+    }
+
+    const events = detectWatchEvents(previous, current, watcher.productCountThreshold);
+    if (events.length === 0) continue;
+
+    const result = await sendWatchlistAlert({
+      userEmail: user.email,
+      userName: user.name,
+      store,
+      events,
+    });
+
+    if (result.success) {
+      await prisma.watchedStore.update({
+        where: { id: watcher.id },
+        data: { lastAlertAt: new Date() },
+      });
+      sent++;
+    } else {
+      console.error(`❌ [Watchlist] Failed to alert ${user.email} about ${store.url}:`, result.error);
+    }
+  }
+
+  if (sent > 0) {
+    console.log(`📧 [Watchlist] Sent ${sent} alerts for ${store.url}`);
+  }
+  return sent;
+};
+
+/**
+ * List a user's watched stores with the current store state
+ * Team members also see the stores their teammates follow (isOwn: false, read-only)
+ */
+export const listWatchedStores = async (userId) => {
+  const prisma = getPrisma();
+  const watchedStores = await prisma.watchedStore.findMany({
+    where: { userId: { in: await getTeamUserIds(userId) } },
+    orderBy: { createdAt: 'desc' },
+    include: {
+      user: { select: { name: true, email: true } },
+      store: {
+        select: {
+          id: true,
+          name: true,
+          url: true,
+          country: true,
+          theme: true,
+          productCount: true,
+          healthStatus: true,
+          storeStatus: true,
+          hasFacebookAds: true,
+          lastScraped: true,
+        },
+      },
+    },
+  });
+
+  return watchedStores.map(({ user, ...watchedStore }) => ({
+    ...watchedStore,
+    isOwn: watchedStore.userId === userId,
+    createdBy: user?.name || user?.email || null,
+  }));
+};
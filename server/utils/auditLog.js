@@ -0,0 +1,157 @@
+/**
+ * AUDIT LOG
+ *
+ * Actions, actor and change helpers for AuditEvent records (written by
+ * services/auditLogService.js). Every privileged admin action records who did
+ * what to which target, with a before/after diff of the fields it changed.
+ */
+
+import { toCsvCell } from './storeExport.js';
+
+// Recorded actions and their labels (shown on the admin Audit Log page)
+export const AUDIT_ACTIONS = {
+  'user.create': 'Created user',
+  'user.update': 'Edited user',
+  'user.suspend': 'Suspended user',
+  'user.deactivate': 'Deactivated user',
+  'user.restore': 'Restored user',
+  'user.delete': 'Deleted user',
+  'users.restore_all': 'Restored all users',
+  'users.activate_all': 'Activated all users',
+  'users.delete_all': 'Deleted all users',
+  'staff.invite': 'Invited staff member',
+  'staff.permissions.update': 'Changed staff role or permissions',
+  'staff.credentials.reset': 'Reset staff sign-in',
+  'staff.delete': 'Removed staff member',
+  'role.update': 'Edited role permissions',
+  'subscription.refund': 'Refunded subscription',
+  'ticket.delete': 'Deleted ticket',
+  'tickets.delete_bulk': 'Deleted tickets',
+  'store.update': 'Edited store',
+  'store.delete': 'Deleted store',
+  'scraping.config.update': 'Changed scraping settings',
+  'scraping.start': 'Started scraping',
+  'scraping.stop': 'Stopped scraping',
+  'queues.retry_dead': 'Retried dead jobs',
+  'theme.save': 'Saved theme fingerprint',
+  'theme.delete': 'Deleted theme fingerprint',
+  'audit.export': 'Exported audit log',
+};
+
+export const AUDIT_TARGET_TYPES = ['user', 'staff', 'role', 'subscription', 'ticket', 'store', 'scraping', 'theme', 'audit'];
+
+// Fields never copied into a diff
+const IGNORED_FIELDS = new Set(['updatedAt', 'createdAt']);
+
+/**
+ * Who is acting - from verifyAdminToken (req.admin / req.staff), authenticate (req.user) or the admin API key
+ * @returns {Object} - { actorType, actorId, actorEmail }
+ */
+export const getAuditActor = (req) => {
+  if (req.staff) {
+    return { actorType: 'staff', actorId: req.staff.id, actorEmail: req.admin?.email || null };
+  }
+  if (req.admin) {
+    return { actorType: 'admin', actorId: req.admin.adminId || req.admin.userId || null, actorEmail: req.admin.email || null };
+  }
+  if (req.user) {
+    return { actorType: 'user', actorId: req.user.id || req.user.userId || null, actorEmail: req.user.email || null };
+  }
+  return { actorType: 'api_key', actorId: null, actorEmail: null };
+};
+
+const toComparable = (value) => {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value !== null && typeof value === 'object' && typeof value.toNumber === 'function') return value.toNumber(); // Prisma Decimal
+  return value;
+};
+
+/**
+ * Before/after diff of two versions of a record
+ * @param {Object|null} before - Record before the action (null when created)
+ * @param {Object|null} after - Record after the action (null when deleted)
+ * @param {string[]} [fields] - Only compare these fields (default: every field of either record)
+ * @returns {Object|null} - { field: { before, after } } (null when nothing changed)
+ */
+export const diffAuditChanges = (before, after, fields = null) => {
+  const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  const changes = {};
+  for (const key of keys) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    const previous = toComparable(before?.[key]);
+    const next = toComparable(after?.[key]);
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes[key] = { before: previous, after: next };
+    }
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Build the Prisma where-clause for audit log filters
+ * @param {Object} filters - { q, action, actorType, targetType, targetId, actorId, dateFrom, dateTo }
+ */
+export const buildAuditFilter = ({ q, action, actorType, targetType, targetId, actorId, dateFrom, dateTo } = {}) => {
+  const conditions = [];
+
+  if (action) {
+    // 'user' matches every user.* action
+    conditions.push(AUDIT_ACTIONS[action] ? { action } : { action: { startsWith: `${action}.` } });
+  }
+  if (actorType) conditions.push({ actorType });
+  if (actorId) conditions.push({ actorId });
+  if (targetType) conditions.push({ targetType });
+  if (targetId) conditions.push({ targetId });
+
+  const createdAt = {};
+  if (dateFrom && !isNaN(new Date(dateFrom))) createdAt.gte = new Date(dateFrom);
+  if (dateTo && !isNaN(new Date(dateTo))) {
+    const end = new Date(dateTo);
+    // A plain date includes that whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(dateTo)) end.setUTCHours(23, 59, 59, 999);
+    createdAt.lte = end;
+  }
+  if (Object.keys(createdAt).length > 0) conditions.push({ createdAt });
+
+  const query = typeof q === 'string' ? q.trim().substring(0, 200) : '';
+  if (query) {
+    conditions.push({
+      OR: [
+        { actorEmail: { contains: query, mode: 'insensitive' } },
+        { targetLabel: { contains: query, mode: 'insensitive' } },
+        { targetId: query },
+        { actorId: query },
+        { ipAddress: query },
+      ],
+    });
+  }
+
+  return conditions.length > 0 ? { AND: conditions } : {};
+};
+
+// Export columns (CSV header -> value)
+const AUDIT_EXPORT_COLUMNS = [
+  ['Time', event => event.createdAt.toISOString()],
+  ['Action', event => event.action],
+  ['Actor type', event => event.actorType],
+  ['Actor ID', event => event.actorId],
+  ['Actor email', event => event.actorEmail],
+  ['Target type', event => event.targetType],
+  ['Target ID', event => event.targetId],
+  ['Target', event => event.targetLabel],
+  ['Changes', event => (event.changes ? JSON.stringify(event.changes) : null)],
+  ['Details', event => (event.metadata ? JSON.stringify(event.metadata) : null)],
+  ['IP address', event => event.ipAddress],
+  ['User agent', event => event.userAgent],
+];
+
+/**
+ * Render the audit export CSV header line
+ */
+export const renderAuditCsvHeader = () => AUDIT_EXPORT_COLUMNS.map(([header]) => toCsvCell(header)).join(',');
+
+/**
+ * Render one audit event as a CSV line
+ */
+export const renderAuditCsvLine = (event) => AUDIT_EXPORT_COLUMNS.map(([, value]) => toCsvCell(value(event))).join(',');
@@ -6,17 +6,17 @@ import { getHTMLWithAPI } from './scrapingApi.js';
  * Detect business model (Dropshipping, Print on Demand, etc.)
  * Uses comprehensive pattern matching based on multiple signals
  */
-export const detectBusinessModel = async (url) => {
+export const detectBusinessModel = async (url, snapshot = null) => {
   try {
     const normalizedUrl = url.startsWith('http') ? url : `https://${url}`;
     
-    // Try ScrapingAPI first if available
-    let html = null;
-    if (process.env.SCRAPING_API_KEY) {
+    // Use snapshot HTML when provided, otherwise try ScrapingAPI first if available
+    let html = snapshot ? snapshot.html : null;
+    if (!snapshot && process.env.SCRAPING_API_KEY) {
       html = await getHTMLWithAPI(normalizedUrl);
     }
     
-    if (!html) {
+    if (!html && !snapshot) {
       // Fallback to direct request
       const response = await axios.get(normalizedUrl, {
         timeout: 10000,
@@ -342,17 +342,17 @@ export const detectBusinessModel = async (url) => {
  * Check if store is running ads (Facebook, TikTok, Google, Snap, Twitter, Pinterest)
  * Uses comprehensive detection from page content (pixels, tracking codes, etc.)
  */
-export const detectFacebookAds = async (url) => {
+export const detectFacebookAds = async (url, snapshot = null) => {
   try {
     const normalizedUrl = url.startsWith('http') ? url : `https://${url}`;
     
-    // Try ScrapingAPI first if available
-    let html = null;
-    if (process.env.SCRAPING_API_KEY) {
+    // Use snapshot HTML when provided, otherwise try ScrapingAPI first if available
+    let html = snapshot ? snapshot.html : null;
+    if (!snapshot && process.env.SCRAPING_API_KEY) {
       html = await getHTMLWithAPI(normalizedUrl);
     }
     
-    if (!html) {
+    if (!html && !snapshot) {
       // Fallback to direct request
       const response = await axios.get(normalizedUrl, {
         timeout: 10000,
@@ -16,16 +16,17 @@ import { getHTMLWithAPI } from './scrapingApi.js';
  * }
  */
 
-export const detectBusinessModelWithScores = async (url) => {
+export const detectBusinessModelWithScores = async (url, snapshot = null) => {
   try {
     const normalizedUrl = url.startsWith('http') ? url : `https://${url}`;
     
-    let html = null;
-    if (process.env.SCRAPING_API_KEY) {
+    // Use snapshot HTML when provided
+    let html = snapshot ? snapshot.html : null;
+    if (!snapshot && process.env.SCRAPING_API_KEY) {
       html = await getHTMLWithAPI(normalizedUrl);
     }
     
-    if (!html) {
+    if (!html && !snapshot) {
       const response = await axios.get(normalizedUrl, {
         timeout: 10000,
         headers: {
@@ -1,4 +1,5 @@
 import { getPrisma } from '../config/postgres.js';
+import { getEffectivePlan } from '../services/organizationService.js';
 
 /**
  * Check device limits based on subscription plan and handle warnings/suspensions
@@ -21,7 +22,8 @@ export const checkDeviceLimits = async (userId, deviceId) => {
     throw new Error('User not found');
   }
   
-  const plan = user.subscriptionPlan || 'free';
+  // Team members holding a seat get their team plan's device limits
+  const plan = await getEffectivePlan(user);
   
   // Enterprise plan: 10 devices max
   if (plan === 'enterprise') {
@@ -135,27 +137,56 @@ export const checkDeviceLimits = async (userId, deviceId) => {
  * Register a device for a user
  * @param {string} userId - User ID
  * @param {string} deviceId - Device ID from frontend
+ * @param {Object} details - { userAgent, ip, country } of the sign-in (getDeviceDetails)
+ * @returns {Promise<{isNew: boolean}>} - isNew when the account hadn't used this device before
  */
-export const registerDevice = async (userId, deviceId) => {
+export const registerDevice = async (userId, deviceId, details = {}) => {
   const prisma = getPrisma();
+  const where = {
+    userId_deviceId: {
+      userId: userId,
+      deviceId: deviceId,
+    },
+  };
+  const signInDetails = {
+    userAgent: details.userAgent || null,
+    ip: details.ip || null,
+    country: details.country || null,
+  };
+
+  const existing = await prisma.userDevice.findUnique({ where, select: { id: true } });
   
   // Upsert device (create if not exists, update lastActive if exists)
   await prisma.userDevice.upsert({
-    where: {
-      userId_deviceId: {
-        userId: userId,
-        deviceId: deviceId,
-      },
-    },
+    where,
     update: {
       lastActive: new Date(),
+      ...signInDetails,
     },
     create: {
       userId: userId,
       deviceId: deviceId,
       lastActive: new Date(),
+      ...signInDetails,
     },
   });
+
+  return { isNew: !existing };
+};
+
+/**
+ * Device ID a session signed in with - the same ID registerDevice stores for the user
+ * @param {string} sessionId - Session ID from the JWT
+ * @returns {Promise<string|null>} - null for sessions from before device IDs were stored
+ */
+export const getSessionDeviceId = async (sessionId) => {
+  if (!sessionId) return null;
+  const prisma = getPrisma();
+  const session = await prisma.session.findUnique({
+    where: { sessionId },
+    select: { deviceId: true },
+  });
+  return session?.deviceId || null;
 };
 
 /**
@@ -0,0 +1,72 @@
+/**
+ * Device labels for the Account page and "new device" emails
+ * A light User-Agent read (browser + OS) - good enough to tell devices apart,
+ * not a full parser.
+ */
+
+// Checked in order - Edge, Opera and Samsung Internet also say "Chrome", Chrome also says "Safari"
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\//i },
+  { name: 'Opera', pattern: /OPR\/|Opera/i },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\//i },
+  { name: 'Firefox', pattern: /Firefox\/|FxiOS\//i },
+  { name: 'Chrome', pattern: /Chrome\/|CriOS\//i },
+  { name: 'Safari', pattern: /Safari\//i },
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'iPhone', pattern: /iPhone/i },
+  { name: 'iPad', pattern: /iPad/i },
+  { name: 'Android', pattern: /Android/i },
+  { name: 'Windows', pattern: /Windows/i },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/i },
+  { name: 'ChromeOS', pattern: /CrOS/i },
+  { name: 'Linux', pattern: /Linux/i },
+];
+
+// Country headers set by common CDNs/proxies in front of the API (ISO 3166-1 alpha-2)
+const COUNTRY_HEADERS = ['cf-ipcountry', 'x-vercel-ip-country', 'cloudfront-viewer-country', 'x-country-code'];
+
+/**
+ * Browser, OS and a display label from a User-Agent string
+ * @param {string|null} userAgent
+ * @returns {{ browser: string|null, os: string|null, label: string }}
+ */
+export const describeUserAgent = (userAgent) => {
+  const ua = userAgent || '';
+  const browser = BROWSERS.find(entry => entry.pattern.test(ua))?.name || null;
+  const os = OPERATING_SYSTEMS.find(entry => entry.pattern.test(ua))?.name || null;
+
+  let label = 'Unknown device';
+  if (browser && os) label = `${browser} on ${os}`;
+  else if (browser || os) label = browser || os;
+
+  return { browser, os, label };
+};
+
+/**
+ * Country code of a request from CDN/proxy headers (null when none is set)
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+export const getRequestCountry = (req) => {
+  for (const header of COUNTRY_HEADERS) {
+    const value = req.headers[header];
+    // Cloudflare sends XX (unknown) and T1 (Tor)
+    if (typeof value === 'string' && /^[A-Z]{2}$/i.test(value) && !['XX', 'T1'].includes(value.toUpperCase())) {
+      return value.toUpperCase();
+    }
+  }
+  return null;
+};
+
+/**
+ * Sign-in details stored on UserDevice and Session rows
+ * @param {Object} req - Express request
+ * @returns {{ userAgent: string|null, ip: string|null, country: string|null }}
+ */
+export const getDeviceDetails = (req) => ({
+  userAgent: req.headers['user-agent'] || null,
+  ip: req.ip || req.connection?.remoteAddress || null,
+  country: getRequestCountry(req),
+});
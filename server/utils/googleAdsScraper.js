@@ -138,6 +138,21 @@ const extractUrlsFromText = (text) => {
   }).filter(url => url.length > 0);
 };
 
+/**
+ * Ad evidence for a store found in an ad (recorded as an AdObservation)
+ */
+const toAdEvidence = (ad, country) => ({
+  platform: 'google',
+  adId: ad.ad_id || ad.creative_id || ad.id,
+  creativeUrl: ad.ad_snapshot_url || ad.ad_url || null,
+  creativeText: [
+    ...(ad.ad_creative_titles || []),
+    ...(ad.ad_creative_bodies || []),
+  ].filter(text => typeof text === 'string').join('\n') || null,
+  country,
+  startedAt: ad.ad_delivery_start_time || ad.first_shown || null,
+});
+
 /**
  * Get ads for a specific advertiser
  */
@@ -230,6 +245,7 @@ export const scrapeGoogleAds = async () => {
                     source: 'Google Ads Library',
                     keyword,
                     country,
+                    ad: toAdEvidence(ad, country),
                   });
                 }
               }
@@ -249,6 +265,7 @@ export const scrapeGoogleAds = async () => {
                     source: 'Google Ads Library',
                     keyword,
                     country,
+                    ad: toAdEvidence(ad, country),
                   });
                 }
               }
@@ -294,6 +311,7 @@ export const scrapeGoogleAds = async () => {
                     source: 'Google Ads Library (Advertiser)',
                     advertiserId,
                     country,
+                    ad: toAdEvidence(ad, country),
                   });
                 }
               }
@@ -312,6 +330,7 @@ export const scrapeGoogleAds = async () => {
                     source: 'Google Ads Library (Advertiser)',
                     advertiserId,
                     country,
+                    ad: toAdEvidence(ad, country),
                   });
                 }
               }
@@ -355,6 +374,7 @@ export const scrapeGoogleAds = async () => {
                     source: 'Google Ads Library (Advertiser Name)',
                     advertiserName: name,
                     country,
+                    ad: toAdEvidence(ad, country),
                   });
                 }
               }
@@ -418,6 +438,7 @@ export const scrapeGoogleAdsByAdvertiser = async (advertiserId, countries = ['US
                 url: url.trim(),
                 source: `Google Ads Library (Advertiser: ${advertiserId})`,
                 country,
+                ad: toAdEvidence(ad, country),
               });
             }
           }
@@ -433,6 +454,7 @@ export const scrapeGoogleAdsByAdvertiser = async (advertiserId, countries = ['US
                 url: url.trim(),
                 source: `Google Ads Library (Advertiser: ${advertiserId})`,
                 country,
+                ad: toAdEvidence(ad, country),
               });
             }
           }
@@ -1,5 +1,4 @@
 import axios from 'axios';
-import { searchShopifyStoresWithAPI } from './scrapingApi.js';
 import { looksLikeShopifyStore } from './shopifyUrlValidator.js';
 
 /**
@@ -28,8 +27,8 @@ export const searchGoogleIndexGaps = async () => {
       'site:myshopify.com "recent"',
     ];
     
-    // Use ScrapingAPI or SerpAPI for Google searches
-    if (process.env.SCRAPING_API_KEY || process.env.SERPAPI_KEY || process.env.SERPER_API_KEY) {
+    // Use SerpAPI or Serper.dev for Google searches (the scraping API has no search endpoint)
+    if (process.env.SERPAPI_KEY || process.env.SERPER_API_KEY) {
       for (const query of queries) {
         try {
           console.log(`   Searching: "${query}"...`);
@@ -37,9 +36,7 @@ export const searchGoogleIndexGaps = async () => {
           // Use available search API
           let foundStores = [];
           
-          if (process.env.SCRAPING_API_KEY) {
-            foundStores = await searchShopifyStoresWithAPI(query);
-          } else if (process.env.SERPAPI_KEY) {
+          if (process.env.SERPAPI_KEY) {
             // Use SerpAPI
             const { scrapeSerpApi } = await import('./serpApiScraper.js');
             foundStores = await scrapeSerpApi(query);
@@ -87,7 +84,7 @@ export const searchGoogleIndexGaps = async () => {
         }
       }
     } else {
-      console.log('   ⚠️  No search API key configured (SCRAPING_API_KEY, SERPAPI_KEY, or SERPER_API_KEY)');
+      console.log('   ⚠️  No search API key configured (SERPAPI_KEY or SERPER_API_KEY)');
     }
     
     console.log(`   Found ${stores.length} stores from Google index gaps`);
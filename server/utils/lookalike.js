@@ -0,0 +1,201 @@
+/**
+ * LOOKALIKE STORES - similarity vectors
+ *
+ * Each store gets a sparse feature vector ({ "group:value": weight }) stored as
+ * `similarityVector`, built from what we already know about it:
+ * - niche:          niche scores (nicheScores)
+ * - vocabulary:     TF-IDF of the words in its sampled product titles, types and tags
+ * - techStack:      detected apps
+ * - classification: business model scores (businessModelScores) and tags
+ * - theme:          Shopify theme
+ * - priceBand:      median sampled product price
+ * - country:        country code
+ *
+ * Every group is normalized on its own and weighted by SIMILARITY_GROUPS, then the
+ * whole vector is normalized - the cosine similarity of two vectors is the
+ * weighted agreement of their groups, 0 - 1. Vocabulary weights need document
+ * frequencies over all stores, so vectors are rebuilt in batch
+ * (services/lookalikeService.js).
+ */
+
+export const SIMILARITY_GROUPS = {
+  niche: 0.2,
+  vocabulary: 0.25,
+  techStack: 0.15,
+  classification: 0.1,
+  theme: 0.1,
+  priceBand: 0.1,
+  country: 0.1,
+};
+
+// Vocabulary terms kept per store (highest TF-IDF first)
+export const MAX_VOCABULARY_TERMS = 30;
+
+// Upper bounds of the price bands (in each store's own currency), the last band is open
+const PRICE_BANDS = [15, 30, 60, 120, 250];
+
+// Words that say nothing about what a store sells
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'you', 'your', 'our', 'new', 'set', 'pack', 'pcs', 'piece', 'pieces',
+  'size', 'sizes', 'color', 'colour', 'style', 'free', 'shipping', 'sale', 'best', 'gift', 'edition',
+  'default', 'title', 'product', 'products', 'item', 'items', 'one', 'two', 'from', 'this', 'that',
+]);
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined) return null;
+  const number = Number(value); // Prisma Decimal -> number
+  return isNaN(number) ? null : number;
+};
+
+/**
+ * Count the words of a store's sampled products (titles, product types and tags)
+ * Words are lowercased letters, 3+ characters, simple plurals reduced ("hoodies" -> "hoodie")
+ * @param {Array} products - [{ title, productType, tags }]
+ * @returns {Map<string, number>} - word -> occurrences
+ */
+export const tokenizeProducts = (products = []) => {
+  const counts = new Map();
+  for (const product of products) {
+    const text = [product.title, product.productType, ...(product.tags || [])].filter(Boolean).join(' ').toLowerCase();
+    for (const match of text.matchAll(/\p{L}{3,}/gu)) {
+      let word = match[0];
+      if (word.length > 4 && /(ss|x|z|ch|sh)es$/.test(word)) word = word.slice(0, -2);
+      else if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) word = word.slice(0, -1);
+      if (STOPWORDS.has(word)) continue;
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+  }
+  return counts;
+};
+
+/**
+ * TF-IDF weights of a store's words, top MAX_VOCABULARY_TERMS
+ * @param {Map<string, number>} wordCounts - tokenizeProducts() result
+ * @param {Map<string, number>} documentFrequencies - Stores each word appears in
+ * @param {number} storeCount - Stores in the corpus
+ * @returns {Object} - { word: weight }
+ */
+export const getVocabularyWeights = (wordCounts, documentFrequencies, storeCount) => {
+  const weights = [];
+  for (const [word, count] of wordCounts) {
+    const documentFrequency = documentFrequencies.get(word) || 0;
+    // Words only this store uses can't match anyone; words most stores use don't tell stores apart
+    if (documentFrequency < 2 || documentFrequency > storeCount / 2) continue;
+    weights.push([word, (1 + Math.log(count)) * Math.log(storeCount / documentFrequency)]);
+  }
+  weights.sort((a, b) => b[1] - a[1]);
+  return Object.fromEntries(weights.slice(0, MAX_VOCABULARY_TERMS));
+};
+
+/**
+ * Price band of a store from its sampled products (median of the lowest variant prices)
+ * @returns {string|null} - e.g. "15-30", "250+" (null without prices)
+ */
+export const getPriceBand = (products = []) => {
+  const prices = products
+    .map(product => toNumber(product.minPrice))
+    .filter(price => price !== null && price > 0)
+    .sort((a, b) => a - b);
+  if (prices.length === 0) return null;
+
+  const median = prices[Math.floor(prices.length / 2)];
+  let lower = 0;
+  for (const upper of PRICE_BANDS) {
+    if (median < upper) return `${lower}-${upper}`;
+    lower = upper;
+  }
+  return `${lower}+`;
+};
+
+/**
+ * Build a store's similarity vector
+ * @param {Object} store - { niches, nicheScores, techStack, businessModelScores, tags, theme, countryCode }
+ * @param {Object} extras - { vocabulary: getVocabularyWeights() result, priceBand }
+ * @returns {Object} - { "group:value": weight } (L2-normalized, {} when nothing is known)
+ */
+export const buildSimilarityVector = (store, { vocabulary = {}, priceBand = null } = {}) => {
+  const groups = {
+    niche: {},
+    vocabulary,
+    techStack: {},
+    classification: {},
+    theme: {},
+    priceBand: {},
+    country: {},
+  };
+
+  const nicheScores = store.nicheScores && typeof store.nicheScores === 'object' ? store.nicheScores : {};
+  for (const [niche, score] of Object.entries(nicheScores)) {
+    if (toNumber(score) > 0) groups.niche[niche] = toNumber(score);
+  }
+  for (const niche of store.niches || []) {
+    groups.niche[niche] = groups.niche[niche] || 1;
+  }
+
+  for (const app of store.techStack || []) {
+    groups.techStack[app] = 1;
+  }
+
+  // Business model scores (skipping the _signals metadata) and tags share one group
+  const modelScores = store.businessModelScores && typeof store.businessModelScores === 'object' ? store.businessModelScores : {};
+  for (const [model, score] of Object.entries(modelScores)) {
+    if (!model.startsWith('_') && toNumber(score) > 0) {
+      groups.classification[model.toLowerCase()] = toNumber(score);
+    }
+  }
+  for (const tag of store.tags || []) {
+    if (tag && tag !== 'Unclassified') {
+      const key = tag.toLowerCase();
+      groups.classification[key] = (groups.classification[key] || 0) + 1;
+    }
+  }
+
+  if (store.theme && store.theme !== 'Unknown') groups.theme[store.theme] = 1;
+  if (priceBand) groups.priceBand[priceBand] = 1;
+  if (store.countryCode) groups.country[store.countryCode] = 1;
+
+  // Normalize every group to its weight, then the whole vector
+  const vector = {};
+  for (const [group, features] of Object.entries(groups)) {
+    const norm = Math.sqrt(Object.values(features).reduce((sum, value) => sum + value * value, 0));
+    if (norm === 0) continue;
+    const scale = Math.sqrt(SIMILARITY_GROUPS[group]) / norm;
+    for (const [feature, value] of Object.entries(features)) {
+      vector[`${group}:${feature}`] = value * scale;
+    }
+  }
+
+  const norm = Math.sqrt(Object.values(vector).reduce((sum, value) => sum + value * value, 0));
+  if (norm === 0) return {};
+  for (const feature of Object.keys(vector)) {
+    vector[feature] = round(vector[feature] / norm);
+  }
+  return vector;
+};
+
+/**
+ * Cosine similarity of two normalized vectors (0 - 1)
+ */
+export const cosineSimilarity = (a = {}, b = {}) => {
+  const [smaller, larger] = Object.keys(a).length <= Object.keys(b).length ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [feature, value] of Object.entries(smaller)) {
+    if (larger[feature]) dot += value * larger[feature];
+  }
+  return Math.min(1, Math.max(0, dot));
+};
+
+/**
+ * What two stores have in common, biggest contribution to their similarity first
+ * @returns {Array} - [{ group, value }] (e.g. { group: 'techStack', value: 'Klaviyo' })
+ */
+export const getSharedFeatures = (a = {}, b = {}, limit = 5) => Object.keys(a)
+  .filter(feature => b[feature])
+  .sort((x, y) => b[y] * a[y] - b[x] * a[x])
+  .slice(0, limit)
+  .map(feature => {
+    const separator = feature.indexOf(':');
+    return { group: feature.substring(0, separator), value: feature.substring(separator + 1) };
+  });
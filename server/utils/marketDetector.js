@@ -0,0 +1,150 @@
+import { fetchStoreSnapshot } from './storeSnapshot.js';
+import { getCountryCode } from '../config/countries.js';
+
+// Caps for the stored arrays (stores shipping worldwide list 200+ countries)
+const MAX_CURRENCIES = 50;
+const MAX_LOCALES = 50;
+const MAX_SHIPS_TO = 250;
+
+/**
+ * Normalize a locale tag: "en" / "EN_ca" -> "en" / "en-CA" (null if not a locale)
+ */
+export const normalizeLocale = (value) => {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(/^([a-z]{2,3})(?:[-_]([a-z]{2}|[a-z]{4}))?$/i);
+  if (!match) return null;
+  const [, language, region] = match;
+  if (!region) return language.toLowerCase();
+  // Script subtags (zh-Hant) keep title case, regions are upper case
+  const suffix = region.length === 4 ? region[0].toUpperCase() + region.slice(1).toLowerCase() : region.toUpperCase();
+  return `${language.toLowerCase()}-${suffix}`;
+};
+
+/**
+ * Normalize a currency code: "eur" -> "EUR" (null if not a 3-letter code)
+ */
+export const normalizeCurrency = (value) => {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(trimmed) ? trimmed : null;
+};
+
+/**
+ * Normalize a shipping country: ISO code or country name -> ISO code
+ * Codes we have no name for are kept as long as they look like ISO codes.
+ */
+export const normalizeShippingCountry = (value) => {
+  if (typeof value !== 'string') return null;
+  const code = getCountryCode(value);
+  if (code) return code;
+  const trimmed = value.trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(trimmed) ? trimmed : null;
+};
+
+const unique = (values, normalize, max) => [...new Set(values.map(normalize).filter(Boolean))].slice(0, max);
+
+/**
+ * Add the bare language for regional locales ("de-DE" -> also "de"), so a
+ * language filter matches every regional storefront
+ */
+const withLanguages = (locales) => [...new Set(locales.flatMap(locale => [locale, locale.split('-')[0]]))];
+
+/**
+ * Read the storefront's market selector (the /localization form)
+ * Themes render it as <select name="country_code|currency_code|locale_code"> or as
+ * lists of [data-value] links ("Germany (EUR €)").
+ * @returns {Object} - { countries, currencies, locales }
+ */
+const parseLocalizationForm = ($) => {
+  const result = { countries: [], currencies: [], locales: [] };
+  const $forms = $('form[action*="/localization"]');
+  if ($forms.length === 0) return result;
+
+  $forms.find('select[name="country_code"] option, input[name="country_code"]').each((i, el) => {
+    result.countries.push($(el).attr('value'));
+  });
+  $forms.find('select[name="currency_code"] option, input[name="currency_code"]').each((i, el) => {
+    result.currencies.push($(el).attr('value'));
+  });
+  $forms.find('select[name="locale_code"] option, input[name="locale_code"]').each((i, el) => {
+    result.locales.push($(el).attr('value'));
+  });
+
+  // Dawn-style lists - country items carry "(EUR €)" in their label
+  $forms.find('[data-value]').each((i, el) => {
+    const value = $(el).attr('data-value') || '';
+    if (/^[A-Z]{2}$/.test(value)) {
+      result.countries.push(value);
+      const currency = $(el).text().match(/\(([A-Z]{3})\b/)?.[1];
+      if (currency) result.currencies.push(currency);
+    } else if (normalizeLocale(value)) {
+      result.locales.push(value);
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Detect the markets a Shopify store sells in
+ * Uses /meta.json (shop country, currency, ships_to_countries), the Shopify.currency /
+ * Shopify.locale globals, hreflang alternates and the /localization market selector.
+ * @returns {Promise<Object|null>} - { primaryMarket, currencies, locales, shipsTo },
+ *   null when neither the page nor /meta.json could be read
+ */
+export const detectMarkets = async (url, snapshot = null) => {
+  try {
+    const storeSnapshot = snapshot || await fetchStoreSnapshot(url);
+    const { html, $, meta } = storeSnapshot;
+    if (!html && !meta) {
+      return null;
+    }
+
+    const localization = $ ? parseLocalizationForm($) : { countries: [], currencies: [], locales: [] };
+
+    const currencies = [
+      meta?.currency,
+      html?.match(/Shopify\.currency\s*=\s*\{[^}]*"active"\s*:\s*"([A-Za-z]{3})"/)?.[1],
+      ...localization.currencies,
+    ];
+
+    const locales = [
+      html?.match(/Shopify\.locale\s*=\s*["']([^"']+)["']/)?.[1],
+      $?.('html').attr('lang'),
+      ...($ ? $('link[rel="alternate"][hreflang]').toArray().map(el => $(el).attr('hreflang')) : []),
+      ...localization.locales,
+    ];
+
+    const shipsTo = [
+      ...(Array.isArray(meta?.ships_to_countries) ? meta.ships_to_countries : []),
+      ...localization.countries,
+    ];
+
+    return {
+      // The shop's own country from /meta.json (where the store is set up to sell from)
+      primaryMarket: normalizeShippingCountry(meta?.country),
+      currencies: unique(currencies, normalizeCurrency, MAX_CURRENCIES),
+      locales: withLanguages(unique(locales, normalizeLocale, MAX_LOCALES)),
+      shipsTo: unique(shipsTo, normalizeShippingCountry, MAX_SHIPS_TO),
+    };
+  } catch (error) {
+    console.error(`Error detecting markets: ${url}`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Store fields for a market detection result
+ * @param {Object|null} marketResult - detectMarkets() result
+ * @param {string|null} fallbackMarket - ISO code to use as primary market when /meta.json has none (detected country)
+ * @returns {Object} - { primaryMarket, currencies, locales, shipsTo } ({} if detection failed)
+ */
+export const getMarketUpdateData = (marketResult, fallbackMarket = null) => {
+  if (!marketResult) return {};
+  return {
+    primaryMarket: marketResult.primaryMarket || fallbackMarket || null,
+    currencies: marketResult.currencies,
+    locales: marketResult.locales,
+    shipsTo: marketResult.shipsTo,
+  };
+};
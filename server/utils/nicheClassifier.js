@@ -0,0 +1,175 @@
+import { NICHE_TAXONOMY, NICHE_TAXONOMY_VERSION } from '../config/niches.js';
+
+/**
+ * NICHE CLASSIFIER - rules and keywords, no network calls
+ *
+ * Scores every niche of the fixed taxonomy (config/niches.js) from what the store sells
+ * (product types, product titles and tags from /products.json) and how it presents itself
+ * (homepage title / meta description, headings and navigation). Signals are combined per
+ * niche as 1 - Π(1 - weight), like the country and theme detectors.
+ */
+
+// Signal weights - product signals scale with the share of products that match
+const SIGNAL_WEIGHTS = {
+  productType: 0.7, // product_type of the sampled products
+  productTitle: 0.5, // Product titles and tags
+  homepageMeta: 0.4, // <title>, meta description, og:description
+  homepageText: 0.1, // Per distinct keyword in headings / navigation (up to 3)
+};
+
+const MAX_HOMEPAGE_TEXT_KEYWORDS = 3;
+
+// A niche is assigned at or above this confidence (a store can have several)
+export const MIN_NICHE_CONFIDENCE = 0.5;
+
+// At most this many niches per store
+const MAX_NICHES = 3;
+
+// Products looked at (the /products.json page holds up to 250)
+const MAX_PRODUCTS = 250;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Whole-word pattern for a keyword, with simple plurals ("hoodie(s)", "dress(es)", "pupp(y|ies)")
+ */
+const toKeywordPattern = (keyword) => {
+  if (/[^aeiou]y$/.test(keyword)) {
+    return `${escapeRegExp(keyword.slice(0, -1))}(?:y|ies)`;
+  }
+  return `${escapeRegExp(keyword)}(?:s|es)?`;
+};
+
+const NICHE_MATCHERS = NICHE_TAXONOMY.map(({ name, keywords }) => ({
+  name,
+  pattern: new RegExp(`(?<![\\p{L}\\p{N}])(${keywords.map(toKeywordPattern).join('|')})(?![\\p{L}\\p{N}])`, 'giu'),
+}));
+
+/**
+ * Distinct keywords of a niche found in a text (lowercase)
+ */
+const findKeywords = (pattern, text) => {
+  if (!text) return [];
+  return [...new Set([...text.matchAll(pattern)].map(match => match[1].toLowerCase()))];
+};
+
+/**
+ * Text fields of the sampled products
+ */
+const getProductTexts = (products) => (Array.isArray(products) ? products : [])
+  .slice(0, MAX_PRODUCTS)
+  .map(product => ({
+    type: typeof product?.product_type === 'string' ? product.product_type : '',
+    title: [
+      typeof product?.title === 'string' ? product.title : '',
+      ...(Array.isArray(product?.tags) ? product.tags : (typeof product?.tags === 'string' ? product.tags.split(',') : [])),
+    ].join(' '),
+  }));
+
+/**
+ * Homepage texts - page meta and the store's own headings / navigation
+ */
+const getHomepageTexts = ($) => {
+  if (!$) return { meta: '', text: '' };
+  const meta = [
+    $('title').first().text(),
+    $('meta[name="description"]').attr('content'),
+    $('meta[property="og:description"]').attr('content'),
+  ].filter(Boolean).join(' ');
+  const text = $('h1, h2, h3, nav a, header a')
+    .toArray()
+    .map(el => $(el).text())
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .substring(0, 20000);
+  return { meta, text };
+};
+
+/**
+ * Classify a store into niches from a store snapshot
+ * @param {Object} snapshot - fetchStoreSnapshot() result ($ and products are used)
+ * @returns {Object|null} - { niches, scores, signals, taxonomyVersion },
+ *   null when neither the page nor /products.json could be read
+ */
+export const classifyNiches = (snapshot) => {
+  try {
+    const hasProducts = Array.isArray(snapshot?.products) && snapshot.products.length > 0;
+    if (!snapshot?.$ && !hasProducts) {
+      return null;
+    }
+
+    const products = getProductTexts(snapshot.products);
+    const homepage = getHomepageTexts(snapshot.$);
+    const round = (value) => Math.round(value * 100) / 100;
+
+    const scores = {};
+    const signals = {};
+    for (const { name, pattern } of NICHE_MATCHERS) {
+      const nicheSignals = [];
+
+      if (products.length > 0) {
+        const typeMatches = products.filter(product => findKeywords(pattern, product.type).length > 0).length;
+        if (typeMatches > 0) {
+          nicheSignals.push({
+            signal: 'productType',
+            value: `${typeMatches}/${products.length} products`,
+            weight: round(SIGNAL_WEIGHTS.productType * typeMatches / products.length),
+          });
+        }
+        const titleMatches = products.filter(product => findKeywords(pattern, product.title).length > 0).length;
+        if (titleMatches > 0) {
+          nicheSignals.push({
+            signal: 'productTitle',
+            value: `${titleMatches}/${products.length} products`,
+            weight: round(SIGNAL_WEIGHTS.productTitle * titleMatches / products.length),
+          });
+        }
+      }
+
+      const metaKeywords = findKeywords(pattern, homepage.meta);
+      if (metaKeywords.length > 0) {
+        nicheSignals.push({ signal: 'homepageMeta', value: metaKeywords.slice(0, 5).join(', '), weight: SIGNAL_WEIGHTS.homepageMeta });
+      }
+      const textKeywords = findKeywords(pattern, homepage.text).slice(0, MAX_HOMEPAGE_TEXT_KEYWORDS);
+      if (textKeywords.length > 0) {
+        nicheSignals.push({
+          signal: 'homepageText',
+          value: textKeywords.join(', '),
+          weight: round(SIGNAL_WEIGHTS.homepageText * textKeywords.length),
+        });
+      }
+
+      const score = 1 - nicheSignals.reduce((remaining, { weight }) => remaining * (1 - weight), 1);
+      if (score > 0) {
+        scores[name] = round(score);
+        signals[name] = nicheSignals;
+      }
+    }
+
+    const niches = Object.entries(scores)
+      .filter(([, score]) => score >= MIN_NICHE_CONFIDENCE)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_NICHES)
+      .map(([name]) => name);
+
+    return { niches, scores, signals, taxonomyVersion: NICHE_TAXONOMY_VERSION };
+  } catch (error) {
+    console.error(`Error classifying niches: ${snapshot?.url}`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Store fields for a niche classification result
+ * @param {Object|null} nicheResult - classifyNiches() result
+ * @returns {Object} - { niches, nicheScores, nicheSignals, nicheTaxonomyVersion } ({} if classification failed)
+ */
+export const getNicheUpdateData = (nicheResult) => {
+  if (!nicheResult) return {};
+  return {
+    niches: nicheResult.niches,
+    nicheScores: nicheResult.scores,
+    nicheSignals: nicheResult.signals,
+    nicheTaxonomyVersion: nicheResult.taxonomyVersion,
+  };
+};
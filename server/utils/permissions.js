@@ -0,0 +1,88 @@
+/**
+ * STAFF PERMISSIONS
+ *
+ * The one registry of admin permissions and the named staff roles built from
+ * them. Every admin route checks one of these permissions (checkPermission in
+ * routes/admin.js); a staff member holds their role's permissions plus any
+ * granted to them individually. Role permission sets can be edited from the
+ * admin Staff page (StaffRole, services/roleService.js) - these are the defaults.
+ */
+
+// Grants every permission
+export const ALL_PERMISSIONS = 'all';
+
+// Permission -> label and group (shown on the admin Staff page)
+export const PERMISSIONS = {
+  'dashboard.view': { label: 'View Dashboard & Analytics', group: 'Dashboard' },
+  'users.view': { label: 'View Users', group: 'Users' },
+  'users.create': { label: 'Create Users', group: 'Users' },
+  'users.edit': { label: 'Edit Users (Name, Email, Plan)', group: 'Users' },
+  'users.suspend': { label: 'Suspend Users', group: 'Users' },
+  'users.deactivate': { label: 'Deactivate Users', group: 'Users' },
+  'users.restore': { label: 'Restore Suspended/Deactivated Users', group: 'Users' },
+  'users.delete': { label: 'Delete Users', group: 'Users' },
+  'tickets.view': { label: 'View Support Tickets', group: 'Support Tickets' },
+  'tickets.reply': { label: 'Reply to Support Tickets', group: 'Support Tickets' },
+  'tickets.update': { label: 'Update Ticket Status', group: 'Support Tickets' },
+  'tickets.delete': { label: 'Delete Support Tickets', group: 'Support Tickets' },
+  'subscriptions.view': { label: 'View Subscriptions & Disputes', group: 'Subscriptions' },
+  'subscriptions.manage': { label: 'Manage Subscriptions (Refunds)', group: 'Subscriptions' },
+  'scraping.view': { label: 'View Scraping & Job Queues', group: 'Scraping' },
+  'scraping.manage': { label: 'Manage Scraping (Sources, Start/Stop)', group: 'Scraping' },
+  'staff.view': { label: 'View Staff Members & Roles', group: 'Staff' },
+  'staff.manage': { label: 'Manage Staff & Roles', group: 'Staff' },
+  'audit.view': { label: 'View & Export Audit Log', group: 'Audit Log' },
+};
+
+// Named roles and their default permission sets
+export const STAFF_ROLES = {
+  admin: {
+    label: 'Admin',
+    description: 'Full access, including staff and roles',
+    permissions: [ALL_PERMISSIONS],
+  },
+  moderator: {
+    label: 'Moderator',
+    description: 'Manages users and support tickets',
+    permissions: ['dashboard.view', 'users.view', 'users.edit', 'users.suspend', 'users.deactivate', 'users.restore', 'tickets.view', 'tickets.reply', 'tickets.update', 'tickets.delete'],
+  },
+  support: {
+    label: 'Support',
+    description: 'Answers support tickets',
+    permissions: ['users.view', 'tickets.view', 'tickets.reply', 'tickets.update'],
+  },
+  billing: {
+    label: 'Billing',
+    description: 'Handles subscriptions, disputes and refunds',
+    permissions: ['dashboard.view', 'users.view', 'subscriptions.view', 'subscriptions.manage'],
+  },
+};
+
+// Roles whose permission set can't be edited
+export const LOCKED_ROLES = ['admin'];
+
+export const isStaffRole = (role) => Object.prototype.hasOwnProperty.call(STAFF_ROLES, role);
+
+/**
+ * Keep only known permissions, without duplicates ('all' replaces the rest)
+ * @param {string[]} permissions
+ * @returns {string[]}
+ */
+export const normalizePermissions = (permissions = []) => {
+  const list = Array.isArray(permissions) ? permissions : [];
+  if (list.includes(ALL_PERMISSIONS)) return [ALL_PERMISSIONS];
+  return [...new Set(list.filter(permission => PERMISSIONS[permission]))];
+};
+
+/**
+ * Whether a permission set grants a permission
+ */
+export const grantsPermission = (permissions = [], permission) =>
+  permissions.includes(ALL_PERMISSIONS) || permissions.includes(permission);
+
+/**
+ * Permissions in `requested` that `granter` doesn't hold itself (staff can't hand out more than they have)
+ * @returns {string[]}
+ */
+export const findUngrantablePermissions = (granter = [], requested = []) =>
+  requested.filter(permission => !grantsPermission(granter, permission));
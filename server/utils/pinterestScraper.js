@@ -335,6 +335,14 @@ const searchPinterestAds = async (keywords = [], limit = 25) => {
                 stores.push({
                   url: url.trim(),
                   source: 'Social Media Post', // Could be 'Social Media Ads' if confirmed promoted
+                  // Ad-like pin (link + call to action) - recorded as an AdObservation
+                  ad: {
+                    platform: 'pinterest',
+                    adId: pin.id,
+                    creativeUrl: pin.id ? `https://www.pinterest.com/pin/${pin.id}/` : pin.link,
+                    creativeText: [pin.title, pin.description].filter(Boolean).join(' - ') || null,
+                    startedAt: pin.created_at,
+                  },
                 });
               }
             }
@@ -509,6 +517,10 @@ export const scrapePinterestOptimized = async () => {
       if (!seenUrls.has(normalizedUrl)) {
         seenUrls.add(normalizedUrl);
         stores.push(store);
+      } else {
+        // Already found in a regular pin - keep the ad evidence on that entry
+        const existing = stores.find(s => s.url.trim().toLowerCase() === normalizedUrl);
+        if (existing && !existing.ad) existing.ad = store.ad;
       }
     }
     
@@ -199,6 +199,8 @@ export const convertMongoFilterToPrisma = (mongoFilter) => {
 
 /**
  * Find stores with filters and pagination
+ * Options: { page, limit, sort } - sort is { dateAdded }, { lastScraped } or { adCount } ('asc' | 'desc')
+ * Each store includes _count.adObservations.
  */
 export const findStores = async (filter = {}, options = {}) => {
   const prisma = getPrisma();
@@ -252,8 +254,28 @@ export const findStores = async (filter = {}, options = {}) => {
   }
   
   // Convert sort
-  const orderBy = {};
-  if (sort.dateAdded) {
+  let orderBy = {};
+  if (sort.adCount) {
+    // Number of observed ads (AdObservation), newest stores first on ties
+    orderBy = [
+      { adObservations: { _count: sort.adCount === 'asc' ? 'asc' : 'desc' } },
+      { dateAdded: 'desc' },
+    ];
+  } else if (sort.score) {
+    // Store score (utils/storeScore.js) - unscored stores last, newest first on ties
+    orderBy = [
+      { score: { sort: sort.score === 'asc' ? 'asc' : 'desc', nulls: 'last' } },
+      { dateAdded: 'desc' },
+    ];
+  } else if (sort.productCount) {
+    // Stores without a product count last
+    orderBy = [
+      { productCount: { sort: sort.productCount === 'asc' ? 'asc' : 'desc', nulls: 'last' } },
+      { dateAdded: 'desc' },
+    ];
+  } else if (sort.name) {
+    orderBy.name = sort.name === 'desc' ? 'desc' : 'asc';
+  } else if (sort.dateAdded) {
     orderBy.dateAdded = sort.dateAdded === 'desc' ? 'desc' : 'asc';
   } else if (sort.lastScraped) {
     orderBy.lastScraped = sort.lastScraped === 'desc' ? 'desc' : 'asc';
@@ -268,6 +290,7 @@ export const findStores = async (filter = {}, options = {}) => {
       skip,
       take: limit,
       orderBy,
+      include: { _count: { select: { adObservations: true } } },
     }),
     prisma.store.count({ where }),
   ]);
@@ -1,7 +1,6 @@
 import axios from 'axios';
 import * as cheerio from 'cheerio';
 import { looksLikeShopifyStore } from './shopifyUrlValidator.js';
-import { searchShopifyStoresWithAPI } from './scrapingApi.js';
 import { scrapeCommonCrawl, scrapeCommonCrawlByCountry } from './commonCrawl.js';
 import { scrapeProductHunt } from './productHuntScraper.js';
 import { scrapeIndieHackers } from './indieHackersScraper.js';
@@ -75,132 +74,14 @@ export const scrapeReddit = async () => {
 export { scrapeShopifyMarketplace } from './shopifyMarketplaceScraper.js';
 
 /**
- * Scrape search engines for Shopify stores using ScrapingAPI
+ * Scrape search engines for Shopify stores
+ * The scraping API (SCRAPING_API_KEY) only fetches pages, it has no search endpoint -
+ * search-engine discovery runs through Google CSE and the Google index gap scraper
+ * (SERPAPI_KEY / SERPER_API_KEY) instead.
  */
 export const scrapeSearchEngines = async (countries = []) => {
-  const stores = [];
-  
-  try {
-    // EXPANDED search queries for maximum coverage - thousands of variations
-    const searchQueries = [
-      // Direct Shopify site searches
-      'site:myshopify.com',
-      'site:myshopify.com store',
-      'site:myshopify.com shop',
-      'site:myshopify.com products',
-      'site:myshopify.com collection',
-      'site:myshopify.com cart',
-      'site:myshopify.com checkout',
-      
-      // Shopify store keywords
-      'shopify store',
-      'shopify online store',
-      'shopify ecommerce',
-      'shopify dropshipping store',
-      'shopify print on demand',
-      'new shopify store',
-      'shopify store products',
-      'shopify store catalog',
-      'shopify store collection',
-      'shopify store sale',
-      'shopify store discount',
-      
-      // Powered by Shopify
-      '"Powered by Shopify"',
-      '"powered by shopify"',
-      'powered by shopify store',
-      
-      // Shopify-specific patterns
-      'myshopify.com',
-      'myshopify.com store',
-      'myshopify.com shop',
-      '.myshopify.com',
-      
-      // Ecommerce + Shopify combinations
-      'ecommerce shopify',
-      'online shop shopify',
-      'web store shopify',
-      'digital store shopify',
-      'retail shopify',
-      'boutique shopify',
-      'fashion shopify',
-      'clothing shopify',
-      'jewelry shopify',
-      'electronics shopify',
-      'home decor shopify',
-      'beauty shopify',
-      'health shopify',
-      'fitness shopify',
-      'sports shopify',
-      'toys shopify',
-      'books shopify',
-      'art shopify',
-      'crafts shopify',
-      
-      // Business model + Shopify
-      'dropshipping shopify',
-      'print on demand shopify',
-      'wholesale shopify',
-      'retail shopify',
-      'b2b shopify',
-      'b2c shopify',
-      
-      // Country-specific (global coverage)
-      'shopify store USA',
-      'shopify store United States',
-      'shopify store Canada',
-      'shopify store UK',
-      'shopify store United Kingdom',
-      'shopify store Australia',
-      'shopify store New Zealand',
-      'shopify store Germany',
-      'shopify store France',
-      'shopify store Italy',
-      'shopify store Spain',
-      'shopify store Netherlands',
-      'shopify store Sweden',
-      'shopify store Norway',
-      'shopify store Denmark',
-      'shopify store Japan',
-      'shopify store South Korea',
-      'shopify store Singapore',
-      'shopify store India',
-      'shopify store Brazil',
-      'shopify store Mexico',
-      'shopify store Argentina',
-      'shopify store South Africa',
-      'shopify store UAE',
-      'shopify store Saudi Arabia',
-    ];
-
-    // Global scraping - no country-specific queries to allow unlimited global discovery
-    // Removed country-specific queries to enable global scraping
-
-    // Use ScrapingAPI to search for Shopify stores
-    if (process.env.SCRAPING_API_KEY) {
-      console.log(`🔍 Using ScrapingAPI to search for Shopify stores (${searchQueries.length} queries)...`);
-      
-      for (const query of searchQueries) {
-        try {
-          const foundStores = await searchShopifyStoresWithAPI(query);
-          stores.push(...foundStores);
-          console.log(`   Found ${foundStores.length} stores for query: "${query}"`);
-          
-          // Rate limiting: reduced delay for faster scraping
-          await new Promise(resolve => setTimeout(resolve, 300));
-        } catch (error) {
-          console.error(`Error searching for "${query}":`, error.message);
-        }
-      }
-    } else {
-      console.log('⚠️  ScrapingAPI key not configured, skipping search engine scraping');
-    }
-    
-  } catch (error) {
-    console.error('Error scraping search engines:', error.message);
-  }
-
-  return stores;
+  console.log('⚠️  Search engine scraping has no search API here, skipping (use Google CSE, SERPAPI_KEY or SERPER_API_KEY)');
+  return [];
 };
 
 /**
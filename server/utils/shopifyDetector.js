@@ -10,8 +10,11 @@ import { getHTMLWithAPI, scrapeWithAPI } from './scrapingApi.js';
  * 3. cdn.shopify.com in assets
  * 4. /products.json endpoint
  * 5. .myshopify.com domain (fallback)
+ *
+ * When a store snapshot is passed (see storeSnapshot.js), the header, products.json
+ * and CDN checks read from it instead of fetching the homepage again.
  */
-export const isShopifyStore = async (url) => {
+export const isShopifyStore = async (url, snapshot = null) => {
   try {
     // Normalize URL
     const normalizedUrl = url.startsWith('http') ? url : `https://${url}`;
@@ -38,6 +41,22 @@ export const isShopifyStore = async (url) => {
       }
     };
 
+    // CHECK 0: Snapshot signals - no extra requests needed
+    if (snapshot) {
+      if (snapshot.headers['x-shopid']) {
+        return true; // X-ShopId exists → Shopify
+      }
+      if (snapshot.products) {
+        return true; // Valid products.json → Shopify
+      }
+      if (snapshot.meta && snapshot.meta.myshopify_domain) {
+        return true; // meta.json exposes the myshopify domain → Shopify
+      }
+      if (snapshot.htmlLower && snapshot.htmlLower.includes('cdn.shopify.com')) {
+        return true; // Found cdn.shopify.com → Shopify
+      }
+    }
+
     // CHECK 1: Test /cart.js - Highest accuracy (almost flawless)
     // If it returns JSON, it's Shopify
     try {
@@ -67,39 +86,43 @@ export const isShopifyStore = async (url) => {
       // Continue to next check
     }
 
-    // CHECK 2: Test Shopify headers - X-ShopId
-    try {
-      const { response: headerResponse } = await makeRequest(normalizedUrl);
-      if (headerResponse && headerResponse.headers) {
-        const shopId = headerResponse.headers['x-shopid'] || headerResponse.headers['X-ShopId'];
-        if (shopId) {
-          return true; // X-ShopId exists → Shopify
+    // CHECK 2: Test Shopify headers - X-ShopId (already covered by snapshot)
+    if (!snapshot) {
+      try {
+        const { response: headerResponse } = await makeRequest(normalizedUrl);
+        if (headerResponse && headerResponse.headers) {
+          const shopId = headerResponse.headers['x-shopid'] || headerResponse.headers['X-ShopId'];
+          if (shopId) {
+            return true; // X-ShopId exists → Shopify
+          }
         }
+      } catch (error) {
+        // Continue to next check
       }
-    } catch (error) {
-      // Continue to next check
     }
 
     // CHECK 3: Test /products.json or /products/xxx.js
-    // If it returns product data → Shopify
-    try {
-      const productsUrl = `${baseUrl}/products.json`;
-      const { response: productsResponse } = await makeRequest(productsUrl);
+    // If it returns product data → Shopify (already covered by snapshot)
+    if (!snapshot) {
+      try {
+        const productsUrl = `${baseUrl}/products.json`;
+        const { response: productsResponse } = await makeRequest(productsUrl);
       
-      if (productsResponse && productsResponse.status === 200) {
-        try {
-          const data = typeof productsResponse.data === 'string' 
-            ? JSON.parse(productsResponse.data) 
-            : productsResponse.data;
-          if (data && Array.isArray(data.products)) {
-            return true; // Valid products.json → Shopify
+        if (productsResponse && productsResponse.status === 200) {
+          try {
+            const data = typeof productsResponse.data === 'string' 
+              ? JSON.parse(productsResponse.data) 
+              : productsResponse.data;
+            if (data && Array.isArray(data.products)) {
+              return true; // Valid products.json → Shopify
+            }
+          } catch (e) {
+            // Not valid JSON, continue
           }
-        } catch (e) {
-          // Not valid JSON, continue
         }
+      } catch (error) {
+        // Continue to next check
       }
-    } catch (error) {
-      // Continue to next check
     }
 
     // CHECK 3b: Test /collections.json (Shopify Storefront API)
@@ -147,46 +170,48 @@ export const isShopifyStore = async (url) => {
       // Continue to next check
     }
 
-    // CHECK 4: Test asset CDN - Look for cdn.shopify.com
-    try {
-      let html = null;
-      if (process.env.SCRAPING_API_KEY) {
-        html = await getHTMLWithAPI(normalizedUrl);
-      }
+    // CHECK 4: Test asset CDN - Look for cdn.shopify.com (already covered by snapshot)
+    if (!snapshot) {
+      try {
+        let html = null;
+        if (process.env.SCRAPING_API_KEY) {
+          html = await getHTMLWithAPI(normalizedUrl);
+        }
       
-      if (!html) {
-        const { response: htmlResponse } = await makeRequest(normalizedUrl);
-        if (htmlResponse) {
-          html = htmlResponse.data;
+        if (!html) {
+          const { response: htmlResponse } = await makeRequest(normalizedUrl);
+          if (htmlResponse) {
+            html = htmlResponse.data;
+          }
         }
-      }
 
-      if (html) {
-        const htmlLower = html.toLowerCase();
+        if (html) {
+          const htmlLower = html.toLowerCase();
         
-        // Check for cdn.shopify.com in HTML content
-        if (htmlLower.includes('cdn.shopify.com')) {
-          return true; // Found cdn.shopify.com → Shopify
-        }
+          // Check for cdn.shopify.com in HTML content
+          if (htmlLower.includes('cdn.shopify.com')) {
+            return true; // Found cdn.shopify.com → Shopify
+          }
 
-        // Also check in script and link tags
-        const $ = cheerio.load(html);
-        let foundCdn = false;
+          // Also check in script and link tags
+          const $ = cheerio.load(html);
+          let foundCdn = false;
         
-        $('script[src], link[href]').each((i, elem) => {
-          const src = $(elem).attr('src') || $(elem).attr('href') || '';
-          if (src.includes('cdn.shopify.com')) {
-            foundCdn = true;
-            return false; // Break loop
-          }
-        });
+          $('script[src], link[href]').each((i, elem) => {
+            const src = $(elem).attr('src') || $(elem).attr('href') || '';
+            if (src.includes('cdn.shopify.com')) {
+              foundCdn = true;
+              return false; // Break loop
+            }
+          });
 
-        if (foundCdn) {
-          return true;
+          if (foundCdn) {
+            return true;
+          }
         }
+      } catch (error) {
+        // Continue to next check
       }
-    } catch (error) {
-      // Continue to next check
     }
 
     // CHECK 5: Fallback - .myshopify.com domain check
@@ -216,17 +241,17 @@ export const isShopifyStore = async (url) => {
  * Check if store is password protected
  * Uses strict detection to avoid false positives
  */
-export const isPasswordProtected = async (url) => {
+export const isPasswordProtected = async (url, snapshot = null) => {
   try {
     const normalizedUrl = url.startsWith('http') ? url : `https://${url}`;
     
-    // Try ScrapingAPI first if available
-    let html = null;
-    if (process.env.SCRAPING_API_KEY) {
+    // Use snapshot HTML when provided (includes 401/403 bodies)
+    let html = snapshot ? snapshot.html : null;
+    if (!snapshot && process.env.SCRAPING_API_KEY) {
       html = await getHTMLWithAPI(normalizedUrl);
     }
     
-    if (!html) {
+    if (!html && !snapshot) {
       // Fallback to direct request
       try {
         const response = await axios.get(normalizedUrl, {
@@ -336,17 +361,17 @@ export const isPasswordProtected = async (url) => {
 /**
  * Get store name from the page
  */
-export const getStoreName = async (url) => {
+export const getStoreName = async (url, snapshot = null) => {
   try {
     const normalizedUrl = url.startsWith('http') ? url : `https://${url}`;
     
-    // Try ScrapingAPI first if available
-    let html = null;
-    if (process.env.SCRAPING_API_KEY) {
+    // Use snapshot HTML when provided, otherwise try ScrapingAPI first if available
+    let html = snapshot ? snapshot.html : null;
+    if (!snapshot && process.env.SCRAPING_API_KEY) {
       html = await getHTMLWithAPI(normalizedUrl);
     }
     
-    if (!html) {
+    if (!html && !snapshot) {
       // Fallback to direct request
       const response = await axios.get(normalizedUrl, {
         timeout: 10000,
@@ -439,10 +464,18 @@ export const getStoreName = async (url) => {
 /**
  * Get product count from Shopify store
  */
-export const getProductCount = async (url) => {
+export const getProductCount = async (url, snapshot = null) => {
   try {
     const normalizedUrl = url.startsWith('http') ? url : `https://${url}`;
     
+    // Use snapshot products.json when provided, falling back to counting from its HTML
+    if (snapshot) {
+      if (snapshot.products) {
+        return snapshot.products.length;
+      }
+      return countProductsFromHtml(snapshot.html);
+    }
+    
     // Try to access the products JSON endpoint
     const productsUrl = `${normalizedUrl}/products.json?limit=250`;
     
@@ -484,23 +517,7 @@ export const getProductCount = async (url) => {
         html = response.data;
       }
 
-      if (!html) {
-        return 0;
-      }
-
-      const $ = cheerio.load(html);
-      
-      // Look for product count indicators
-      const productCountText = $('body').text();
-      const matches = productCountText.match(/(\d+)\s*(products?|items?)/i);
-      
-      if (matches) {
-        return parseInt(matches[1]);
-      }
-
-      // Count product links
-      const productLinks = $('a[href*="/products/"]').length;
-      return productLinks > 0 ? productLinks : 0;
+      return countProductsFromHtml(html);
     }
     
     return 0;
@@ -510,21 +527,49 @@ export const getProductCount = async (url) => {
   }
 };
 
+/**
+ * Estimate product count from homepage HTML (used when products.json is unavailable)
+ */
+const countProductsFromHtml = (html) => {
+  if (!html) {
+    return 0;
+  }
+
+  const $ = cheerio.load(html);
+  
+  // Look for product count indicators
+  const productCountText = $('body').text();
+  const matches = productCountText.match(/(\d+)\s*(products?|items?)/i);
+  
+  if (matches) {
+    return parseInt(matches[1]);
+  }
+
+  // Count product links
+  const productLinks = $('a[href*="/products/"]').length;
+  return productLinks > 0 ? productLinks : 0;
+};
+
 /**
  * Check if store is active (returns 200 status)
  * Also checks for Shopify "store unavailable" message and metadata
  */
-export const isStoreActive = async (url) => {
+export const isStoreActive = async (url, snapshot = null) => {
   try {
     const normalizedUrl = url.startsWith('http') ? url : `https://${url}`;
     
-    // Try ScrapingAPI first if available
+    // Use snapshot homepage when provided
     let html = null;
-    if (process.env.SCRAPING_API_KEY) {
+    if (snapshot) {
+      if (snapshot.status === null || snapshot.status >= 500) {
+        return false; // Unreachable or server error, not active
+      }
+      html = snapshot.html;
+    } else if (process.env.SCRAPING_API_KEY) {
       html = await getHTMLWithAPI(normalizedUrl);
     }
     
-    if (!html) {
+    if (!html && !snapshot) {
       // Fallback to direct request
       const response = await axios.get(normalizedUrl, {
         timeout: 10000,
@@ -166,9 +166,12 @@ export const scrapeFacebookAdsLibrary = async () => {
               ad_active_status: 'ACTIVE',
               ad_reached_countries: 'US',
               fields: [
+                'id',
                 'ad_snapshot_url',
                 'website_url',
                 'page_name',
+                'ad_creative_bodies',
+                'ad_delivery_start_time',
               ].join(','),
               limit: 100,
             };
@@ -210,6 +213,15 @@ export const scrapeFacebookAdsLibrary = async () => {
                   platform: 'facebook',
                   pageName: ad.page_name || null,
                   adSnapshotUrl: ad.ad_snapshot_url || null,
+                  // Ad evidence (recorded as an AdObservation for the store)
+                  ad: {
+                    platform: 'facebook',
+                    adId: ad.id,
+                    creativeUrl: ad.ad_snapshot_url,
+                    creativeText: ad.ad_creative_bodies?.[0],
+                    country: params.ad_reached_countries,
+                    startedAt: ad.ad_delivery_start_time,
+                  },
                   metadata: {
                     searchTerm: term,
                   },
@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import speakeasy from 'speakeasy';
+import QRCode from 'qrcode';
+
+/**
+ * STAFF CREDENTIALS
+ *
+ * Every staff member enrolls their own authenticator (TOTP) secret when they
+ * accept their invitation and gets a set of one-time recovery codes. A one-time
+ * sign-in link can be emailed as a fallback. Recovery codes and sign-in link
+ * tokens are only stored as SHA-256 hashes.
+ */
+
+// Time steps accepted either side of the current one (30s each)
+export const TOTP_WINDOW = 1;
+
+export const RECOVERY_CODE_COUNT = 10;
+
+export const LOGIN_LINK_EXPIRY_MINUTES = 15;
+
+/**
+ * SHA-256 hash of a recovery code or sign-in link token
+ */
+export const hashCredential = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Recovery codes are matched case-insensitively, ignoring spaces and dashes
+ */
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * Generate a TOTP secret and the QR code to scan it with an authenticator app
+ * @param {string} email - Staff email (shown as the account name in the app)
+ * @returns {Promise<Object>} - { secret (base32), qrCode (data URL) }
+ */
+export const generateStaffTotpSecret = async (email) => {
+  const secret = speakeasy.generateSecret({
+    name: `SneakLink Staff (${email})`,
+    length: 20,
+  });
+  const qrCode = await QRCode.toDataURL(secret.otpauth_url);
+  return { secret: secret.base32, qrCode };
+};
+
+/**
+ * Verify a 6-digit authenticator code against a staff member's secret
+ * @returns {boolean}
+ */
+export const verifyStaffTotp = (secret, code) => {
+  if (!secret || !/^\d{6}$/.test(String(code || ''))) return false;
+  return speakeasy.totp.verify({
+    secret,
+    encoding: 'base32',
+    token: String(code),
+    window: TOTP_WINDOW,
+  });
+};
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} - { codes (shown once, e.g. "3f9a1-c07e2"), hashes (stored) }
+ */
+export const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => hashCredential(normalizeRecoveryCode(code))) };
+};
+
+/**
+ * Use up a recovery code
+ * @param {string[]} hashes - The staff member's remaining recovery code hashes
+ * @returns {string[]|null} - The hashes left after using the code (null if it doesn't match)
+ */
+export const consumeRecoveryCode = (hashes = [], code) => {
+  if (!code) return null;
+  const hash = hashCredential(normalizeRecoveryCode(code));
+  if (!hashes.includes(hash)) return null;
+  return hashes.filter(existing => existing !== hash);
+};
+
+/**
+ * Generate a one-time sign-in link token
+ * @returns {Object} - { token (emailed), tokenHash (stored), expires }
+ */
+export const generateLoginLinkToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return {
+    token,
+    tokenHash: hashCredential(token),
+    expires: new Date(Date.now() + LOGIN_LINK_EXPIRY_MINUTES * 60 * 1000),
+  };
+};
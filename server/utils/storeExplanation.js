@@ -0,0 +1,234 @@
+/**
+ * Store Explanation
+ * Turns the raw signals stored on a store (shopifySignals, businessModelScores._signals,
+ * discovery and health fields) into a readable explanation for the store detail page.
+ *
+ * Weights mirror the detectors (verificationService, businessModelDetectorV2) so users
+ * can see how much each signal contributed to a classification.
+ */
+
+import { isStoreVisible } from './visibilityRules.js';
+import { MIN_NICHE_CONFIDENCE } from './nicheClassifier.js';
+
+/**
+ * Shopify verification signals (see verifyShopifyStore)
+ */
+const SHOPIFY_SIGNALS = {
+  cartJs: { label: '/cart.js responds with a Shopify cart', weight: 0.4 },
+  xShopId: { label: 'X-ShopId response header', weight: 0.3 },
+  productsJson: { label: '/products.json lists products', weight: 0.2 },
+  cdnShopify: { label: 'Assets served from cdn.shopify.com', weight: 0.15 },
+  myshopifyDomain: { label: '.myshopify.com domain', weight: 0.1 },
+};
+
+/**
+ * Business model signal groups (keys of businessModelScores._signals)
+ */
+const BUSINESS_MODEL_SIGNAL_GROUPS = {
+  pod: 'Print on Demand',
+  dropshipping: 'Dropshipping',
+  branded: 'Branded Ecommerce',
+  marketplace: 'Marketplace',
+};
+
+/**
+ * Readable labels for business model signal codes ("prefix:value" or plain codes)
+ */
+const BUSINESS_MODEL_SIGNAL_LABELS = {
+  'myshopify-domain': () => 'Uses a .myshopify.com domain',
+  'footer-address': () => 'Physical address in the footer',
+  'size-based-skus': () => 'Size-based SKUs',
+  app: (value) => `App detected: ${value}`,
+  keyword: (value) => `Keyword on page: "${value}"`,
+  'many-variants': (value) => `${value} product variants`,
+  'many-products': (value) => `${value} products in the catalog`,
+  image: (value) => `Product images: ${value}`,
+  shipping: (value) => `Shipping text: "${value}"`,
+  currency: (value) => `Store currency: ${value}`,
+  generic: (value) => `Generic store pattern: ${value}`,
+  policy: (value) => `Policy text: ${value}`,
+  indicator: (value) => `Indicator: ${value}`,
+};
+
+// Fields never returned on public store endpoints
+const ADMIN_ONLY_FIELDS = ['adminNotes', 'tagsLockedBy'];
+
+/**
+ * Describe one business model signal code
+ */
+const describeBusinessModelSignal = (code) => {
+  const [prefix, ...rest] = String(code).split(':');
+  const value = rest.join(':');
+  const describe = BUSINESS_MODEL_SIGNAL_LABELS[prefix];
+  return {
+    code,
+    label: describe ? describe(value) : code,
+  };
+};
+
+/**
+ * Convert a Prisma Decimal / number / null into a number (or null)
+ */
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * Explain the Shopify verification result
+ */
+const explainShopify = (store) => {
+  const rawSignals = store.shopifySignals && typeof store.shopifySignals === 'object' ? store.shopifySignals : {};
+
+  return {
+    status: store.shopifyStatus,
+    confidence: toNumber(store.shopifyConfidence),
+    verified: store.verified,
+    signals: Object.entries(SHOPIFY_SIGNALS).map(([key, { label, weight }]) => ({
+      key,
+      label,
+      weight,
+      detected: rawSignals[key] === true,
+    })),
+  };
+};
+
+/**
+ * Explain the business model classification (scores per model + the signals behind them)
+ */
+const explainBusinessModel = (store) => {
+  const rawScores = store.businessModelScores && typeof store.businessModelScores === 'object' ? store.businessModelScores : {};
+  const { _signals: rawSignals = {}, ...scores } = rawScores;
+
+  const models = Object.entries(BUSINESS_MODEL_SIGNAL_GROUPS).map(([group, model]) => ({
+    model,
+    score: toNumber(scores[model]) ?? 0,
+    signals: (Array.isArray(rawSignals[group]) ? rawSignals[group] : []).map(describeBusinessModelSignal),
+  }));
+  models.sort((a, b) => b.score - a.score);
+
+  return {
+    primaryBusinessModel: store.primaryBusinessModel,
+    confidence: toNumber(store.businessModelConfidence),
+    // Tags are only assigned at >= 0.7 confidence (see classificationService)
+    tagThreshold: 0.7,
+    tagsLocked: store.tagsLocked,
+    models,
+    metadata: rawSignals.metadata || null,
+    error: rawSignals.error || null,
+  };
+};
+
+/**
+ * Explain the niche classification (score per niche + the signals behind it)
+ */
+const explainNiches = (store) => {
+  const scores = store.nicheScores && typeof store.nicheScores === 'object' ? store.nicheScores : {};
+  const signals = store.nicheSignals && typeof store.nicheSignals === 'object' ? store.nicheSignals : {};
+
+  return {
+    niches: store.niches || [],
+    threshold: MIN_NICHE_CONFIDENCE,
+    taxonomyVersion: store.nicheTaxonomyVersion ?? null,
+    scores: Object.entries(scores)
+      .map(([niche, score]) => ({
+        niche,
+        score: toNumber(score) ?? 0,
+        signals: Array.isArray(signals[niche]) ? signals[niche] : [],
+      }))
+      .sort((a, b) => b.score - a.score),
+  };
+};
+
+/**
+ * Build the verification / health timeline from the store's timestamps (newest first)
+ */
+const buildTimeline = (store) => {
+  const events = [
+    {
+      type: 'discovered',
+      date: store.dateAdded,
+      label: `Discovered${store.discoverySource ? ` via ${store.discoverySource}` : ''}`,
+    },
+    store.lastVerificationAttempt && {
+      type: 'verification',
+      date: store.lastVerificationAttempt,
+      label: `Shopify verification: ${store.shopifyStatus || 'unverified'}`,
+      status: store.storeStatus,
+    },
+    store.lastClassificationAttempt && {
+      type: 'classification',
+      date: store.lastClassificationAttempt,
+      label: store.primaryBusinessModel
+        ? `Classified as ${store.primaryBusinessModel}`
+        : 'Classification below tagging threshold',
+    },
+    store.healthStatus && {
+      type: 'health',
+      date: store.lastScraped,
+      label: `Health check: ${store.healthStatus.replace(/_/g, ' ')}`,
+      status: store.healthStatus,
+    },
+    store.nextRetryAt && {
+      type: 'scheduled',
+      date: store.nextRetryAt,
+      label: `Next re-check scheduled${store.retryCount > 0 ? ` (attempt ${store.retryCount + 1})` : ''}`,
+    },
+  ].filter(Boolean);
+
+  return events.sort((a, b) => new Date(b.date) - new Date(a.date));
+};
+
+/**
+ * Build the public store detail payload (store fields + explanation)
+ * @param {Object} store - Full store record from the database
+ * @returns {Object} - Store without admin-only fields, plus `explanation`
+ */
+export const buildStoreDetails = (store) => {
+  const details = { ...store };
+  for (const field of ADMIN_ONLY_FIELDS) {
+    delete details[field];
+  }
+  // Internal - lookalike stores are served by GET /api/stores/:id/similar
+  delete details.similarityVector;
+
+  details.explanation = {
+    shopify: explainShopify(store),
+    businessModel: explainBusinessModel(store),
+    country: {
+      name: store.country,
+      code: store.countryCode ?? null,
+      confidence: store.countryConfidence !== null && store.countryConfidence !== undefined ? Number(store.countryConfidence) : null,
+      signals: Array.isArray(store.countrySignals) ? store.countrySignals : [],
+    },
+    niches: explainNiches(store),
+    techStack: {
+      apps: Array.isArray(store.techStackSignals) ? store.techStackSignals : [],
+      detectedAt: store.techStackDetectedAt ?? null,
+    },
+    score: {
+      score: store.score ?? null,
+      components: Array.isArray(store.scoreSignals) ? store.scoreSignals : [],
+      updatedAt: store.scoreUpdatedAt ?? null,
+    },
+    theme: {
+      name: store.theme || 'Unknown',
+      confidence: store.themeConfidence !== null && store.themeConfidence !== undefined ? Number(store.themeConfidence) : null,
+      themeStoreId: store.themeStoreId ?? null,
+      catalogVersion: store.themeCatalogVersion ?? null,
+    },
+    discovery: {
+      source: store.source,
+      discoverySource: store.discoverySource,
+      metadata: store.discoveryMetadata || {},
+    },
+    health: {
+      storeStatus: store.storeStatus,
+      healthStatus: store.healthStatus,
+      isActive: store.isActive,
+      isPasswordProtected: store.isPasswordProtected,
+      productCountStatus: store.productCountStatus,
+      visible: isStoreVisible(store),
+    },
+    timeline: buildTimeline(store),
+  };
+
+  return details;
+};
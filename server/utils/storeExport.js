@@ -0,0 +1,331 @@
+/**
+ * Store Export Formatting
+ * Column definitions and CSV / XLSX / NDJSON rendering for store exports
+ *
+ * The legacy export (no columns requested) stays a header-less, single URL column
+ * CSV so existing "paste into another tool" workflows keep working.
+ */
+
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+
+/**
+ * Exportable columns
+ * key -> { header, fields (Prisma select), value(store) }
+ */
+export const EXPORT_COLUMNS = {
+  url: {
+    header: 'URL',
+    fields: ['url'],
+    value: (store) => store.url,
+  },
+  name: {
+    header: 'Name',
+    fields: ['name'],
+    value: (store) => store.name,
+  },
+  country: {
+    header: 'Country',
+    fields: ['country'],
+    value: (store) => store.country,
+  },
+  countryCode: {
+    header: 'Country Code',
+    fields: ['countryCode'],
+    value: (store) => store.countryCode || null,
+  },
+  primaryMarket: {
+    header: 'Primary Market',
+    fields: ['primaryMarket'],
+    value: (store) => store.primaryMarket || null,
+  },
+  currencies: {
+    header: 'Currencies',
+    fields: ['currencies'],
+    value: (store) => store.currencies || [],
+  },
+  shipsTo: {
+    header: 'Ships To',
+    fields: ['shipsTo'],
+    value: (store) => store.shipsTo || [],
+  },
+  theme: {
+    header: 'Theme',
+    fields: ['theme'],
+    value: (store) => store.theme || null,
+  },
+  niches: {
+    header: 'Niches',
+    fields: ['niches'],
+    value: (store) => store.niches || [],
+  },
+  techStack: {
+    header: 'Apps',
+    fields: ['techStack'],
+    value: (store) => store.techStack || [],
+  },
+  productCount: {
+    header: 'Product Count',
+    fields: ['productCount'],
+    value: (store) => store.productCount ?? null,
+  },
+  score: {
+    header: 'Score',
+    fields: ['score'],
+    value: (store) => store.score ?? null,
+  },
+  primaryBusinessModel: {
+    header: 'Business Model',
+    fields: ['primaryBusinessModel'],
+    value: (store) => store.primaryBusinessModel || null,
+  },
+  businessModelConfidence: {
+    header: 'Business Model Confidence',
+    fields: ['businessModelConfidence'],
+    value: (store) => (store.businessModelConfidence != null ? Number(store.businessModelConfidence) : null),
+  },
+  shopifyConfidence: {
+    header: 'Shopify Confidence',
+    fields: ['shopifyConfidence'],
+    value: (store) => (store.shopifyConfidence != null ? Number(store.shopifyConfidence) : null),
+  },
+  tags: {
+    header: 'Tags',
+    fields: ['tags'],
+    value: (store) => store.tags || [],
+  },
+  hasFacebookAds: {
+    header: 'Running Facebook Ads',
+    fields: ['hasFacebookAds'],
+    value: (store) => store.hasFacebookAds === true,
+  },
+  dateAdded: {
+    header: 'Date Added',
+    fields: ['dateAdded'],
+    value: (store) => (store.dateAdded ? new Date(store.dateAdded).toISOString() : null),
+  },
+};
+
+/**
+ * Supported export formats
+ */
+export const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv',
+    extension: 'csv',
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson',
+    extension: 'ndjson',
+  },
+};
+
+// Columns used when the client doesn't pick any (legacy single-column export)
+export const DEFAULT_EXPORT_COLUMNS = ['url'];
+
+/**
+ * Validate requested columns (unknown keys dropped, duplicates removed, order kept)
+ * Returns DEFAULT_EXPORT_COLUMNS when nothing valid was requested
+ */
+export const normalizeExportColumns = (columns) => {
+  if (!Array.isArray(columns)) {
+    return DEFAULT_EXPORT_COLUMNS;
+  }
+  const valid = [...new Set(columns.filter(column => typeof column === 'string' && EXPORT_COLUMNS[column]))];
+  return valid.length > 0 ? valid : DEFAULT_EXPORT_COLUMNS;
+};
+
+/**
+ * Validate requested format (defaults to csv)
+ * Returns null for unknown formats
+ */
+export const normalizeExportFormat = (format) => {
+  if (!format) return 'csv';
+  const normalized = String(format).toLowerCase();
+  return EXPORT_FORMATS[normalized] ? normalized : null;
+};
+
+/**
+ * Build the Prisma select for the requested columns
+ */
+export const buildExportSelect = (columns) => {
+  const select = {};
+  for (const column of columns) {
+    for (const field of EXPORT_COLUMNS[column].fields) {
+      select[field] = true;
+    }
+  }
+  return select;
+};
+
+/**
+ * Check if this is the legacy header-less URL-only CSV
+ */
+const isLegacyUrlExport = (columns) => {
+  return columns.length === 1 && columns[0] === 'url';
+};
+
+// Leading characters that make Excel / Sheets run a text cell as a formula
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a value for CSV (always quoted, arrays joined with "; ")
+ * Text that would run as a formula (scraped store names, tags, apps...) is prefixed with '
+ */
+export const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '""';
+  let text = Array.isArray(value) ? value.join('; ') : String(value);
+  if (typeof value !== 'number' && CSV_FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Convert a store into an ordered { column: value } row
+ */
+export const toExportRow = (store, columns) => {
+  const row = {};
+  for (const column of columns) {
+    row[column] = EXPORT_COLUMNS[column].value(store);
+  }
+  return row;
+};
+
+/**
+ * Render a CSV header line (null for the legacy URL-only export)
+ */
+export const renderCsvHeader = (columns) => {
+  if (isLegacyUrlExport(columns)) return null;
+  return columns.map(column => toCsvCell(EXPORT_COLUMNS[column].header)).join(',');
+};
+
+/**
+ * Render one store as a CSV line
+ */
+export const renderCsvLine = (store, columns) => {
+  return columns.map(column => toCsvCell(EXPORT_COLUMNS[column].value(store))).join(',');
+};
+
+/**
+ * Render one store as an NDJSON line
+ */
+export const renderNdjsonLine = (store, columns) => {
+  return JSON.stringify(toExportRow(store, columns));
+};
+
+/**
+ * Create an XLSX worksheet definition for the requested columns
+ */
+const createWorksheet = (workbook, columns) => {
+  const worksheet = workbook.addWorksheet('Stores');
+  worksheet.columns = columns.map(column => ({
+    header: EXPORT_COLUMNS[column].header,
+    key: column,
+    width: column === 'url' || column === 'name' ? 40 : 20,
+  }));
+  return worksheet;
+};
+
+/**
+ * Convert a row for XLSX (arrays joined with "; " like CSV, ISO dates as real dates)
+ */
+const toXlsxRow = (store, columns) => {
+  const row = toExportRow(store, columns);
+  for (const [column, value] of Object.entries(row)) {
+    if (Array.isArray(value)) row[column] = value.join('; ');
+  }
+  if (row.dateAdded) row.dateAdded = new Date(row.dateAdded);
+  return row;
+};
+
+/**
+ * Render stores in the requested format
+ * @returns {Promise<Buffer|string>} - File content
+ */
+export const renderStoreExport = async (stores, columns, format) => {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'SneakLink';
+    const worksheet = createWorksheet(workbook, columns);
+    stores.forEach(store => worksheet.addRow(toXlsxRow(store, columns)));
+    return workbook.xlsx.writeBuffer();
+  }
+
+  if (format === 'ndjson') {
+    return stores.map(store => renderNdjsonLine(store, columns)).join('\n') + '\n';
+  }
+
+  const header = renderCsvHeader(columns);
+  const lines = stores.map(store => renderCsvLine(store, columns));
+  return (header ? [header, ...lines] : lines).join('\n');
+};
+
+/**
+ * Write a chunk to a stream, waiting for drain when its buffer is full
+ */
+const writeChunk = async (stream, chunk) => {
+  if (!stream.write(chunk)) {
+    await once(stream, 'drain');
+  }
+};
+
+/**
+ * Stream stores to a writable stream in the requested format, batch by batch
+ * Used for filtered exports, where the result set can be much larger than a page.
+ * The stream is ended when all batches are written.
+ * @param {Writable} stream - HTTP response or file stream
+ * @param {AsyncIterable<Array>} storeBatches - Batches of stores (selected with buildExportSelect)
+ * @returns {Promise<number>} - Number of rows written
+ */
+export const writeStoreExportStream = async (stream, storeBatches, columns, format) => {
+  let rowCount = 0;
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+    workbook.creator = 'SneakLink';
+    const worksheet = createWorksheet(workbook, columns);
+    for await (const stores of storeBatches) {
+      for (const store of stores) {
+        worksheet.addRow(toXlsxRow(store, columns)).commit();
+        rowCount++;
+      }
+    }
+    worksheet.commit();
+    await workbook.commit(); // Ends the stream
+    return rowCount;
+  }
+
+  if (format === 'csv') {
+    const header = renderCsvHeader(columns);
+    if (header) {
+      await writeChunk(stream, header + '\n');
+    }
+  }
+
+  for await (const stores of storeBatches) {
+    const lines = stores.map(store => (format === 'ndjson' ? renderNdjsonLine(store, columns) : renderCsvLine(store, columns)));
+    if (lines.length > 0) {
+      await writeChunk(stream, lines.join('\n') + '\n');
+      rowCount += lines.length;
+    }
+  }
+
+  stream.end();
+  return rowCount;
+};
+
+/**
+ * Build the download filename for an export
+ */
+export const getExportFilename = (columns, format) => {
+  const date = new Date().toISOString().split('T')[0];
+  if (format === 'csv' && isLegacyUrlExport(columns)) {
+    return `store_links_${date}.csv`;
+  }
+  return `stores_${date}.${EXPORT_FORMATS[format].extension}`;
+};
@@ -0,0 +1,285 @@
+/**
+ * Store Filter Builder
+ * Turns the dashboard filter parameters (countries, themes, tags, niches, techStack, dateFrom, dateTo),
+ * the market filters (shipsTo, currencies, locales), the product filters
+ * (productQuery, priceMin, priceMax) and the ad filters (adPlatforms, adWithinDays)
+ * into Prisma where-conditions.
+ *
+ * Shared by GET /api/stores and saved searches so a saved filter set always
+ * matches exactly what the dashboard shows for the same filters.
+ */
+
+import { buildVisibilityFilter } from './visibilityRules.js';
+import { normalizeCurrency, normalizeLocale, normalizeShippingCountry } from './marketDetector.js';
+import { getNicheName } from '../config/niches.js';
+import { getTechName } from '../config/techStack.js';
+import { getAdPlatform } from '../config/adPlatforms.js';
+
+/**
+ * Array filter parameters, with the normalizer applied to each value
+ * (market values are stored as ISO codes - "Germany" and "de" both become "DE",
+ * niches and apps are catalog names - "pet supplies" becomes "Pet Supplies", "klaviyo" becomes "Klaviyo",
+ * ad platforms are keys - "TikTok" becomes "tiktok")
+ */
+const ARRAY_FILTERS = {
+  countries: null,
+  themes: null,
+  tags: null,
+  niches: getNicheName,
+  techStack: getTechName,
+  shipsTo: normalizeShippingCountry,
+  currencies: normalizeCurrency,
+  locales: normalizeLocale,
+  adPlatforms: getAdPlatform,
+};
+
+/**
+ * Array filter parameters (sanitized as string arrays by the validator)
+ */
+export const ARRAY_FILTER_KEYS = Object.keys(ARRAY_FILTERS);
+
+/**
+ * Product filter parameters - matched against the sampled products (StoreProduct)
+ */
+const PRODUCT_FILTER_KEYS = ['productQuery', 'priceMin', 'priceMax'];
+
+/**
+ * Every supported filter parameter (query string / saved search keys)
+ */
+export const STORE_FILTER_KEYS = [...ARRAY_FILTER_KEYS, ...PRODUCT_FILTER_KEYS, 'adWithinDays', 'dateFrom', 'dateTo'];
+
+// Keyword search limits
+const MAX_PRODUCT_QUERY_LENGTH = 100;
+const MAX_PRODUCT_TERMS = 5;
+
+// Longest ad activity window ("seen in the last N days")
+const MAX_AD_WITHIN_DAYS = 365;
+
+/**
+ * Normalize a query value (string or array) into a clean string array
+ */
+const toFilterArray = (value) => {
+  if (!value) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter(v => typeof v === 'string' && v.length > 0 && v.length < 100)
+    .slice(0, 100);
+};
+
+/**
+ * Normalize a product keyword query: "  Pet   hoodies " -> "pet hoodies" (null if empty)
+ */
+const toProductQuery = (value) => {
+  if (typeof value !== 'string') return null;
+  const query = value.replace(/\s+/g, ' ').trim().toLowerCase().substring(0, MAX_PRODUCT_QUERY_LENGTH);
+  return query.length > 0 ? query : null;
+};
+
+/**
+ * Normalize a price bound ("40", 40) into a non-negative number (null if invalid)
+ */
+const toPrice = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const price = Number(value);
+  return Number.isFinite(price) && price >= 0 && price < 1e9 ? price : null;
+};
+
+/**
+ * Normalize an ad activity window ("7", 7) into whole days (null if invalid)
+ */
+const toAdWithinDays = (value) => {
+  const days = parseInt(value, 10);
+  return Number.isInteger(days) && days >= 1 && days <= MAX_AD_WITHIN_DAYS ? days : null;
+};
+
+/**
+ * Split a product query into search terms, with simple plurals reduced
+ * ("pet hoodies" -> ["pet", "hoodie"], "dresses" -> ["dress"]) so they match product titles
+ */
+export const getProductSearchTerms = (query) => {
+  const words = (toProductQuery(query) || '')
+    .split(/[^\p{L}\p{N}'-]+/u)
+    .filter(word => word.length >= 2);
+
+  const terms = words.map(word => {
+    if (word.length > 4 && /(ss|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+  });
+
+  return [...new Set(terms)].slice(0, MAX_PRODUCT_TERMS);
+};
+
+/**
+ * Extract the supported filter fields from a query/body object
+ * Returns: { countries, themes, tags, niches, techStack, shipsTo, currencies, locales, adPlatforms, productQuery, priceMin, priceMax, adWithinDays, dateFrom, dateTo }
+ * (empty fields omitted)
+ */
+export const pickStoreFilters = (source = {}) => {
+  const filters = {};
+
+  for (const [key, normalize] of Object.entries(ARRAY_FILTERS)) {
+    const values = toFilterArray(source[key]);
+    const normalized = normalize ? [...new Set(values.map(normalize).filter(Boolean))] : values;
+    if (normalized.length > 0) filters[key] = normalized;
+  }
+  const productQuery = toProductQuery(source.productQuery);
+  if (productQuery) filters.productQuery = productQuery;
+  for (const key of ['priceMin', 'priceMax']) {
+    const price = toPrice(source[key]);
+    if (price !== null) filters[key] = price;
+  }
+  const adWithinDays = toAdWithinDays(source.adWithinDays);
+  if (adWithinDays) filters.adWithinDays = adWithinDays;
+  if (source.dateFrom) filters.dateFrom = source.dateFrom;
+  if (source.dateTo) filters.dateTo = source.dateTo;
+
+  return filters;
+};
+
+/**
+ * Check if a filter object has at least one active filter
+ */
+export const hasStoreFilters = (filters = {}) => {
+  return Object.keys(pickStoreFilters(filters)).length > 0;
+};
+
+/**
+ * Build the sampled-product condition: one product must match every keyword and the price band
+ * (a product is in the band when its variant price range overlaps it)
+ * Prices are in each product's own currency - with a currencies filter, the band only
+ * applies to products priced in one of those currencies ("under 40 USD").
+ */
+const buildProductCondition = ({ productQuery, priceMin, priceMax, currencies }) => {
+  const productConditions = getProductSearchTerms(productQuery).map(term => ({
+    OR: [
+      { title: { contains: term, mode: 'insensitive' } },
+      { productType: { contains: term, mode: 'insensitive' } },
+      { vendor: { contains: term, mode: 'insensitive' } },
+      { tags: { has: term } },
+    ],
+  }));
+  if (priceMin !== undefined) {
+    productConditions.push({ maxPrice: { gte: priceMin } });
+  }
+  if (priceMax !== undefined) {
+    productConditions.push({ minPrice: { lte: priceMax } });
+  }
+  if ((priceMin !== undefined || priceMax !== undefined) && currencies) {
+    productConditions.push({ currency: { in: currencies } });
+  }
+
+  return productConditions.length > 0 ? { products: { some: { AND: productConditions } } } : null;
+};
+
+/**
+ * Build the ad activity condition: one observed ad on the selected platforms,
+ * seen within the window ("advertising on TikTok in the last 7 days")
+ */
+const buildAdCondition = ({ adPlatforms, adWithinDays }) => {
+  if (!adPlatforms && !adWithinDays) return null;
+
+  const adCondition = {};
+  if (adPlatforms) {
+    adCondition.platform = { in: adPlatforms };
+  }
+  if (adWithinDays) {
+    adCondition.lastSeen = { gte: new Date(Date.now() - adWithinDays * 24 * 60 * 60 * 1000) };
+  }
+  return { adObservations: { some: adCondition } };
+};
+
+/**
+ * Build Prisma conditions for the filter parameters (without visibility rules)
+ * @param {Object} filters - { countries, themes, tags, niches, techStack, shipsTo, currencies, locales, adPlatforms, productQuery, priceMin, priceMax, adWithinDays, dateFrom, dateTo }
+ * @returns {Array} - Prisma where-conditions to combine with AND
+ */
+export const buildStoreFilterConditions = (filters = {}) => {
+  const {
+    countries, themes, tags, niches, techStack, shipsTo, currencies, locales, adPlatforms,
+    productQuery, priceMin, priceMax, adWithinDays, dateFrom, dateTo,
+  } = pickStoreFilters(filters);
+  const conditions = [];
+
+  // Country filter (the store's single country - its primary market)
+  if (countries) {
+    conditions.push({ country: { in: countries } });
+  }
+
+  // Market filters - "ships to Germany", "sells in EUR", "has a German storefront"
+  if (shipsTo) {
+    conditions.push({ shipsTo: { hasSome: shipsTo } });
+  }
+  if (currencies) {
+    conditions.push({ currencies: { hasSome: currencies } });
+  }
+  if (locales) {
+    conditions.push({ locales: { hasSome: locales } });
+  }
+
+  // Product filters - "stores selling pet hoodies under $40" (prices in each store's currency,
+  // or in the selected currencies)
+  const productCondition = buildProductCondition({ productQuery, priceMin, priceMax, currencies });
+  if (productCondition) {
+    conditions.push(productCondition);
+  }
+
+  // Tags filter (Prisma array contains)
+  if (tags) {
+    conditions.push({ tags: { hasSome: tags } });
+  }
+
+  // Niche filter (taxonomy names like 'Pet Supplies', 'Fitness')
+  if (niches) {
+    conditions.push({ niches: { hasSome: niches } });
+  }
+
+  // App filter - "uses Klaviyo" (any of the selected apps)
+  if (techStack) {
+    conditions.push({ techStack: { hasSome: techStack } });
+  }
+
+  // Ad filter - stores with an observed ad (AdObservation), optionally per platform and recency
+  const adCondition = buildAdCondition({ adPlatforms, adWithinDays });
+  if (adCondition) {
+    conditions.push(adCondition);
+  }
+
+  // Theme filter (Shopify theme names like 'Dawn', 'Impulse', etc.)
+  if (themes) {
+    conditions.push({ theme: { in: themes } });
+  }
+
+  // Date range filter
+  if (dateFrom || dateTo) {
+    const dateFilter = {};
+    if (dateFrom) {
+      dateFilter.gte = new Date(dateFrom + 'T00:00:00.000Z');
+    }
+    if (dateTo) {
+      dateFilter.lte = new Date(dateTo + 'T23:59:59.999Z');
+    }
+    conditions.push({ dateAdded: dateFilter });
+  }
+
+  if (process.env.DEBUG_STORES_API === 'true' && conditions.length > 0) {
+    console.log('[Store Filters] Built conditions:', JSON.stringify(conditions));
+  }
+
+  return conditions;
+};
+
+/**
+ * Build the full Prisma where-clause for user-visible stores matching the filters
+ * @param {Object} filters - { countries, themes, tags, niches, techStack, shipsTo, currencies, locales, adPlatforms, productQuery, priceMin, priceMax, adWithinDays, dateFrom, dateTo }
+ * @param {Object} visibilityOptions - Passed to buildVisibilityFilter (admin overrides)
+ * @returns {Object} - { AND: [...] }
+ */
+export const buildStoreFilter = (filters = {}, visibilityOptions = {}) => {
+  return {
+    AND: [
+      buildVisibilityFilter(visibilityOptions),
+      ...buildStoreFilterConditions(filters),
+    ],
+  };
+};
@@ -0,0 +1,131 @@
+/**
+ * STORE SCORE ("hotness") - how promising a store looks as a lead, 0 - 100
+ *
+ * Weighted sum of five components, each normalized to 0 - 1:
+ * - productGrowth: product count growth over the last SCORE_WINDOW_DAYS (store snapshots)
+ * - adActivity:    ads observed running in the last SCORE_WINDOW_DAYS (AdObservation)
+ * - recency:       how recently the store was discovered
+ * - confidence:    Shopify detection and business model classification confidence
+ * - health:        last health check result
+ *
+ * Recalculated by the scheduled job in services/storeScoreService.js - the score is
+ * only as fresh as its last run (`scoreUpdatedAt`).
+ */
+
+export const SCORE_WEIGHTS = {
+  productGrowth: 0.3,
+  adActivity: 0.25,
+  recency: 0.15,
+  confidence: 0.15,
+  health: 0.15,
+};
+
+// Window for product growth and ad activity
+export const SCORE_WINDOW_DAYS = 30;
+
+// Product count growth that earns the full productGrowth component (+50%)
+const FULL_GROWTH_RATIO = 0.5;
+
+// Ads seen in the window that earn the full adActivity component
+const FULL_AD_COUNT = 5;
+
+// Stores discovered longer ago than this get no recency points
+const RECENCY_DAYS = 90;
+
+const HEALTH_VALUES = {
+  healthy: 1,
+  rate_limited: 0.6,
+  possibly_inactive: 0.3,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined) return null;
+  const number = Number(value); // Prisma Decimal -> number
+  return isNaN(number) ? null : number;
+};
+
+/**
+ * Product count growth component
+ * Compares the current product count with the oldest snapshot in the window.
+ */
+const scoreProductGrowth = (productCount, baselineCount) => {
+  if (productCount === null || productCount === undefined || baselineCount === null || baselineCount === undefined) {
+    return { value: 0, detail: 'no product count history' };
+  }
+  const growth = (productCount - baselineCount) / Math.max(baselineCount, 1);
+  return {
+    value: clamp(growth / FULL_GROWTH_RATIO),
+    detail: `${baselineCount} -> ${productCount} products`,
+  };
+};
+
+const scoreAdActivity = (recentAdCount) => ({
+  value: clamp((recentAdCount || 0) / FULL_AD_COUNT),
+  detail: `${recentAdCount || 0} ads seen in ${SCORE_WINDOW_DAYS} days`,
+});
+
+const scoreRecency = (dateAdded, now) => {
+  const added = dateAdded ? new Date(dateAdded) : null;
+  if (!added || isNaN(added.getTime())) {
+    return { value: 0, detail: 'unknown discovery date' };
+  }
+  const days = Math.max(0, Math.floor((now.getTime() - added.getTime()) / DAY_MS));
+  return {
+    value: clamp(1 - days / RECENCY_DAYS),
+    detail: `discovered ${days} days ago`,
+  };
+};
+
+const scoreConfidence = (shopifyConfidence, businessModelConfidence) => {
+  const values = [toNumber(shopifyConfidence), toNumber(businessModelConfidence)].filter(value => value !== null);
+  if (values.length === 0) {
+    return { value: 0, detail: 'not classified' };
+  }
+  return {
+    value: clamp(values.reduce((sum, value) => sum + value, 0) / values.length),
+    detail: `shopify ${toNumber(shopifyConfidence) ?? '-'}, business model ${toNumber(businessModelConfidence) ?? '-'}`,
+  };
+};
+
+const scoreHealth = (healthStatus) => ({
+  value: HEALTH_VALUES[healthStatus] ?? 0,
+  detail: healthStatus || 'not checked',
+});
+
+/**
+ * Compute the score of a store
+ * @param {Object} input
+ * @param {Object} input.store - { productCount, dateAdded, shopifyConfidence, businessModelConfidence, healthStatus }
+ * @param {number|null} input.baselineProductCount - Product count of the oldest snapshot in the window (null if none)
+ * @param {number} input.recentAdCount - Ads seen in the window
+ * @param {Date} input.now - Reference time (defaults to now)
+ * @returns {Object} - { score: 0-100, signals: [{ component, value, weight, detail }] }
+ */
+export const computeStoreScore = ({ store, baselineProductCount = null, recentAdCount = 0, now = new Date() }) => {
+  const components = {
+    productGrowth: scoreProductGrowth(store.productCount, baselineProductCount),
+    adActivity: scoreAdActivity(recentAdCount),
+    recency: scoreRecency(store.dateAdded, now),
+    confidence: scoreConfidence(store.shopifyConfidence, store.businessModelConfidence),
+    health: scoreHealth(store.healthStatus),
+  };
+
+  let total = 0;
+  const signals = [];
+  for (const [component, { value, detail }] of Object.entries(components)) {
+    const weight = SCORE_WEIGHTS[component];
+    total += value * weight;
+    signals.push({ component, value: round(value), weight, detail });
+  }
+
+  return {
+    score: Math.round(total * 100),
+    signals,
+  };
+};
@@ -0,0 +1,104 @@
+/**
+ * Store Search
+ * Free-text search (`q`) over store name, URL, homepage meta description and
+ * sampled product titles.
+ *
+ * Matching is a Prisma condition - every term must appear in one of the fields
+ * (ILIKE, served by the pg_trgm indexes in schema.prisma) - so it combines with
+ * the visibility rules and filters like any other condition. Ranking and
+ * highlighting live in services/storeSearchService.js.
+ */
+
+import { getProductSearchTerms } from './storeFilters.js';
+
+// Longest accepted search query
+const MAX_SEARCH_QUERY_LENGTH = 100;
+
+// Characters of the description shown around the first matched term
+const DESCRIPTION_SNIPPET_LENGTH = 160;
+
+/**
+ * Normalize a search query: "  Pet   Hoodies " -> "pet hoodies" (null if empty)
+ */
+export const toSearchQuery = (value) => {
+  if (typeof value !== 'string') return null;
+  const query = value.replace(/\s+/g, ' ').trim().toLowerCase().substring(0, MAX_SEARCH_QUERY_LENGTH);
+  return query.length > 0 ? query : null;
+};
+
+/**
+ * Search terms of a query - same splitting and plural handling as the product keyword filter
+ * ("pet hoodies" -> ["pet", "hoodie"])
+ */
+export const getSearchTerms = (query) => getProductSearchTerms(toSearchQuery(query));
+
+/**
+ * Build the Prisma condition for a search query: every term in the name, URL,
+ * description or a sampled product title (null when the query has no terms)
+ */
+export const buildSearchCondition = (query) => {
+  const terms = getSearchTerms(query);
+  if (terms.length === 0) return null;
+
+  return {
+    AND: terms.map(term => ({
+      OR: [
+        { name: { contains: term, mode: 'insensitive' } },
+        { url: { contains: term, mode: 'insensitive' } },
+        { description: { contains: term, mode: 'insensitive' } },
+        { products: { some: { title: { contains: term, mode: 'insensitive' } } } },
+      ],
+    })),
+  };
+};
+
+/**
+ * Postgres tsquery for ranking - any term, as a prefix ("pet hoodie" -> "pet:* | hoodie:*")
+ * Terms are reduced to letters and digits so the query always parses.
+ */
+export const toRankQuery = (terms) => terms
+  .map(term => term.replace(/[^\p{L}\p{N}]+/gu, ''))
+  .filter(Boolean)
+  .map(term => `${term}:*`)
+  .join(' | ');
+
+const includesTerm = (text, terms) => {
+  if (!text) return false;
+  const lower = text.toLowerCase();
+  return terms.some(term => lower.includes(term));
+};
+
+/**
+ * Cut the description around the first matched term
+ */
+const getDescriptionSnippet = (description, terms) => {
+  const lower = description.toLowerCase();
+  const index = Math.min(...terms.map(term => lower.indexOf(term)).filter(position => position >= 0));
+  const start = Math.max(0, index - Math.floor(DESCRIPTION_SNIPPET_LENGTH / 3));
+  const snippet = description.substring(start, start + DESCRIPTION_SNIPPET_LENGTH).trim();
+  return `${start > 0 ? '…' : ''}${snippet}${start + DESCRIPTION_SNIPPET_LENGTH < description.length ? '…' : ''}`;
+};
+
+/**
+ * Where a store matched the search - the client highlights the terms in each text
+ * @param {Object} store - { name, url, description }
+ * @param {Array<string>} terms - getSearchTerms() result
+ * @param {Array<string>} productTitles - Sampled product titles that matched
+ * @returns {Array} - [{ field: 'name' | 'url' | 'description' | 'product', text }]
+ */
+export const buildSearchMatches = (store, terms, productTitles = []) => {
+  const matches = [];
+  if (includesTerm(store.name, terms)) {
+    matches.push({ field: 'name', text: store.name });
+  }
+  if (includesTerm(store.url, terms)) {
+    matches.push({ field: 'url', text: store.url });
+  }
+  if (includesTerm(store.description, terms)) {
+    matches.push({ field: 'description', text: getDescriptionSnippet(store.description, terms) });
+  }
+  for (const title of productTitles) {
+    matches.push({ field: 'product', text: title });
+  }
+  return matches;
+};
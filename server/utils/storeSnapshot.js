@@ -0,0 +1,169 @@
+/**
+ * Store Page Snapshot
+ * Fetches a store's homepage, /products.json and /meta.json ONCE and hands the
+ * parsed result to every detector (Shopify check, password, activity, name,
+ * product count, theme, business model, ads, country).
+ *
+ * Without a snapshot each detector fetched the homepage again on its own
+ * (8+ requests per store), and detectors could disagree with each other when
+ * the page changed between requests.
+ */
+
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import { getHTMLWithAPI } from './scrapingApi.js';
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// Homepage statuses that usually mean a bot block rather than the store's real answer
+const BLOCKED_STATUSES = [403, 429];
+
+/**
+ * GET a URL without throwing on 4xx responses
+ * Returns: { response, error }
+ */
+const fetchResource = async (requestUrl, timeout) => {
+  try {
+    const response = await axios.get(requestUrl, {
+      timeout,
+      headers: { 'User-Agent': USER_AGENT },
+      maxRedirects: 5,
+      validateStatus: (status) => status < 500,
+    });
+    return { response, error: null };
+  } catch (error) {
+    return { response: error.response || null, error };
+  }
+};
+
+/**
+ * Parse a JSON response body (axios only auto-parses when content-type is JSON)
+ */
+const parseJsonBody = (response) => {
+  if (!response || response.status !== 200) {
+    return null;
+  }
+  try {
+    return typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Homepage through the scraping API (SCRAPING_API_KEY) when the direct fetch was blocked or failed
+ * Returns: { response, error } like fetchResource - the API only answers with 2xx pages
+ */
+const fetchHomepageWithApi = async (requestUrl, homepage) => {
+  const status = homepage.response?.status ?? null;
+  const blocked = status === null || status >= 500 || BLOCKED_STATUSES.includes(status);
+  if (!process.env.SCRAPING_API_KEY || !blocked) {
+    return homepage;
+  }
+
+  try {
+    const html = await getHTMLWithAPI(requestUrl);
+    if (typeof html === 'string' && html) {
+      return { response: { status: 200, headers: {}, data: html }, error: null };
+    }
+  } catch (error) {
+    // Keep the direct fetch result
+  }
+  return homepage;
+};
+
+/**
+ * Snapshot with nothing fetched (for URLs that can't be parsed)
+ */
+const emptySnapshot = (url, error) => ({
+  url,
+  baseUrl: null,
+  fetchedAt: new Date(),
+  status: null,
+  headers: {},
+  html: null,
+  htmlLower: null,
+  $: null,
+  error: error.message,
+  products: null,
+  productsStatus: null,
+  meta: null,
+  metaStatus: null,
+});
+
+/**
+ * Fetch a snapshot of a store
+ * Never throws - failed resources are recorded as null with their status.
+ * A blocked homepage is fetched again through the scraping API when SCRAPING_API_KEY is set.
+ *
+ * Returns: {
+ *   url, baseUrl, fetchedAt,
+ *   status, headers, html, htmlLower, $, error,   // homepage
+ *   products, productsStatus,                     // /products.json (array or null)
+ *   meta, metaStatus,                             // /meta.json (object or null)
+ * }
+ */
+export const fetchStoreSnapshot = async (url) => {
+  const rawUrl = typeof url === 'string' ? url : '';
+  const normalizedUrl = rawUrl.startsWith('http') ? rawUrl : `https://${rawUrl}`;
+  let baseUrl;
+  try {
+    const urlObj = new URL(normalizedUrl);
+    baseUrl = `${urlObj.protocol}//${urlObj.host}`;
+  } catch (error) {
+    return emptySnapshot(normalizedUrl, error);
+  }
+
+  const [directHomepage, productsResult, metaResult] = await Promise.all([
+    fetchResource(normalizedUrl, 10000),
+    fetchResource(`${baseUrl}/products.json?limit=250`, 10000),
+    fetchResource(`${baseUrl}/meta.json`, 5000),
+  ]);
+  const homepage = await fetchHomepageWithApi(normalizedUrl, directHomepage);
+
+  // A 5xx body is the server's error page, not the store's
+  const html = homepage.response && homepage.response.status < 500 && typeof homepage.response.data === 'string'
+    ? homepage.response.data
+    : null;
+
+  const productsData = parseJsonBody(productsResult.response);
+  const metaData = parseJsonBody(metaResult.response);
+
+  return {
+    url: normalizedUrl,
+    baseUrl,
+    fetchedAt: new Date(),
+
+    // Homepage
+    status: homepage.response?.status ?? null,
+    headers: homepage.response?.headers || {},
+    html,
+    htmlLower: html ? html.toLowerCase() : null,
+    $: html ? cheerio.load(html) : null,
+    error: homepage.error ? homepage.error.message : null,
+
+    // /products.json
+    products: productsData && Array.isArray(productsData.products) ? productsData.products : null,
+    productsStatus: productsResult.response?.status ?? null,
+
+    // /meta.json
+    meta: metaData && typeof metaData === 'object' ? metaData : null,
+    metaStatus: metaResult.response?.status ?? null,
+  };
+};
+
+/**
+ * Store description from a snapshot - the homepage meta / og:description,
+ * else the shop description in /meta.json (null if neither is set)
+ */
+export const getStoreDescription = (snapshot) => {
+  const candidates = [
+    snapshot?.$?.('meta[name="description"]').attr('content'),
+    snapshot?.$?.('meta[property="og:description"]').attr('content'),
+    snapshot?.meta?.description,
+  ];
+  const description = candidates
+    .map(value => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : ''))
+    .find(Boolean);
+  return description ? description.substring(0, 1000) : null;
+};
@@ -0,0 +1,67 @@
+import { TECH_CATALOG } from '../config/techStack.js';
+
+/**
+ * TECH STACK DETECTOR - offline, from the homepage HTML
+ *
+ * Recognizes the Shopify apps and third-party tools in config/techStack.js from their
+ * script / asset hosts and embed markup. Unlike the Wappalyzer and RapidAPI lookups
+ * used for discovery, this needs no API key and runs on the snapshot the pipeline
+ * already fetched.
+ */
+
+// Evidence kept per detected app (characters around the match are not stored)
+const MAX_MATCH_LENGTH = 100;
+
+const TECH_MATCHERS = TECH_CATALOG.map(({ name, category, patterns }) => ({
+  name,
+  category,
+  patterns: patterns.map(pattern => new RegExp(pattern, 'i')),
+}));
+
+/**
+ * Detect the apps and tools a Shopify store uses
+ * @param {Object} snapshot - fetchStoreSnapshot() result (html is used)
+ * @returns {Object|null} - { techStack: [name], matches: [{ name, category, match }] },
+ *   null when the page could not be read
+ */
+export const detectStoreTechStack = (snapshot) => {
+  try {
+    const html = snapshot?.html;
+    if (!html || typeof html !== 'string') {
+      return null;
+    }
+
+    const matches = [];
+    for (const { name, category, patterns } of TECH_MATCHERS) {
+      for (const pattern of patterns) {
+        const match = html.match(pattern);
+        if (match) {
+          matches.push({ name, category, match: match[0].substring(0, MAX_MATCH_LENGTH) });
+          break;
+        }
+      }
+    }
+
+    return {
+      techStack: matches.map(({ name }) => name),
+      matches,
+    };
+  } catch (error) {
+    console.error(`Error detecting tech stack: ${snapshot?.url}`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Store fields for a tech stack detection result
+ * @param {Object|null} techStackResult - detectStoreTechStack() result
+ * @returns {Object} - { techStack, techStackSignals, techStackDetectedAt } ({} if detection failed)
+ */
+export const getTechStackUpdateData = (techStackResult) => {
+  if (!techStackResult) return {};
+  return {
+    techStack: techStackResult.techStack,
+    techStackSignals: techStackResult.matches,
+    techStackDetectedAt: new Date(),
+  };
+};
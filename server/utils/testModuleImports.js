@@ -0,0 +1,73 @@
+/**
+ * Check that the server's entry modules load
+ * A named import the target module doesn't export only fails when the module loads,
+ * so `node --check` misses it - and a route or worker that can't load stops the API or the queue.
+ * Run with: node utils/testModuleImports.js (after `prisma generate`)
+ */
+import { spawnSync } from 'child_process';
+import { readdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const serverDir = join(__dirname, '..');
+const LOADED_MARKER = 'module loaded';
+
+// Each module loads in its own process - args start it, loaded tells a clean load from its output
+const CHECKS = [
+  {
+    // Started without a queue, the worker prints its usage and exits once every import has loaded
+    module: 'workers/pipelineWorker.js',
+    args: ['workers/pipelineWorker.js'],
+    loaded: (output) => output.includes('Usage: node workers/pipelineWorker.js'),
+  },
+  // Route modules mounted by server.js
+  ...readdirSync(join(serverDir, 'routes'))
+    .filter(file => file.endsWith('.js'))
+    .map(file => ({
+      module: `routes/${file}`,
+      args: ['--input-type=module', '-e', `await import('./routes/${file}'); console.log('${LOADED_MARKER}'); process.exit(0);`],
+      loaded: (output) => output.includes(LOADED_MARKER),
+    })),
+];
+
+const runCheck = (check) => {
+  const result = spawnSync(process.execPath, check.args, {
+    cwd: serverDir,
+    encoding: 'utf8',
+    timeout: 60000,
+  });
+  const output = `${result.stdout}${result.stderr}`;
+
+  if (check.loaded(output)) {
+    return { ok: true };
+  }
+  return { ok: false, error: output.trim().split('\n').slice(0, 5).join('\n') || `exit code ${result.status}` };
+};
+
+const testModuleImports = () => {
+  console.log('🧪 Checking module imports...\n');
+
+  let failed = 0;
+  for (const check of CHECKS) {
+    const result = runCheck(check);
+    if (result.ok) {
+      console.log(`   ✅ ${check.module}`);
+    } else {
+      failed++;
+      console.error(`   ❌ ${check.module}`);
+      console.error(`      ${result.error.replace(/\n/g, '\n      ')}`);
+    }
+  }
+
+  if (failed > 0) {
+    console.error(`\n❌ ${failed} of ${CHECKS.length} modules failed to load`);
+    process.exit(1);
+  }
+
+  console.log(`\n✅ All ${CHECKS.length} modules load`);
+  process.exit(0);
+};
+
+testModuleImports();
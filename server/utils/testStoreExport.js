@@ -0,0 +1,94 @@
+/**
+ * Check store export formatting - XLSX cells match the CSV text
+ * Run with: node utils/testStoreExport.js
+ */
+import assert from 'assert';
+import { PassThrough } from 'stream';
+import ExcelJS from 'exceljs';
+import { EXPORT_COLUMNS, renderStoreExport, writeStoreExportStream, toCsvCell } from './storeExport.js';
+
+const STORE = {
+  url: 'https://example-store.com',
+  name: 'Example Store',
+  currencies: ['USD', 'EUR'],
+  shipsTo: ['US', 'CA', 'GB'],
+  niches: ['fashion', 'jewelry'],
+  techStack: ['Klaviyo', 'Judge.me'],
+  tags: ['fashion', 'new'],
+  dateAdded: new Date('2026-01-15T10:00:00Z'),
+};
+
+// Array columns must land in XLSX as "a; b" text, the same as in CSV - never as JSON
+const ARRAY_COLUMNS = ['tags', 'currencies', 'shipsTo', 'niches', 'techStack'];
+const COLUMNS = ['url', 'name', ...ARRAY_COLUMNS, 'dateAdded'];
+
+/**
+ * Cells of the first data row, keyed by column (header row checked on the way)
+ */
+const readXlsxRow = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const worksheet = workbook.getWorksheet('Stores');
+
+  const headers = worksheet.getRow(1).values.slice(1);
+  assert.deepStrictEqual(headers, COLUMNS.map(column => EXPORT_COLUMNS[column].header));
+
+  const values = worksheet.getRow(2).values.slice(1);
+  return Object.fromEntries(COLUMNS.map((column, index) => [column, values[index]]));
+};
+
+/**
+ * Stream the store through writeStoreExportStream and collect the file
+ */
+const streamXlsx = async () => {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise(resolve => stream.on('end', resolve));
+
+  async function* batches() {
+    yield [STORE];
+  }
+  await writeStoreExportStream(stream, batches(), COLUMNS, 'xlsx');
+  await finished;
+  return Buffer.concat(chunks);
+};
+
+const checkXlsxRow = (label, row) => {
+  for (const column of ARRAY_COLUMNS) {
+    const expected = STORE[column].join('; ');
+    assert.strictEqual(row[column], expected, `${label}: ${column} should be "${expected}", got ${JSON.stringify(row[column])}`);
+    assert.strictEqual(toCsvCell(STORE[column]), `"${expected}"`, `CSV: ${column} should be "${expected}"`);
+  }
+  assert.strictEqual(row.url, STORE.url);
+  assert.ok(row.dateAdded instanceof Date, `${label}: dateAdded should be a date`);
+};
+
+const testStoreExport = async () => {
+  console.log('🧪 Checking store export formatting...\n');
+
+  try {
+    checkXlsxRow('renderStoreExport', await readXlsxRow(await renderStoreExport([STORE], COLUMNS, 'xlsx')));
+    console.log('   ✅ renderStoreExport (xlsx)');
+
+    checkXlsxRow('writeStoreExportStream', await readXlsxRow(await streamXlsx()));
+    console.log('   ✅ writeStoreExportStream (xlsx)');
+
+    // Scraped text must not run as a formula when the CSV is opened in a spreadsheet
+    for (const text of ['=HYPERLINK("https://evil.example")', '+1', '-1', '@SUM(A1)', '\tx', '\rx']) {
+      assert.strictEqual(toCsvCell(text), `"'${text.replace(/"/g, '""')}"`, `CSV: ${JSON.stringify(text)} should be neutralized`);
+    }
+    assert.strictEqual(toCsvCell(['=cmd', 'ok']), `"'=cmd; ok"`, 'CSV: array cells should be neutralized');
+    assert.strictEqual(toCsvCell(-12.5), '"-12.5"', 'CSV: negative numbers should stay numbers');
+    console.log('   ✅ toCsvCell (formula cells)');
+  } catch (error) {
+    console.error(`   ❌ ${error.message}`);
+    console.error('\n❌ Store export check failed');
+    process.exit(1);
+  }
+
+  console.log('\n✅ Store export formatting is correct');
+  process.exit(0);
+};
+
+testStoreExport();
@@ -1,53 +1,84 @@
 import axios from 'axios';
 import * as cheerio from 'cheerio';
 import { getHTMLWithAPI } from './scrapingApi.js';
+import { getThemeCatalog } from '../services/themeCatalogService.js';
+import { UNKNOWN_THEME, CUSTOM_THEME } from '../config/themeCatalog.js';
 
-// List of free Shopify themes - MUST match filter options exactly
-const FREE_THEMES = [
-  'dawn', 'refresh', 'sense', 'craft', 'studio', 'taste', 'origin',
-  'debut', 'brooklyn', 'minimal', 'supply', 'venture', 'simple'
-];
+// Signal weights - combined per theme as 1 - Π(1 - weight)
+const SIGNAL_WEIGHTS = {
+  themeStoreId: 0.95, // Shopify.theme.theme_store_id matches a catalog id
+  schemaName: 0.9, // Shopify.theme.schema_name (the theme's own name, survives renames)
+  themeName: 0.6, // Shopify.theme.name (merchant-editable, e.g. "Copy of Dawn")
+  metaThemeName: 0.6, // /meta.json theme name
+  assetPath: 0.5, // Asset URL matches a catalog pattern
+};
+
+// A theme is reported only at or above this confidence, otherwise Unknown/Custom
+const MIN_CONFIDENCE = 0.5;
 
-// List of paid Shopify themes - MUST match filter options exactly
-const PAID_THEMES = [
-  'impulse', 'motion', 'prestige', 'empire', 'expanse', 'warehouse',
-  'enterprise', 'symmetry', 'modular', 'palo alto', 'loft', 'blockshop',
-  'flow', 'avenue', 'broadcast', 'pipeline', 'envy', 'streamline',
-  'fashionopolism', 'district', 'venue', 'editorial', 'focal', 'chronicle', 'galleria'
-];
+// Confidence for Custom - a Shopify.theme object without a Theme Store id
+const CUSTOM_CONFIDENCE = 0.7;
 
 /**
- * Normalize theme name to match filter format
- * Converts "palo alto" -> "Palo Alto", "dawn" -> "Dawn"
+ * Read the Shopify.theme object from the page scripts
+ * e.g. Shopify.theme = {"name":"Dawn","id":123,"schema_name":"Dawn","schema_version":"15.0.0","theme_store_id":887,"role":"main"};
+ * @returns {Object|null} - { name, schemaName, themeStoreId }
  */
-const normalizeThemeName = (theme) => {
-  if (!theme) {
-    // If no theme provided, return a random free theme
-    const randomFreeTheme = FREE_THEMES[Math.floor(Math.random() * FREE_THEMES.length)];
-    return randomFreeTheme.split(' ').map(word => 
-      word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
-    ).join(' ');
+const parseShopifyTheme = (html) => {
+  const match = html.match(/Shopify\.theme\s*=\s*(\{[^;]*?\})\s*;/);
+  if (!match) return null;
+
+  try {
+    const theme = JSON.parse(match[1]);
+    return {
+      name: typeof theme.name === 'string' ? theme.name : null,
+      schemaName: typeof theme.schema_name === 'string' ? theme.schema_name : null,
+      themeStoreId: Number.isInteger(theme.theme_store_id) ? theme.theme_store_id : null,
+    };
+  } catch (error) {
+    // Not valid JSON (older themes print a JS object) - read the fields one by one
+    const field = (key) => match[1].match(new RegExp(`["']?${key}["']?\\s*:\\s*["']?([^"',}]+)`, 'i'))?.[1]?.trim() || null;
+    const themeStoreId = parseInt(field('theme_store_id'));
+    return {
+      name: field('name'),
+      schemaName: field('schema_name'),
+      themeStoreId: Number.isInteger(themeStoreId) ? themeStoreId : null,
+    };
   }
-  // Handle multi-word themes like "palo alto" -> "Palo Alto"
-  return theme.split(' ').map(word => 
-    word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
-  ).join(' ');
+};
+
+/**
+ * Normalize a reported theme name for comparison
+ * "Copy of Dawn", "Dawn - Updated", "dawn-theme", "Dawn 12.0.0" -> "dawn"
+ */
+const normalizeReportedName = (value) => {
+  return value
+    .toLowerCase()
+    .replace(/^(copy of\s+)+/, '')
+    .replace(/\s+[-–|].*$|\s*\(.*$/, '')
+    .replace(/\s*v?\d+(\.\d+)*\s*$/, '')
+    .replace(/^theme[-_\s]+|[-_\s]+theme$/g, '')
+    .trim();
 };
 
 /**
  * Detect the theme used by a Shopify store
+ * Reads homepage HTML and /meta.json from the store snapshot when one is passed.
+ * Themes are matched against the fingerprint catalog (config/themeCatalog.js plus admin additions).
+ * @returns {Promise<Object|null>} - { name, type, confidence, themeStoreId, signals, catalogVersion },
+ *   name 'Unknown' / 'Custom' when no fingerprint matches, null when the page could not be fetched
  */
-export const detectTheme = async (url) => {
+export const detectTheme = async (url, snapshot = null) => {
   try {
     const normalizedUrl = url.startsWith('http') ? url : `https://${url}`;
-    
-    // Try ScrapingAPI first if available
-    let html = null;
-    if (process.env.SCRAPING_API_KEY) {
+
+    // Use snapshot HTML when provided, otherwise try ScrapingAPI first if available
+    let html = snapshot ? snapshot.html : null;
+    if (!snapshot && process.env.SCRAPING_API_KEY) {
       html = await getHTMLWithAPI(normalizedUrl);
     }
-    
-    if (!html) {
+
+    if (!html && !snapshot) {
       // Fallback to direct request
       const response = await axios.get(normalizedUrl, {
         timeout: 10000,
@@ -59,197 +90,108 @@ export const detectTheme = async (url) => {
       html = response.data;
     }
 
-    if (!html) {
-      // If we can't fetch HTML, assign a random free theme
-      const randomFreeTheme = FREE_THEMES[Math.floor(Math.random() * FREE_THEMES.length)];
-      return {
-        name: normalizeThemeName(randomFreeTheme),
-        type: 'free',
-      };
+    if (!html || typeof html !== 'string') {
+      return null;
     }
-    const $ = cheerio.load(html);
-    const htmlLower = html.toLowerCase();
-
-    // Method 1: Check Shopify theme API endpoint (most reliable)
-    try {
-      const themeApiUrl = normalizedUrl.replace(/\/$/, '') + '/meta.json';
-      const themeResponse = await axios.get(themeApiUrl, { timeout: 5000 });
-      if (themeResponse.data?.theme?.name) {
-        const themeName = themeResponse.data.theme.name.toLowerCase().trim();
-        // Check exact match first
-        for (const theme of [...FREE_THEMES, ...PAID_THEMES]) {
-          if (themeName === theme || themeName === `${theme}-theme` || themeName.includes(`-${theme}-`)) {
-            return {
-              name: normalizeThemeName(theme),
-              type: FREE_THEMES.includes(theme) ? 'free' : 'paid',
-            };
-          }
-        }
-        // Check partial matches
-        for (const theme of [...FREE_THEMES, ...PAID_THEMES]) {
-          if (themeName.includes(theme) && theme.length > 3) { // Only match themes with 4+ chars to avoid false positives
-            return {
-              name: normalizeThemeName(theme),
-              type: FREE_THEMES.includes(theme) ? 'free' : 'paid',
-            };
-          }
-        }
+
+    let metaData = snapshot ? snapshot.meta : null;
+    if (!snapshot) {
+      try {
+        const themeResponse = await axios.get(normalizedUrl.replace(/\/$/, '') + '/meta.json', { timeout: 5000 });
+        metaData = themeResponse.data;
+      } catch (error) {
+        // meta.json might not exist, continue with the page signals
       }
-    } catch (error) {
-      // meta.json might not exist, continue with other methods
     }
 
-    // Method 2: Check theme name in script tags (Shopify.theme object)
-    const themeScripts = $('script').toArray();
-    for (const script of themeScripts) {
-      const scriptContent = $(script).html() || '';
-      const scriptLower = scriptContent.toLowerCase();
-      
-      // Check for Shopify.theme object
-      const themeMatch = scriptContent.match(/Shopify\.theme\s*=\s*{[\s\S]*?name\s*:\s*["']([^"']+)["']/i) ||
-                       scriptContent.match(/"theme"\s*:\s*["']([^"']+)["']/i) ||
-                       scriptContent.match(/theme["']?\s*:\s*["']([^"']+)["']/i);
-      
-      if (themeMatch && themeMatch[1]) {
-        const detectedTheme = themeMatch[1].toLowerCase().trim().replace(/['"]/g, '');
-        // Check exact match first
-        for (const theme of [...FREE_THEMES, ...PAID_THEMES]) {
-          if (detectedTheme === theme || detectedTheme === `${theme}-theme` || detectedTheme === `theme-${theme}`) {
-            return {
-              name: normalizeThemeName(theme),
-              type: FREE_THEMES.includes(theme) ? 'free' : 'paid',
-            };
-          }
-        }
-        // Check partial matches (more lenient)
-        for (const theme of [...FREE_THEMES, ...PAID_THEMES]) {
-          if (detectedTheme.includes(theme) && theme.length > 3) {
-            return {
-              name: normalizeThemeName(theme),
-              type: FREE_THEMES.includes(theme) ? 'free' : 'paid',
-            };
-          }
-        }
+    const catalog = await getThemeCatalog();
+    const shopifyTheme = parseShopifyTheme(html);
+    const $ = snapshot?.$ || cheerio.load(html);
+    const assetUrls = $('link[href], script[src]').toArray()
+      .map(el => $(el).attr('href') || $(el).attr('src') || '')
+      .filter(src => src.includes('/assets/'));
+
+    const reportedNames = {
+      schemaName: shopifyTheme?.schemaName ? normalizeReportedName(shopifyTheme.schemaName) : null,
+      themeName: shopifyTheme?.name ? normalizeReportedName(shopifyTheme.name) : null,
+      metaThemeName: typeof metaData?.theme?.name === 'string' ? normalizeReportedName(metaData.theme.name) : null,
+    };
+
+    // Score every catalog theme
+    let best = null;
+    for (const theme of catalog.fingerprints) {
+      const signals = [];
+
+      if (shopifyTheme?.themeStoreId && theme.themeStoreIds.includes(shopifyTheme.themeStoreId)) {
+        signals.push({ signal: 'themeStoreId', value: shopifyTheme.themeStoreId });
       }
-      
-      // Check for theme patterns in script content
-      for (const theme of [...FREE_THEMES, ...PAID_THEMES]) {
-        if (scriptLower.includes(`theme:${theme}`) || 
-            scriptLower.includes(`"theme":"${theme}"`) ||
-            scriptLower.includes(`theme_name":"${theme}`) ||
-            scriptLower.includes(`theme":"${theme}"`) ||
-            scriptLower.includes(`theme_id":"${theme}`)) {
-          return {
-            name: normalizeThemeName(theme),
-            type: FREE_THEMES.includes(theme) ? 'free' : 'paid',
-          };
+      for (const [signal, reported] of Object.entries(reportedNames)) {
+        if (reported && theme.aliases.includes(reported)) {
+          signals.push({ signal, value: reported });
         }
       }
-    }
-
-    // Method 3: Check in link tags (CSS/JS files with theme name) - Enhanced
-    const themeLinks = $('link[href], script[src]').toArray();
-    for (const link of themeLinks) {
-      const href = ($(link).attr('href') || $(link).attr('src') || '').toLowerCase();
-      for (const theme of [...FREE_THEMES, ...PAID_THEMES]) {
-        // Check for patterns like: /themes/dawn/, /theme/dawn/, /dawn/, theme-dawn, cdn.shopify.com/themes/dawn
-        if (href.includes(`/themes/${theme}/`) || 
-            href.includes(`/theme/${theme}/`) ||
-            href.includes(`/themes/${theme}.`) ||
-            href.includes(`/theme/${theme}.`) ||
-            href.includes(`cdn.shopify.com/themes/${theme}`) ||
-            href.includes(`themes/${theme}/assets`) ||
-            href.includes(`theme-${theme}`) ||
-            href.includes(`-${theme}-`) ||
-            href.includes(`_${theme}_`) ||
-            href.includes(`/${theme}/assets`) ||
-            href.includes(`/${theme}.min.js`) ||
-            href.includes(`/${theme}.css`)) {
-          return {
-            name: normalizeThemeName(theme),
-            type: FREE_THEMES.includes(theme) ? 'free' : 'paid',
-          };
-        }
+      const matchedAsset = assetUrls.find(src => theme.assetPatterns.some(pattern => pattern.test(src)));
+      if (matchedAsset) {
+        signals.push({ signal: 'assetPath', value: matchedAsset.substring(0, 200) });
       }
-    }
 
-    // Method 4: Check in HTML content and data attributes - Enhanced
-    for (const theme of [...FREE_THEMES, ...PAID_THEMES]) {
-      // More comprehensive pattern matching
-      const themePatterns = [
-        `theme-${theme}`,
-        `theme/${theme}`,
-        `themes/${theme}`,
-        `data-theme="${theme}"`,
-        `data-theme-name="${theme}"`,
-        `data-theme-id="${theme}"`,
-        `class="theme-${theme}"`,
-        `id="theme-${theme}"`,
-        `shopify.theme.${theme}`,
-        `theme:${theme}`,
-        `theme_name:${theme}`,
-      ];
-      
-      if (themePatterns.some(pattern => htmlLower.includes(pattern))) {
-        return {
-          name: normalizeThemeName(theme),
-          type: FREE_THEMES.includes(theme) ? 'free' : 'paid',
-        };
+      if (signals.length === 0) continue;
+
+      const confidence = 1 - signals.reduce((remaining, { signal }) => remaining * (1 - SIGNAL_WEIGHTS[signal]), 1);
+      if (!best || confidence > best.confidence) {
+        best = { theme, confidence, signals };
       }
     }
 
-    // Method 5: Check for theme indicators in class names and IDs - Enhanced
-    const bodyClasses = ($('body').attr('class') || '').toLowerCase();
-    const htmlId = ($('html').attr('id') || '').toLowerCase();
-    const htmlClass = ($('html').attr('class') || '').toLowerCase();
-    const allClasses = (bodyClasses + ' ' + htmlId + ' ' + htmlClass).toLowerCase();
-    
-    // Also check all elements for theme classes
-    const allElementClasses = $('[class*="theme"]').map((i, el) => $(el).attr('class')).get().join(' ').toLowerCase();
-    const combinedClasses = (allClasses + ' ' + allElementClasses).toLowerCase();
-    
-    for (const theme of [...FREE_THEMES, ...PAID_THEMES]) {
-      // More comprehensive class matching
-      if (combinedClasses.includes(theme) || 
-          combinedClasses.includes(`theme-${theme}`) ||
-          combinedClasses.includes(`template-${theme}`) ||
-          combinedClasses.includes(`${theme}-theme`)) {
-        return {
-          name: normalizeThemeName(theme),
-          type: FREE_THEMES.includes(theme) ? 'free' : 'paid',
-        };
-      }
+    if (best && best.confidence >= MIN_CONFIDENCE) {
+      return {
+        name: best.theme.name,
+        type: best.theme.type,
+        confidence: Math.round(best.confidence * 100) / 100,
+        themeStoreId: shopifyTheme?.themeStoreId || null,
+        signals: best.signals.map(({ signal, value }) => ({ signal, value, weight: SIGNAL_WEIGHTS[signal] })),
+        catalogVersion: catalog.version,
+      };
     }
 
-    // Method 6: Check for theme in Shopify Liquid template markers
-    const liquidMarkers = html.match(/{%\s*comment\s*%}[\s\S]*?theme[\s\S]*?{%\s*endcomment\s*%}/gi) || [];
-    for (const marker of liquidMarkers) {
-      const markerLower = marker.toLowerCase();
-      for (const theme of [...FREE_THEMES, ...PAID_THEMES]) {
-        if (markerLower.includes(theme)) {
-          return {
-            name: normalizeThemeName(theme),
-            type: FREE_THEMES.includes(theme) ? 'free' : 'paid',
-          };
-        }
-      }
+    // A theme outside the Theme Store (no theme_store_id) is a custom theme.
+    // A Theme Store id we don't know stays Unknown - admins can add it to the catalog.
+    if (shopifyTheme && !shopifyTheme.themeStoreId) {
+      return {
+        name: CUSTOM_THEME,
+        type: 'custom',
+        confidence: CUSTOM_CONFIDENCE,
+        themeStoreId: null,
+        signals: [{ signal: 'noThemeStoreId', value: shopifyTheme.schemaName || shopifyTheme.name }],
+        catalogVersion: catalog.version,
+      };
     }
 
-    // If theme not detected, randomly assign a free theme instead of "Unknown"
-    // This ensures all stores have a valid theme name that works with filters
-    const randomFreeTheme = FREE_THEMES[Math.floor(Math.random() * FREE_THEMES.length)];
-    console.log(`   ⚠️  Theme not detected for ${url}, assigning random free theme: ${randomFreeTheme}`);
     return {
-      name: normalizeThemeName(randomFreeTheme),
-      type: 'free',
+      name: UNKNOWN_THEME,
+      type: 'unknown',
+      confidence: 0,
+      themeStoreId: shopifyTheme?.themeStoreId || null,
+      signals: [],
+      catalogVersion: catalog.version,
     };
   } catch (error) {
     console.error(`Error detecting theme: ${url}`, error.message);
-    // On error, also assign a random free theme
-    const randomFreeTheme = FREE_THEMES[Math.floor(Math.random() * FREE_THEMES.length)];
-    return {
-      name: normalizeThemeName(randomFreeTheme),
-      type: 'free',
-    };
+    return null;
   }
 };
+
+/**
+ * Store fields for a theme detection result
+ * @param {Object|null} themeResult - detectTheme() result
+ * @returns {Object} - { theme, themeConfidence, themeStoreId, themeCatalogVersion } ({} if detection failed)
+ */
+export const getThemeUpdateData = (themeResult) => {
+  if (!themeResult?.name) return {};
+  return {
+    theme: themeResult.name.substring(0, 50),
+    themeConfidence: themeResult.confidence,
+    themeStoreId: themeResult.themeStoreId,
+    themeCatalogVersion: themeResult.catalogVersion,
+  };
+};
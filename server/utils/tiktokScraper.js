@@ -119,6 +119,25 @@ const extractUrlsFromPost = (post) => {
   return urls;
 };
 
+/**
+ * Whether a post is a paid ad (TikTok flags promoted posts with is_ads)
+ */
+const isPromotedPost = (post) => post?.is_ads === true || post?.is_ads === 1;
+
+/**
+ * Ad evidence for a store found in a promoted post (recorded as an AdObservation)
+ */
+const toAdEvidence = (post, region) => ({
+  platform: 'tiktok',
+  adId: post.aweme_id,
+  creativeUrl: post.share_url || (post.author?.unique_id && post.aweme_id
+    ? `https://www.tiktok.com/@${post.author.unique_id}/video/${post.aweme_id}`
+    : null),
+  creativeText: post.desc || null,
+  country: region,
+  startedAt: post.create_time ? new Date(post.create_time * 1000) : null,
+});
+
 /**
  * Extract URLs from TikTok user profile
  */
@@ -260,6 +279,8 @@ export const scrapeTikTokOptimized = async () => {
                     source: 'TikTok (Posts)',
                     keyword,
                     region,
+                    // Only paid posts count as ad evidence - organic posts are not ads
+                    ...(isPromotedPost(post) && { ad: toAdEvidence(post, region) }),
                   });
                 }
               }
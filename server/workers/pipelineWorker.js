@@ -0,0 +1,342 @@
+/**
+ * Pipeline Worker
+ *
+ * Works one queue of the persistent store pipeline (services/jobQueue.js):
+ *   discovery - run scraping sources on a schedule, save discovered URLs as candidate stores
+ *   verify    - Shopify verification (verificationService)
+ *   health    - health checks (healthCheckService)
+ *   classify  - business model classification (classificationService)
+ *
+ * Each finished step queues the next one for the same store, and every worker also
+ * sweeps the database for stores that still need its step (new, low confidence or
+ * due for a retry), so nothing is lost across restarts.
+ * Run as many workers per queue as needed - jobs are claimed with SKIP LOCKED.
+ *
+ * Usage:
+ *   node workers/pipelineWorker.js <discovery|verify|health|classify>
+ *
+ * Options:
+ *   --batch-size=N  Jobs claimed per poll (default depends on the queue)
+ */
+
+import dotenv from 'dotenv';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { connectPostgres, disconnectPostgres, getPrisma } from '../config/postgres.js';
+import {
+  QUEUES,
+  enqueueJob,
+  enqueueJobs,
+  claimJobs,
+  completeJob,
+  failJob,
+  extendJobLocks,
+  releaseJobs,
+  recoverStaleJobs,
+  cleanupCompletedJobs,
+} from '../services/jobQueue.js';
+import { saveDiscoveredStore } from '../services/discoveryService.js';
+import { recordAdObservations } from '../services/adObservationService.js';
+import { recordSourceStats } from '../services/scrapingStatsService.js';
+import { findStoresPendingVerification, verifyStore } from '../services/verificationService.js';
+import { findStoresPendingHealthCheck, performHealthCheck } from '../services/healthCheckService.js';
+import { findStoresPendingClassification, classifyStore } from '../services/classificationService.js';
+
+// Load environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '../.env') });
+
+const POLL_INTERVAL_MS = 5000; // Wait between polls when the queue is empty
+const SWEEP_INTERVAL_MS = 60 * 1000; // Look for stores that need this step
+const SWEEP_LIMIT = 500;
+const MAINTENANCE_INTERVAL_MS = 5 * 60 * 1000; // Recover stale jobs, delete old completed jobs
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The scraping service pulls in every scraper, so only the discovery queue loads it (on first use)
+const loadScrapingService = () => import('../services/continuousScrapingService.js');
+
+/**
+ * Queue jobs for stores found by a sweep
+ * Stores with a future nextRetryAt are queued to run at that time.
+ */
+const enqueueStoreJobs = (queue, stores) => {
+  const now = new Date();
+  return enqueueJobs(queue, stores.map(store => ({
+    type: 'store',
+    dedupeKey: store.id,
+    storeId: store.id,
+    runAt: store.nextRetryAt && store.nextRetryAt > now ? store.nextRetryAt : now,
+  })));
+};
+
+/**
+ * Queue the next pipeline step for a store right away
+ */
+const enqueueNextStep = (queue, storeId) => {
+  return enqueueJob(queue, {
+    type: 'store',
+    dedupeKey: storeId,
+    storeId,
+    requeueAfterMs: 0,
+  });
+};
+
+/**
+ * Load the store a job refers to (null if it was deleted meanwhile)
+ */
+const findJobStore = (job) => {
+  return getPrisma().store.findUnique({
+    where: { id: job.storeId },
+    select: { id: true, url: true },
+  });
+};
+
+// Discovery save outcomes counted in the per-source yield
+const SAVE_OUTCOME_STATS = {
+  saved: 'saved',
+  already_exists: 'alreadyKnown',
+  duplicate: 'duplicates',
+  invalid_url: 'invalidUrl',
+};
+
+/**
+ * Queue definitions
+ * batchSize - jobs claimed per poll, concurrency - jobs processed at once (default 1),
+ * delayMs - pause between jobs (rate limiting), settings - optional, reload batchSize /
+ * concurrency from the database, sweep - queue work found in the database,
+ * handle - process one job (throw to retry)
+ */
+const QUEUE_DEFINITIONS = {
+  discovery: {
+    batchSize: 50,
+    delayMs: 100,
+    // Batch size and concurrency are set on the admin scraping page
+    settings: async () => {
+      const { loadScrapingConfig } = await loadScrapingService();
+      const config = await loadScrapingConfig();
+      return { batchSize: config.BATCH_SIZE, concurrency: config.MAX_CONCURRENT };
+    },
+    sweep: async () => {
+      // Keep one scheduled scrape of all sources (re-queued AUTO_SCRAPE_INTERVAL after it completes)
+      const { loadScrapingConfig, scheduleScrapeRun } = await loadScrapingService();
+      const config = await loadScrapingConfig();
+      if (config.PAUSED) return { queued: 0 };
+
+      const queued = await scheduleScrapeRun();
+      return { queued: queued ? 1 : 0 };
+    },
+    handle: async (job) => {
+      if (job.type === 'scrape_sources') {
+        const { runContinuousScrapingJob } = await loadScrapingService();
+        const result = await runContinuousScrapingJob(job.id);
+        if (!result.success) {
+          throw new Error(result.error || result.message || 'Scraping job failed');
+        }
+        if (result.skipped) {
+          return { skipped: result.message };
+        }
+        return { ...result.stats, stopped: result.stopped, sourceResults: result.sourceResults };
+      }
+
+      const result = await saveDiscoveredStore(job.payload);
+      if (result.reason === 'error') {
+        throw new Error(result.error || 'Failed to save discovered store');
+      }
+      if (result.storeId && job.payload.ads?.length > 0) {
+        await recordAdObservations(result.storeId, job.payload.ads);
+      }
+      const stat = SAVE_OUTCOME_STATS[result.saved ? 'saved' : result.reason];
+      if (stat) {
+        await recordSourceStats(job.payload.source, { [stat]: 1 });
+      }
+      if (result.saved) {
+        await enqueueNextStep('verify', result.storeId);
+      }
+      return { saved: result.saved, reason: result.reason || null, storeId: result.storeId || null };
+    },
+  },
+
+  verify: {
+    batchSize: 20,
+    delayMs: 500,
+    sweep: async () => enqueueStoreJobs('verify', await findStoresPendingVerification(SWEEP_LIMIT)),
+    handle: async (job) => {
+      const store = await findJobStore(job);
+      if (!store) return { skipped: 'store_deleted' };
+
+      const result = await verifyStore(store);
+      if (['confirmed', 'probable'].includes(result.status)) {
+        await enqueueNextStep('health', store.id);
+      }
+      return result;
+    },
+  },
+
+  health: {
+    batchSize: 20,
+    delayMs: 1000,
+    sweep: async () => enqueueStoreJobs('health', await findStoresPendingHealthCheck(SWEEP_LIMIT)),
+    handle: async (job) => {
+      const store = await findJobStore(job);
+      if (!store) return { skipped: 'store_deleted' };
+
+      const result = await performHealthCheck(store.id);
+      if (!result.success) {
+        throw new Error(result.error || 'Health check failed');
+      }
+
+      const { healthStatus } = await getPrisma().store.findUnique({
+        where: { id: store.id },
+        select: { healthStatus: true },
+      });
+      if (healthStatus === 'healthy') {
+        await enqueueNextStep('classify', store.id);
+      }
+      return { healthStatus };
+    },
+  },
+
+  classify: {
+    batchSize: 10,
+    delayMs: 2000,
+    sweep: async () => enqueueStoreJobs('classify', await findStoresPendingClassification(SWEEP_LIMIT)),
+    handle: async (job) => {
+      const store = await findJobStore(job);
+      if (!store) return { skipped: 'store_deleted' };
+
+      return classifyStore(store);
+    },
+  },
+};
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const queue = args.find(arg => !arg.startsWith('--'));
+const batchSizeArg = args.find(arg => arg.startsWith('--batch-size='));
+
+if (!QUEUES.includes(queue)) {
+  console.error(`❌ Usage: node workers/pipelineWorker.js <${QUEUES.join('|')}> [--batch-size=N]`);
+  process.exit(1);
+}
+
+const definition = QUEUE_DEFINITIONS[queue];
+let batchSize = batchSizeArg ? parseInt(batchSizeArg.split('=')[1]) : definition.batchSize;
+let concurrency = definition.concurrency || 1;
+const workerId = `${queue}-${os.hostname()}-${process.pid}`.substring(0, 100);
+
+let isShuttingDown = false;
+let claimedJobIds = [];
+
+/**
+ * Process one claimed job - complete it, or record the failure for a retry
+ */
+const processJob = async (job) => {
+  try {
+    const result = await definition.handle(job);
+    await completeJob(job, result);
+  } catch (error) {
+    const status = await failJob(job, error);
+    if (status === 'dead') {
+      console.error(`💀 [Worker ${workerId}] Job ${job.id} (${job.dedupeKey}) moved to dead letter after ${job.retryCount + 1} attempts:`, error.message);
+    } else {
+      console.error(`⚠️  [Worker ${workerId}] Job ${job.id} (${job.dedupeKey}) failed, will retry:`, error.message);
+    }
+  }
+
+  claimedJobIds = claimedJobIds.filter(id => id !== job.id);
+};
+
+/**
+ * Main loop - sweep, claim, process until asked to stop
+ */
+const runWorker = async () => {
+  await connectPostgres();
+  console.log(`🚀 [Worker ${workerId}] Processing '${queue}' queue (batch size ${batchSize})`);
+
+  const heartbeat = setInterval(() => {
+    extendJobLocks(workerId).catch(error => {
+      console.error(`❌ [Worker ${workerId}] Heartbeat failed:`, error.message);
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  let lastSweep = 0;
+  let lastMaintenance = 0;
+
+  while (!isShuttingDown) {
+    try {
+      if (Date.now() - lastMaintenance >= MAINTENANCE_INTERVAL_MS) {
+        lastMaintenance = Date.now();
+        const recovered = await recoverStaleJobs();
+        const deleted = await cleanupCompletedJobs();
+        if (recovered > 0 || deleted > 0) {
+          console.log(`🧹 [Worker ${workerId}] Recovered ${recovered} stale jobs, deleted ${deleted} old completed jobs`);
+        }
+      }
+
+      if (Date.now() - lastSweep >= SWEEP_INTERVAL_MS) {
+        lastSweep = Date.now();
+
+        if (definition.settings) {
+          const settings = await definition.settings();
+          if (!batchSizeArg) batchSize = settings.batchSize;
+          concurrency = settings.concurrency;
+        }
+
+        const { queued } = await definition.sweep();
+        if (queued > 0) {
+          console.log(`📥 [Worker ${workerId}] Queued ${queued} jobs from sweep`);
+        }
+      }
+
+      const jobs = await claimJobs(queue, workerId, batchSize);
+      if (jobs.length === 0) {
+        await sleep(POLL_INTERVAL_MS);
+        continue;
+      }
+
+      claimedJobIds = jobs.map(job => job.id);
+
+      for (let i = 0; i < jobs.length; i += concurrency) {
+        if (isShuttingDown) break;
+
+        await Promise.all(jobs.slice(i, i + concurrency).map(processJob));
+        await sleep(definition.delayMs);
+      }
+
+      // Jobs left over after a shutdown request go back to the queue untouched
+      await releaseJobs(claimedJobIds);
+      claimedJobIds = [];
+    } catch (error) {
+      console.error(`❌ [Worker ${workerId}] Error in worker loop:`, error.message);
+      await sleep(POLL_INTERVAL_MS);
+    }
+  }
+
+  clearInterval(heartbeat);
+  await releaseJobs(claimedJobIds).catch(() => {});
+  await disconnectPostgres();
+  console.log(`✅ [Worker ${workerId}] Stopped`);
+  process.exit(0);
+};
+
+// Finish the current job, then stop
+const shutdown = (signal) => {
+  if (isShuttingDown) {
+    console.log('⚠️  Force shutdown requested...');
+    process.exit(1);
+  }
+  isShuttingDown = true;
+  console.log(`\n⚠️  ${signal} received. Finishing current job before stopping...`);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+runWorker().catch(error => {
+  console.error(`❌ [Worker ${workerId}] Fatal error:`, error);
+  process.exit(1);
+});
@@ -13,6 +13,7 @@ import { FloatingActivityCenter } from "@/components/FloatingActivityCenter";
 import NavigationLoader from "@/components/NavigationLoader";
 import Homepage from "./pages/Homepage";
 import Dashboard from "./pages/Dashboard";
+import StoreDetail from "./pages/StoreDetail";
 import Login from "./pages/Login";
 import AdminLogin from "./pages/AdminLogin";
 import EmailVerification from "./pages/EmailVerification";
@@ -28,6 +29,8 @@ import AdminUsers from "./pages/admin/AdminUsers";
 import AdminSupport from "./pages/admin/AdminSupport";
 import AdminStaff from "./pages/admin/AdminStaff";
 import AdminSubscriptions from "./pages/admin/AdminSubscriptions";
+import AdminScraping from "./pages/admin/AdminScraping";
+import AdminAudit from "./pages/admin/AdminAudit";
 import StaffAcceptInvite from "./pages/StaffAcceptInvite";
 
 const queryClient = new QueryClient();
@@ -60,6 +63,14 @@ const App = () => (
                     </ProtectedRoute>
                   } 
                 />
+                <Route 
+                  path="/stores/:id" 
+                  element={
+                    <ProtectedRoute>
+                      <StoreDetail />
+                    </ProtectedRoute>
+                  } 
+                />
                 <Route 
                   path="/account" 
                   element={
@@ -143,6 +154,26 @@ const App = () => (
                     </AdminProtectedRoute>
                   } 
                 />
+                <Route 
+                  path="/manager/scraping" 
+                  element={
+                    <AdminProtectedRoute>
+                      <DashboardLayout>
+                        <AdminScraping />
+                      </DashboardLayout>
+                    </AdminProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/manager/audit" 
+                  element={
+                    <AdminProtectedRoute>
+                      <DashboardLayout>
+                        <AdminAudit />
+                      </DashboardLayout>
+                    </AdminProtectedRoute>
+                  } 
+                />
                 
                 {/* ADD ALL CUSTOM ROUTES ABOVE THE CATCH-ALL "*" ROUTE */}
                 <Route path="*" element={<NotFound />} />
@@ -1,10 +1,12 @@
 import { useEffect, useState } from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
+import { loadPermissions, usePermissions } from '@/lib/permissions';
 
 const AdminProtectedRoute = ({ children }) => {
   const location = useLocation();
-  const [isValidating, setIsValidating] = useState(true);
-  const [isValid, setIsValid] = useState(false);
+  const permissions = usePermissions();
+  const [isValidating, setIsValidating] = useState(!permissions);
+  const [isValid, setIsValid] = useState(!!permissions);
   const adminToken = localStorage.getItem('adminToken');
   const adminUser = localStorage.getItem('adminUser');
 
@@ -17,15 +19,27 @@ const AdminProtectedRoute = ({ children }) => {
         return;
       }
 
-      // If token and user exist, trust them and allow access
-      // Don't validate with backend - keep admin logged in
-      // Only check if token exists, not if it's valid
-      setIsValid(true);
-      setIsValidating(false);
+      // Permissions already loaded this session - keep admin logged in
+      if (permissions) {
+        setIsValid(true);
+        setIsValidating(false);
+        return;
+      }
+
+      // Load role and permissions from the server before any admin page renders
+      try {
+        await loadPermissions();
+        setIsValid(true);
+      } catch (error) {
+        // Expired token or inactive staff account - back to login; other errors keep the session
+        setIsValid(error.status !== 401 && error.status !== 403);
+      } finally {
+        setIsValidating(false);
+      }
     };
 
     validateAdminSession();
-  }, [adminToken, adminUser, location.pathname]);
+  }, [adminToken, adminUser, permissions, location.pathname]);
 
   // Show loading while validating
   if (isValidating) {
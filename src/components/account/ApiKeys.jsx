@@ -0,0 +1,200 @@
+import { useState, useEffect } from "react";
+import { KeyRound, Copy, Trash2, Plus } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { useToast } from "@/hooks/use-toast";
+import { getApiKeys, createApiKey, revokeApiKey } from "@/services/api";
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+
+const formatDate = (date) => {
+  if (!date) return 'Never';
+  return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+/**
+ * API key management for the public API (Account page)
+ * Free plans see an upgrade hint instead of the key list.
+ */
+export const ApiKeys = ({ currentPlan, onUpgradeClick }) => {
+  const { toast } = useToast();
+  const [apiKeys, setApiKeys] = useState([]);
+  const [limit, setLimit] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [newKeyName, setNewKeyName] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [createdKey, setCreatedKey] = useState(null);
+
+  const isFreePlan = currentPlan === 'free';
+  const activeKeys = apiKeys.filter(k => !k.revokedAt);
+
+  useEffect(() => {
+    if (isFreePlan) return;
+
+    setLoading(true);
+    getApiKeys()
+      .then(response => {
+        setApiKeys(response.apiKeys || []);
+        setLimit(response.limit ?? 0);
+      })
+      .catch(error => {
+        toast({
+          title: "Error",
+          description: error.message || "Failed to load your API keys",
+          variant: "destructive",
+        });
+      })
+      .finally(() => setLoading(false));
+  }, [isFreePlan]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newKeyName.trim() || creating) return;
+
+    setCreating(true);
+    try {
+      const response = await createApiKey(newKeyName.trim());
+      setApiKeys(prev => [response.apiKey, ...prev]);
+      setCreatedKey(response.key);
+      setNewKeyName('');
+    } catch (error) {
+      if (error.isUpgradeRequired && onUpgradeClick) {
+        onUpgradeClick();
+      } else {
+        toast({
+          title: "Failed to create API key",
+          description: error.message || "Please try again",
+          variant: "destructive",
+        });
+      }
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Tools using this key will stop working immediately.`)) return;
+
+    try {
+      await revokeApiKey(apiKey.id);
+      setApiKeys(prev => prev.map(k => k.id === apiKey.id ? { ...k, revokedAt: new Date().toISOString() } : k));
+      toast({
+        title: "API key revoked",
+        description: `"${apiKey.name}" can no longer be used.`,
+      });
+    } catch (error) {
+      toast({
+        title: "Failed to revoke API key",
+        description: error.message || "Please try again",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const copyCreatedKey = async () => {
+    try {
+      await navigator.clipboard.writeText(createdKey);
+      toast({ title: "Copied", description: "API key copied to clipboard" });
+    } catch (error) {
+      toast({ title: "Copy failed", description: "Please copy the key manually", variant: "destructive" });
+    }
+  };
+
+  return (
+    <div className="glass-card p-6 rounded-xl border border-border/50 mt-6">
+      <div className="flex items-center gap-3 mb-2">
+        <KeyRound className="w-5 h-5 text-primary" />
+        <h2 className="text-xl font-light text-foreground">API Keys</h2>
+      </div>
+      <p className="text-sm text-muted-foreground mb-6">
+        Use an API key to pull stores into your own tools or CRM. Send it in the <code className="text-foreground">X-API-Key</code> header
+        to <code className="text-foreground">{API_BASE_URL}/stores</code>. Every API request counts towards your monthly filter query limit.
+      </p>
+
+      {isFreePlan ? (
+        <div className="flex items-center justify-between gap-4 p-4 rounded-lg bg-secondary/30 border border-border/50">
+          <p className="text-sm text-muted-foreground">API access is available on paid plans.</p>
+          {onUpgradeClick && (
+            <Button size="sm" onClick={onUpgradeClick}>Upgrade</Button>
+          )}
+        </div>
+      ) : (
+        <>
+          {createdKey && (
+            <div className="mb-6 p-4 rounded-lg bg-primary/5 border border-primary/30">
+              <p className="text-sm text-foreground mb-2">Copy your new API key now - it will not be shown again.</p>
+              <div className="flex items-center gap-2">
+                <code className="flex-1 px-3 py-2 rounded-md bg-background/50 border border-border/50 text-sm text-foreground break-all">
+                  {createdKey}
+                </code>
+                <Button size="sm" variant="outline" onClick={copyCreatedKey}>
+                  <Copy className="w-4 h-4" />
+                </Button>
+              </div>
+              <button
+                onClick={() => setCreatedKey(null)}
+                className="mt-3 text-xs text-muted-foreground hover:text-foreground transition-colors"
+              >
+                I've saved it
+              </button>
+            </div>
+          )}
+
+          <form onSubmit={handleCreate} className="flex items-center gap-2 mb-6">
+            <Input
+              value={newKeyName}
+              onChange={(e) => setNewKeyName(e.target.value)}
+              maxLength={100}
+              placeholder="Key name (e.g. HubSpot sync)"
+              className="max-w-xs"
+            />
+            <Button
+              type="submit"
+              disabled={!newKeyName.trim() || creating || (limit !== -1 && activeKeys.length >= limit)}
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              {creating ? 'Creating...' : 'Create key'}
+            </Button>
+            {limit !== -1 && (
+              <span className="text-xs text-muted-foreground font-light ml-2">
+                {activeKeys.length} / {limit} active
+              </span>
+            )}
+          </form>
+
+          {loading ? (
+            <p className="text-sm text-muted-foreground">Loading API keys...</p>
+          ) : apiKeys.length === 0 ? (
+            <p className="text-sm text-muted-foreground">You haven't created any API keys yet.</p>
+          ) : (
+            <div className="space-y-2">
+              {apiKeys.map(apiKey => (
+                <div
+                  key={apiKey.id}
+                  className={`flex items-center justify-between gap-4 p-3 rounded-lg border border-border/50 ${
+                    apiKey.revokedAt ? 'opacity-50' : 'bg-background/30'
+                  }`}
+                >
+                  <div className="min-w-0">
+                    <p className="text-sm font-light text-foreground">
+                      {apiKey.name}
+                      {apiKey.revokedAt && <span className="ml-2 text-xs text-destructive">Revoked</span>}
+                    </p>
+                    <p className="text-xs text-muted-foreground">
+                      <code>{apiKey.keyPrefix}…</code> · Created {formatDate(apiKey.createdAt)} · Last used {formatDate(apiKey.lastUsedAt)} · {apiKey.requestCount} requests
+                    </p>
+                  </div>
+                  {!apiKey.revokedAt && (
+                    <Button size="sm" variant="ghost" onClick={() => handleRevoke(apiKey)} title="Revoke key">
+                      <Trash2 className="w-4 h-4 text-destructive" />
+                    </Button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,164 @@
+import { useState, useEffect } from "react";
+import { MonitorSmartphone, Trash2, LogOut } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { useToast } from "@/hooks/use-toast";
+import { getDevices, signOutSession, forgetDevice } from "@/services/api";
+
+const formatDateTime = (date) => {
+  if (!date) return 'Never';
+  return new Date(date).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+const formatLocation = ({ ip, country }) => [ip, country].filter(Boolean).join(' · ') || 'Unknown location';
+
+/**
+ * Devices and sessions (Account page)
+ * Forgetting a device frees its slot before the plan's device limit suspends the account.
+ */
+export const Devices = () => {
+  const { toast } = useToast();
+  const [devices, setDevices] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [limit, setLimit] = useState(-1);
+  const [suspendAfter, setSuspendAfter] = useState(-1);
+  const [loading, setLoading] = useState(true);
+
+  const loadDevices = async () => {
+    try {
+      const response = await getDevices();
+      setDevices(response.devices || []);
+      setSessions(response.sessions || []);
+      setLimit(response.limit ?? -1);
+      setSuspendAfter(response.suspendAfter ?? -1);
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to load your devices",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadDevices();
+  }, []);
+
+  const handleSignOut = async (session) => {
+    if (!window.confirm(`Sign out ${session.label}? It will need to log in again.`)) return;
+
+    try {
+      await signOutSession(session.id);
+      await loadDevices();
+      toast({ title: "Session signed out", description: `${session.label} has been signed out.` });
+    } catch (error) {
+      toast({
+        title: "Failed to sign out session",
+        description: error.message || "Please try again",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleForget = async (device) => {
+    if (!window.confirm(`Forget ${device.label}? It will be signed out and no longer count toward your device limit.`)) return;
+
+    try {
+      await forgetDevice(device.id);
+      await loadDevices();
+      toast({ title: "Device removed", description: `${device.label} no longer counts toward your device limit.` });
+    } catch (error) {
+      toast({
+        title: "Failed to remove device",
+        description: error.message || "Please try again",
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <div className="glass-card p-6 rounded-xl border border-border/50 mt-6">
+      <div className="flex items-center gap-3 mb-2">
+        <MonitorSmartphone className="w-5 h-5 text-primary" />
+        <h2 className="text-xl font-light text-foreground">Devices</h2>
+        {limit !== -1 && (
+          <span className="text-xs text-muted-foreground font-light ml-auto">
+            {devices.length} / {limit} devices
+          </span>
+        )}
+      </div>
+      <p className="text-sm text-muted-foreground mb-6">
+        {suspendAfter !== -1
+          ? `Signing in on ${suspendAfter} devices suspends your account - forget devices you no longer use to free a slot.`
+          : 'Devices and browsers signed in to your account.'}
+      </p>
+
+      {loading ? (
+        <p className="text-sm text-muted-foreground">Loading devices...</p>
+      ) : devices.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No devices recorded yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {devices.map(device => (
+            <div
+              key={device.id}
+              className="flex items-center justify-between gap-4 p-3 rounded-lg bg-background/30 border border-border/50"
+            >
+              <div className="min-w-0">
+                <p className="text-sm font-light text-foreground flex items-center gap-2">
+                  {device.label}
+                  {device.current && <span className="text-xs text-primary">This device</span>}
+                </p>
+                <p className="text-xs text-muted-foreground">
+                  {formatLocation(device)} · Last active {formatDateTime(device.lastActive)}
+                  {device.activeSessions > 0 && ` · ${device.activeSessions} active ${device.activeSessions === 1 ? 'session' : 'sessions'}`}
+                </p>
+              </div>
+              {!device.current && (
+                <Button size="sm" variant="ghost" onClick={() => handleForget(device)} title="Forget device">
+                  <Trash2 className="w-4 h-4 text-destructive" />
+                </Button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!loading && sessions.length > 0 && (
+        <>
+          <h3 className="text-sm font-light text-foreground mt-6 mb-2">Signed-in sessions</h3>
+          <div className="space-y-2">
+            {sessions.map(session => (
+              <div
+                key={session.id}
+                className="flex items-center justify-between gap-4 p-3 rounded-lg border border-border/50"
+              >
+                <div className="min-w-0">
+                  <p className="text-sm font-light text-foreground flex items-center gap-2">
+                    {session.label}
+                    {session.current && <span className="text-xs text-primary">Current session</span>}
+                  </p>
+                  <p className="text-xs text-muted-foreground">
+                    {formatLocation(session)} · Signed in {formatDateTime(session.createdAt)} · Last active {formatDateTime(session.lastActivity)}
+                  </p>
+                </div>
+                {!session.current && (
+                  <Button size="sm" variant="ghost" onClick={() => handleSignOut(session)} title="Sign out">
+                    <LogOut className="w-4 h-4 text-destructive" />
+                  </Button>
+                )}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
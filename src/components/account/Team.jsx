@@ -0,0 +1,334 @@
+import { useState, useEffect, useRef } from "react";
+import { useSearchParams } from "react-router-dom";
+import { Users, Trash2, Mail, LogOut, Crown } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { useToast } from "@/hooks/use-toast";
+import {
+  getTeam,
+  createTeam,
+  deleteTeam,
+  inviteTeamMember,
+  revokeTeamInvitation,
+  acceptTeamInvitation,
+  removeTeamMember,
+  clearUserCache,
+} from "@/services/api";
+
+// Plans with more than one seat (maxUsers on the server)
+const TEAM_PLANS = ['pro', 'enterprise'];
+
+const formatDate = (date) => {
+  if (!date) return '';
+  return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+/**
+ * Team workspace (Account page)
+ * Members share the owner's plan, usage limits, saved searches, exports and watchlists.
+ * Invitation links (?teamInvite=TOKEN) are accepted here once the user is signed in.
+ */
+export const Team = ({ user, currentPlan, onTeamChange, onUpgradeClick }) => {
+  const { toast } = useToast();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [team, setTeam] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [teamName, setTeamName] = useState('');
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const acceptingRef = useRef(false);
+
+  const inviteToken = searchParams.get('teamInvite');
+  const isOwner = team?.role === 'owner';
+  const seatsFull = team && team.seats.limit !== -1 && team.seats.used >= team.seats.limit;
+
+  const loadTeam = async () => {
+    try {
+      const response = await getTeam();
+      setTeam(response.team);
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to load your team",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Team changes switch the plan and usage the rest of the app sees
+  const applyTeamChange = (nextTeam) => {
+    setTeam(nextTeam);
+    clearUserCache();
+    if (onTeamChange) onTeamChange();
+  };
+
+  useEffect(() => {
+    if (inviteToken && !acceptingRef.current) {
+      acceptingRef.current = true;
+
+      const newSearchParams = new URLSearchParams(searchParams);
+      newSearchParams.delete('teamInvite');
+      setSearchParams(newSearchParams, { replace: true });
+
+      acceptTeamInvitation(inviteToken)
+        .then(response => {
+          applyTeamChange(response.team);
+          toast({ title: "Welcome to the team", description: response.message });
+        })
+        .catch(error => {
+          toast({
+            title: "Could not join team",
+            description: error.message || "Please try again",
+            variant: "destructive",
+          });
+        })
+        .finally(() => loadTeam());
+      return;
+    }
+
+    loadTeam();
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!teamName.trim() || submitting) return;
+
+    setSubmitting(true);
+    try {
+      const response = await createTeam(teamName.trim());
+      applyTeamChange(response.team);
+      setTeamName('');
+      toast({ title: "Team created", description: "Invite your teammates by email." });
+    } catch (error) {
+      if (error.isUpgradeRequired && onUpgradeClick) {
+        onUpgradeClick();
+      } else {
+        toast({
+          title: "Failed to create team",
+          description: error.message || "Please try again",
+          variant: "destructive",
+        });
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!inviteEmail.trim() || submitting) return;
+
+    setSubmitting(true);
+    try {
+      const response = await inviteTeamMember(inviteEmail.trim());
+      setInviteEmail('');
+      toast({
+        title: response.emailSent ? "Invitation sent" : "Invitation created",
+        description: response.message,
+        variant: response.emailSent ? undefined : "destructive",
+      });
+      await loadTeam();
+    } catch (error) {
+      if (error.isUpgradeRequired && onUpgradeClick) {
+        onUpgradeClick();
+      } else {
+        toast({
+          title: "Failed to send invitation",
+          description: error.message || "Please try again",
+          variant: "destructive",
+        });
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRevokeInvitation = async (invitation) => {
+    try {
+      await revokeTeamInvitation(invitation.id);
+      await loadTeam();
+      toast({ title: "Invitation revoked", description: `${invitation.email} can no longer join with that link.` });
+    } catch (error) {
+      toast({
+        title: "Failed to revoke invitation",
+        description: error.message || "Please try again",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleRemoveMember = async (member) => {
+    const isSelf = member.userId === user?.id;
+    const prompt = isSelf
+      ? `Leave "${team.name}"? You'll go back to your own plan and usage.`
+      : `Remove ${member.name || member.email} from the team?`;
+    if (!window.confirm(prompt)) return;
+
+    try {
+      await removeTeamMember(member.userId);
+      if (isSelf) {
+        applyTeamChange(null);
+        toast({ title: "You left the team" });
+      } else {
+        await loadTeam();
+        toast({ title: "Member removed", description: `${member.name || member.email} no longer has access to the team.` });
+      }
+    } catch (error) {
+      toast({
+        title: isSelf ? "Failed to leave team" : "Failed to remove member",
+        description: error.message || "Please try again",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleDeleteTeam = async () => {
+    if (!window.confirm(`Delete "${team.name}"? Members go back to their own plan and lose access to shared saved searches, exports and watchlists.`)) return;
+
+    try {
+      await deleteTeam();
+      applyTeamChange(null);
+      toast({ title: "Team deleted" });
+    } catch (error) {
+      toast({
+        title: "Failed to delete team",
+        description: error.message || "Please try again",
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <div className="glass-card p-6 rounded-xl border border-border/50 mt-6">
+      <div className="flex items-center gap-3 mb-2">
+        <Users className="w-5 h-5 text-primary" />
+        <h2 className="text-xl font-light text-foreground">{team ? team.name : 'Team'}</h2>
+        {team && team.seats.limit !== -1 && (
+          <span className="text-xs text-muted-foreground font-light ml-auto">
+            {team.seats.used} / {team.seats.limit} seats
+          </span>
+        )}
+      </div>
+      <p className="text-sm text-muted-foreground mb-6">
+        Teammates share your plan's limits, saved searches, exports and watchlists - no more sharing one login across devices.
+      </p>
+
+      {loading ? (
+        <p className="text-sm text-muted-foreground">Loading team...</p>
+      ) : !team ? (
+        TEAM_PLANS.includes(currentPlan) ? (
+          <form onSubmit={handleCreate} className="flex items-center gap-2">
+            <Input
+              value={teamName}
+              onChange={(e) => setTeamName(e.target.value)}
+              maxLength={100}
+              placeholder="Team name (e.g. Growth team)"
+              className="max-w-xs"
+            />
+            <Button type="submit" disabled={!teamName.trim() || submitting}>
+              {submitting ? 'Creating...' : 'Create team'}
+            </Button>
+          </form>
+        ) : (
+          <div className="flex items-center justify-between gap-4 p-4 rounded-lg bg-secondary/30 border border-border/50">
+            <p className="text-sm text-muted-foreground">Teams are available on the Pro and Enterprise plans.</p>
+            {onUpgradeClick && (
+              <Button size="sm" onClick={onUpgradeClick}>Upgrade</Button>
+            )}
+          </div>
+        )
+      ) : (
+        <>
+          {!team.seated && (
+            <div className="mb-4 p-4 rounded-lg bg-destructive/5 border border-destructive/30">
+              <p className="text-sm text-foreground">
+                The team's plan has no free seat for you right now, so your own plan and usage apply. Ask the team owner to free a seat or upgrade.
+              </p>
+            </div>
+          )}
+
+          {isOwner && (
+            <form onSubmit={handleInvite} className="flex items-center gap-2 mb-6">
+              <Input
+                type="email"
+                value={inviteEmail}
+                onChange={(e) => setInviteEmail(e.target.value)}
+                maxLength={255}
+                placeholder="teammate@company.com"
+                className="max-w-xs"
+              />
+              <Button type="submit" disabled={!inviteEmail.trim() || submitting || seatsFull}>
+                <Mail className="w-4 h-4 mr-1" />
+                {submitting ? 'Sending...' : 'Invite'}
+              </Button>
+              {seatsFull && (
+                <span className="text-xs text-muted-foreground font-light ml-2">All seats are taken</span>
+              )}
+            </form>
+          )}
+
+          <div className="space-y-2">
+            {team.members.map(member => (
+              <div
+                key={member.userId}
+                className={`flex items-center justify-between gap-4 p-3 rounded-lg border border-border/50 ${
+                  member.seated ? 'bg-background/30' : 'opacity-50'
+                }`}
+              >
+                <div className="min-w-0">
+                  <p className="text-sm font-light text-foreground flex items-center gap-2">
+                    {member.name || member.email}
+                    {member.userId === user?.id && <span className="text-xs text-muted-foreground">(you)</span>}
+                    {member.role === 'owner' && <Crown className="w-3.5 h-3.5 text-primary" />}
+                    {!member.seated && <span className="text-xs text-destructive">No seat</span>}
+                  </p>
+                  <p className="text-xs text-muted-foreground">
+                    {member.email} · {member.role === 'owner' ? 'Owner' : `Joined ${formatDate(member.joinedAt)}`}
+                  </p>
+                </div>
+                {member.role !== 'owner' && (isOwner || member.userId === user?.id) && (
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => handleRemoveMember(member)}
+                    title={member.userId === user?.id ? 'Leave team' : 'Remove member'}
+                  >
+                    {member.userId === user?.id
+                      ? <LogOut className="w-4 h-4 text-destructive" />
+                      : <Trash2 className="w-4 h-4 text-destructive" />}
+                  </Button>
+                )}
+              </div>
+            ))}
+
+            {team.invitations.map(invitation => (
+              <div
+                key={invitation.id}
+                className="flex items-center justify-between gap-4 p-3 rounded-lg border border-dashed border-border/50"
+              >
+                <div className="min-w-0">
+                  <p className="text-sm font-light text-foreground">{invitation.email}</p>
+                  <p className="text-xs text-muted-foreground">Invitation pending · Expires {formatDate(invitation.expiresAt)}</p>
+                </div>
+                <Button size="sm" variant="ghost" onClick={() => handleRevokeInvitation(invitation)} title="Revoke invitation">
+                  <Trash2 className="w-4 h-4 text-destructive" />
+                </Button>
+              </div>
+            ))}
+          </div>
+
+          {isOwner && (
+            <button
+              onClick={handleDeleteTeam}
+              className="mt-6 text-xs text-muted-foreground hover:text-destructive transition-colors"
+            >
+              Delete team
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
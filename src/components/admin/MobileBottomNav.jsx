@@ -7,6 +7,7 @@ import {
   CreditCard,
   MessageSquare,
   UserCog,
+  Radar,
   Sun,
   Moon,
 } from "lucide-react";
@@ -146,6 +147,7 @@ export function MobileBottomNav() {
     { icon: CreditCard, label: "Subscriptions", path: "/manager/subscriptions" },
     { icon: MessageSquare, label: "Support", path: "/manager/support" },
     { icon: UserCog, label: "Staff", path: "/manager/staff" },
+    { icon: Radar, label: "Scraping", path: "/manager/scraping" },
   ];
 
   const toggleTheme = () => {
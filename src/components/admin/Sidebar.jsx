@@ -7,6 +7,8 @@ import {
   MessageSquare,
   UserCog,
   CreditCard,
+  Radar,
+  ScrollText,
   Link as LinkIcon,
   LogOut,
   Moon,
@@ -17,6 +19,7 @@ import {
 } from "lucide-react";
 import { cn } from "@/lib/utils";
 import { useToast } from "@/hooks/use-toast";
+import { usePermissions, hasPermission, clearPermissions } from "@/lib/permissions";
 import { getNewTicketsCount, getNewSubscribersCount } from "@/services/api";
 import { Badge } from "@/components/ui/badge";
 import { Switch } from "@/components/ui/switch";
@@ -32,10 +35,12 @@ import {
 
 const navItems = [
   { icon: LayoutDashboard, label: "Overview", path: "/manager" },
-  { icon: Users, label: "Users", path: "/manager/users" },
-  { icon: MessageSquare, label: "Support", path: "/manager/support" },
-  { icon: UserCog, label: "Staff", path: "/manager/staff" },
-  { icon: CreditCard, label: "Subscriptions", path: "/manager/subscriptions" },
+  { icon: Users, label: "Users", path: "/manager/users", permission: "users.view" },
+  { icon: MessageSquare, label: "Support", path: "/manager/support", permission: "tickets.view" },
+  { icon: UserCog, label: "Staff", path: "/manager/staff", permission: "staff.view" },
+  { icon: CreditCard, label: "Subscriptions", path: "/manager/subscriptions", permission: "subscriptions.view" },
+  { icon: Radar, label: "Scraping", path: "/manager/scraping", permission: "scraping.view" },
+  { icon: ScrollText, label: "Audit Log", path: "/manager/audit", permission: "audit.view" },
 ];
 
 export function Sidebar() {
@@ -47,6 +52,7 @@ export function Sidebar() {
   const { toast } = useToast();
   const { theme, setTheme } = useTheme();
   const [mounted, setMounted] = useState(false);
+  const me = usePermissions(); // Role and permissions from the server (loaded by AdminProtectedRoute)
 
   // Fetch new tickets count
   const fetchNewTicketsCount = async () => {
@@ -146,6 +152,8 @@ export function Sidebar() {
     localStorage.removeItem('adminToken');
     localStorage.removeItem('adminUser');
     localStorage.removeItem('adminLastLoginTime'); // Clear admin login timestamp
+    localStorage.removeItem('staffInfo');
+    clearPermissions();
     toast({
       title: "Logged out",
       description: "You have been logged out from admin dashboard",
@@ -157,7 +165,7 @@ export function Sidebar() {
     setTheme(theme === "dark" ? "light" : "dark");
   };
 
-  const adminUser = JSON.parse(localStorage.getItem('adminUser') || '{}');
+  const visibleNavItems = navItems.filter(item => !item.permission || hasPermission(item.permission));
   const isDark = theme === "dark";
 
   if (!mounted) {
@@ -201,7 +209,7 @@ export function Sidebar() {
             ? "bg-gray-800/50 border-gray-700/50 backdrop-blur-xl"
             : "bg-gray-50/80 border-gray-200/50 backdrop-blur-xl"
         )}>
-        {navItems.map((item) => {
+        {visibleNavItems.map((item) => {
           const isActive = location.pathname === item.path;
             const isSupport = item.path === '/manager/support';
             const isSubscriptions = item.path === '/manager/subscriptions';
@@ -278,11 +286,16 @@ export function Sidebar() {
               )}>
                 <div className="flex flex-col space-y-1">
                   <p className="text-sm font-light leading-none">
-                    {adminUser.name || 'Admin User'}
+                    {me?.name || 'Admin User'}
                   </p>
                   <p className="text-xs leading-none text-gray-500 dark:text-gray-400">
-                    {adminUser.email || 'admin@example.com'}
+                    {me?.email || 'admin@example.com'}
                   </p>
+                  {me?.roleLabel && (
+                    <p className="text-xs leading-none text-gray-500 dark:text-gray-400">
+                      {me.roleLabel}
+                    </p>
+                  )}
         </div>
               </DropdownMenuLabel>
               <DropdownMenuSeparator className="bg-gray-200 dark:bg-gray-700/50" />
@@ -0,0 +1,187 @@
+import { useState, useEffect, useCallback } from "react";
+import { Plus, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  getAdminThemeCatalog,
+  saveAdminThemeFingerprint,
+  deleteAdminThemeFingerprint,
+} from "@/services/api";
+import { useToast } from "@/hooks/use-toast";
+import { cn } from "@/lib/utils";
+
+const EMPTY_FORM = { name: "", type: "paid", themeStoreIds: "", aliases: "", assetPatterns: "" };
+
+// "1, 2 ,3" -> ["1", "2", "3"]
+const splitList = (value) => value.split(",").map(item => item.trim()).filter(Boolean);
+
+/**
+ * Theme fingerprint catalog - built-in themes plus admin additions used by theme detection
+ */
+export function ThemeCatalog({ canManage, className }) {
+  const { toast } = useToast();
+  const [catalog, setCatalog] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const fetchCatalog = useCallback(async () => {
+    try {
+      setCatalog(await getAdminThemeCatalog());
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to load theme catalog",
+        variant: "destructive",
+      });
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    fetchCatalog();
+  }, [fetchCatalog]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await saveAdminThemeFingerprint({
+        name: form.name,
+        type: form.type,
+        themeStoreIds: splitList(form.themeStoreIds),
+        aliases: splitList(form.aliases),
+        assetPatterns: splitList(form.assetPatterns),
+      });
+      toast({
+        title: response.message,
+        description: "Run the theme backfill to re-detect existing stores",
+      });
+      setForm(EMPTY_FORM);
+      fetchCatalog();
+    } catch (error) {
+      toast({
+        title: "Failed to save theme",
+        description: error.message,
+        variant: "destructive",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    try {
+      await deleteAdminThemeFingerprint(entry.id);
+      fetchCatalog();
+    } catch (error) {
+      toast({
+        title: "Failed to remove theme",
+        description: error.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  if (!catalog) return null;
+
+  const entriesByName = new Map(catalog.entries.map(entry => [entry.name.toLowerCase(), entry]));
+
+  return (
+    <div className={className}>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-light text-gray-900 dark:text-white">Theme catalog</h2>
+        <span className="text-xs text-gray-500 dark:text-gray-400">Version {catalog.version}</span>
+      </div>
+
+      {catalog.unmatched.length > 0 && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-4">
+          Unrecognized Theme Store ids:{" "}
+          {catalog.unmatched.map(({ themeStoreId, stores }) => `${themeStoreId} (${stores} stores)`).join(", ")}
+        </p>
+      )}
+
+      <div className="overflow-x-auto max-h-80 overflow-y-auto mb-4">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 dark:text-gray-400 border-b border-gray-100 dark:border-gray-700/50">
+              <th className="py-2 pr-4 font-normal">Theme</th>
+              <th className="py-2 pr-4 font-normal">Type</th>
+              <th className="py-2 pr-4 font-normal">Theme Store ids</th>
+              <th className="py-2 pr-4 font-normal">Aliases</th>
+              <th className="py-2 font-normal" />
+            </tr>
+          </thead>
+          <tbody>
+            {catalog.themes.map(theme => {
+              const entry = entriesByName.get(theme.name.toLowerCase());
+              return (
+                <tr key={theme.name} className="border-b border-gray-50 dark:border-gray-800 text-gray-700 dark:text-gray-300">
+                  <td className="py-2 pr-4 text-gray-900 dark:text-white">
+                    {theme.name}
+                    {theme.origin !== "builtin" && (
+                      <span className="ml-2 text-xs text-blue-600 dark:text-blue-400">{theme.origin}</span>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4 capitalize">{theme.type}</td>
+                  <td className="py-2 pr-4">{theme.themeStoreIds.join(", ") || "—"}</td>
+                  <td className="py-2 pr-4 text-xs">{theme.aliases.slice(1).join(", ") || "—"}</td>
+                  <td className="py-2 text-right">
+                    {canManage && entry && (
+                      <button
+                        onClick={() => handleDelete(entry)}
+                        className="text-gray-400 hover:text-red-600 transition-colors"
+                        title="Remove admin changes"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {canManage && (
+        <form onSubmit={handleSave} className="grid grid-cols-1 md:grid-cols-6 gap-2 items-end">
+          <Input
+            placeholder="Theme name"
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            required
+          />
+          <select
+            value={form.type}
+            onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}
+            className={cn(
+              "h-10 rounded-md border px-3 text-sm",
+              "bg-white dark:bg-gray-800 border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300"
+            )}
+          >
+            <option value="free">Free</option>
+            <option value="paid">Paid</option>
+          </select>
+          <Input
+            placeholder="Theme Store ids (comma separated)"
+            value={form.themeStoreIds}
+            onChange={(e) => setForm(prev => ({ ...prev, themeStoreIds: e.target.value }))}
+          />
+          <Input
+            placeholder="Aliases"
+            value={form.aliases}
+            onChange={(e) => setForm(prev => ({ ...prev, aliases: e.target.value }))}
+          />
+          <Input
+            placeholder="Asset patterns (regex)"
+            value={form.assetPatterns}
+            onChange={(e) => setForm(prev => ({ ...prev, assetPatterns: e.target.value }))}
+          />
+          <Button type="submit" disabled={saving} className="gap-2">
+            <Plus className="w-4 h-4" />
+            {saving ? "Saving..." : "Add / extend"}
+          </Button>
+        </form>
+      )}
+    </div>
+  );
+}
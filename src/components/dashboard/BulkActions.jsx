@@ -1,23 +1,113 @@
-import { useState } from "react";
-import { Copy, Download, Grid3X3, List } from "lucide-react";
+import { useState, useEffect } from "react";
+import { Copy, Download, Grid3X3, List, ChevronDown } from "lucide-react";
 import { toast } from "@/hooks/use-toast";
-import { exportStoresToCSV, copyStoreLinks } from "@/services/api";
+import { Popover, PopoverTrigger, PopoverContent } from "@/components/ui/popover";
+import { Checkbox } from "@/components/ui/checkbox";
+import { exportStoresToCSV, copyStoreLinks, getExportJob, downloadExport, EXPORT_COLUMN_OPTIONS, STORE_SORT_OPTIONS } from "@/services/api";
 
 const PAGE_SIZE_OPTIONS = [50, 100, 200, 500];
 
+const EXPORT_FORMAT_OPTIONS = [
+  { key: "csv", label: "CSV" },
+  { key: "xlsx", label: "Excel" },
+  { key: "ndjson", label: "NDJSON" },
+];
+
+const EXPORT_PREFERENCES_KEY = "exportPreferences";
+
+// How often to check on a background export job
+const EXPORT_JOB_POLL_INTERVAL = 3000;
+
+// Last used format/columns (defaults to the classic URL-only CSV)
+const loadExportPreferences = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(EXPORT_PREFERENCES_KEY));
+    if (stored && Array.isArray(stored.columns) && stored.columns.length > 0) {
+      return stored;
+    }
+  } catch (error) {
+    // Ignore malformed preferences
+  }
+  return { format: "csv", columns: ["url"] };
+};
+
 export const BulkActions = ({ 
   stores, 
   totalCount, 
+  filters,
   viewMode, 
   onViewModeChange,
   itemsPerPage,
   onItemsPerPageChange,
+  sortBy = "dateAdded",
+  onSortChange,
   onRefresh,
   isFreeUser = false,
   onUpgradeClick
 }) => {
   const [copying, setCopying] = useState(false);
   const [exporting, setExporting] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [exportPreferences, setExportPreferences] = useState(loadExportPreferences);
+  // "page" exports the stores on screen, "all" every store matching the current filters
+  const [exportScope, setExportScope] = useState("page");
+  const [exportJob, setExportJob] = useState(null);
+
+  const formatLabel = (format) => EXPORT_FORMAT_OPTIONS.find(f => f.key === format)?.label || 'CSV';
+
+  // Poll a background export until it finishes, then download it
+  useEffect(() => {
+    if (!exportJob) return;
+
+    const interval = setInterval(async () => {
+      try {
+        const job = await getExportJob(exportJob.id);
+        if (job.status === 'completed') {
+          setExportJob(null);
+          await downloadExport(job.id);
+          toast({
+            title: "Export complete!",
+            description: `${job.processedRows} stores exported to ${formatLabel(job.format)}`,
+          });
+        } else if (job.status === 'failed') {
+          setExportJob(null);
+          toast({
+            title: "Export failed",
+            description: job.error || "Please try again",
+            variant: "destructive",
+          });
+        } else {
+          setExportJob(job);
+        }
+      } catch (error) {
+        setExportJob(null);
+        toast({
+          title: "Export failed",
+          description: error.message || "Please try again",
+          variant: "destructive",
+        });
+      }
+    }, EXPORT_JOB_POLL_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [exportJob?.id]);
+
+  const updateExportPreferences = (updates) => {
+    setExportPreferences(prev => {
+      const next = { ...prev, ...updates };
+      localStorage.setItem(EXPORT_PREFERENCES_KEY, JSON.stringify(next));
+      return next;
+    });
+  };
+
+  const toggleExportColumn = (column) => {
+    const { columns } = exportPreferences;
+    const nextColumns = columns.includes(column)
+      ? columns.filter(c => c !== column)
+      : EXPORT_COLUMN_OPTIONS.map(o => o.key).filter(key => key === column || columns.includes(key));
+    if (nextColumns.length === 0) return; // Keep at least one column
+    updateExportPreferences({ columns: nextColumns });
+  };
 
   const copyAllLinks = async () => {
     if (copying) return;
@@ -65,10 +155,32 @@ export const BulkActions = ({
   };
 
   const exportToCSV = async () => {
-    if (exporting) return;
+    if (exporting || exportJob) return;
     
     try {
       setExporting(true);
+
+      if (exportScope === "all") {
+        const result = await exportStoresToCSV(null, { ...exportPreferences, filters: filters || {} });
+        setExportOpen(false);
+
+        if (result.job) {
+          setExportJob(result.job);
+          toast({
+            title: "Export started",
+            description: `Exporting ${result.job.totalRows} stores in the background. The download starts when it's ready.`,
+          });
+        } else {
+          toast({
+            title: "Export complete!",
+            description: result.truncated
+              ? "Export limited to your plan's links per export"
+              : `All matching stores exported to ${formatLabel(exportPreferences.format)}`,
+          });
+        }
+        return;
+      }
+
       const storeIds = stores.map(s => s.id || s._id).filter(Boolean);
       
       if (storeIds.length === 0) {
@@ -80,11 +192,12 @@ export const BulkActions = ({
         return;
       }
 
-      await exportStoresToCSV(storeIds);
+      await exportStoresToCSV(storeIds, exportPreferences);
+      setExportOpen(false);
     
     toast({
       title: "Export complete!",
-        description: `${storeIds.length} stores exported to CSV`,
+        description: `${storeIds.length} stores exported to ${formatLabel(exportPreferences.format)}`,
     });
     } catch (error) {
       console.error('Error exporting CSV:', error);
@@ -148,6 +261,25 @@ export const BulkActions = ({
             ))}
           </select>
         </div>
+
+        {/* Sort Selector (paid plans - free users always see the oldest stores first) */}
+        {!isFreeUser && onSortChange && (
+          <div className="flex items-center gap-2">
+            <span className="text-sm text-muted-foreground">Sort:</span>
+            <select
+              value={sortBy}
+              onChange={(e) => onSortChange(e.target.value)}
+              className="bg-secondary/50 border border-border/50 rounded-lg py-1.5 text-sm text-foreground focus:outline-none focus:ring-1 focus:ring-primary"
+              style={{ paddingLeft: '11px', paddingRight: '11px' }}
+            >
+              {STORE_SORT_OPTIONS.map((option) => (
+                <option key={option.key} value={option.key}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
       </div>
 
       <div className="flex items-center gap-3">
@@ -186,14 +318,79 @@ export const BulkActions = ({
           <Copy className="w-4 h-4" />
           <span className="hidden sm:inline">{copying ? 'Copying...' : 'Copy All Links'}</span>
         </button>
-        <button
-          onClick={exportToCSV}
-          disabled={exporting || stores.length === 0}
-          className="flex items-center gap-2 px-4 py-2 rounded-lg bg-primary text-primary-foreground text-sm font-light hover:bg-primary/90 transition-colors glow-effect disabled:opacity-50 disabled:cursor-not-allowed"
-        >
-          <Download className="w-4 h-4" />
-          <span className="hidden sm:inline">{exporting ? 'Exporting...' : 'Export CSV'}</span>
-        </button>
+        <Popover open={exportOpen} onOpenChange={setExportOpen}>
+          <PopoverTrigger asChild>
+            <button
+              disabled={exporting || !!exportJob || stores.length === 0}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-primary text-primary-foreground text-sm font-light hover:bg-primary/90 transition-colors glow-effect disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Download className="w-4 h-4" />
+              <span className="hidden sm:inline">
+                {exportJob
+                  ? `Exporting ${exportJob.processedRows || 0}/${exportJob.totalRows}...`
+                  : exporting ? 'Exporting...' : 'Export'}
+              </span>
+              <ChevronDown className="w-3.5 h-3.5 hidden sm:inline" />
+            </button>
+          </PopoverTrigger>
+          <PopoverContent align="end" className="w-64">
+            <div className="text-xs text-muted-foreground mb-2">Stores</div>
+            <div className="flex gap-1 mb-4">
+              {[
+                { key: "page", label: `This page (${stores.length})` },
+                { key: "all", label: `All matching (${totalCount})` },
+              ].map(option => (
+                <button
+                  key={option.key}
+                  onClick={() => setExportScope(option.key)}
+                  className={`flex-1 px-2 py-1.5 rounded-md text-xs font-light transition-colors ${
+                    exportScope === option.key
+                      ? "bg-primary text-primary-foreground"
+                      : "bg-secondary/50 text-muted-foreground hover:text-foreground"
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <div className="text-xs text-muted-foreground mb-2">Format</div>
+            <div className="flex gap-1 mb-4">
+              {EXPORT_FORMAT_OPTIONS.map(option => (
+                <button
+                  key={option.key}
+                  onClick={() => updateExportPreferences({ format: option.key })}
+                  className={`flex-1 px-2 py-1.5 rounded-md text-xs font-light transition-colors ${
+                    exportPreferences.format === option.key
+                      ? "bg-primary text-primary-foreground"
+                      : "bg-secondary/50 text-muted-foreground hover:text-foreground"
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <div className="text-xs text-muted-foreground mb-2">Columns</div>
+            <div className="space-y-2 mb-4 max-h-56 overflow-y-auto">
+              {EXPORT_COLUMN_OPTIONS.map(option => (
+                <label key={option.key} className="flex items-center gap-2 text-sm font-light text-foreground cursor-pointer">
+                  <Checkbox
+                    checked={exportPreferences.columns.includes(option.key)}
+                    onCheckedChange={() => toggleExportColumn(option.key)}
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+            <button
+              onClick={exportToCSV}
+              disabled={exporting}
+              className="w-full flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-primary text-primary-foreground text-sm font-light hover:bg-primary/90 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Download className="w-4 h-4" />
+              {exporting ? 'Exporting...' : `Export ${exportScope === "all" ? totalCount : stores.length} stores`}
+            </button>
+          </PopoverContent>
+        </Popover>
       </div>
     </div>
   );
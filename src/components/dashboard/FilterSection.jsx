@@ -1,27 +1,38 @@
 import { useState, useRef, useEffect } from "react";
-import { ChevronDown, X, CalendarDays, MapPin, Palette, Filter, RotateCcw, Tag } from "lucide-react";
-import { europeanCountries, americanCountries, asianCountries, middleEastCountries, africanCountries, oceaniaCountries, freeThemes, paidThemes, availableTags } from "@/data/mockData";
+import { ChevronDown, X, CalendarDays, MapPin, Palette, Filter, RotateCcw, Tag, Bookmark, LayoutGrid, Puzzle, Megaphone } from "lucide-react";
+import { europeanCountries, americanCountries, asianCountries, middleEastCountries, africanCountries, oceaniaCountries, otherCountries, freeThemes, paidThemes, availableTags, availableNiches, appCategories, adPlatforms, adWithinDaysOptions } from "@/data/mockData";
 import { DateRangePicker } from "./DateRangePicker";
 import { UpgradePopup } from "@/components/UpgradePopup";
 import { useAuth } from "@/contexts/AuthContext";
 
-export const FilterSection = ({ onFiltersChange }) => {
+export const FilterSection = ({ onFiltersChange, onSaveSearch, savedSearch }) => {
   const { user } = useAuth();
   const [showUpgradePopup, setShowUpgradePopup] = useState(false);
-  const userPlan = user?.subscription?.plan || 'free';
+  const userPlan = user?.plan || user?.subscription?.plan || 'free';
   const [selectedCountries, setSelectedCountries] = useState([]);
   const [selectedThemes, setSelectedThemes] = useState([]);
   const [selectedTags, setSelectedTags] = useState([]);
+  const [selectedNiches, setSelectedNiches] = useState([]);
+  const [selectedApps, setSelectedApps] = useState([]);
+  const [selectedAdPlatforms, setSelectedAdPlatforms] = useState([]);
+  const [adWithinDays, setAdWithinDays] = useState(null);
   const [dateFrom, setDateFrom] = useState("");
   const [dateTo, setDateTo] = useState("");
   const [activeDropdown, setActiveDropdown] = useState(null);
   const [countrySearch, setCountrySearch] = useState("");
   const [themeSearch, setThemeSearch] = useState("");
+  const [appSearch, setAppSearch] = useState("");
+  const [showSaveForm, setShowSaveForm] = useState(false);
+  const [saveName, setSaveName] = useState("");
+  const [saving, setSaving] = useState(false);
   
   const countryDropdownRef = useRef(null);
   const dateDropdownRef = useRef(null);
   const themeDropdownRef = useRef(null);
   const tagDropdownRef = useRef(null);
+  const nicheDropdownRef = useRef(null);
+  const appDropdownRef = useRef(null);
+  const adDropdownRef = useRef(null);
 
   // Handle click outside for all dropdowns
   useEffect(() => {
@@ -46,6 +57,21 @@ export const FilterSection = ({ onFiltersChange }) => {
           setActiveDropdown(null);
         }
       }
+      if (nicheDropdownRef.current && !nicheDropdownRef.current.contains(event.target)) {
+        if (activeDropdown === "niche") {
+          setActiveDropdown(null);
+        }
+      }
+      if (appDropdownRef.current && !appDropdownRef.current.contains(event.target)) {
+        if (activeDropdown === "app") {
+          setActiveDropdown(null);
+        }
+      }
+      if (adDropdownRef.current && !adDropdownRef.current.contains(event.target)) {
+        if (activeDropdown === "ad") {
+          setActiveDropdown(null);
+        }
+      }
     };
 
     if (activeDropdown) {
@@ -72,6 +98,9 @@ export const FilterSection = ({ onFiltersChange }) => {
   const filteredOceaniaCountries = oceaniaCountries.filter(c => 
     c.toLowerCase().includes(countrySearch.toLowerCase())
   );
+  const filteredOtherCountries = otherCountries.filter(c => 
+    c.toLowerCase().includes(countrySearch.toLowerCase())
+  );
 
   const filteredFreeThemes = freeThemes.filter(t => 
     t.toLowerCase().includes(themeSearch.toLowerCase())
@@ -80,6 +109,26 @@ export const FilterSection = ({ onFiltersChange }) => {
     t.toLowerCase().includes(themeSearch.toLowerCase())
   );
 
+  const filteredAppCategories = Object.entries(appCategories)
+    .map(([category, apps]) => [category, apps.filter(a => a.toLowerCase().includes(appSearch.toLowerCase()))])
+    .filter(([, apps]) => apps.length > 0);
+
+  // Load a saved search's filters into the selections when one is opened from the dashboard
+  useEffect(() => {
+    if (!savedSearch) return;
+    const saved = savedSearch.filters || {};
+    setSelectedCountries(saved.countries || []);
+    setSelectedThemes(saved.themes || []);
+    setSelectedTags(saved.tags || []);
+    setSelectedNiches(saved.niches || []);
+    setSelectedApps(saved.techStack || []);
+    setSelectedAdPlatforms(saved.adPlatforms || []);
+    setAdWithinDays(saved.adWithinDays || null);
+    setDateFrom(saved.dateFrom || "");
+    setDateTo(saved.dateTo || "");
+    setShowSaveForm(false);
+  }, [savedSearch]);
+
   const handleFilterClick = () => {
     // Free users cannot use any filters
     if (userPlan === 'free') {
@@ -108,6 +157,9 @@ export const FilterSection = ({ onFiltersChange }) => {
   };
 
   const prevTagsLengthRef = useRef(selectedTags.length);
+  const prevNichesLengthRef = useRef(selectedNiches.length);
+  const prevAppsLengthRef = useRef(selectedApps.length);
+  const prevAdFilterRef = useRef(selectedAdPlatforms.length > 0 || !!adWithinDays);
   const prevCountriesLengthRef = useRef(selectedCountries.length);
   const prevThemesLengthRef = useRef(selectedThemes.length);
   const prevDateRangeRef = useRef(!!(dateFrom && dateTo));
@@ -119,18 +171,53 @@ export const FilterSection = ({ onFiltersChange }) => {
     );
   };
 
+  const toggleNiche = (niche) => {
+    if (!handleFilterClick()) return;
+    setSelectedNiches(prev => 
+      prev.includes(niche) ? prev.filter(n => n !== niche) : [...prev, niche]
+    );
+  };
+
+  const toggleApp = (app) => {
+    if (!handleFilterClick()) return;
+    setSelectedApps(prev => 
+      prev.includes(app) ? prev.filter(a => a !== app) : [...prev, app]
+    );
+  };
+
+  const toggleAdPlatform = (platform) => {
+    if (!handleFilterClick()) return;
+    setSelectedAdPlatforms(prev => 
+      prev.includes(platform) ? prev.filter(p => p !== platform) : [...prev, platform]
+    );
+  };
+
+  const selectAdWithinDays = (days) => {
+    if (!handleFilterClick()) return;
+    setAdWithinDays(prev => (prev === days ? null : days));
+  };
+
+  const getAdPlatformName = (key) => adPlatforms.find(p => p.key === key)?.name || key;
+
   // Auto-reset to default state when all filters are fully deselected
   useEffect(() => {
-    // Check if all filters are now empty (no countries, no themes, no tags, no date range)
+    // Check if all filters are now empty (no countries, no themes, no tags, no niches, no apps, no ad filter, no date range)
     const allFiltersEmpty = selectedCountries.length === 0 && 
                             selectedThemes.length === 0 && 
                             selectedTags.length === 0 && 
+                            selectedNiches.length === 0 && 
+                            selectedApps.length === 0 && 
+                            selectedAdPlatforms.length === 0 && 
+                            !adWithinDays && 
                             !(dateFrom && dateTo);
     
     // Check if we transitioned from having at least one filter to having no filters
     const hadFiltersBefore = prevCountriesLengthRef.current > 0 || 
                              prevThemesLengthRef.current > 0 || 
                              prevTagsLengthRef.current > 0 || 
+                             prevNichesLengthRef.current > 0 || 
+                             prevAppsLengthRef.current > 0 || 
+                             prevAdFilterRef.current || 
                              prevDateRangeRef.current;
     
     // If we had filters before and now all filters are empty, reset to default state
@@ -143,12 +230,15 @@ export const FilterSection = ({ onFiltersChange }) => {
     prevCountriesLengthRef.current = selectedCountries.length;
     prevThemesLengthRef.current = selectedThemes.length;
     prevTagsLengthRef.current = selectedTags.length;
+    prevNichesLengthRef.current = selectedNiches.length;
+    prevAppsLengthRef.current = selectedApps.length;
+    prevAdFilterRef.current = selectedAdPlatforms.length > 0 || !!adWithinDays;
     prevDateRangeRef.current = !!(dateFrom && dateTo);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [selectedCountries.length, selectedThemes.length, selectedTags.length, dateFrom, dateTo]);
+  }, [selectedCountries.length, selectedThemes.length, selectedTags.length, selectedNiches.length, selectedApps.length, selectedAdPlatforms.length, adWithinDays, dateFrom, dateTo]);
 
   // Calculate total active filters count for display
-  const activeFiltersCount = selectedCountries.length + selectedThemes.length + selectedTags.length + (dateFrom && dateTo ? 1 : 0);
+  const activeFiltersCount = selectedCountries.length + selectedThemes.length + selectedTags.length + selectedNiches.length + selectedApps.length + selectedAdPlatforms.length + (adWithinDays ? 1 : 0) + (dateFrom && dateTo ? 1 : 0);
 
   const applyFilters = (overrideDateFrom = null, overrideDateTo = null) => {
     const fromDate = overrideDateFrom !== null ? overrideDateFrom : dateFrom;
@@ -158,13 +248,20 @@ export const FilterSection = ({ onFiltersChange }) => {
     // Countries: count each selected country
     // Themes: count each selected theme
     // Tags: count each selected tag
+    // Niches: count each selected niche
+    // Apps: count each selected app
+    // Ads: count each selected platform, plus 1 for an activity window
     // Date range: count as 1 if both dates are set
-    const filterCount = selectedCountries.length + selectedThemes.length + selectedTags.length + (fromDate && toDate ? 1 : 0);
+    const filterCount = selectedCountries.length + selectedThemes.length + selectedTags.length + selectedNiches.length + selectedApps.length + selectedAdPlatforms.length + (adWithinDays ? 1 : 0) + (fromDate && toDate ? 1 : 0);
     
     const filtersToApply = {
       countries: selectedCountries,
       themes: selectedThemes,
       tags: selectedTags,
+      niches: selectedNiches,
+      techStack: selectedApps,
+      adPlatforms: selectedAdPlatforms,
+      adWithinDays,
       dateRange: fromDate && toDate ? { from: fromDate, to: toDate } : null,
       filterCount: filterCount // Pass the total filter count for usage tracking
     };
@@ -178,9 +275,39 @@ export const FilterSection = ({ onFiltersChange }) => {
     setSelectedCountries([]);
     setSelectedThemes([]);
     setSelectedTags([]);
+    setSelectedNiches([]);
+    setSelectedApps([]);
+    setSelectedAdPlatforms([]);
+    setAdWithinDays(null);
     setDateFrom("");
     setDateTo("");
-    onFiltersChange({ countries: [], themes: [], tags: [], dateRange: null });
+    onFiltersChange({ countries: [], themes: [], tags: [], niches: [], techStack: [], adPlatforms: [], adWithinDays: null, dateRange: null });
+  };
+
+  const saveCurrentSearch = async () => {
+    if (!handleFilterClick() || !onSaveSearch || saving) return;
+    const name = saveName.trim();
+    if (!name) return;
+
+    setSaving(true);
+    try {
+      const saved = await onSaveSearch(name, {
+        countries: selectedCountries,
+        themes: selectedThemes,
+        tags: selectedTags,
+        niches: selectedNiches,
+        techStack: selectedApps,
+        adPlatforms: selectedAdPlatforms,
+        adWithinDays,
+        dateRange: dateFrom && dateTo ? { from: dateFrom, to: dateTo } : null,
+      });
+      if (saved) {
+        setSaveName("");
+        setShowSaveForm(false);
+      }
+    } finally {
+      setSaving(false);
+    }
   };
 
   const selectAllCountries = (countries) => {
@@ -212,7 +339,7 @@ export const FilterSection = ({ onFiltersChange }) => {
         </div>
       </div>
 
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4 mb-6">
         {/* Country Filter */}
         <div className="relative filter-control" ref={countryDropdownRef}>
           <button
@@ -430,6 +557,34 @@ export const FilterSection = ({ onFiltersChange }) => {
                     </div>
                   </div>
                 )}
+                {filteredOtherCountries.length > 0 && (
+                  <div>
+                    <div className="flex items-center justify-between mb-2">
+                      <span className="text-xs font-light text-muted-foreground uppercase">Other</span>
+                      <button
+                        onClick={() => selectAllCountries(filteredOtherCountries)}
+                        className="text-xs text-primary hover:underline px-2 py-1 rounded border border-primary/30 hover:border-primary/60 hover:bg-primary/10 transition-all"
+                      >
+                        Select All
+                      </button>
+                    </div>
+                    <div className="flex flex-wrap gap-1.5">
+                      {filteredOtherCountries.map(country => (
+                        <button
+                          key={country}
+                          onClick={() => toggleCountry(country)}
+                          className={`px-2 py-1 rounded text-xs transition-all border ${
+                            selectedCountries.includes(country)
+                              ? "bg-primary text-primary-foreground border-primary/50 hover:border-primary hover:shadow-md"
+                              : "bg-secondary/50 text-foreground hover:bg-secondary border-border/50 hover:border-primary/50 hover:shadow-sm"
+                          }`}
+                        >
+                          {country}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
               </div>
             </div>
           )}
@@ -462,6 +617,54 @@ export const FilterSection = ({ onFiltersChange }) => {
                 </div>
               </div>
             </div>
+            {selectedNiches.map(niche => (
+              <span key={niche} className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-primary/10 text-primary text-sm border border-primary/30 hover:border-primary/50 hover:bg-primary/15 transition-all">
+                <LayoutGrid className="w-3.5 h-3.5" />
+                {niche}
+                <button
+                  onClick={() => toggleNiche(niche)}
+                  className="ml-0.5 hover:bg-primary/20 rounded p-0.5 transition-colors"
+                >
+                  <X className="w-3.5 h-3.5" />
+                </button>
+              </span>
+            ))}
+            {selectedApps.map(app => (
+              <span key={app} className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-primary/10 text-primary text-sm border border-primary/30 hover:border-primary/50 hover:bg-primary/15 transition-all">
+                <Puzzle className="w-3.5 h-3.5" />
+                {app}
+                <button
+                  onClick={() => toggleApp(app)}
+                  className="ml-0.5 hover:bg-primary/20 rounded p-0.5 transition-colors"
+                >
+                  <X className="w-3.5 h-3.5" />
+                </button>
+              </span>
+            ))}
+            {selectedAdPlatforms.map(platform => (
+              <span key={platform} className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-primary/10 text-primary text-sm border border-primary/30 hover:border-primary/50 hover:bg-primary/15 transition-all">
+                <Megaphone className="w-3.5 h-3.5" />
+                Ads on {getAdPlatformName(platform)}
+                <button
+                  onClick={() => toggleAdPlatform(platform)}
+                  className="ml-0.5 hover:bg-primary/20 rounded p-0.5 transition-colors"
+                >
+                  <X className="w-3.5 h-3.5" />
+                </button>
+              </span>
+            ))}
+            {adWithinDays && (
+              <span className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-primary/10 text-primary text-sm border border-primary/30 hover:border-primary/50 hover:bg-primary/15 transition-all">
+                <Megaphone className="w-3.5 h-3.5" />
+                Ads in the last {adWithinDays} days
+                <button
+                  onClick={() => selectAdWithinDays(adWithinDays)}
+                  className="ml-0.5 hover:bg-primary/20 rounded p-0.5 transition-colors"
+                >
+                  <X className="w-3.5 h-3.5" />
+                </button>
+              </span>
+            )}
             {dateFrom && dateTo && (
               <span className="flex-shrink-0 w-5 h-5 rounded-full bg-primary text-primary-foreground text-xs font-light flex items-center justify-center">
                 1
@@ -649,10 +852,235 @@ export const FilterSection = ({ onFiltersChange }) => {
             </div>
           )}
         </div>
+
+        {/* Niche Filter */}
+        <div className="relative filter-control" ref={nicheDropdownRef}>
+          <button
+            onClick={() => {
+              if (userPlan === 'free') {
+                setShowUpgradePopup(true);
+                return;
+              }
+              setActiveDropdown(activeDropdown === "niche" ? null : "niche");
+            }}
+            className={`w-full flex items-center justify-between gap-3 px-4 py-3 rounded-xl border transition-all ${
+              activeDropdown === "niche"
+                ? "bg-primary/5 border-primary/50 shadow-md"
+                : selectedNiches.length > 0
+                ? "bg-primary/5 border-primary/30 hover:border-primary/50"
+                : "bg-background/50 border-border/50 hover:border-border hover:bg-background"
+            }`}
+          >
+            <div className="flex items-center gap-3 flex-1 min-w-0">
+              <LayoutGrid className={`w-4 h-4 flex-shrink-0 ${selectedNiches.length > 0 ? 'text-primary' : 'text-muted-foreground'}`} />
+              <div className="flex-1 min-w-0 text-left">
+                <div className="text-xs text-muted-foreground font-light mb-0.5">Niches</div>
+                <div className="text-sm font-light text-foreground truncate">
+                  {selectedNiches.length > 0 
+                    ? `${selectedNiches.length} ${selectedNiches.length === 1 ? 'niche' : 'niches'}` 
+                    : "All niches"}
+                </div>
+              </div>
+            </div>
+            {selectedNiches.length > 0 && (
+              <span className="flex-shrink-0 w-5 h-5 rounded-full bg-primary text-primary-foreground text-xs font-light flex items-center justify-center">
+                {selectedNiches.length}
+              </span>
+            )}
+            <ChevronDown className={`w-4 h-4 flex-shrink-0 text-muted-foreground transition-transform ${activeDropdown === "niche" ? "rotate-180" : ""}`} />
+          </button>
+
+          {activeDropdown === "niche" && (
+            <div className="absolute top-full left-0 right-0 mt-2 bg-card border border-border/80 rounded-xl max-h-80 overflow-y-auto p-3 z-[100] animate-slide-down shadow-lg backdrop-blur-xl">
+              <div className="flex flex-wrap gap-1.5">
+                {availableNiches.map(niche => (
+                  <button
+                    key={niche}
+                    onClick={() => toggleNiche(niche)}
+                    className={`px-2 py-1 rounded text-xs transition-all border ${
+                      selectedNiches.includes(niche)
+                        ? "bg-primary text-primary-foreground border-primary/50 hover:border-primary hover:shadow-md"
+                        : "bg-secondary/50 text-foreground hover:bg-secondary border-border/50 hover:border-primary/50 hover:shadow-sm"
+                    }`}
+                  >
+                    {niche}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* App Filter */}
+        <div className="relative filter-control" ref={appDropdownRef}>
+          <button
+            onClick={() => {
+              if (userPlan === 'free') {
+                setShowUpgradePopup(true);
+                return;
+              }
+              setActiveDropdown(activeDropdown === "app" ? null : "app");
+            }}
+            className={`w-full flex items-center justify-between gap-3 px-4 py-3 rounded-xl border transition-all ${
+              activeDropdown === "app"
+                ? "bg-primary/5 border-primary/50 shadow-md"
+                : selectedApps.length > 0
+                ? "bg-primary/5 border-primary/30 hover:border-primary/50"
+                : "bg-background/50 border-border/50 hover:border-border hover:bg-background"
+            }`}
+          >
+            <div className="flex items-center gap-3 flex-1 min-w-0">
+              <Puzzle className={`w-4 h-4 flex-shrink-0 ${selectedApps.length > 0 ? 'text-primary' : 'text-muted-foreground'}`} />
+              <div className="flex-1 min-w-0 text-left">
+                <div className="text-xs text-muted-foreground font-light mb-0.5">Apps</div>
+                <div className="text-sm font-light text-foreground truncate">
+                  {selectedApps.length > 0 
+                    ? `Uses ${selectedApps.length === 1 ? selectedApps[0] : `${selectedApps.length} apps`}` 
+                    : "Any apps"}
+                </div>
+              </div>
+            </div>
+            {selectedApps.length > 0 && (
+              <span className="flex-shrink-0 w-5 h-5 rounded-full bg-primary text-primary-foreground text-xs font-light flex items-center justify-center">
+                {selectedApps.length}
+              </span>
+            )}
+            <ChevronDown className={`w-4 h-4 flex-shrink-0 text-muted-foreground transition-transform ${activeDropdown === "app" ? "rotate-180" : ""}`} />
+          </button>
+
+          {activeDropdown === "app" && (
+            <div className="absolute top-full left-0 right-0 mt-2 bg-card border border-border/80 rounded-xl max-h-80 overflow-hidden z-[100] animate-slide-down shadow-lg backdrop-blur-xl">
+              <div className="p-3 border-b border-border/50">
+                <input
+                  type="text"
+                  placeholder="Search apps..."
+                  value={appSearch}
+                  onChange={(e) => setAppSearch(e.target.value)}
+                  className="w-full bg-secondary/50 rounded-lg px-3 py-2 text-sm text-foreground placeholder:text-muted-foreground focus:outline-none focus:ring-1 focus:ring-primary"
+                />
+              </div>
+              <div className="max-h-52 overflow-y-auto p-3 space-y-3">
+                {filteredAppCategories.map(([category, apps]) => (
+                  <div key={category}>
+                    <span className="text-xs font-light text-muted-foreground uppercase block mb-2">{category}</span>
+                    <div className="flex flex-wrap gap-1.5">
+                      {apps.map(app => (
+                        <button
+                          key={app}
+                          onClick={(e) => {
+                            e.preventDefault();
+                            e.stopPropagation();
+                            toggleApp(app);
+                          }}
+                          className={`px-2 py-1 rounded text-xs transition-all border ${
+                            selectedApps.includes(app)
+                              ? "bg-primary text-primary-foreground border-primary/50 hover:border-primary hover:shadow-md"
+                              : "bg-secondary/50 text-foreground hover:bg-secondary border-border/50 hover:border-primary/50 hover:shadow-sm"
+                          }`}
+                        >
+                          {app}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Ad Filter */}
+        <div className="relative filter-control" ref={adDropdownRef}>
+          <button
+            onClick={() => {
+              if (userPlan === 'free') {
+                setShowUpgradePopup(true);
+                return;
+              }
+              setActiveDropdown(activeDropdown === "ad" ? null : "ad");
+            }}
+            className={`w-full flex items-center justify-between gap-3 px-4 py-3 rounded-xl border transition-all ${
+              activeDropdown === "ad"
+                ? "bg-primary/5 border-primary/50 shadow-md"
+                : selectedAdPlatforms.length > 0 || adWithinDays
+                ? "bg-primary/5 border-primary/30 hover:border-primary/50"
+                : "bg-background/50 border-border/50 hover:border-border hover:bg-background"
+            }`}
+          >
+            <div className="flex items-center gap-3 flex-1 min-w-0">
+              <Megaphone className={`w-4 h-4 flex-shrink-0 ${selectedAdPlatforms.length > 0 || adWithinDays ? 'text-primary' : 'text-muted-foreground'}`} />
+              <div className="flex-1 min-w-0 text-left">
+                <div className="text-xs text-muted-foreground font-light mb-0.5">Ads</div>
+                <div className="text-sm font-light text-foreground truncate">
+                  {selectedAdPlatforms.length > 0 || adWithinDays
+                    ? `${selectedAdPlatforms.length === 1 ? getAdPlatformName(selectedAdPlatforms[0]) : selectedAdPlatforms.length > 1 ? `${selectedAdPlatforms.length} platforms` : "Any platform"}${adWithinDays ? ` · ${adWithinDays}d` : ""}`
+                    : "Any ad activity"}
+                </div>
+              </div>
+            </div>
+            {(selectedAdPlatforms.length > 0 || adWithinDays) && (
+              <span className="flex-shrink-0 w-5 h-5 rounded-full bg-primary text-primary-foreground text-xs font-light flex items-center justify-center">
+                {selectedAdPlatforms.length + (adWithinDays ? 1 : 0)}
+              </span>
+            )}
+            <ChevronDown className={`w-4 h-4 flex-shrink-0 text-muted-foreground transition-transform ${activeDropdown === "ad" ? "rotate-180" : ""}`} />
+          </button>
+
+          {activeDropdown === "ad" && (
+            <div className="absolute top-full left-0 right-0 mt-2 bg-card border border-border/80 rounded-xl max-h-80 overflow-hidden z-[100] animate-slide-down shadow-lg backdrop-blur-xl">
+              <div className="p-3 space-y-3">
+                <div>
+                  <span className="text-xs font-light text-muted-foreground uppercase block mb-2">Advertising on</span>
+                  <div className="flex flex-wrap gap-1.5">
+                    {adPlatforms.map(platform => (
+                      <button
+                        key={platform.key}
+                        onClick={(e) => {
+                          e.preventDefault();
+                          e.stopPropagation();
+                          toggleAdPlatform(platform.key);
+                        }}
+                        className={`px-2 py-1 rounded text-xs transition-all border ${
+                          selectedAdPlatforms.includes(platform.key)
+                            ? "bg-primary text-primary-foreground border-primary/50 hover:border-primary hover:shadow-md"
+                            : "bg-secondary/50 text-foreground hover:bg-secondary border-border/50 hover:border-primary/50 hover:shadow-sm"
+                        }`}
+                      >
+                        {platform.name}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <span className="text-xs font-light text-muted-foreground uppercase block mb-2">Ad seen in the last</span>
+                  <div className="flex flex-wrap gap-1.5">
+                    {adWithinDaysOptions.map(days => (
+                      <button
+                        key={days}
+                        onClick={(e) => {
+                          e.preventDefault();
+                          e.stopPropagation();
+                          selectAdWithinDays(days);
+                        }}
+                        className={`px-2 py-1 rounded text-xs transition-all border ${
+                          adWithinDays === days
+                            ? "bg-primary text-primary-foreground border-primary/50 hover:border-primary hover:shadow-md"
+                            : "bg-secondary/50 text-foreground hover:bg-secondary border-border/50 hover:border-primary/50 hover:shadow-sm"
+                        }`}
+                      >
+                        {days} days
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
       </div>
 
       {/* Active Filters Display */}
-      {(selectedCountries.length > 0 || selectedThemes.length > 0 || selectedTags.length > 0 || (dateFrom && dateTo)) && (
+      {(selectedCountries.length > 0 || selectedThemes.length > 0 || selectedTags.length > 0 || selectedNiches.length > 0 || selectedApps.length > 0 || selectedAdPlatforms.length > 0 || adWithinDays || (dateFrom && dateTo)) && (
         <div className="mb-6">
           <div className="flex items-center gap-2 mb-3">
             <Tag className="w-4 h-4 text-muted-foreground" />
@@ -742,13 +1170,56 @@ export const FilterSection = ({ onFiltersChange }) => {
           )}
         </button>
         {activeFiltersCount > 0 && (
-          <button
-            onClick={clearAllFilters}
-            className="px-4 py-2.5 rounded-lg bg-transparent text-muted-foreground font-light text-sm hover:text-foreground border border-border/50 hover:border-border/70 transition-all flex items-center gap-2"
-          >
-            <RotateCcw className="w-4 h-4" />
-            Clear All
-          </button>
+          <div className="flex items-center gap-3">
+            {onSaveSearch && (showSaveForm ? (
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  autoFocus
+                  maxLength={100}
+                  placeholder="Name this search..."
+                  value={saveName}
+                  onChange={(e) => setSaveName(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") saveCurrentSearch();
+                    if (e.key === "Escape") setShowSaveForm(false);
+                  }}
+                  className="w-44 px-3 py-2 rounded-lg bg-background/50 border border-border/50 text-sm font-light focus:outline-none focus:border-primary/50"
+                />
+                <button
+                  onClick={saveCurrentSearch}
+                  disabled={!saveName.trim() || saving}
+                  className="px-4 py-2.5 rounded-lg bg-primary/10 text-primary font-light text-sm border border-primary/30 hover:bg-primary/15 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {saving ? "Saving..." : "Save"}
+                </button>
+                <button
+                  onClick={() => setShowSaveForm(false)}
+                  className="p-2 rounded-lg text-muted-foreground hover:text-foreground transition-colors"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            ) : (
+              <button
+                onClick={() => {
+                  if (!handleFilterClick()) return;
+                  setShowSaveForm(true);
+                }}
+                className="px-4 py-2.5 rounded-lg bg-transparent text-muted-foreground font-light text-sm hover:text-foreground border border-border/50 hover:border-border/70 transition-all flex items-center gap-2"
+              >
+                <Bookmark className="w-4 h-4" />
+                Save search
+              </button>
+            ))}
+            <button
+              onClick={clearAllFilters}
+              className="px-4 py-2.5 rounded-lg bg-transparent text-muted-foreground font-light text-sm hover:text-foreground border border-border/50 hover:border-border/70 transition-all flex items-center gap-2"
+            >
+              <RotateCcw className="w-4 h-4" />
+              Clear All
+            </button>
+          </div>
         )}
       </div>
 
@@ -1,6 +1,6 @@
 import { useState, useRef, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
-import { ChevronDown, Crown, Grid3X3, LogOut, User, Sparkles, Zap, Rocket, Moon, Sun } from "lucide-react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { ChevronDown, Crown, Grid3X3, LogOut, User, Sparkles, Zap, Rocket, Moon, Sun, Search, X } from "lucide-react";
 import { useAuth } from "@/contexts/AuthContext";
 import { useTheme } from "next-themes";
 import { Switch } from "@/components/ui/switch";
@@ -13,12 +13,15 @@ export const Header = () => {
   const navigate = useNavigate();
   const { theme, setTheme } = useTheme();
   const [mounted, setMounted] = useState(false);
+  const [searchParams] = useSearchParams();
+  const urlQuery = searchParams.get("q") || "";
+  const [searchInput, setSearchInput] = useState(urlQuery);
   
   const userName = user?.name || "User";
   const userEmail = user?.email || "";
   
   // Get user's plan from user object (defaults to 'free')
-  const userPlan = user?.subscription?.plan || 'free';
+  const userPlan = user?.plan || user?.subscription?.plan || 'free';
   
   // Map plan names with proper capitalization
   const getPlanName = (plan) => {
@@ -95,6 +98,23 @@ export const Header = () => {
     return () => document.removeEventListener("mousedown", handleClickOutside);
   }, []);
 
+  // Keep the search box in sync with the URL (back/forward, cleared search)
+  useEffect(() => {
+    setSearchInput(urlQuery);
+  }, [urlQuery]);
+
+  // Search stores by name, URL, description and product titles (Dashboard reads ?q=)
+  const submitSearch = (e) => {
+    e.preventDefault();
+    const query = searchInput.trim();
+    navigate(query ? `/dashboard?q=${encodeURIComponent(query)}` : '/dashboard');
+  };
+
+  const clearSearch = () => {
+    setSearchInput("");
+    navigate('/dashboard');
+  };
+
   const toggleTheme = () => {
     setTheme(theme === "dark" ? "light" : "dark");
   };
@@ -130,6 +150,29 @@ export const Header = () => {
       />
     </a>
 
+        {/* Store search */}
+        <form onSubmit={submitSearch} className="hidden md:flex flex-1 max-w-md mx-6 relative">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-muted-foreground" />
+          <input
+            type="search"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search stores, URLs, products..."
+            maxLength={100}
+            className="w-full pl-9 pr-9 py-2 rounded-full border border-border/50 bg-secondary/50 text-sm font-light text-foreground placeholder:text-muted-foreground focus:outline-none focus:border-primary/50 transition-colors"
+          />
+          {searchInput && (
+            <button
+              type="button"
+              onClick={clearSearch}
+              className="absolute right-3 top-1/2 -translate-y-1/2 text-muted-foreground hover:text-foreground transition-colors"
+              title="Clear search"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          )}
+        </form>
+
         {/* Right side controls */}
         <div className="flex items-center gap-4">
           {/* Theme Toggle */}
@@ -0,0 +1,139 @@
+import { Bookmark, Bell, BellOff, Trash2, Users } from "lucide-react";
+import { adPlatforms } from "@/data/mockData";
+
+/**
+ * Summarize a saved search's filters for display (e.g. "2 countries · Dawn · 1 tag")
+ */
+const describeFilters = (filters = {}) => {
+  const parts = [];
+  if (filters.countries?.length) {
+    parts.push(filters.countries.length === 1 ? filters.countries[0] : `${filters.countries.length} countries`);
+  }
+  if (filters.themes?.length) {
+    parts.push(filters.themes.length === 1 ? filters.themes[0] : `${filters.themes.length} themes`);
+  }
+  if (filters.tags?.length) {
+    parts.push(filters.tags.length === 1 ? filters.tags[0] : `${filters.tags.length} tags`);
+  }
+  if (filters.niches?.length) {
+    parts.push(filters.niches.length === 1 ? filters.niches[0] : `${filters.niches.length} niches`);
+  }
+  if (filters.techStack?.length) {
+    parts.push(`uses ${filters.techStack.join(" or ")}`);
+  }
+  if (filters.adPlatforms?.length || filters.adWithinDays) {
+    const platforms = (filters.adPlatforms || []).map(key => adPlatforms.find(p => p.key === key)?.name || key);
+    parts.push(`ads${platforms.length ? ` on ${platforms.join(" or ")}` : ""}${filters.adWithinDays ? ` in ${filters.adWithinDays} days` : ""}`);
+  }
+  if (filters.shipsTo?.length) {
+    parts.push(`ships to ${filters.shipsTo.join(", ")}`);
+  }
+  if (filters.currencies?.length) {
+    parts.push(`sells in ${filters.currencies.join(", ")}`);
+  }
+  if (filters.locales?.length) {
+    parts.push(filters.locales.join(", "));
+  }
+  if (filters.productQuery) {
+    parts.push(`"${filters.productQuery}"`);
+  }
+  if (filters.priceMin !== undefined || filters.priceMax !== undefined) {
+    const priceCurrency = filters.currencies?.length ? filters.currencies.join("/") : "in store currency";
+    parts.push(`price ${filters.priceMin ?? 0} - ${filters.priceMax ?? "…"} ${priceCurrency}`);
+  }
+  if (filters.dateFrom || filters.dateTo) {
+    parts.push(`${filters.dateFrom || "…"} - ${filters.dateTo || "…"}`);
+  }
+  return parts.join(" · ");
+};
+
+export const SavedSearches = ({
+  savedSearches,
+  activeSavedSearchId,
+  limit,
+  onSelect,
+  onToggleAlerts,
+  onDelete,
+}) => {
+  if (!savedSearches || savedSearches.length === 0) {
+    return null;
+  }
+
+  const totalUnread = savedSearches.reduce((sum, search) => sum + (search.unreadCount || 0), 0);
+  // Teammates' searches are listed too (read-only) but don't count towards the limit
+  const ownCount = savedSearches.filter(search => search.isOwn !== false).length;
+
+  return (
+    <div className="bg-card/50 backdrop-blur-xl border border-border/50 rounded-2xl p-6 md:p-8 mb-6 shadow-lg">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-xl bg-primary/10 flex items-center justify-center">
+            <Bookmark className="w-5 h-5 text-primary" />
+          </div>
+          <div>
+            <h2 className="text-xl font-light text-foreground">Saved searches</h2>
+            <p className="text-sm text-muted-foreground mt-0.5">
+              {totalUnread > 0
+                ? `${totalUnread} new ${totalUnread === 1 ? "store" : "stores"} since your last visit`
+                : "No new stores since your last visit"}
+            </p>
+          </div>
+        </div>
+        {limit > 0 && (
+          <span className="text-xs text-muted-foreground font-light">
+            {ownCount} / {limit}
+          </span>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {savedSearches.map((search) => {
+          const isActive = search.id === activeSavedSearchId;
+          const isOwn = search.isOwn !== false;
+          return (
+            <div
+              key={search.id}
+              className={`group inline-flex items-center gap-2 pl-3 pr-1.5 py-1.5 rounded-lg border text-sm transition-all ${
+                isActive
+                  ? "bg-primary/10 border-primary/50 text-primary"
+                  : "bg-background/50 border-border/50 text-foreground hover:border-border hover:bg-background"
+              }`}
+            >
+              <button
+                onClick={() => onSelect(search)}
+                className="flex items-center gap-2 font-light"
+                title={[describeFilters(search.filters), !isOwn && search.createdBy && `Saved by ${search.createdBy}`].filter(Boolean).join(" · ")}
+              >
+                {search.name}
+                {!isOwn && <Users className="w-3.5 h-3.5 text-muted-foreground" />}
+                {search.unreadCount > 0 && (
+                  <span className="min-w-5 h-5 px-1.5 rounded-full bg-primary text-primary-foreground text-xs font-light flex items-center justify-center">
+                    {search.unreadCount > 99 ? "99+" : search.unreadCount}
+                  </span>
+                )}
+              </button>
+              {isOwn && (
+                <>
+                  <button
+                    onClick={() => onToggleAlerts(search)}
+                    className="p-1 rounded text-muted-foreground hover:text-foreground hover:bg-secondary/50 transition-colors"
+                    title={search.emailAlerts ? "Email alerts on" : "Email alerts off"}
+                  >
+                    {search.emailAlerts ? <Bell className="w-3.5 h-3.5" /> : <BellOff className="w-3.5 h-3.5" />}
+                  </button>
+                  <button
+                    onClick={() => onDelete(search)}
+                    className="p-1 rounded text-muted-foreground hover:text-destructive hover:bg-destructive/10 transition-colors"
+                    title="Delete saved search"
+                  >
+                    <Trash2 className="w-3.5 h-3.5" />
+                  </button>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,19 @@
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Text with the search terms (GET /api/stores `searchTerms`) highlighted
+ */
+export const SearchHighlight = ({ text, terms }) => {
+  if (!text || !terms || terms.length === 0) {
+    return text || null;
+  }
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+  const lowerTerms = terms.map(term => term.toLowerCase());
+
+  return text.split(pattern).map((part, index) =>
+    lowerTerms.includes(part.toLowerCase())
+      ? <mark key={index} className="bg-primary/20 text-foreground rounded-sm px-0.5">{part}</mark>
+      : part
+  );
+};
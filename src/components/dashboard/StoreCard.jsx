@@ -1,7 +1,9 @@
 import { useState } from "react";
-import { Copy, ExternalLink, MapPin, Palette, Calendar, Globe } from "lucide-react";
+import { Link } from "react-router-dom";
+import { Copy, ExternalLink, MapPin, Palette, Calendar, Globe, Info, Eye, Megaphone, Flame, Search, Users } from "lucide-react";
 import { toast } from "@/hooks/use-toast";
 import { useAuth } from "@/contexts/AuthContext";
+import { SearchHighlight } from "@/components/dashboard/SearchHighlight";
 
 // Country name to ISO 3166-1 alpha-2 code mapping
 const getCountryCode = (countryName) => {
@@ -89,10 +91,10 @@ const getCountryCode = (countryName) => {
   return countryMap[countryName] || "XX";
 };
 
-export const StoreCard = ({ store, viewMode, onUpgradeClick }) => {
+export const StoreCard = ({ store, viewMode, onUpgradeClick, isWatched = false, onToggleWatch, searchTerms = [] }) => {
   const [logoError, setLogoError] = useState(false);
   const { user } = useAuth();
-  const userPlan = user?.subscription?.plan || 'free';
+  const userPlan = user?.plan || user?.subscription?.plan || 'free';
   
   const copyLink = () => {
     // Free users cannot copy links
@@ -129,6 +131,9 @@ export const StoreCard = ({ store, viewMode, onUpgradeClick }) => {
     return true;
   };
 
+  // Description / product title matches of a search (name and URL are highlighted in place)
+  const searchMatches = (store.searchMatches || []).filter(match => match.field === "description" || match.field === "product");
+
   const countryCode = getCountryCode(store.country);
   const productCount = store.productCount || 0;
 
@@ -176,13 +181,36 @@ export const StoreCard = ({ store, viewMode, onUpgradeClick }) => {
               : 'text-primary hover:underline cursor-pointer'
           }`}
         >
-          {store.url}
+          <SearchHighlight text={store.url} terms={searchTerms} />
         </a>
         
         {/* Country code and product count on the right */}
         <div className="flex items-center gap-3 text-xs text-muted-foreground flex-shrink-0">
           <span>{countryCode}</span>
           <span>{productCount}</span>
+          {onToggleWatch && (
+            <button
+              onClick={() => onToggleWatch(store)}
+              className={`p-1 rounded transition-colors ${isWatched ? 'text-primary' : 'text-muted-foreground hover:text-primary'}`}
+              title={isWatched ? "Unfollow store" : "Follow store"}
+            >
+              <Eye className="w-4 h-4" />
+            </button>
+          )}
+          <Link
+            to={`/stores/${store.id}`}
+            className="p-1 rounded text-muted-foreground hover:text-primary transition-colors"
+            title="Store details"
+          >
+            <Info className="w-4 h-4" />
+          </Link>
+          <Link
+            to={`/stores/${store.id}#similar`}
+            className="p-1 rounded text-muted-foreground hover:text-primary transition-colors"
+            title="Find similar stores"
+          >
+            <Users className="w-4 h-4" />
+          </Link>
         </div>
       </div>
     );
@@ -195,6 +223,33 @@ export const StoreCard = ({ store, viewMode, onUpgradeClick }) => {
           <span className="text-primary font-semibold text-lg">{store.name.charAt(0)}</span>
         </div>
         <div className="flex gap-1.5">
+          {onToggleWatch && (
+            <button
+              onClick={() => onToggleWatch(store)}
+              className={`p-2 rounded-lg border transition-all ${
+                isWatched
+                  ? 'bg-primary/10 text-primary border-primary/30'
+                  : 'bg-secondary/50 text-muted-foreground hover:text-primary hover:bg-primary/10 border-border/50 hover:border-primary/30'
+              }`}
+              title={isWatched ? "Unfollow store" : "Follow store"}
+            >
+              <Eye className="w-4 h-4" />
+            </button>
+          )}
+          <Link
+            to={`/stores/${store.id}`}
+            className="p-2 rounded-lg bg-secondary/50 text-muted-foreground hover:text-primary hover:bg-primary/10 border border-border/50 hover:border-primary/30 transition-all"
+            title="Store details"
+          >
+            <Info className="w-4 h-4" />
+          </Link>
+          <Link
+            to={`/stores/${store.id}#similar`}
+            className="p-2 rounded-lg bg-secondary/50 text-muted-foreground hover:text-primary hover:bg-primary/10 border border-border/50 hover:border-primary/30 transition-all"
+            title="Find similar stores"
+          >
+            <Users className="w-4 h-4" />
+          </Link>
           <button
             onClick={copyLink}
             className="p-2 rounded-lg bg-secondary/50 text-muted-foreground hover:text-primary hover:bg-primary/10 border border-border/50 hover:border-primary/30 transition-all"
@@ -213,9 +268,25 @@ export const StoreCard = ({ store, viewMode, onUpgradeClick }) => {
       </div>
 
       <h3 className="font-medium text-foreground mb-1 group-hover:text-primary transition-colors truncate">
-        {store.name}
+        <SearchHighlight text={store.name} terms={searchTerms} />
       </h3>
-      <p className="text-xs text-muted-foreground mb-4 truncate">{store.url}</p>
+      <p className="text-xs text-muted-foreground mb-4 truncate">
+        <SearchHighlight text={store.url} terms={searchTerms} />
+      </p>
+
+      {searchMatches.length > 0 && (
+        <div className="space-y-1 mb-4">
+          {searchMatches.slice(0, 2).map((match, index) => (
+            <p key={index} className="flex items-start gap-2 text-xs text-muted-foreground">
+              <Search className="w-3.5 h-3.5 mt-px text-primary/70 flex-shrink-0" />
+              <span className="line-clamp-2">
+                {match.field === "product" && "Product: "}
+                <SearchHighlight text={match.text} terms={searchTerms} />
+              </span>
+            </p>
+          ))}
+        </div>
+      )}
 
       <div className="space-y-2">
         <div className="flex items-center gap-2 text-xs text-muted-foreground">
@@ -230,6 +301,18 @@ export const StoreCard = ({ store, viewMode, onUpgradeClick }) => {
           <Calendar className="w-3.5 h-3.5 text-primary/70" />
           <span>{formatDate(store.dateAdded)}</span>
         </div>
+        {store.score !== null && store.score !== undefined && (
+          <div className="flex items-center gap-2 text-xs text-muted-foreground">
+            <Flame className="w-3.5 h-3.5 text-primary/70" />
+            <span>Score {store.score}/100</span>
+          </div>
+        )}
+        {store.adCount > 0 && (
+          <div className="flex items-center gap-2 text-xs text-muted-foreground">
+            <Megaphone className="w-3.5 h-3.5 text-primary/70" />
+            <span>{store.adCount} {store.adCount === 1 ? "ad" : "ads"} seen</span>
+          </div>
+        )}
       </div>
     </div>
   );
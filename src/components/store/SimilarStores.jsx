@@ -0,0 +1,111 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { Users, Lock } from "lucide-react";
+import { fetchSimilarStores } from "@/services/api";
+
+// Readable shared feature groups (see server/utils/lookalike.js)
+const FEATURE_LABELS = {
+  niche: "Niche",
+  vocabulary: "Sells",
+  techStack: "App",
+  classification: "Model",
+  theme: "Theme",
+  priceBand: "Price band",
+  country: "Country",
+};
+
+/**
+ * Lookalike stores - the stores most similar to this one by niche, products,
+ * apps, theme, price band and country (GET /api/stores/:id/similar, paid plans)
+ */
+export const SimilarStores = ({ store, isFreeUser, onUpgradeClick }) => {
+  const [similar, setSimilar] = useState(null);
+  const [loading, setLoading] = useState(!isFreeUser);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (isFreeUser) return;
+    setLoading(true);
+    setError(null);
+    fetchSimilarStores(store.id)
+      .then(setSimilar)
+      .catch(err => {
+        if (err.isUpgradeRequired) {
+          setSimilar(null);
+          setError("upgrade");
+          return;
+        }
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [store.id, isFreeUser]);
+
+  const renderContent = () => {
+    if (isFreeUser || error === "upgrade") {
+      return (
+        <button
+          onClick={() => onUpgradeClick?.("Lookalike stores require a paid plan. Upgrade to turn one good lead into a prospect list.")}
+          className="flex items-center gap-2 px-4 py-2 rounded-lg border border-border/50 text-sm font-light text-muted-foreground hover:text-primary hover:border-primary/30 transition-colors"
+        >
+          <Lock className="w-4 h-4" />
+          Upgrade to see similar stores
+        </button>
+      );
+    }
+    if (loading) {
+      return <p className="text-sm text-muted-foreground">Finding similar stores...</p>;
+    }
+    if (error) {
+      return <p className="text-sm text-muted-foreground">{error}</p>;
+    }
+    if (!similar?.vectorUpdatedAt) {
+      return <p className="text-sm text-muted-foreground">This store hasn't been analysed for lookalikes yet - check back tomorrow.</p>;
+    }
+    if (similar.stores.length === 0) {
+      return <p className="text-sm text-muted-foreground">No similar stores found yet.</p>;
+    }
+
+    return (
+      <ul className="divide-y divide-border/50">
+        {similar.stores.map(lookalike => (
+          <li key={lookalike.id} className="py-3 flex items-start justify-between gap-4">
+            <div className="min-w-0">
+              <Link to={`/stores/${lookalike.id}`} className="text-sm text-foreground hover:text-primary transition-colors">
+                {lookalike.name}
+              </Link>
+              <p className="text-xs text-muted-foreground truncate">
+                {lookalike.url} · {lookalike.country}{lookalike.theme ? ` · ${lookalike.theme}` : ""}
+              </p>
+              {lookalike.sharedFeatures.length > 0 && (
+                <div className="flex flex-wrap gap-1.5 mt-2">
+                  {lookalike.sharedFeatures.map(feature => (
+                    <span
+                      key={`${feature.group}:${feature.value}`}
+                      className="px-2 py-0.5 rounded-full bg-secondary/50 border border-border/50 text-xs text-muted-foreground"
+                    >
+                      {FEATURE_LABELS[feature.group] || feature.group}: {feature.value}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+            <span className="text-sm text-primary flex-shrink-0">{Math.round(lookalike.similarity * 100)}% similar</span>
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  return (
+    <div id="similar" className="glass-card p-6 rounded-xl border border-border/50 scroll-mt-24">
+      <div className="flex items-center gap-3 mb-1">
+        <Users className="w-5 h-5 text-primary" />
+        <h2 className="text-xl font-light text-foreground">Similar stores</h2>
+      </div>
+      <p className="text-sm text-muted-foreground mb-5">
+        Stores like this one by niche, products, apps, theme, price band and country.
+      </p>
+      {renderContent()}
+    </div>
+  );
+};
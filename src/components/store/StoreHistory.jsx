@@ -0,0 +1,134 @@
+import { useState, useEffect } from "react";
+import { History } from "lucide-react";
+import { CartesianGrid, Line, LineChart, XAxis, YAxis } from "recharts";
+import { ChartContainer, ChartTooltip, ChartTooltipContent } from "@/components/ui/chart";
+import { fetchStoreHistory } from "@/services/api";
+
+const chartConfig = {
+  productCount: {
+    label: "Products",
+    color: "hsl(var(--primary))",
+  },
+};
+
+// Labels for snapshot fields in the change list
+const FIELD_LABELS = {
+  name: "Name",
+  country: "Country",
+  theme: "Theme",
+  productCount: "Product count",
+  healthStatus: "Health",
+  storeStatus: "Status",
+  isActive: "Active",
+  primaryBusinessModel: "Business model",
+  tags: "Tags",
+  hasFacebookAds: "Running Facebook ads",
+};
+
+const formatShortDate = (date) => new Date(date).toLocaleDateString("en-US", { month: "short", day: "numeric" });
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (Array.isArray(value)) return value.length > 0 ? value.join(", ") : "none";
+  if (typeof value === "boolean") return value ? "yes" : "no";
+  return String(value).replace(/_/g, " ");
+};
+
+// "+120 (+45%)" for product count changes
+const describeProductCountChange = (from, to) => {
+  if (typeof from !== "number" || typeof to !== "number") return null;
+  const delta = to - from;
+  const percent = from > 0 ? ` (${delta > 0 ? "+" : ""}${Math.round((delta / from) * 100)}%)` : "";
+  return `${delta > 0 ? "+" : ""}${delta}${percent}`;
+};
+
+/**
+ * Store change history - product count over time and a list of observed changes
+ * (theme swaps, catalog growth, status changes) from GET /api/stores/:id/history
+ */
+export const StoreHistory = ({ storeId }) => {
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchStoreHistory(storeId)
+      .then(setHistory)
+      .catch(() => setHistory(null))
+      .finally(() => setLoading(false));
+  }, [storeId]);
+
+  const chartData = (history?.snapshots || [])
+    .filter(snapshot => snapshot.productCount !== null && snapshot.productCount !== undefined)
+    .map(snapshot => ({
+      date: formatShortDate(snapshot.observedAt),
+      productCount: snapshot.productCount,
+      theme: snapshot.theme,
+    }));
+
+  return (
+    <div className="glass-card p-6 rounded-xl border border-border/50">
+      <div className="flex items-center gap-3 mb-1">
+        <History className="w-5 h-5 text-primary" />
+        <h2 className="text-xl font-light text-foreground">Change history</h2>
+      </div>
+      <p className="text-sm text-muted-foreground mb-5">
+        Recorded every time we re-check this store.
+        {history?.snapshots?.length > 0 && ` ${history.snapshots.length} observations since ${formatShortDate(history.snapshots[0].observedAt)}.`}
+      </p>
+
+      {loading ? (
+        <p className="text-sm text-muted-foreground">Loading history...</p>
+      ) : !history || history.snapshots.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No history yet - it starts with the next health check.</p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div>
+            <h3 className="text-sm text-muted-foreground mb-3">Product count</h3>
+            {chartData.length > 1 ? (
+              <ChartContainer config={chartConfig} className="h-56 w-full">
+                <LineChart data={chartData} margin={{ left: 0, right: 12, top: 8 }}>
+                  <CartesianGrid vertical={false} />
+                  <XAxis dataKey="date" tickLine={false} axisLine={false} tickMargin={8} minTickGap={24} />
+                  <YAxis tickLine={false} axisLine={false} width={40} allowDecimals={false} />
+                  <ChartTooltip content={<ChartTooltipContent />} />
+                  <Line
+                    dataKey="productCount"
+                    type="stepAfter"
+                    stroke="var(--color-productCount)"
+                    strokeWidth={2}
+                    dot={false}
+                  />
+                </LineChart>
+              </ChartContainer>
+            ) : (
+              <p className="text-sm text-muted-foreground">Not enough product count observations to chart yet.</p>
+            )}
+          </div>
+
+          <div>
+            <h3 className="text-sm text-muted-foreground mb-3">Changes</h3>
+            {history.changes.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No changes observed so far.</p>
+            ) : (
+              <ul className="space-y-2 max-h-56 overflow-y-auto pr-1">
+                {history.changes.map((change, index) => (
+                  <li key={`${change.field}-${index}`} className="flex items-start justify-between gap-4 text-sm">
+                    <span className="text-foreground">
+                      <span className="text-muted-foreground">{FIELD_LABELS[change.field] || change.field}:</span>{" "}
+                      {formatValue(change.from)} → {formatValue(change.to)}
+                      {change.field === "productCount" && describeProductCountChange(change.from, change.to) && (
+                        <span className="ml-1.5 text-xs text-primary">{describeProductCountChange(change.from, change.to)}</span>
+                      )}
+                    </span>
+                    <span className="text-xs text-muted-foreground flex-shrink-0">{formatShortDate(change.observedAt)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,139 @@
+import { useState, useEffect } from "react";
+import { Eye } from "lucide-react";
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import { toast } from "@/hooks/use-toast";
+import { getWatchlist, watchStore, unwatchStore } from "@/services/api";
+
+/**
+ * Follow a store and configure its alerts - emails when the store goes
+ * password-protected or offline, changes theme, starts ads or passes a product count
+ */
+export const WatchStore = ({ store, isFreeUser, onUpgradeClick }) => {
+  const [watched, setWatched] = useState(null);
+  const [teamFollowers, setTeamFollowers] = useState([]);
+  const [threshold, setThreshold] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isFreeUser) return;
+    getWatchlist()
+      .then(response => {
+        const entries = (response.watchedStores || []).filter(w => w.storeId === store.id);
+        const entry = entries.find(w => w.isOwn !== false) || null;
+        setWatched(entry);
+        setTeamFollowers(entries.filter(w => w.isOwn === false).map(w => w.createdBy).filter(Boolean));
+        setThreshold(entry?.productCountThreshold ? String(entry.productCountThreshold) : "");
+      })
+      .catch(err => {
+        console.debug('Failed to load watchlist:', err.message);
+      });
+  }, [store.id, isFreeUser]);
+
+  const handleError = (err, title) => {
+    if (err.isUpgradeRequired) {
+      onUpgradeClick?.(err.message);
+      return;
+    }
+    toast({
+      title,
+      description: err.message || "Please try again",
+      variant: "destructive",
+    });
+  };
+
+  const toggleFollow = async () => {
+    if (isFreeUser) {
+      onUpgradeClick?.("Following stores requires a paid plan. Upgrade to get alerts when stores change.");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (watched) {
+        await unwatchStore(store.id);
+        setWatched(null);
+        setThreshold("");
+      } else {
+        const response = await watchStore(store.id);
+        setWatched(response.watchedStore);
+        toast({
+          title: "Following store",
+          description: `We'll email you when ${store.name} changes`,
+        });
+      }
+    } catch (err) {
+      handleError(err, watched ? "Failed to unfollow store" : "Failed to follow store");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateSettings = async (settings) => {
+    setSaving(true);
+    try {
+      const response = await watchStore(store.id, settings);
+      setWatched(response.watchedStore);
+    } catch (err) {
+      handleError(err, "Failed to update alerts");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveThreshold = () => {
+    const value = threshold.trim() === "" ? null : parseInt(threshold);
+    if (value === (watched?.productCountThreshold ?? null)) return;
+    updateSettings({ productCountThreshold: value });
+  };
+
+  return (
+    <div className="flex flex-col items-stretch md:items-end gap-3">
+      <button
+        onClick={toggleFollow}
+        disabled={saving}
+        className={`flex items-center justify-center gap-2 px-4 py-2 rounded-lg border text-sm font-light transition-colors disabled:opacity-50 ${
+          watched
+            ? "bg-primary/10 text-primary border-primary/30 hover:bg-primary/20"
+            : "bg-secondary/50 text-foreground border-border/50 hover:border-primary/30"
+        }`}
+      >
+        <Eye className="w-4 h-4" />
+        {watched ? "Following" : "Follow store"}
+      </button>
+
+      {teamFollowers.length > 0 && (
+        <p className="text-xs text-muted-foreground">
+          Followed by {teamFollowers.join(", ")}
+        </p>
+      )}
+
+      {watched && (
+        <div className="flex flex-col gap-2 text-xs text-muted-foreground">
+          <label className="flex items-center justify-between gap-3">
+            Email alerts
+            <Switch
+              checked={watched.emailAlerts}
+              disabled={saving}
+              onCheckedChange={(checked) => updateSettings({ emailAlerts: checked })}
+            />
+          </label>
+          <label className="flex items-center justify-between gap-3">
+            Alert at product count
+            <Input
+              type="number"
+              min={1}
+              value={threshold}
+              placeholder="Off"
+              disabled={saving}
+              onChange={(e) => setThreshold(e.target.value)}
+              onBlur={saveThreshold}
+              onKeyDown={(e) => e.key === "Enter" && saveThreshold()}
+              className="h-8 w-24 text-xs"
+            />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -45,6 +45,9 @@ export const oceaniaCountries = [
   "New Zealand", "Fiji", "Papua New Guinea", "Samoa", "Tonga", "Vanuatu"
 ];
 
+// Stores whose country couldn't be detected with enough confidence
+export const otherCountries = ["Unknown"];
+
 // Combined list of all countries
 export const allCountries = [
   ...europeanCountries,
@@ -74,6 +77,49 @@ export const availableTags = [
   "Currently Running Ads"
 ];
 
+// Niche taxonomy (names match server/config/niches.js)
+export const availableNiches = [
+  "Fashion & Apparel",
+  "Jewelry & Accessories",
+  "Beauty & Cosmetics",
+  "Health & Wellness",
+  "Fitness",
+  "Pet Supplies",
+  "Home Decor",
+  "Kitchen & Dining",
+  "Baby & Kids",
+  "Toys & Games",
+  "Electronics & Gadgets",
+  "Outdoor & Sports",
+  "Automotive",
+  "Food & Beverage",
+  "Art & Crafts"
+];
+
+// Ad platforms (keys match server/config/adPlatforms.js)
+export const adPlatforms = [
+  { key: "facebook", name: "Facebook & Instagram" },
+  { key: "tiktok", name: "TikTok" },
+  { key: "pinterest", name: "Pinterest" },
+  { key: "google", name: "Google" },
+];
+
+// Ad activity windows for the ad filter (days)
+export const adWithinDaysOptions = [7, 30, 90];
+
+// Apps and tools by category (names match server/config/techStack.js)
+export const appCategories = {
+  "Email & SMS": ["Klaviyo", "Omnisend", "Privy", "Attentive", "Postscript", "Mailchimp"],
+  "Reviews": ["Judge.me", "Loox", "Yotpo", "Okendo", "Stamped.io", "Ali Reviews"],
+  "Subscriptions": ["ReCharge", "Bold Subscriptions", "Appstle Subscriptions", "Skio"],
+  "Page Builders": ["PageFly", "GemPages", "Shogun", "Replo"],
+  "Buy Now Pay Later": ["Afterpay", "Klarna", "Sezzle", "Affirm"],
+  "Customer Support": ["Gorgias", "Tidio", "Zendesk", "Intercom", "Re:amaze"],
+  "Loyalty & Referrals": ["Smile.io", "LoyaltyLion", "Rivo"],
+  "Upsell & Conversion": ["Vitals", "ReConvert", "Rebuy", "Frequently Bought Together", "Route"],
+  "Analytics & Pixels": ["Meta Pixel", "TikTok Pixel", "Pinterest Tag", "Snapchat Pixel", "Google Analytics", "Google Tag Manager", "Google Ads", "Hotjar", "Microsoft Clarity"]
+};
+
 export const mockStores = [
   { id: "1", name: "TechGadgets Pro", url: "https://techgadgetspro.myshopify.com", country: "United States", theme: "Dawn", dateAdded: "2024-12-01", productCount: 45, logo: null },
   { id: "2", name: "Fashion Forward", url: "https://fashionforward.myshopify.com", country: "United Kingdom", theme: "Impulse", dateAdded: "2024-12-02", productCount: 128, logo: null },
@@ -1,64 +1,80 @@
+import { useSyncExternalStore } from "react";
+import { getMyPermissions } from "@/services/api";
+
 /**
- * Permission checking utility for staff members
+ * Permission checking utility for admins and staff members
+ *
+ * Permissions come from the server (GET /api/auth/admin/me/permissions) and are
+ * held in memory - never read from localStorage. AdminProtectedRoute loads them
+ * before any admin page renders. The server enforces every permission itself;
+ * these checks only decide what the UI shows.
  */
 
+let current = null; // { isAdmin, name, email, role, roleLabel, permissions }
+let pending = null;
+const listeners = new Set();
+
+const notify = () => listeners.forEach(listener => listener());
+
 /**
- * Get staff info from localStorage
+ * Load (or reload) the signed-in admin or staff member's permissions
+ * @returns {Promise<Object>} - { isAdmin, name, email, role, roleLabel, permissions }
  */
-export const getStaffInfo = () => {
-  try {
-    const staffInfo = localStorage.getItem('staffInfo');
-    return staffInfo ? JSON.parse(staffInfo) : null;
-  } catch {
-    return null;
+export const loadPermissions = () => {
+  if (!pending) {
+    pending = getMyPermissions()
+      .then(response => {
+        current = response;
+        notify();
+        return response;
+      })
+      .finally(() => {
+        pending = null;
+      });
   }
+  return pending;
+};
+
+/**
+ * Forget the loaded permissions (on logout)
+ */
+export const clearPermissions = () => {
+  current = null;
+  notify();
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
 };
 
 /**
- * Check if user has a specific permission
+ * React hook - the loaded permissions (null until loaded), re-rendering when they change
+ */
+export const usePermissions = () => useSyncExternalStore(subscribe, () => current);
+
+/**
+ * Check if the signed-in admin or staff member has a specific permission
  * @param {string} permission - Permission to check (e.g., 'users.view', 'tickets.reply')
  * @returns {boolean}
  */
 export const hasPermission = (permission) => {
-  // Check if admin (admins have all permissions)
-  const adminUser = localStorage.getItem('adminUser');
-  if (adminUser) {
-    try {
-      const admin = JSON.parse(adminUser);
-      // If adminUser exists, they're an admin with full access
-      return true;
-    } catch {
-      // If parsing fails, continue to check staff permissions
-    }
-  }
+  const permissions = current?.permissions || [];
 
-  // Check staff permissions
-  const staffInfo = getStaffInfo();
-  if (!staffInfo || !staffInfo.permissions) {
-    return false;
-  }
-
-  const permissions = staffInfo.permissions || [];
-  
   // "all" permission grants access to everything
-  if (permissions.includes('all')) {
-    return true;
-  }
-
-  // Check for specific permission
-  return permissions.includes(permission);
+  return permissions.includes('all') || permissions.includes(permission);
 };
 
 /**
  * Check if user is admin
  */
 export const isAdmin = () => {
-  return !!localStorage.getItem('adminUser');
+  return !!current?.isAdmin;
 };
 
 /**
  * Check if user is staff
  */
 export const isStaff = () => {
-  return !!getStaffInfo();
+  return !!current && !current.isAdmin;
 };
@@ -1,6 +1,9 @@
 import { useState, useEffect, useRef } from "react";
 import { useNavigate, useSearchParams } from "react-router-dom";
 import { Header } from "@/components/dashboard/Header";
+import { ApiKeys } from "@/components/account/ApiKeys";
+import { Team } from "@/components/account/Team";
+import { Devices } from "@/components/account/Devices";
 import { Button } from "@/components/ui/button";
 import { Check, X, Crown, Sparkles, Zap, ExternalLink, Calendar, CreditCard, Mail, MessageSquare, Send, ArrowLeft, Clock, CheckCircle, AlertCircle } from "lucide-react";
 import { useAuth } from "@/contexts/AuthContext";
@@ -235,6 +238,8 @@ const Account = () => {
 
   // Get user's current plan
   const currentPlan = user?.subscriptionPlan || user?.subscription?.plan || 'free';
+  // Plan whose limits apply - the team's while holding a team seat
+  const effectivePlan = user?.plan || currentPlan;
   const subscriptionStatus = user?.subscriptionStatus || user?.subscription?.status || 'active';
   const subscriptionEndDate = user?.subscriptionEndDate || user?.subscription?.endDate;
   const autoRenew = user?.subscriptionAutoRenew ?? user?.subscription?.autoRenew ?? false;
@@ -278,6 +283,7 @@ const Account = () => {
         { text: '10 CSV exports / day', included: true },
         { text: '5 copy operations / day', included: true },
         { text: 'Up to 3 devices', included: true },
+        { text: 'Team of 3 users', included: true },
         { text: '500 links per CSV', included: true },
         { text: 'Priority support', included: true },
       ],
@@ -295,6 +301,7 @@ const Account = () => {
         { text: 'Unlimited CSV exports', included: true },
         { text: 'Unlimited copy operations', included: true },
         { text: 'Up to 10 devices', included: true },
+        { text: 'Unlimited team members', included: true },
         { text: 'Unlimited links per CSV', included: true },
         { text: 'Dedicated support', included: true },
       ],
@@ -542,6 +549,15 @@ const Account = () => {
               </div>
             )}
 
+            {/* API Keys, Team and Devices (Account Tab) */}
+            {activeTab === 'account' && (
+              <>
+                <ApiKeys currentPlan={effectivePlan} onUpgradeClick={() => handleTabChange('plans')} />
+                <Team user={user} currentPlan={currentPlan} onTeamChange={checkAuth} onUpgradeClick={() => handleTabChange('plans')} />
+                <Devices />
+              </>
+            )}
+
             {/* Manage Plans Tab */}
             {activeTab === 'plans' && (
               <div>
@@ -4,19 +4,44 @@ import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Loader2, Shield, Users } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
-import { verifyAdminTotp, staffLogin } from "@/services/api";
+import { verifyAdminTotp, staffLogin, requestStaffLoginLink, verifyStaffLoginLink } from "@/services/api";
+import { clearPermissions } from "@/lib/permissions";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { FloatingButtons } from "@/components/FloatingButtons";
 
 const AdminLogin = () => {
   const [code, setCode] = useState("");
   const [staffEmail, setStaffEmail] = useState("");
+  const [staffCode, setStaffCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   const [loading, setLoading] = useState(false);
   const [staffLoading, setStaffLoading] = useState(false);
+  const [linkLoading, setLinkLoading] = useState(false);
   const navigate = useNavigate();
   const [searchParams] = useSearchParams();
   const { toast } = useToast();
 
+  // Emailed one-time sign-in link (/manager/login?loginToken=...)
+  const loginToken = searchParams.get('loginToken');
+
+  useEffect(() => {
+    if (!loginToken) return;
+    setStaffLoading(true);
+    verifyStaffLoginLink(loginToken)
+      .then(completeStaffLogin)
+      .catch(error => {
+        console.error('Staff sign-in link error:', error);
+        toast({
+          title: "Sign-in link failed",
+          description: error.message || "This sign-in link is invalid or expired. Request a new one.",
+          variant: "destructive",
+          duration: 5000,
+        });
+        navigate("/manager/login", { replace: true });
+      })
+      .finally(() => setStaffLoading(false));
+  }, [loginToken]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -37,7 +62,9 @@ const AdminLogin = () => {
       // Store admin token and user info
       localStorage.setItem('adminToken', response.token);
       localStorage.setItem('adminUser', JSON.stringify(response.user));
+      localStorage.removeItem('staffInfo');
       localStorage.setItem('adminLastLoginTime', Date.now().toString()); // Track admin login time
+      clearPermissions(); // Reloaded from the server for the new session
 
       toast({
         title: "Welcome Admin!",
@@ -86,6 +113,37 @@ const AdminLogin = () => {
     }
   };
 
+  const completeStaffLogin = (response) => {
+    clearPermissions(); // Reloaded from the server for the new session
+
+    // Store token and user info
+    if (response.token) {
+      localStorage.setItem('authToken', response.token);
+      localStorage.setItem('adminToken', response.token);
+      localStorage.setItem('adminLastLoginTime', Date.now().toString()); // Track admin login time
+    }
+    
+    if (response.user) {
+      localStorage.setItem('adminUser', JSON.stringify(response.user));
+    }
+
+    // Store staff info if staff login
+    if (response.staff) {
+      localStorage.setItem('staffInfo', JSON.stringify(response.staff));
+    }
+
+    toast({
+      title: "Welcome Staff!",
+      description: response.recoveryCodesRemaining !== undefined && response.recoveryCodesRemaining <= 3
+        ? `Successfully logged in. Only ${response.recoveryCodesRemaining} recovery codes left - ask an admin to reset your credentials for new ones.`
+        : "Successfully logged in",
+    });
+
+    // Navigate to admin dashboard
+    const redirectPath = searchParams.get('redirect');
+    navigate(redirectPath || "/manager");
+  };
+
   const handleStaffLogin = async (e) => {
     e.preventDefault();
     
@@ -101,36 +159,15 @@ const AdminLogin = () => {
     setStaffLoading(true);
     
     try {
-      const response = await staffLogin(staffEmail);
-
-      // Store token and user info
-      if (response.token) {
-        localStorage.setItem('authToken', response.token);
-        localStorage.setItem('adminToken', response.token);
-        localStorage.setItem('adminLastLoginTime', Date.now().toString()); // Track admin login time
-      }
-      
-      if (response.user) {
-        localStorage.setItem('adminUser', JSON.stringify(response.user));
-      }
-
-      // Store staff info if staff login
-      if (response.staff) {
-        localStorage.setItem('staffInfo', JSON.stringify(response.staff));
-      }
-
-      toast({
-        title: "Welcome Staff!",
-        description: "Successfully logged in",
-      });
-
-      // Navigate to admin dashboard
-      const redirectPath = searchParams.get('redirect');
-      navigate(redirectPath || "/manager");
+      const response = await staffLogin(
+        staffEmail,
+        useRecoveryCode ? { recoveryCode: staffCode } : { code: staffCode }
+      );
+      completeStaffLogin(response);
     } catch (error) {
       console.error('Staff login error:', error);
       
-      setStaffEmail("");
+      setStaffCode("");
       
       toast({
         title: "Login failed",
@@ -143,6 +180,35 @@ const AdminLogin = () => {
     }
   };
 
+  const handleRequestLoginLink = async () => {
+    if (!staffEmail || !staffEmail.includes('@')) {
+      toast({
+        title: "Invalid email",
+        description: "Enter your email address first",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    setLinkLoading(true);
+
+    try {
+      const response = await requestStaffLoginLink(staffEmail);
+      toast({
+        title: "Check your email",
+        description: response.message,
+      });
+    } catch (error) {
+      toast({
+        title: "Failed to send sign-in link",
+        description: error.message,
+        variant: "destructive",
+      });
+    } finally {
+      setLinkLoading(false);
+    }
+  };
+
   return (
     <div className="min-h-screen flex flex-col items-center justify-center relative overflow-hidden px-4 bg-gradient-to-br from-[#fafafa] via-[#f5f5f5] to-[#fef9e7] dark:from-gray-950 dark:via-gray-900 dark:to-gray-950" style={{ minHeight: '100vh' }}>
       {/* Background Effects */}
@@ -177,7 +243,7 @@ const AdminLogin = () => {
           </div>
 
           {/* Tabs for Admin and Staff Login */}
-          <Tabs defaultValue="admin" className="w-full">
+          <Tabs defaultValue="staff" className="w-full">
             <TabsList className="grid w-full grid-cols-2 mb-6 bg-card/50">
               <TabsTrigger value="admin" className="flex items-center gap-2">
                 <Shield className="w-4 h-4" />
@@ -192,7 +258,7 @@ const AdminLogin = () => {
             {/* Admin TOTP Login */}
             <TabsContent value="admin" className="space-y-6">
               <p style={{ color: '#9ca3af' }} className="text-center mb-4">
-              Enter your 6-digit code from Google Authenticator
+              Owner setup code - only until an admin has set up their own authenticator
             </p>
           <form onSubmit={handleSubmit} className="space-y-6">
             <div className="space-y-2">
@@ -242,7 +308,7 @@ const AdminLogin = () => {
             {/* Staff Email Login */}
             <TabsContent value="staff" className="space-y-6">
               <p style={{ color: '#9ca3af' }} className="text-center mb-4">
-                Enter your email to login (no password required)
+                Sign in with your email and the code from your authenticator app
               </p>
               <form onSubmit={handleStaffLogin} className="space-y-6">
                 <div className="space-y-2">
@@ -259,15 +325,50 @@ const AdminLogin = () => {
                     required
                     disabled={staffLoading}
                   />
-                  <p className="text-xs text-muted-foreground text-center">
-                    Make sure you've accepted your invitation email first
-                  </p>
+                </div>
+
+                <div className="space-y-2">
+                  <label htmlFor="staff-code" className="text-sm font-light text-foreground">
+                    {useRecoveryCode ? "Recovery Code" : "Authentication Code"}
+                  </label>
+                  <Input
+                    id="staff-code"
+                    type="text"
+                    inputMode={useRecoveryCode ? "text" : "numeric"}
+                    maxLength={useRecoveryCode ? 11 : 6}
+                    placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "000000"}
+                    value={staffCode}
+                    onChange={(e) => setStaffCode(useRecoveryCode ? e.target.value : e.target.value.replace(/\D/g, '').slice(0, 6))}
+                    className="w-full text-center text-xl tracking-widest font-mono py-6 bg-card/50 border-border/50 rounded-xl text-foreground placeholder:text-muted-foreground focus:border-primary focus:ring-primary/20 transition-all duration-300"
+                    required
+                    disabled={staffLoading}
+                  />
+                  <div className="flex items-center justify-between text-xs">
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setUseRecoveryCode(!useRecoveryCode);
+                        setStaffCode("");
+                      }}
+                      className="text-muted-foreground hover:text-primary transition-colors"
+                    >
+                      {useRecoveryCode ? "Use authenticator code" : "Use a recovery code"}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleRequestLoginLink}
+                      disabled={linkLoading}
+                      className="text-muted-foreground hover:text-primary transition-colors"
+                    >
+                      {linkLoading ? "Sending..." : "Email me a sign-in link"}
+                    </button>
+                  </div>
                 </div>
 
                 <Button
                   type="submit"
                   className="w-full py-6 bg-primary hover:bg-primary/90 text-primary-foreground font-light rounded-xl transition-all duration-300"
-                  disabled={staffLoading || !staffEmail.includes('@')}
+                  disabled={staffLoading || !staffEmail.includes('@') || !staffCode}
                 >
                   {staffLoading ? (
                     <>
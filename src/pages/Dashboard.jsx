@@ -1,10 +1,13 @@
 import { useState, useEffect, useRef } from "react";
+import { useSearchParams } from "react-router-dom";
 import { Header } from "@/components/dashboard/Header";
 import { FilterSection } from "@/components/dashboard/FilterSection";
 import { StoreCard } from "@/components/dashboard/StoreCard";
 import { Pagination } from "@/components/dashboard/Pagination";
 import { BulkActions } from "@/components/dashboard/BulkActions";
-import { fetchStores, checkHealth } from "@/services/api";
+import { SavedSearches } from "@/components/dashboard/SavedSearches";
+import { fetchStores, checkHealth, getSavedSearches, createSavedSearch, updateSavedSearch, deleteSavedSearch, getWatchlist, watchStore, unwatchStore } from "@/services/api";
+import { toast } from "@/hooks/use-toast";
 import { useAuth } from "@/contexts/AuthContext";
 import { UpgradePopup } from "@/components/UpgradePopup";
 
@@ -12,16 +15,26 @@ import { UpgradePopup } from "@/components/UpgradePopup";
 
 const Index = () => {
   const { user, isAuthenticated } = useAuth();
-  const userPlan = user?.subscription?.plan || 'free';
+  const userPlan = user?.plan || user?.subscription?.plan || 'free';
   const isFreeUser = userPlan === 'free';
   
   const [filters, setFilters] = useState({
     countries: [],
     themes: [],
     tags: [],
+    niches: [],
+    techStack: [],
+    adPlatforms: [],
+    adWithinDays: null,
     dateRange: null,
   });
+  // Free-text search from the header search box (?q=) - ranked by relevance, not a filter
+  const [searchParams] = useSearchParams();
+  const searchQuery = searchParams.get("q") || "";
+  const [searchTerms, setSearchTerms] = useState([]);
   const [currentPage, setCurrentPage] = useState(1);
+  // Store list order (STORE_SORT_OPTIONS) - sent with every fetch, not a filter
+  const [sortBy, setSortBy] = useState("dateAdded");
   const [viewMode, setViewMode] = useState("grid");
   // Free users are limited to 50 items per page
   const [itemsPerPage, setItemsPerPage] = useState(50);
@@ -37,6 +50,10 @@ const Index = () => {
       }
     }
   }, [isFreeUser, itemsPerPage, currentPage]);
+  // A new search starts on the first page
+  useEffect(() => {
+    setCurrentPage(1);
+  }, [searchQuery]);
   const [stores, setStores] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -47,6 +64,46 @@ const Index = () => {
   const [upgradePopupMessage, setUpgradePopupMessage] = useState(null);
   const loadingRef = useRef(false); // Prevent duplicate API calls
   const [hasFetchedOnce, setHasFetchedOnce] = useState(false); // Track if we've completed at least one fetch
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [savedSearchLimit, setSavedSearchLimit] = useState(0);
+  const [activeSavedSearch, setActiveSavedSearch] = useState(null);
+  const [watchedStoreIds, setWatchedStoreIds] = useState(new Set());
+
+  // Load saved searches (with unread counts) for paid users
+  useEffect(() => {
+    if (!isAuthenticated || isFreeUser) {
+      setSavedSearches([]);
+      return;
+    }
+
+    getSavedSearches()
+      .then(response => {
+        setSavedSearches(response.savedSearches || []);
+        setSavedSearchLimit(response.limit ?? 0);
+      })
+      .catch(err => {
+        // Silently fail - the panel is simply hidden
+        console.debug('Failed to load saved searches:', err.message);
+      });
+  }, [isAuthenticated, isFreeUser]);
+
+  // Load followed store IDs so cards can show follow state
+  useEffect(() => {
+    if (!isAuthenticated || isFreeUser) {
+      setWatchedStoreIds(new Set());
+      return;
+    }
+
+    getWatchlist()
+      .then(response => {
+        // Teammates' follows are listed too - cards show the user's own follow state
+        const ownWatched = (response.watchedStores || []).filter(watched => watched.isOwn !== false);
+        setWatchedStoreIds(new Set(ownWatched.map(watched => watched.storeId)));
+      })
+      .catch(err => {
+        console.debug('Failed to load watchlist:', err.message);
+      });
+  }, [isAuthenticated, isFreeUser]);
 
   // Check API health on mount (with retry logic)
   useEffect(() => {
@@ -141,11 +198,12 @@ const Index = () => {
       setLoading(true);
       setError(null);
       try {
-        const response = await fetchStores(filters, currentPage, itemsPerPage);
+        const response = await fetchStores({ ...filters, sort: sortBy, q: searchQuery }, currentPage, itemsPerPage);
         
         // Always set stores, even if empty array
         if (response && response.stores) {
           setStores(response.stores);
+          setSearchTerms(response.searchTerms || []);
           setTotalPages(response.pagination?.totalPages || 1);
           setTotalCount(response.pagination?.total || 0);
         } else {
@@ -195,17 +253,21 @@ const Index = () => {
           const hasFilters = filters.countries?.length > 0 || 
                            filters.themes?.length > 0 || 
                            filters.tags?.length > 0 || 
+                           filters.niches?.length > 0 || 
+                           filters.techStack?.length > 0 || 
+                           filters.adPlatforms?.length > 0 || 
+                           filters.adWithinDays || 
                            filters.dateRange;
           
           if (hasFilters) {
             // Retry without filters
             try {
-              const response = await fetchStores({}, currentPage, itemsPerPage);
+              const response = await fetchStores({ sort: sortBy, q: searchQuery }, currentPage, itemsPerPage);
               setStores(response.stores || []);
               setTotalPages(response.pagination?.totalPages || 1);
               setTotalCount(response.pagination?.total || 0);
               // Clear filters to show stores
-              setFilters({ countries: [], themes: [], tags: [], dateRange: null });
+              setFilters({ countries: [], themes: [], tags: [], niches: [], techStack: [], adPlatforms: [], adWithinDays: null, dateRange: null });
               setError("Filters are not available on your plan. Showing all stores.");
             } catch (retryErr) {
               setError("Failed to load stores. Please try again.");
@@ -247,7 +309,7 @@ const Index = () => {
         loadingRef.current = false; // Reset on cleanup
       }
     };
-  }, [filters, currentPage, itemsPerPage]); // Removed isAuthenticated and user dependencies - load stores if token exists
+  }, [filters, sortBy, searchQuery, currentPage, itemsPerPage]); // Removed isAuthenticated and user dependencies - load stores if token exists
 
   // Auto-refresh stores periodically to show newly generated stores
   useEffect(() => {
@@ -261,15 +323,19 @@ const Index = () => {
       // Only refresh if:
       // 1. Not currently loading
       // 2. On first page (to avoid disrupting pagination)
-      // 3. No filters are applied (to avoid disrupting user's filtered view)
+      // 3. No filters or search are applied (to avoid disrupting user's filtered view)
       const hasFilters = filters.countries?.length > 0 || 
                        filters.themes?.length > 0 || 
                        filters.tags?.length > 0 || 
+                       filters.niches?.length > 0 || 
+                       filters.techStack?.length > 0 || 
+                       filters.adPlatforms?.length > 0 || 
+                       filters.adWithinDays || 
                        filters.dateRange;
       
-      if (loadingRef && !loadingRef.current && currentPage === 1 && !hasFilters) {
+      if (loadingRef && !loadingRef.current && currentPage === 1 && !hasFilters && !searchQuery) {
         // Silently refresh stores in the background
-        fetchStores(filters, currentPage, itemsPerPage)
+        fetchStores({ ...filters, sort: sortBy, q: searchQuery }, currentPage, itemsPerPage)
           .then(response => {
             // Only update if we got new data (total count might have increased)
             if (response.pagination?.total !== totalCount) {
@@ -289,7 +355,7 @@ const Index = () => {
     }, 30000); // 30 seconds
 
     return () => clearInterval(refreshInterval);
-  }, [filters, currentPage, itemsPerPage, totalCount]); // Removed isAuthenticated and user dependencies
+  }, [filters, sortBy, searchQuery, currentPage, itemsPerPage, totalCount]); // Removed isAuthenticated and user dependencies
 
   // Manual refresh function
   const handleRefresh = async () => {
@@ -298,7 +364,7 @@ const Index = () => {
     loadingRef.current = true;
     setLoading(true);
     try {
-      const response = await fetchStores(filters, currentPage, itemsPerPage);
+      const response = await fetchStores({ ...filters, sort: sortBy, q: searchQuery }, currentPage, itemsPerPage);
       setStores(response.stores || []);
       setTotalPages(response.pagination?.totalPages || 1);
       setTotalCount(response.pagination?.total || 0);
@@ -315,9 +381,127 @@ const Index = () => {
   const handleFiltersChange = (newFilters) => {
     console.log('📥 Filters changed in Index:', newFilters);
     setFilters(newFilters);
+    setActiveSavedSearch(null);
     setCurrentPage(1);
   };
 
+  const handleSaveSearch = async (name, searchFilters) => {
+    try {
+      const response = await createSavedSearch(name, searchFilters);
+      setSavedSearches(prev => [response.savedSearch, ...prev]);
+      toast({
+        title: "Search saved",
+        description: `"${response.savedSearch.name}" will email you when new stores match.`,
+      });
+      return true;
+    } catch (err) {
+      if (err.isUpgradeRequired) {
+        setUpgradePopupMessage(err.message);
+        setShowUpgradePopup(true);
+      } else {
+        toast({
+          title: "Failed to save search",
+          description: err.message || "Please try again",
+          variant: "destructive",
+        });
+      }
+      return false;
+    }
+  };
+
+  const handleSelectSavedSearch = (savedSearch) => {
+    const saved = savedSearch.filters || {};
+    setActiveSavedSearch(savedSearch);
+    setFilters({
+      countries: saved.countries || [],
+      themes: saved.themes || [],
+      tags: saved.tags || [],
+      niches: saved.niches || [],
+      techStack: saved.techStack || [],
+      adPlatforms: saved.adPlatforms || [],
+      adWithinDays: saved.adWithinDays || null,
+      dateRange: saved.dateFrom && saved.dateTo ? { from: saved.dateFrom, to: saved.dateTo } : null,
+      savedSearchId: savedSearch.id,
+    });
+    setCurrentPage(1);
+    // Opening a saved search marks its new stores as seen
+    setSavedSearches(prev => prev.map(s => s.id === savedSearch.id ? { ...s, unreadCount: 0 } : s));
+  };
+
+  const handleToggleSavedSearchAlerts = async (savedSearch) => {
+    try {
+      const response = await updateSavedSearch(savedSearch.id, { emailAlerts: !savedSearch.emailAlerts });
+      setSavedSearches(prev => prev.map(s => s.id === savedSearch.id ? response.savedSearch : s));
+    } catch (err) {
+      toast({
+        title: "Failed to update saved search",
+        description: err.message || "Please try again",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleDeleteSavedSearch = async (savedSearch) => {
+    if (!window.confirm(`Delete saved search "${savedSearch.name}"?`)) return;
+    try {
+      await deleteSavedSearch(savedSearch.id);
+      setSavedSearches(prev => prev.filter(s => s.id !== savedSearch.id));
+      if (activeSavedSearch?.id === savedSearch.id) {
+        setActiveSavedSearch(null);
+      }
+    } catch (err) {
+      toast({
+        title: "Failed to delete saved search",
+        description: err.message || "Please try again",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleToggleWatch = async (store) => {
+    // Watchlists require a paid plan
+    if (isFreeUser) {
+      setUpgradePopupMessage("Following stores requires a paid plan. Upgrade to get alerts when stores change.");
+      setShowUpgradePopup(true);
+      return;
+    }
+
+    const isWatched = watchedStoreIds.has(store.id);
+    try {
+      if (isWatched) {
+        await unwatchStore(store.id);
+      } else {
+        await watchStore(store.id);
+      }
+      setWatchedStoreIds(prev => {
+        const next = new Set(prev);
+        if (isWatched) {
+          next.delete(store.id);
+        } else {
+          next.add(store.id);
+        }
+        return next;
+      });
+      toast({
+        title: isWatched ? "Store unfollowed" : "Following store",
+        description: isWatched
+          ? `You'll no longer get alerts for ${store.name}`
+          : `We'll email you when ${store.name} changes`,
+      });
+    } catch (err) {
+      if (err.isUpgradeRequired) {
+        setUpgradePopupMessage(err.message);
+        setShowUpgradePopup(true);
+      } else {
+        toast({
+          title: isWatched ? "Failed to unfollow store" : "Failed to follow store",
+          description: err.message || "Please try again",
+          variant: "destructive",
+        });
+      }
+    }
+  };
+
   const handlePageChange = (page) => {
     // Free users can only view page 1
     if (isFreeUser && page > 1) {
@@ -347,18 +531,38 @@ const Index = () => {
       <main className="pt-24 pb-12 px-[10px] md:px-10 w-full">
         {/* Filters */}
         <div className="relative z-[999]">
-          <FilterSection onFiltersChange={handleFiltersChange} />
+          <FilterSection
+            onFiltersChange={handleFiltersChange}
+            onSaveSearch={isFreeUser ? null : handleSaveSearch}
+            savedSearch={activeSavedSearch}
+          />
         </div>
 
+        {/* Saved Searches */}
+        <SavedSearches
+          savedSearches={savedSearches}
+          activeSavedSearchId={activeSavedSearch?.id}
+          limit={savedSearchLimit}
+          onSelect={handleSelectSavedSearch}
+          onToggleAlerts={handleToggleSavedSearchAlerts}
+          onDelete={handleDeleteSavedSearch}
+        />
+
         {/* Results Section */}
         <div className="glass-card px-[10px] md:px-10 py-6 relative z-0">
           <BulkActions
             stores={stores}
             totalCount={totalCount}
+            filters={filters}
             viewMode={viewMode}
             onViewModeChange={setViewMode}
             itemsPerPage={itemsPerPage}
             onItemsPerPageChange={handleItemsPerPageChange}
+            sortBy={sortBy}
+            onSortChange={(sort) => {
+              setSortBy(sort);
+              setCurrentPage(1);
+            }}
             isFreeUser={isFreeUser}
             onUpgradeClick={() => {
               setShowUpgradePopup(true);
@@ -400,8 +604,15 @@ const Index = () => {
                     (filters.countries && filters.countries.length > 0) ||
                     (filters.themes && filters.themes.length > 0) ||
                     (filters.tags && filters.tags.length > 0) ||
+                    (filters.niches && filters.niches.length > 0) ||
+                    (filters.techStack && filters.techStack.length > 0) ||
+                    (filters.adPlatforms && filters.adPlatforms.length > 0) ||
+                    filters.adWithinDays ||
                     (filters.dateRange && (filters.dateRange.from || filters.dateRange.to));
                   
+                  if (searchQuery) {
+                    return `No stores found for "${searchQuery}"`;
+                  }
                   return hasActiveFilters 
                     ? "No stores found matching your filters"
                     : "No stores found";
@@ -414,6 +625,10 @@ const Index = () => {
                     (filters.countries && filters.countries.length > 0) ||
                     (filters.themes && filters.themes.length > 0) ||
                     (filters.tags && filters.tags.length > 0) ||
+                    (filters.niches && filters.niches.length > 0) ||
+                    (filters.techStack && filters.techStack.length > 0) ||
+                    (filters.adPlatforms && filters.adPlatforms.length > 0) ||
+                    filters.adWithinDays ||
                     (filters.dateRange && (filters.dateRange.from || filters.dateRange.to));
                   
                   if (hasActiveFilters) {
@@ -431,6 +646,10 @@ const Index = () => {
                   (filters.countries && filters.countries.length > 0) ||
                   (filters.themes && filters.themes.length > 0) ||
                   (filters.tags && filters.tags.length > 0) ||
+                  (filters.niches && filters.niches.length > 0) ||
+                  (filters.techStack && filters.techStack.length > 0) ||
+                  (filters.adPlatforms && filters.adPlatforms.length > 0) ||
+                  filters.adWithinDays ||
                   (filters.dateRange && (filters.dateRange.from || filters.dateRange.to));
                 
                 if (hasActiveFilters) {
@@ -441,6 +660,10 @@ const Index = () => {
                           countries: [],
                           themes: [],
                           tags: [],
+                          niches: [],
+                          techStack: [],
+                          adPlatforms: [],
+                          adWithinDays: null,
                           dateRange: null,
                         });
                         setCurrentPage(1);
@@ -476,6 +699,9 @@ const Index = () => {
                       store={normalizedStore} 
                       viewMode={viewMode}
                       onUpgradeClick={() => setShowUpgradePopup(true)}
+                      isWatched={watchedStoreIds.has(normalizedStore.id)}
+                      onToggleWatch={handleToggleWatch}
+                      searchTerms={searchTerms}
                     />
                   );
                 })}
@@ -1,8 +1,9 @@
 import { useState, useEffect } from "react";
 import { useSearchParams, useNavigate } from "react-router-dom";
-import { acceptStaffInvitation } from "@/services/api";
+import { acceptStaffInvitation, confirmStaffInvitation } from "@/services/api";
 import { Button } from "@/components/ui/button";
-import { Loader2, CheckCircle2, XCircle } from "lucide-react";
+import { Input } from "@/components/ui/input";
+import { Loader2, CheckCircle2, XCircle, ShieldCheck, Copy, Download } from "lucide-react";
 import { toast } from "sonner";
 import { cn } from "@/lib/utils";
 
@@ -12,6 +13,10 @@ export default function StaffAcceptInvite() {
   const [loading, setLoading] = useState(false);
   const [status, setStatus] = useState('idle');
   const [errorMessage, setErrorMessage] = useState('');
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [confirming, setConfirming] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
 
   const token = searchParams.get('token');
 
@@ -31,15 +36,11 @@ export default function StaffAcceptInvite() {
     try {
       setLoading(true);
       const response = await acceptStaffInvitation(token);
-      
+
       if (response.success) {
-        setStatus('success');
-        toast.success('Invitation accepted successfully! You can now login.');
-        
-        // Redirect to login after 2 seconds
-        setTimeout(() => {
-          navigate('/manager/login');
-        }, 2000);
+        // Step 1 done - set up the authenticator app
+        setSetup(response);
+        setStatus('setup');
       }
     } catch (error) {
       console.error('Error accepting invitation:', error);
@@ -51,6 +52,47 @@ export default function StaffAcceptInvite() {
     }
   };
 
+  const handleConfirmCode = async (e) => {
+    e.preventDefault();
+    if (code.length !== 6) return;
+
+    try {
+      setConfirming(true);
+      const response = await confirmStaffInvitation(token, code);
+
+      if (response.success) {
+        setRecoveryCodes(response.recoveryCodes || []);
+        setStatus('success');
+        toast.success('Invitation accepted successfully! Save your recovery codes.');
+      }
+    } catch (error) {
+      console.error('Error confirming invitation:', error);
+      setCode('');
+      toast.error(error?.message || 'Invalid code. Please try again.');
+    } finally {
+      setConfirming(false);
+    }
+  };
+
+  const handleCopyRecoveryCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      toast.error('Failed to copy recovery codes');
+    }
+  };
+
+  const handleDownloadRecoveryCodes = () => {
+    const blob = new Blob([`SneakLink staff recovery codes (${setup?.staff?.email || ''})\n\n${recoveryCodes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'sneaklink-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-[#fafafa] via-[#f5f5f5] to-[#fef9e7] dark:from-gray-950 dark:via-gray-900 dark:to-gray-950 px-4">
       <div className="w-full max-w-md">
@@ -72,20 +114,88 @@ export default function StaffAcceptInvite() {
             </div>
           )}
 
+          {!loading && status === 'setup' && setup && (
+            <div className="text-center">
+              <ShieldCheck className="w-12 h-12 text-blue-600 mx-auto mb-4" />
+              <h2 className="text-2xl font-light text-gray-900 dark:text-white mb-2">
+                Set Up Your Authenticator
+              </h2>
+              <p className="text-gray-600 dark:text-gray-400 mb-6">
+                Scan this QR code with Google Authenticator (or any authenticator app). You'll use its codes to sign in.
+              </p>
+              <img
+                src={setup.qrCode}
+                alt="Authenticator QR code"
+                className="w-48 h-48 mx-auto mb-4 rounded-lg border border-gray-200 dark:border-gray-700 bg-white p-2"
+              />
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">
+                Can't scan it? Enter this key instead:
+              </p>
+              <p className="font-mono text-sm text-gray-900 dark:text-white break-all mb-6">
+                {setup.manualEntryKey}
+              </p>
+              <form onSubmit={handleConfirmCode} className="space-y-4">
+                <Input
+                  type="text"
+                  inputMode="numeric"
+                  pattern="[0-9]{6}"
+                  maxLength={6}
+                  placeholder="000000"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                  className="w-full text-center text-2xl tracking-widest font-mono py-6"
+                  autoFocus
+                  disabled={confirming}
+                />
+                <Button
+                  type="submit"
+                  className="w-full bg-gray-900 text-white hover:bg-gray-800"
+                  disabled={confirming || code.length !== 6}
+                >
+                  {confirming ? (
+                    <>
+                      <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                      Verifying...
+                    </>
+                  ) : (
+                    'Confirm Code'
+                  )}
+                </Button>
+              </form>
+            </div>
+          )}
+
           {status === 'success' && (
             <div className="text-center">
               <CheckCircle2 className="w-16 h-16 text-green-600 mx-auto mb-4" />
               <h2 className="text-2xl font-light text-gray-900 dark:text-white mb-2">
                 Invitation Accepted!
               </h2>
-              <p className="text-gray-600 dark:text-gray-400 mb-6">
-                Your invitation has been accepted successfully. You can now login to access the admin dashboard.
+              <p className="text-gray-600 dark:text-gray-400 mb-4">
+                Save these recovery codes somewhere safe. Each one signs you in once if you lose your phone - they won't be shown again.
               </p>
+              <div className="grid grid-cols-2 gap-2 mb-4 p-4 rounded-lg bg-gray-50 dark:bg-gray-800/60 border border-gray-200 dark:border-gray-700">
+                {recoveryCodes.map(recoveryCode => (
+                  <span key={recoveryCode} className="font-mono text-sm text-gray-900 dark:text-white">
+                    {recoveryCode}
+                  </span>
+                ))}
+              </div>
+              <div className="flex gap-2 justify-center mb-6">
+                <Button variant="outline" size="sm" onClick={handleCopyRecoveryCodes} className="border-gray-300 dark:border-gray-700">
+                  <Copy className="w-4 h-4 mr-2" />
+                  Copy
+                </Button>
+                <Button variant="outline" size="sm" onClick={handleDownloadRecoveryCodes} className="border-gray-300 dark:border-gray-700">
+                  <Download className="w-4 h-4 mr-2" />
+                  Download
+                </Button>
+              </div>
               <Button
-                onClick={() => navigate('/admin/login')}
+                onClick={() => navigate('/manager/login')}
                 className="bg-gray-900 text-white hover:bg-gray-800"
               >
-                Go to Login
+                I've Saved Them - Go to Login
               </Button>
             </div>
           )}
@@ -0,0 +1,534 @@
+import { useState, useEffect } from "react";
+import { useParams, useLocation, Link } from "react-router-dom";
+import { ArrowLeft, ExternalLink, MapPin, Palette, Calendar, Package, ShieldCheck, Brain, Compass, Activity, Check, X, Lock, ShoppingBag, LayoutGrid, Puzzle, Megaphone, Flame } from "lucide-react";
+import { Header } from "@/components/dashboard/Header";
+import { UpgradePopup } from "@/components/UpgradePopup";
+import { StoreHistory } from "@/components/store/StoreHistory";
+import { WatchStore } from "@/components/store/WatchStore";
+import { SimilarStores } from "@/components/store/SimilarStores";
+import { Progress } from "@/components/ui/progress";
+import { useAuth } from "@/contexts/AuthContext";
+import { fetchStoreById } from "@/services/api";
+import { adPlatforms } from "@/data/mockData";
+
+const formatDate = (date) => {
+  if (!date) return "—";
+  return new Date(date).toLocaleString("en-US", { year: "numeric", month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+};
+
+const formatPercent = (value) => (value === null || value === undefined ? "—" : `${Math.round(value * 100)}%`);
+
+const formatPrice = (value, currency) => {
+  if (value === null || value === undefined) return "—";
+  try {
+    return currency
+      ? new Intl.NumberFormat("en-US", { style: "currency", currency }).format(value)
+      : value.toFixed(2);
+  } catch (error) {
+    // Not a currency code Intl knows
+    return value.toFixed(2);
+  }
+};
+
+const formatPriceRange = ({ minPrice, maxPrice, currency }) => (
+  minPrice === maxPrice
+    ? formatPrice(minPrice, currency)
+    : `${formatPrice(minPrice, currency)} - ${formatPrice(maxPrice, currency)}`
+);
+
+const humanize = (value) => (value ? String(value).replace(/_/g, " ") : "unknown");
+
+// Timeline dot colours per event type
+const TIMELINE_COLORS = {
+  discovered: "bg-primary",
+  verification: "bg-blue-500",
+  classification: "bg-purple-500",
+  health: "bg-green-500",
+  scheduled: "bg-muted-foreground",
+};
+
+// Readable niche signal names (see server/utils/nicheClassifier.js)
+const NICHE_SIGNAL_LABELS = {
+  productType: "Product types",
+  productTitle: "Product titles and tags",
+  homepageMeta: "Homepage title / description",
+  homepageText: "Homepage headings and menu",
+};
+
+// Readable store score components (see server/utils/storeScore.js)
+const SCORE_COMPONENT_LABELS = {
+  productGrowth: "Product growth",
+  adActivity: "Ad activity",
+  recency: "Recently discovered",
+  confidence: "Classification confidence",
+  health: "Health",
+};
+
+const Section = ({ icon: Icon, title, description, children }) => (
+  <div className="glass-card p-6 rounded-xl border border-border/50">
+    <div className="flex items-center gap-3 mb-1">
+      <Icon className="w-5 h-5 text-primary" />
+      <h2 className="text-xl font-light text-foreground">{title}</h2>
+    </div>
+    {description && <p className="text-sm text-muted-foreground mb-5">{description}</p>}
+    {children}
+  </div>
+);
+
+const ConfidenceBar = ({ label, value, highlight = false, threshold = null }) => (
+  <div>
+    <div className="flex items-center justify-between text-sm mb-1.5">
+      <span className={highlight ? "text-foreground" : "text-muted-foreground"}>{label}</span>
+      <span className={highlight ? "text-primary" : "text-muted-foreground"}>{formatPercent(value)}</span>
+    </div>
+    <div className="relative">
+      <Progress value={(value || 0) * 100} className={`h-2 ${highlight ? "" : "opacity-60"}`} />
+      {threshold !== null && (
+        <div
+          className="absolute top-[-3px] h-[14px] w-px bg-foreground/60"
+          style={{ left: `${threshold * 100}%` }}
+          title={`Tagging threshold (${formatPercent(threshold)})`}
+        />
+      )}
+    </div>
+  </div>
+);
+
+/**
+ * Store detail page - shows the signals behind each classification so users can
+ * decide whether to trust a store's tags (GET /api/stores/:id)
+ */
+const StoreDetail = () => {
+  const { id } = useParams();
+  const { hash } = useLocation();
+  const { user } = useAuth();
+  const isFreeUser = (user?.plan || user?.subscription?.plan || "free") === "free";
+
+  const [store, setStore] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showUpgradePopup, setShowUpgradePopup] = useState(false);
+  const [upgradeMessage, setUpgradeMessage] = useState(null);
+
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    fetchStoreById(id)
+      .then(setStore)
+      .catch(err => setError(err.status === 404 ? "This store doesn't exist or is no longer listed." : err.message))
+      .finally(() => setLoading(false));
+  }, [id]);
+
+  // "Find similar" on a store card links to #similar
+  useEffect(() => {
+    if (store && hash === "#similar") {
+      document.getElementById("similar")?.scrollIntoView({ behavior: "smooth" });
+    }
+  }, [store, hash]);
+
+  const visitStore = () => {
+    // Free users cannot open links
+    if (isFreeUser) {
+      setUpgradeMessage(null);
+      setShowUpgradePopup(true);
+      return;
+    }
+    window.open(store.url, "_blank");
+  };
+
+  const explanation = store?.explanation;
+  const businessModel = explanation?.businessModel;
+  const shopify = explanation?.shopify;
+  const niches = explanation?.niches;
+  const techStack = explanation?.techStack;
+  const score = explanation?.score;
+  const appsByCategory = (techStack?.apps || []).reduce((groups, app) => {
+    (groups[app.category] = groups[app.category] || []).push(app);
+    return groups;
+  }, {});
+  const discoveryMetadata = Object.entries(explanation?.discovery?.metadata || {})
+    .filter(([, value]) => value !== null && value !== undefined && typeof value !== "object");
+
+  return (
+    <div className="min-h-screen">
+      <Header />
+
+      <main className="pt-24 pb-12 px-[10px] md:px-10 w-full max-w-6xl mx-auto">
+        <Link
+          to="/dashboard"
+          className="inline-flex items-center gap-2 text-sm text-muted-foreground hover:text-foreground transition-colors mb-6"
+        >
+          <ArrowLeft className="w-4 h-4" />
+          Back to stores
+        </Link>
+
+        {loading ? (
+          <div className="text-center py-16">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary mx-auto mb-4"></div>
+            <h3 className="text-lg font-light text-foreground">Loading store...</h3>
+          </div>
+        ) : error ? (
+          <div className="text-center py-16">
+            <div className="w-20 h-20 rounded-full bg-destructive/20 flex items-center justify-center mx-auto mb-4">
+              <span className="text-4xl">⚠️</span>
+            </div>
+            <h3 className="text-lg font-light text-foreground mb-2">Store not available</h3>
+            <p className="text-muted-foreground">{error}</p>
+          </div>
+        ) : store && (
+          <div className="space-y-6">
+            {/* Summary */}
+            <div className="glass-card p-6 rounded-xl border border-border/50">
+              <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                <div className="flex items-start gap-4 min-w-0">
+                  <div className="w-14 h-14 rounded-xl bg-primary/10 flex items-center justify-center flex-shrink-0">
+                    <span className="text-primary font-semibold text-xl">{store.name?.charAt(0)}</span>
+                  </div>
+                  <div className="min-w-0">
+                    <h1 className="text-2xl font-light text-foreground truncate">{store.name}</h1>
+                    <p className="text-sm text-muted-foreground truncate">{store.url}</p>
+                    {store.tags?.length > 0 && (
+                      <div className="flex flex-wrap gap-1.5 mt-3">
+                        {store.tags.map(tag => (
+                          <span key={tag} className="px-2 py-0.5 rounded-md bg-primary/10 text-primary text-xs font-light">
+                            {tag}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </div>
+                <div className="flex flex-col md:flex-row md:items-start gap-3 flex-shrink-0">
+                  <WatchStore
+                    store={store}
+                    isFreeUser={isFreeUser}
+                    onUpgradeClick={(message) => {
+                      setUpgradeMessage(message);
+                      setShowUpgradePopup(true);
+                    }}
+                  />
+                  <button
+                    onClick={visitStore}
+                    className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-primary text-primary-foreground text-sm font-light hover:bg-primary/90 transition-colors"
+                  >
+                    <ExternalLink className="w-4 h-4" />
+                    Visit store
+                  </button>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-6 text-sm">
+                <div className="flex items-center gap-2 text-muted-foreground">
+                  <MapPin className="w-4 h-4 text-primary/70" />
+                  <span>{store.country}</span>
+                </div>
+                <div className="flex items-center gap-2 text-muted-foreground">
+                  <Palette className="w-4 h-4 text-primary/70" />
+                  <span>{store.theme || "Unknown theme"}</span>
+                </div>
+                <div className="flex items-center gap-2 text-muted-foreground">
+                  <Package className="w-4 h-4 text-primary/70" />
+                  <span>
+                    {store.productCount ?? "—"} products
+                    {store.productCountStatus && store.productCountStatus !== "confirmed" && ` (${humanize(store.productCountStatus)})`}
+                  </span>
+                </div>
+                <div className="flex items-center gap-2 text-muted-foreground">
+                  <Calendar className="w-4 h-4 text-primary/70" />
+                  <span>Added {formatDate(store.dateAdded)}</span>
+                </div>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              {/* Store score */}
+              <Section
+                icon={Flame}
+                title="Score"
+                description={
+                  score?.score !== null && score?.score !== undefined
+                    ? `Scores ${score.score}/100, recalculated ${formatDate(score.updatedAt)}. Higher scores rank first when sorting by score.`
+                    : "This store hasn't been scored yet. Scores are recalculated every few hours."
+                }
+              >
+                {score?.components.length > 0 && (
+                  <div className="space-y-5">
+                    {score.components.map(component => (
+                      <div key={component.component}>
+                        <ConfidenceBar
+                          label={`${SCORE_COMPONENT_LABELS[component.component] || component.component} (${formatPercent(component.weight)} of score)`}
+                          value={component.value}
+                          highlight={component.value > 0}
+                        />
+                        <p className="mt-2 text-xs text-muted-foreground">{component.detail}</p>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </Section>
+
+              {/* Business model */}
+              <Section
+                icon={Brain}
+                title="Business model"
+                description={
+                  businessModel?.primaryBusinessModel
+                    ? `Tagged ${businessModel.primaryBusinessModel} with ${formatPercent(businessModel.confidence)} confidence. A model is only tagged at ${formatPercent(businessModel.tagThreshold)} or higher.`
+                    : `No model reached the ${formatPercent(businessModel?.tagThreshold)} tagging threshold, so this store is left unclassified.`
+                }
+              >
+                {businessModel?.tagsLocked && (
+                  <p className="flex items-center gap-2 text-xs text-muted-foreground mb-4">
+                    <Lock className="w-3.5 h-3.5" />
+                    Tags were reviewed and locked by our team.
+                  </p>
+                )}
+                <div className="space-y-5">
+                  {businessModel?.models.map(model => (
+                    <div key={model.model}>
+                      <ConfidenceBar
+                        label={model.model}
+                        value={model.score}
+                        highlight={model.model === businessModel.primaryBusinessModel}
+                        threshold={businessModel.tagThreshold}
+                      />
+                      {model.signals.length > 0 && (
+                        <ul className="mt-2 space-y-1">
+                          {model.signals.map(signal => (
+                            <li key={signal.code} className="text-xs text-muted-foreground flex items-start gap-1.5">
+                              <Check className="w-3 h-3 mt-0.5 text-primary/70 flex-shrink-0" />
+                              {signal.label}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  ))}
+                </div>
+                {businessModel?.metadata && (
+                  <p className="text-xs text-muted-foreground mt-5">
+                    Currency: {businessModel.metadata.currency} · Language: {businessModel.metadata.language}
+                    {businessModel.metadata.hasFooterAddress && " · Address in footer"}
+                  </p>
+                )}
+              </Section>
+
+              {/* Niches */}
+              <Section
+                icon={LayoutGrid}
+                title="Niches"
+                description={
+                  niches?.niches.length > 0
+                    ? `Sells in ${niches.niches.join(", ")}. A niche is assigned at ${formatPercent(niches.threshold)} or higher.`
+                    : `No niche reached the ${formatPercent(niches?.threshold)} threshold.`
+                }
+              >
+                {niches?.scores.length > 0 ? (
+                  <div className="space-y-5">
+                    {niches.scores.slice(0, 5).map(entry => (
+                      <div key={entry.niche}>
+                        <ConfidenceBar
+                          label={entry.niche}
+                          value={entry.score}
+                          highlight={niches.niches.includes(entry.niche)}
+                          threshold={niches.threshold}
+                        />
+                        {entry.signals.length > 0 && (
+                          <ul className="mt-2 space-y-1">
+                            {entry.signals.map(signal => (
+                              <li key={signal.signal} className="text-xs text-muted-foreground flex items-start gap-1.5">
+                                <Check className="w-3 h-3 mt-0.5 text-primary/70 flex-shrink-0" />
+                                {NICHE_SIGNAL_LABELS[signal.signal] || signal.signal}: {signal.value}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-sm text-muted-foreground">No niche keywords found in this store's products or homepage.</p>
+                )}
+              </Section>
+
+              {/* Tech stack */}
+              <Section
+                icon={Puzzle}
+                title="Apps & tools"
+                description={
+                  techStack?.detectedAt
+                    ? `Found in this store's homepage code, checked ${formatDate(techStack.detectedAt)}. Apps that leave no trace on the homepage can't be seen.`
+                    : "This store hasn't been checked for apps yet."
+                }
+              >
+                {techStack?.apps.length > 0 ? (
+                  <div className="space-y-4">
+                    {Object.entries(appsByCategory).map(([category, apps]) => (
+                      <div key={category}>
+                        <p className="text-xs text-muted-foreground uppercase mb-2">{category}</p>
+                        <ul className="space-y-1">
+                          {apps.map(app => (
+                            <li key={app.name} className="text-sm text-foreground flex items-start gap-1.5">
+                              <Check className="w-4 h-4 mt-0.5 text-green-500 flex-shrink-0" />
+                              <span>
+                                {app.name}
+                                <span className="block text-xs text-muted-foreground font-mono break-all">{app.match}</span>
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    ))}
+                  </div>
+                ) : techStack?.detectedAt ? (
+                  <p className="text-sm text-muted-foreground">No known apps found on this store's homepage.</p>
+                ) : null}
+              </Section>
+
+              {/* Shopify verification */}
+              <Section
+                icon={ShieldCheck}
+                title="Shopify verification"
+                description={`Status: ${humanize(shopify?.status || "unverified")}${shopify?.verified ? " · passed strict verification" : ""}`}
+              >
+                <ConfidenceBar label="Shopify confidence" value={shopify?.confidence} highlight />
+                <ul className="mt-5 space-y-2">
+                  {shopify?.signals.map(signal => (
+                    <li key={signal.key} className="flex items-center justify-between text-sm">
+                      <span className={`flex items-center gap-2 ${signal.detected ? "text-foreground" : "text-muted-foreground"}`}>
+                        {signal.detected
+                          ? <Check className="w-4 h-4 text-green-500" />
+                          : <X className="w-4 h-4 text-muted-foreground/60" />}
+                        {signal.label}
+                      </span>
+                      <span className="text-xs text-muted-foreground">+{formatPercent(signal.weight)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </Section>
+
+              {/* Discovery */}
+              <Section icon={Compass} title="Discovery" description="Where we first found this store.">
+                <dl className="space-y-2 text-sm">
+                  <div className="flex justify-between gap-4">
+                    <dt className="text-muted-foreground">Source</dt>
+                    <dd className="text-foreground">{explanation?.discovery.discoverySource || explanation?.discovery.source || "Unknown"}</dd>
+                  </div>
+                  {discoveryMetadata.map(([key, value]) => (
+                    <div key={key} className="flex justify-between gap-4">
+                      <dt className="text-muted-foreground">{key}</dt>
+                      <dd className="text-foreground truncate">{String(value)}</dd>
+                    </div>
+                  ))}
+                </dl>
+              </Section>
+
+              {/* Health timeline */}
+              <Section
+                icon={Activity}
+                title="Verification & health"
+                description={`Store status: ${humanize(explanation?.health.storeStatus)} · Health: ${humanize(explanation?.health.healthStatus)}`}
+              >
+                <ol className="relative border-l border-border/50 ml-1.5 space-y-4">
+                  {explanation?.timeline.map((event, index) => (
+                    <li key={`${event.type}-${index}`} className="ml-4">
+                      <span className={`absolute -left-[5px] mt-1.5 w-2.5 h-2.5 rounded-full ${TIMELINE_COLORS[event.type] || "bg-primary"}`} />
+                      <p className="text-sm text-foreground">{event.label}</p>
+                      <p className="text-xs text-muted-foreground">{formatDate(event.date)}</p>
+                    </li>
+                  ))}
+                </ol>
+              </Section>
+            </div>
+
+            {/* Top products (sampled from the store's catalog on each health check) */}
+            {store.topProducts?.length > 0 && (
+              <Section
+                icon={ShoppingBag}
+                title="Top products"
+                description={`The first products in this store's catalog, sampled ${formatDate(store.topProducts[0].sampledAt)}.`}
+              >
+                <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+                  {store.topProducts.map(product => (
+                    <div key={product.productId} className="rounded-lg border border-border/50 overflow-hidden bg-background/50">
+                      <div className="aspect-square bg-secondary/30 flex items-center justify-center">
+                        {product.images[0]
+                          ? <img src={product.images[0]} alt={product.title} loading="lazy" className="w-full h-full object-cover" />
+                          : <Package className="w-8 h-8 text-muted-foreground/50" />}
+                      </div>
+                      <div className="p-3">
+                        <p className="text-sm text-foreground line-clamp-2" title={product.title}>{product.title}</p>
+                        <p className="text-xs text-muted-foreground mt-1 truncate">
+                          {[product.vendor, product.productType].filter(Boolean).join(" · ") || "—"}
+                        </p>
+                        <p className="text-sm text-primary mt-1.5">{formatPriceRange(product)}</p>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </Section>
+            )}
+
+            {/* Ad activity (ads seen by the ad library / social scrapers) */}
+            <Section
+              icon={Megaphone}
+              title="Ad activity"
+              description={
+                store.adActivity?.total > 0
+                  ? `${store.adActivity.total} ${store.adActivity.total === 1 ? "ad" : "ads"} seen, most recently ${formatDate(store.adActivity.ads[0].lastSeen)}.`
+                  : "No ads from this store have been seen in the ad libraries we scan."
+              }
+            >
+              {store.adActivity?.ads.length > 0 && (
+                <ol className="relative border-l border-border/50 ml-1.5 space-y-5">
+                  {store.adActivity.ads.map((ad, index) => (
+                    <li key={`${ad.platform}-${index}`} className="ml-4">
+                      <span className="absolute -left-[5px] mt-1.5 w-2.5 h-2.5 rounded-full bg-primary" />
+                      <p className="text-sm text-foreground flex items-center gap-2">
+                        {adPlatforms.find(p => p.key === ad.platform)?.name || ad.platform}
+                        {ad.country && <span className="text-xs text-muted-foreground">· {ad.country}</span>}
+                        {/^https?:\/\//i.test(ad.creativeUrl || '') && (
+                          <a href={ad.creativeUrl} target="_blank" rel="noopener noreferrer" className="text-muted-foreground hover:text-primary" title="View ad">
+                            <ExternalLink className="w-3.5 h-3.5" />
+                          </a>
+                        )}
+                      </p>
+                      <p className="text-xs text-muted-foreground">
+                        {formatDate(ad.firstSeen)} – {formatDate(ad.lastSeen)} · {ad.source}
+                      </p>
+                      {ad.creativeText && (
+                        <p className="text-xs text-muted-foreground mt-1 line-clamp-2 whitespace-pre-line">{ad.creativeText}</p>
+                      )}
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </Section>
+
+            {/* Change history */}
+            <StoreHistory storeId={store.id} />
+
+            {/* Lookalike stores */}
+            <SimilarStores
+              store={store}
+              isFreeUser={isFreeUser}
+              onUpgradeClick={(message) => {
+                setUpgradeMessage(message);
+                setShowUpgradePopup(true);
+              }}
+            />
+          </div>
+        )}
+      </main>
+
+      <UpgradePopup
+        isOpen={showUpgradePopup}
+        onClose={() => setShowUpgradePopup(false)}
+        feature="Premium features"
+        customMessage={upgradeMessage || "Opening store links requires a paid plan. Upgrade to visit stores."}
+      />
+    </div>
+  );
+};
+
+export default StoreDetail;
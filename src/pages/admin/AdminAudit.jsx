@@ -0,0 +1,347 @@
+import { useState, useEffect, useCallback } from "react";
+import { PageHeader } from "@/components/admin/PageHeader";
+import { DataTable } from "@/components/admin/DataTable";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Search, Download, Loader2, Lock, ScrollText } from "lucide-react";
+import { getAuditEvents, exportAuditEvents } from "@/services/api";
+import { useToast } from "@/hooks/use-toast";
+import { hasPermission } from "@/lib/permissions";
+import { cn } from "@/lib/utils";
+
+const PAGE_SIZE = 50;
+
+const inputClassName = cn(
+  "backdrop-blur-xl transition-all",
+  "bg-white/80 dark:bg-gray-900/60",
+  "border-gray-200 dark:border-gray-700/50",
+  "focus:border-blue-500 dark:focus:border-blue-400 focus:ring-blue-500"
+);
+
+const ACTOR_LABELS = {
+  admin: "Admin",
+  staff: "Staff",
+  user: "User",
+  api_key: "API key",
+};
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+});
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Audit log - every privileged admin action, searchable and exportable (permission audit.view)
+ */
+export default function AdminAudit() {
+  const { toast } = useToast();
+  const [events, setEvents] = useState([]);
+  const [actions, setActions] = useState({});
+  const [targetTypes, setTargetTypes] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, total: 0, totalPages: 0 });
+  const [filters, setFilters] = useState({ q: "", action: "all", targetType: "all", dateFrom: "", dateTo: "" });
+  const [searchQuery, setSearchQuery] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [selectedEvent, setSelectedEvent] = useState(null);
+
+  const canView = hasPermission('audit.view');
+
+  // Search as you type, once typing pauses
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setFilters(prev => (prev.q === searchQuery ? prev : { ...prev, q: searchQuery }));
+      setPagination(prev => ({ ...prev, page: 1 }));
+    }, 400);
+    return () => clearTimeout(timeout);
+  }, [searchQuery]);
+
+  const toQuery = useCallback(() => ({
+    q: filters.q,
+    action: filters.action === "all" ? "" : filters.action,
+    targetType: filters.targetType === "all" ? "" : filters.targetType,
+    dateFrom: filters.dateFrom,
+    dateTo: filters.dateTo,
+  }), [filters]);
+
+  useEffect(() => {
+    if (!canView) return;
+    setLoading(true);
+    getAuditEvents({ ...toQuery(), page: pagination.page, limit: PAGE_SIZE })
+      .then(response => {
+        setEvents(response.events || []);
+        setActions(response.actions || {});
+        setTargetTypes(response.targetTypes || []);
+        setPagination(prev => ({ ...prev, total: response.total, totalPages: response.totalPages }));
+      })
+      .catch(error => {
+        toast({
+          title: "Error",
+          description: error.message || "Failed to load audit log",
+          variant: "destructive",
+        });
+      })
+      .finally(() => setLoading(false));
+  }, [canView, toQuery, pagination.page, toast]);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      await exportAuditEvents(toQuery(), format);
+    } catch (error) {
+      toast({
+        title: "Export failed",
+        description: error.message,
+        variant: "destructive",
+      });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  if (!canView) {
+    return (
+      <div className="animate-fade-in">
+        <PageHeader title="Audit Log" />
+        <div className={cn(
+          "rounded-xl border shadow-sm overflow-hidden backdrop-blur-xl transition-all",
+          "bg-white/80 dark:bg-gray-900/60 border-gray-200 dark:border-gray-700/50",
+          "p-12 flex items-center justify-center"
+        )}>
+          <div className="text-center">
+            <Lock className="w-16 h-16 text-gray-400 dark:text-gray-500 mx-auto mb-4" />
+            <h3 className="text-xl font-light text-gray-900 dark:text-white mb-2">
+              Access Restricted
+            </h3>
+            <p className="text-gray-600 dark:text-gray-400">
+              You don't have permission to view the audit log. Please contact an administrator for access.
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const columns = [
+    {
+      header: "Time",
+      accessor: (event) => <span className="whitespace-nowrap">{formatDateTime(event.createdAt)}</span>,
+    },
+    {
+      header: "Action",
+      accessor: (event) => (
+        <Badge className="bg-gray-100 text-gray-700 border border-gray-200 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-700 whitespace-nowrap">
+          {actions[event.action] || event.action}
+        </Badge>
+      ),
+    },
+    {
+      header: "Actor",
+      accessor: (event) => (
+        <div>
+          <p>{event.actorEmail || ACTOR_LABELS[event.actorType] || event.actorType}</p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">{ACTOR_LABELS[event.actorType] || event.actorType}</p>
+        </div>
+      ),
+    },
+    {
+      header: "Target",
+      accessor: (event) => (
+        <div>
+          <p className="truncate max-w-xs">{event.targetLabel || event.targetId || "—"}</p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">{event.targetType}</p>
+        </div>
+      ),
+    },
+    {
+      header: "Changes",
+      accessor: (event) => (
+        <span className="text-gray-600 dark:text-gray-400">
+          {event.changes ? Object.keys(event.changes).join(", ") : "—"}
+        </span>
+      ),
+    },
+    {
+      header: "IP",
+      accessor: (event) => <span className="font-mono text-xs">{event.ipAddress || "—"}</span>,
+    },
+  ];
+
+  return (
+    <div className="animate-fade-in">
+      <PageHeader
+        title="Audit Log"
+        actions={
+          <>
+            <Button variant="outline" onClick={() => handleExport("csv")} disabled={exporting} className="gap-2">
+              {exporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+              Export CSV
+            </Button>
+            <Button variant="outline" onClick={() => handleExport("ndjson")} disabled={exporting}>
+              NDJSON
+            </Button>
+          </>
+        }
+      />
+
+      {/* Filters */}
+      <div className="mb-6 flex flex-wrap items-center gap-3">
+        <div className="relative flex-1 min-w-[220px] max-w-md">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400 dark:text-gray-500" />
+          <Input
+            placeholder="Search actor, target, ID or IP..."
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            className={cn("pl-10", inputClassName)}
+          />
+        </div>
+        <Select value={filters.action} onValueChange={(value) => updateFilter("action", value)}>
+          <SelectTrigger className={cn("w-[220px]", inputClassName)}>
+            <SelectValue placeholder="All actions" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All actions</SelectItem>
+            {Object.entries(actions).map(([action, label]) => (
+              <SelectItem key={action} value={action}>{label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={filters.targetType} onValueChange={(value) => updateFilter("targetType", value)}>
+          <SelectTrigger className={cn("w-[160px]", inputClassName)}>
+            <SelectValue placeholder="All targets" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All targets</SelectItem>
+            {targetTypes.map(targetType => (
+              <SelectItem key={targetType} value={targetType}>{targetType}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Input
+          type="date"
+          value={filters.dateFrom}
+          onChange={(e) => updateFilter("dateFrom", e.target.value)}
+          className={cn("w-[160px]", inputClassName)}
+          aria-label="From date"
+        />
+        <Input
+          type="date"
+          value={filters.dateTo}
+          onChange={(e) => updateFilter("dateTo", e.target.value)}
+          className={cn("w-[160px]", inputClassName)}
+          aria-label="To date"
+        />
+      </div>
+
+      {loading && events.length === 0 ? (
+        <div className="flex items-center justify-center py-12">
+          <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+        </div>
+      ) : events.length === 0 ? (
+        <div className="text-center py-12 text-gray-500 dark:text-gray-400">
+          <ScrollText className="w-10 h-10 mx-auto mb-3 text-gray-300 dark:text-gray-600" />
+          No audit events match these filters.
+        </div>
+      ) : (
+        <>
+          <DataTable columns={columns} data={events} onRowClick={setSelectedEvent} />
+          {pagination.totalPages > 1 && (
+            <div className="mt-4 flex items-center justify-between">
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                Showing {((pagination.page - 1) * PAGE_SIZE) + 1} to {Math.min(pagination.page * PAGE_SIZE, pagination.total)} of {pagination.total} events
+              </p>
+              <div className="flex gap-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setPagination({ ...pagination, page: pagination.page - 1 })}
+                  disabled={pagination.page === 1}
+                >
+                  Previous
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setPagination({ ...pagination, page: pagination.page + 1 })}
+                  disabled={pagination.page >= pagination.totalPages}
+                >
+                  Next
+                </Button>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Event details */}
+      <Dialog open={!!selectedEvent} onOpenChange={(open) => !open && setSelectedEvent(null)}>
+        <DialogContent className="max-w-2xl bg-white/95 dark:bg-gray-900/95 border-gray-200 dark:border-gray-700/50 backdrop-blur-xl">
+          {selectedEvent && (
+            <>
+              <DialogHeader>
+                <DialogTitle className="text-gray-900 dark:text-white">
+                  {actions[selectedEvent.action] || selectedEvent.action}
+                </DialogTitle>
+                <DialogDescription className="text-gray-600 dark:text-gray-400">
+                  {formatDateTime(selectedEvent.createdAt)} · {selectedEvent.actorEmail || ACTOR_LABELS[selectedEvent.actorType]} · {selectedEvent.ipAddress || "unknown IP"}
+                </DialogDescription>
+              </DialogHeader>
+              <div className="space-y-4 text-sm">
+                <p className="text-gray-700 dark:text-gray-300">
+                  <span className="text-gray-500 dark:text-gray-400">Target:</span>{" "}
+                  {selectedEvent.targetType} {selectedEvent.targetLabel || ""} {selectedEvent.targetId ? `(${selectedEvent.targetId})` : ""}
+                </p>
+                {selectedEvent.changes && (
+                  <table className="w-full text-left">
+                    <thead>
+                      <tr className="text-xs uppercase text-gray-500 dark:text-gray-400">
+                        <th className="py-1 pr-4 font-light">Field</th>
+                        <th className="py-1 pr-4 font-light">Before</th>
+                        <th className="py-1 font-light">After</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Object.entries(selectedEvent.changes).map(([field, change]) => (
+                        <tr key={field} className="border-t border-gray-100 dark:border-gray-700/50 align-top">
+                          <td className="py-2 pr-4 text-gray-900 dark:text-white">{field}</td>
+                          <td className="py-2 pr-4 text-red-600 dark:text-red-400 break-all">{formatValue(change.before)}</td>
+                          <td className="py-2 text-green-600 dark:text-green-400 break-all">{formatValue(change.after)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                {selectedEvent.metadata && (
+                  <pre className="p-3 rounded-lg bg-gray-50 dark:bg-gray-800/60 text-xs text-gray-700 dark:text-gray-300 overflow-x-auto">
+                    {JSON.stringify(selectedEvent.metadata, null, 2)}
+                  </pre>
+                )}
+                {selectedEvent.userAgent && (
+                  <p className="text-xs text-gray-500 dark:text-gray-400 break-all">{selectedEvent.userAgent}</p>
+                )}
+              </div>
+            </>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -0,0 +1,398 @@
+import { useState, useEffect, useCallback } from "react";
+import { Play, Square, RefreshCw, Save, Radar, AlertTriangle, Clock } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import {
+  getAdminScraping,
+  updateAdminScrapingConfig,
+  getAdminScrapingYield,
+  startAdminScraping,
+  stopAdminScraping,
+  retryDeadQueueJobs,
+} from "@/services/api";
+import { useToast } from "@/hooks/use-toast";
+import { cn } from "@/lib/utils";
+import { hasPermission } from "@/lib/permissions";
+import { ThemeCatalog } from "@/components/admin/ThemeCatalog";
+
+// Rejection reasons shown in the yield table
+const REJECTION_LABELS = {
+  already_known: "Known",
+  duplicate: "Duplicate",
+  invalid_url: "Invalid URL",
+  not_shopify: "Not Shopify",
+  inactive_shopify: "Inactive",
+  dead: "Dead",
+  blocked: "Blocked",
+};
+
+const cardClassName = cn(
+  "rounded-2xl p-6 shadow-sm border mb-6 backdrop-blur-xl transition-all",
+  "bg-white/80 dark:bg-gray-900/60 border-gray-100 dark:border-gray-700/50"
+);
+
+const formatDateTime = (value) => {
+  if (!value) return "—";
+  return new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+export default function AdminScraping() {
+  const { toast } = useToast();
+  const canManage = hasPermission('scraping.manage');
+  const [data, setData] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [yieldDays, setYieldDays] = useState(7);
+  const [sourceYield, setSourceYield] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [actionLoading, setActionLoading] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await getAdminScraping();
+      setData(response);
+      return response;
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to load scraping status",
+        variant: "destructive",
+      });
+      return null;
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      setLoading(true);
+      const response = await fetchStatus();
+      if (response) {
+        setSettings(response.config);
+      }
+      setLoading(false);
+    };
+    fetchData();
+  }, [fetchStatus]);
+
+  // Refresh run status and queue counts while the page is open
+  useEffect(() => {
+    const interval = setInterval(fetchStatus, 15000);
+    return () => clearInterval(interval);
+  }, [fetchStatus]);
+
+  useEffect(() => {
+    getAdminScrapingYield(yieldDays)
+      .then(response => setSourceYield(response.sources || []))
+      .catch(error => {
+        toast({
+          title: "Error",
+          description: error.message || "Failed to load source yield",
+          variant: "destructive",
+        });
+      });
+  }, [yieldDays, toast]);
+
+  const handleSaveSettings = async () => {
+    setSaving(true);
+    try {
+      const response = await updateAdminScrapingConfig({
+        enabledSources: settings.enabledSources,
+        batchSize: settings.batchSize,
+        maxConcurrent: settings.maxConcurrent,
+        autoScrapeInterval: settings.autoScrapeInterval,
+      });
+      setSettings(response.config);
+      setData(prev => ({ ...prev, config: response.config }));
+      toast({
+        title: "Settings saved",
+        description: "Workers pick up the new settings within a minute",
+      });
+    } catch (error) {
+      toast({
+        title: "Failed to save settings",
+        description: error.message,
+        variant: "destructive",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runAction = async (action) => {
+    setActionLoading(true);
+    try {
+      const response = await action();
+      toast({ title: response.message });
+      const status = await fetchStatus();
+      if (status) {
+        setSettings(prev => ({ ...prev, isPaused: status.config.isPaused }));
+      }
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message,
+        variant: "destructive",
+      });
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  if (loading || !data || !settings) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <RefreshCw className="w-6 h-6 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  const { status, sources, queues, deadJobs } = data;
+  // Several sources share a toggle (e.g. both Common Crawl scrapers)
+  const sourceToggles = Object.keys(settings.enabledSources).map(key => ({
+    key,
+    names: sources.filter(source => source.key === key).map(source => source.name),
+    available: sources.some(source => source.key === key && source.available),
+  }));
+  const totalDead = Object.values(queues).reduce((sum, counts) => sum + counts.dead, 0);
+
+  return (
+    <div className="animate-fade-in min-h-screen bg-gradient-to-br from-[#fafafa] via-[#f5f5f5] to-[#fef9e7] dark:from-gray-950 dark:via-gray-900 dark:to-gray-950">
+      <div className="px-[12px] py-6 max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8 flex items-start justify-between gap-4">
+          <div>
+            <h1 className="text-4xl font-light text-gray-900 dark:text-white mb-2">Scraping</h1>
+            <p className="text-gray-500 dark:text-gray-400 text-sm">
+              Sources, throughput and yield of store discovery
+            </p>
+          </div>
+          {canManage && (
+            <div className="flex gap-2">
+              <Button
+                onClick={() => runAction(startAdminScraping)}
+                disabled={actionLoading || status.isScraping}
+                className="gap-2"
+              >
+                <Play className="w-4 h-4" />
+                Run now
+              </Button>
+              <Button
+                variant="outline"
+                onClick={() => runAction(stopAdminScraping)}
+                disabled={actionLoading || status.isPaused}
+                className="gap-2"
+              >
+                <Square className="w-4 h-4" />
+                Stop
+              </Button>
+            </div>
+          )}
+        </div>
+
+        {/* Run Status */}
+        <div className={cardClassName}>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+            <div>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">Status</p>
+              <p className={cn(
+                "text-lg font-light flex items-center gap-2",
+                status.isScraping ? "text-green-600 dark:text-green-400" : "text-gray-900 dark:text-white"
+              )}>
+                <Radar className={cn("w-4 h-4", status.isScraping && "animate-pulse")} />
+                {status.isPaused ? "Stopped" : status.isScraping ? "Scraping" : "Scheduled"}
+              </p>
+              {status.isScraping && status.isPaused && (
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Finishing current source…</p>
+              )}
+            </div>
+            <div>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">Last run</p>
+              <p className="text-lg font-light text-gray-900 dark:text-white">
+                {formatDateTime(status.lastRun?.completedAt)}
+              </p>
+              {status.lastRun && !status.lastRun.skipped && (
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  {status.lastRun.found || 0} found · {status.lastRun.queued || 0} queued
+                </p>
+              )}
+            </div>
+            <div>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">Next run</p>
+              <p className="text-lg font-light text-gray-900 dark:text-white flex items-center gap-2">
+                <Clock className="w-4 h-4 text-gray-400" />
+                {status.isPaused ? "—" : formatDateTime(status.nextRunAt)}
+              </p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">Queues (queued / running / dead)</p>
+              <div className="space-y-0.5">
+                {Object.entries(queues).map(([queue, counts]) => (
+                  <p key={queue} className="text-xs text-gray-700 dark:text-gray-300">
+                    <span className="capitalize">{queue}</span>: {counts.queued} / {counts.running} /{" "}
+                    <span className={cn(counts.dead > 0 && "text-red-600 dark:text-red-400")}>{counts.dead}</span>
+                  </p>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          {status.lastError && (
+            <div className="mt-4 flex items-start gap-2 text-xs text-red-600 dark:text-red-400">
+              <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+              <span>{status.lastError}</span>
+            </div>
+          )}
+
+          {canManage && totalDead > 0 && (
+            <div className="mt-4 flex items-center justify-between gap-4 border-t border-gray-100 dark:border-gray-700/50 pt-4">
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {totalDead} jobs ran out of attempts{deadJobs[0] ? ` - latest: ${deadJobs[0].lastError}` : ""}
+              </p>
+              <Button
+                size="sm"
+                variant="outline"
+                disabled={actionLoading}
+                onClick={() => runAction(() => retryDeadQueueJobs())}
+              >
+                Retry dead jobs
+              </Button>
+            </div>
+          )}
+        </div>
+
+        {/* Settings */}
+        <div className={cardClassName}>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-light text-gray-900 dark:text-white">Settings</h2>
+            {canManage && (
+              <Button size="sm" onClick={handleSaveSettings} disabled={saving} className="gap-2">
+                <Save className="w-4 h-4" />
+                {saving ? "Saving..." : "Save"}
+              </Button>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            {[
+              { field: "batchSize", label: "Batch size", hint: "Discovered URLs claimed per worker poll", max: 1000 },
+              { field: "maxConcurrent", label: "Concurrency", hint: "URLs saved at once per worker", max: 200 },
+              { field: "autoScrapeInterval", label: "Interval (minutes)", hint: "Time between scheduled runs", max: 1440 },
+            ].map(({ field, label, hint, max }) => (
+              <label key={field} className="block">
+                <span className="text-sm text-gray-700 dark:text-gray-300">{label}</span>
+                <Input
+                  type="number"
+                  min={1}
+                  max={max}
+                  value={settings[field]}
+                  disabled={!canManage}
+                  onChange={(e) => setSettings(prev => ({ ...prev, [field]: e.target.value }))}
+                  className="mt-1"
+                />
+                <span className="text-xs text-gray-500 dark:text-gray-400">{hint}</span>
+              </label>
+            ))}
+          </div>
+
+          <p className="text-sm text-gray-700 dark:text-gray-300 mb-2">Sources</p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {sourceToggles.map(({ key, names, available }) => (
+              <label
+                key={key}
+                className="flex items-center justify-between gap-3 rounded-lg border border-gray-100 dark:border-gray-700/50 px-3 py-2"
+              >
+                <span>
+                  <span className="block text-sm text-gray-900 dark:text-white">{names.join(", ") || key}</span>
+                  {!available && (
+                    <span className="block text-xs text-gray-500 dark:text-gray-400">Not configured on the server</span>
+                  )}
+                </span>
+                <Switch
+                  checked={settings.enabledSources[key]}
+                  disabled={!canManage}
+                  onCheckedChange={(checked) => setSettings(prev => ({
+                    ...prev,
+                    enabledSources: { ...prev.enabledSources, [key]: checked },
+                  }))}
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+
+        {/* Source Yield */}
+        <div className={cardClassName}>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-light text-gray-900 dark:text-white">Source yield</h2>
+            <div className="flex gap-1">
+              {[1, 7, 30].map(days => (
+                <button
+                  key={days}
+                  onClick={() => setYieldDays(days)}
+                  className={cn(
+                    "px-3 py-1 text-xs rounded-md transition-colors",
+                    yieldDays === days
+                      ? "bg-blue-50 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400 font-medium"
+                      : "hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300"
+                  )}
+                >
+                  {days === 1 ? "Today" : `${days} days`}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {sourceYield.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No scraping activity in this period</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 dark:text-gray-400 border-b border-gray-100 dark:border-gray-700/50">
+                    <th className="py-2 pr-4 font-normal">Source</th>
+                    <th className="py-2 pr-4 font-normal text-right">URLs found</th>
+                    <th className="py-2 pr-4 font-normal text-right">Saved</th>
+                    <th className="py-2 pr-4 font-normal text-right">Shopify confirmed</th>
+                    <th className="py-2 pr-4 font-normal text-right">Pending</th>
+                    <th className="py-2 font-normal">Rejected</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sourceYield.map(row => (
+                    <tr key={row.source} className="border-b border-gray-50 dark:border-gray-800 text-gray-700 dark:text-gray-300">
+                      <td className="py-2 pr-4 text-gray-900 dark:text-white">{row.source}</td>
+                      <td className="py-2 pr-4 text-right">{row.urlsFound.toLocaleString()}</td>
+                      <td className="py-2 pr-4 text-right">{row.saved.toLocaleString()}</td>
+                      <td className="py-2 pr-4 text-right">
+                        {row.shopifyConfirmed.toLocaleString()}
+                        {row.shopifyProbable > 0 && (
+                          <span className="text-xs text-gray-500 dark:text-gray-400"> +{row.shopifyProbable} probable</span>
+                        )}
+                      </td>
+                      <td className="py-2 pr-4 text-right">{row.pending.toLocaleString()}</td>
+                      <td className="py-2 text-xs">
+                        {Object.entries(row.rejected)
+                          .filter(([, count]) => count > 0)
+                          .map(([reason, count]) => `${REJECTION_LABELS[reason] || reason} ${count.toLocaleString()}`)
+                          .join(" · ") || "—"}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Theme Fingerprints */}
+        <ThemeCatalog canManage={canManage} className={cardClassName} />
+      </div>
+    </div>
+  );
+}
@@ -8,7 +8,7 @@ import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Checkbox } from "@/components/ui/checkbox";
-import { UserPlus, Shield, ShieldAlert, Headphones, Eye, Loader2, Trash2, Lock, Plus, Check, X } from "lucide-react";
+import { UserPlus, Shield, ShieldAlert, Headphones, CreditCard, Eye, Loader2, Trash2, Lock, Plus, Check, X, KeyRound, Pencil } from "lucide-react";
 import { toast } from "sonner";
 import { cn } from "@/lib/utils";
 import {
@@ -16,7 +16,7 @@ import {
   PopoverContent,
   PopoverTrigger,
 } from "@/components/ui/popover";
-import { addStaff, getStaffMembers, deleteStaff, updateStaffPermissions } from "@/services/api";
+import { addStaff, getStaffMembers, deleteStaff, updateStaffPermissions, resetStaffCredentials, updateStaffMemberRole, getStaffRoles, updateRolePermissions } from "@/services/api";
 import {
   AlertDialog,
   AlertDialogAction,
@@ -30,24 +30,8 @@ import {
 import { hasPermission } from "@/lib/permissions";
 import { useToast } from "@/hooks/use-toast";
 
-const permissionOptions = [
-  { id: "all", label: "Full Access (All Permissions)" },
-  { id: "dashboard.view", label: "View Dashboard & Analytics" },
-  { id: "users.view", label: "View Users" },
-  { id: "users.create", label: "Create Users" },
-  { id: "users.edit", label: "Edit Users (Name, Email, Plan)" },
-  { id: "users.suspend", label: "Suspend Users" },
-  { id: "users.deactivate", label: "Deactivate Users" },
-  { id: "users.restore", label: "Restore Suspended/Deactivated Users" },
-  { id: "tickets.view", label: "View Support Tickets" },
-  { id: "tickets.reply", label: "Reply to Support Tickets" },
-  { id: "tickets.delete", label: "Delete Support Tickets" },
-  { id: "tickets.update", label: "Update Ticket Status" },
-  { id: "subscriptions.view", label: "View Subscriptions & Disputes" },
-  { id: "subscriptions.manage", label: "Manage Subscriptions" },
-  { id: "staff.view", label: "View Staff Members" },
-  { id: "staff.manage", label: "Manage Staff (Add/Delete)" },
-];
+// Shown for the "all" permission (the rest come from the server's permission registry)
+const FULL_ACCESS_OPTION = { id: "all", label: "Full Access (All Permissions)" };
 
 export default function AdminStaff() {
   const { toast: toastNotification } = useToast();
@@ -56,6 +40,7 @@ export default function AdminStaff() {
   const [staffMembers, setStaffMembers] = useState([]);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [staffToDelete, setStaffToDelete] = useState(null);
+  const [staffToReset, setStaffToReset] = useState(null);
   const [newStaff, setNewStaff] = useState({
     name: "",
     email: "",
@@ -66,6 +51,16 @@ export default function AdminStaff() {
   const [isAddPermissionOpen, setIsAddPermissionOpen] = useState(false);
   const [selectedPermissionsToAdd, setSelectedPermissionsToAdd] = useState([]);
   const [addingPermissions, setAddingPermissions] = useState(false);
+  const [roles, setRoles] = useState([]);
+  const [permissionGroups, setPermissionGroups] = useState([]);
+  const [roleToEdit, setRoleToEdit] = useState(null);
+  const [rolePermissionsDraft, setRolePermissionsDraft] = useState([]);
+  const [savingRole, setSavingRole] = useState(false);
+
+  const permissionOptions = [FULL_ACCESS_OPTION, ...permissionGroups.flatMap(group => group.permissions)];
+  const getRole = (name) => roles.find(role => role.name === name);
+  const newStaffRole = getRole(newStaff.role);
+  const newStaffRolePermissions = newStaffRole?.permissions || [];
 
   // Show toast notification if staff member doesn't have access
   useEffect(() => {
@@ -78,11 +73,24 @@ export default function AdminStaff() {
     }
   }, [toastNotification]);
 
-  // Fetch staff members on mount
+  // Fetch staff members and roles on mount
   useEffect(() => {
     fetchStaffMembers();
+    fetchRoles();
   }, []);
 
+  const fetchRoles = async () => {
+    try {
+      const response = await getStaffRoles();
+      if (response.success) {
+        setRoles(response.roles || []);
+        setPermissionGroups(response.permissionGroups || []);
+      }
+    } catch (error) {
+      console.error('Error fetching staff roles:', error);
+    }
+  };
+
   const fetchStaffMembers = async () => {
     try {
       setLoading(true);
@@ -139,6 +147,68 @@ export default function AdminStaff() {
     }
   };
 
+  const handleResetCredentials = async () => {
+    if (!staffToReset) return;
+
+    try {
+      setLoading(true);
+      await resetStaffCredentials(staffToReset.id);
+      toast.success(`Sign-in reset for ${staffToReset.name}. A new invitation was sent.`);
+      setStaffToReset(null);
+      fetchStaffMembers(); // Refresh the list
+    } catch (error) {
+      console.error('Error resetting staff credentials:', error);
+      toast.error(error.message || 'Failed to reset staff credentials');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChangeRole = async (staff, role) => {
+    if (role === staff.role) return;
+
+    try {
+      setLoading(true);
+      await updateStaffMemberRole(staff.id, role);
+      toast.success(`${staff.name} is now ${getRole(role)?.label || role}`);
+      fetchStaffMembers(); // Refresh the list
+      fetchRoles(); // Staff counts per role
+    } catch (error) {
+      console.error('Error changing staff role:', error);
+      toast.error(error.message || 'Failed to change staff role');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openRoleEditor = (role) => {
+    setRoleToEdit(role);
+    setRolePermissionsDraft(role.permissions);
+  };
+
+  const toggleRolePermission = (permId) => {
+    setRolePermissionsDraft((prev) => (
+      prev.includes(permId) ? prev.filter(p => p !== permId) : [...prev, permId]
+    ));
+  };
+
+  const handleSaveRole = async () => {
+    if (!roleToEdit) return;
+
+    try {
+      setSavingRole(true);
+      await updateRolePermissions(roleToEdit.name, rolePermissionsDraft);
+      toast.success(`${roleToEdit.label} permissions updated`);
+      setRoleToEdit(null);
+      fetchRoles();
+    } catch (error) {
+      console.error('Error updating role permissions:', error);
+      toast.error(error.message || 'Failed to update role permissions');
+    } finally {
+      setSavingRole(false);
+    }
+  };
+
   const handleAddPermissions = async () => {
     if (!selectedStaffPermissions || selectedPermissionsToAdd.length === 0) return;
 
@@ -209,13 +279,15 @@ export default function AdminStaff() {
     admin: { color: "bg-red-50 text-red-700 border border-red-200", icon: ShieldAlert },
     moderator: { color: "bg-orange-50 text-orange-700 border border-orange-200", icon: Shield },
     support: { color: "bg-blue-50 text-blue-700 border border-blue-200", icon: Headphones },
+    billing: { color: "bg-green-50 text-green-700 border border-green-200", icon: CreditCard },
   };
+  const getRoleConfig = (role) => roleConfig[role] || roleConfig.support;
 
   const columns = [
     {
       header: "Staff Member",
       accessor: (staff) => {
-        const RoleIcon = roleConfig[staff.role].icon;
+        const RoleIcon = getRoleConfig(staff.role).icon;
         return (
           <div className="flex items-center gap-3">
             <div className="w-10 h-10 rounded-full bg-gray-100 flex items-center justify-center shrink-0 border border-gray-200">
@@ -232,9 +304,22 @@ export default function AdminStaff() {
     {
       header: "Role",
       accessor: (staff) => (
-        <Badge className={roleConfig[staff.role].color}>
-          {staff.role.charAt(0).toUpperCase() + staff.role.slice(1)}
-        </Badge>
+        hasPermission('staff.manage') && roles.length > 0 ? (
+          <Select value={staff.role} onValueChange={(role) => handleChangeRole(staff, role)} disabled={loading}>
+            <SelectTrigger className="h-8 w-[130px] bg-white/80 dark:bg-gray-800/50 border-gray-200 dark:border-gray-700/50">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent className="bg-white/95 dark:bg-gray-900/95 border-gray-200 dark:border-gray-700/50 backdrop-blur-xl">
+              {roles.map((role) => (
+                <SelectItem key={role.name} value={role.name}>{role.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        ) : (
+          <Badge className={getRoleConfig(staff.role).color}>
+            {getRole(staff.role)?.label || staff.role.charAt(0).toUpperCase() + staff.role.slice(1)}
+          </Badge>
+        )
       ),
     },
     {
@@ -264,8 +349,11 @@ export default function AdminStaff() {
           >
             <div className="space-y-2">
               <h4 className="font-light text-sm text-gray-900 dark:text-white mb-3">
-                Permissions
+                Extra Permissions
               </h4>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+                On top of the {getRole(staff.role)?.label || staff.role} role's permissions
+              </p>
               {selectedStaffPermissions && selectedStaffPermissions.permissions.length > 0 ? (
                 <div className="flex flex-col gap-2">
                   {selectedStaffPermissions.permissions.map((perm) => {
@@ -354,21 +442,44 @@ export default function AdminStaff() {
         </Badge>
       ),
     },
+    {
+      header: "Authenticator",
+      accessor: (staff) => (
+        staff.authenticatorEnabled ? (
+          <span className="text-sm text-gray-700 dark:text-gray-300">
+            Enrolled · {staff.recoveryCodesRemaining} recovery codes
+          </span>
+        ) : (
+          <span className="text-sm text-gray-400 dark:text-gray-500">Not set up</span>
+        )
+      ),
+    },
     {
       header: "Actions",
       accessor: (staff) => (
         hasPermission('staff.manage') ? (
-          <Button
-            variant="ghost"
-            size="sm"
-            onClick={() => {
-              setStaffToDelete(staff);
-              setDeleteDialogOpen(true);
-            }}
-            className="text-red-600 hover:text-red-700 hover:bg-red-50 dark:hover:bg-red-900/20"
-          >
-            <Trash2 className="w-4 h-4" />
-          </Button>
+          <div className="flex items-center gap-1">
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => setStaffToReset(staff)}
+              title="Reset sign-in credentials"
+              className="text-gray-600 hover:text-gray-900 hover:bg-gray-100 dark:text-gray-400 dark:hover:text-white dark:hover:bg-gray-800"
+            >
+              <KeyRound className="w-4 h-4" />
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => {
+                setStaffToDelete(staff);
+                setDeleteDialogOpen(true);
+              }}
+              className="text-red-600 hover:text-red-700 hover:bg-red-50 dark:hover:bg-red-900/20"
+            >
+              <Trash2 className="w-4 h-4" />
+            </Button>
+          </div>
         ) : (
           <span className="text-xs text-gray-400 dark:text-gray-500">No access</span>
         )
@@ -462,29 +573,30 @@ export default function AdminStaff() {
                       <SelectValue />
                     </SelectTrigger>
                       <SelectContent className="bg-white/95 dark:bg-gray-900/95 border-gray-200 dark:border-gray-700/50 backdrop-blur-xl">
-                      <SelectItem value="admin">Admin</SelectItem>
-                      <SelectItem value="moderator">Moderator</SelectItem>
-                      <SelectItem value="support">Support</SelectItem>
+                      {roles.map((role) => (
+                        <SelectItem key={role.name} value={role.name}>{role.label}</SelectItem>
+                      ))}
                     </SelectContent>
                   </Select>
+                  {newStaffRole?.description && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400">{newStaffRole.description}</p>
+                  )}
                 </div>
 
                 <div className="space-y-2">
-                    <Label className="text-gray-700 dark:text-gray-300">Permissions</Label>
+                    <Label className="text-gray-700 dark:text-gray-300">Extra Permissions</Label>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      Granted on top of the role's permissions (already included ones are ticked).
+                    </p>
                     <div className="space-y-4 max-h-[300px] overflow-y-auto pr-2">
                       {/* Full Access */}
                       <div className="space-y-2">
                         <div className="flex items-center space-x-2 p-2 rounded-md bg-gray-50 dark:bg-gray-800/50">
                           <Checkbox
                             id="all"
-                            checked={newStaff.permissions.includes("all")}
-                            onCheckedChange={() => {
-                              if (newStaff.permissions.includes("all")) {
-                                setNewStaff({ ...newStaff, permissions: [] });
-                              } else {
-                                setNewStaff({ ...newStaff, permissions: ["all"] });
-                              }
-                            }}
+                            checked={newStaff.permissions.includes("all") || newStaffRolePermissions.includes("all")}
+                            disabled={newStaffRolePermissions.includes("all")}
+                            onCheckedChange={() => togglePermission("all")}
                           />
                           <label htmlFor="all" className="text-sm font-light text-gray-900 dark:text-white cursor-pointer">
                             Full Access (All Permissions)
@@ -492,95 +604,27 @@ export default function AdminStaff() {
                         </div>
                       </div>
 
-                      {/* Dashboard */}
-                      <div className="space-y-2">
-                        <p className="text-xs font-light text-gray-600 dark:text-gray-400 uppercase tracking-wide">Dashboard</p>
-                        {permissionOptions.filter(p => p.id.startsWith("dashboard.")).map((perm) => (
-                          <div key={perm.id} className="flex items-center space-x-2 pl-4">
-                            <Checkbox
-                              id={perm.id}
-                              checked={newStaff.permissions.includes(perm.id) || newStaff.permissions.includes("all")}
-                              disabled={newStaff.permissions.includes("all")}
-                              onCheckedChange={() => togglePermission(perm.id)}
-                            />
-                            <label htmlFor={perm.id} className="text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
-                              {perm.label.replace("Dashboard & ", "")}
-                            </label>
-                          </div>
-                        ))}
-                      </div>
-
-                      {/* Users */}
-                      <div className="space-y-2">
-                        <p className="text-xs font-light text-gray-600 dark:text-gray-400 uppercase tracking-wide">Users Management</p>
-                        {permissionOptions.filter(p => p.id.startsWith("users.")).map((perm) => (
-                          <div key={perm.id} className="flex items-center space-x-2 pl-4">
-                            <Checkbox
-                              id={perm.id}
-                              checked={newStaff.permissions.includes(perm.id) || newStaff.permissions.includes("all")}
-                              disabled={newStaff.permissions.includes("all")}
-                              onCheckedChange={() => togglePermission(perm.id)}
-                            />
-                            <label htmlFor={perm.id} className="text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
-                              {perm.label.replace("Users ", "")}
-                            </label>
-                          </div>
-                        ))}
-                      </div>
-
-                      {/* Support Tickets */}
-                      <div className="space-y-2">
-                        <p className="text-xs font-light text-gray-600 dark:text-gray-400 uppercase tracking-wide">Support Tickets</p>
-                        {permissionOptions.filter(p => p.id.startsWith("tickets.")).map((perm) => (
-                          <div key={perm.id} className="flex items-center space-x-2 pl-4">
-                            <Checkbox
-                              id={perm.id}
-                              checked={newStaff.permissions.includes(perm.id) || newStaff.permissions.includes("all")}
-                              disabled={newStaff.permissions.includes("all")}
-                              onCheckedChange={() => togglePermission(perm.id)}
-                            />
-                            <label htmlFor={perm.id} className="text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
-                              {perm.label.replace("Support Tickets ", "")}
-                            </label>
-                          </div>
-                        ))}
-                      </div>
-
-                      {/* Subscriptions */}
-                      <div className="space-y-2">
-                        <p className="text-xs font-light text-gray-600 dark:text-gray-400 uppercase tracking-wide">Subscriptions</p>
-                        {permissionOptions.filter(p => p.id.startsWith("subscriptions.")).map((perm) => (
-                          <div key={perm.id} className="flex items-center space-x-2 pl-4">
-                            <Checkbox
-                              id={perm.id}
-                              checked={newStaff.permissions.includes(perm.id) || newStaff.permissions.includes("all")}
-                              disabled={newStaff.permissions.includes("all")}
-                              onCheckedChange={() => togglePermission(perm.id)}
-                            />
-                            <label htmlFor={perm.id} className="text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
-                              {perm.label.replace("Subscriptions ", "")}
-                            </label>
-                          </div>
-                        ))}
-                      </div>
-
-                      {/* Staff */}
-                      <div className="space-y-2">
-                        <p className="text-xs font-light text-gray-600 dark:text-gray-400 uppercase tracking-wide">Staff Management</p>
-                        {permissionOptions.filter(p => p.id.startsWith("staff.")).map((perm) => (
-                          <div key={perm.id} className="flex items-center space-x-2 pl-4">
-                        <Checkbox
-                          id={perm.id}
-                              checked={newStaff.permissions.includes(perm.id) || newStaff.permissions.includes("all")}
-                              disabled={newStaff.permissions.includes("all")}
-                          onCheckedChange={() => togglePermission(perm.id)}
-                        />
-                            <label htmlFor={perm.id} className="text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
-                              {perm.label.replace("Staff ", "")}
-                        </label>
-                      </div>
-                    ))}
-                      </div>
+                      {permissionGroups.map(({ group, permissions }) => (
+                        <div key={group} className="space-y-2">
+                          <p className="text-xs font-light text-gray-600 dark:text-gray-400 uppercase tracking-wide">{group}</p>
+                          {permissions.map((perm) => {
+                            const includedByRole = newStaffRolePermissions.includes(perm.id) || newStaffRolePermissions.includes("all");
+                            return (
+                              <div key={perm.id} className="flex items-center space-x-2 pl-4">
+                                <Checkbox
+                                  id={perm.id}
+                                  checked={includedByRole || newStaff.permissions.includes(perm.id) || newStaff.permissions.includes("all")}
+                                  disabled={includedByRole || newStaff.permissions.includes("all")}
+                                  onCheckedChange={() => togglePermission(perm.id)}
+                                />
+                                <label htmlFor={perm.id} className="text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                                  {perm.label}
+                                </label>
+                              </div>
+                            );
+                          })}
+                        </div>
+                      ))}
                   </div>
                 </div>
 
@@ -613,6 +657,59 @@ export default function AdminStaff() {
       <DataTable columns={columns} data={staffMembers} />
       )}
 
+      {/* Roles */}
+      {roles.length > 0 && (
+        <div className="mt-10">
+          <h2 className="text-xl font-light text-gray-900 dark:text-white mb-1">Roles</h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+            Every staff member gets their role's permissions. Changes apply to everyone with the role right away.
+          </p>
+          <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+            {roles.map((role) => {
+              const RoleIcon = getRoleConfig(role.name).icon;
+              return (
+                <div
+                  key={role.name}
+                  className={cn(
+                    "rounded-xl border p-4 backdrop-blur-xl transition-all",
+                    "bg-white/80 dark:bg-gray-900/60 border-gray-200 dark:border-gray-700/50"
+                  )}
+                >
+                  <div className="flex items-start justify-between gap-2 mb-2">
+                    <div className="flex items-center gap-2">
+                      <RoleIcon className="w-4 h-4 text-gray-600 dark:text-gray-400" />
+                      <p className="font-light text-gray-900 dark:text-white">{role.label}</p>
+                    </div>
+                    {hasPermission('staff.manage') && !role.locked && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => openRoleEditor(role)}
+                        title={`Edit ${role.label} permissions`}
+                        className="h-7 px-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 dark:text-gray-400 dark:hover:text-white dark:hover:bg-gray-800"
+                      >
+                        <Pencil className="w-3.5 h-3.5" />
+                      </Button>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">{role.description}</p>
+                  <p className="text-sm text-gray-700 dark:text-gray-300">
+                    {role.permissions.includes("all") ? "Full access" : `${role.permissions.length} permissions`}
+                    {" · "}
+                    {role.staffCount} {role.staffCount === 1 ? "member" : "members"}
+                  </p>
+                  {role.customized && (
+                    <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">
+                      Edited{role.updatedBy ? ` by ${role.updatedBy}` : ""}
+                    </p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       <AlertDialog open={deleteDialogOpen} onOpenChange={setDeleteDialogOpen}>
         <AlertDialogContent className="bg-white/95 dark:bg-gray-900/95 border-gray-200 dark:border-gray-700/50 backdrop-blur-xl">
           <AlertDialogHeader>
@@ -643,6 +740,36 @@ export default function AdminStaff() {
         </AlertDialogContent>
       </AlertDialog>
 
+      <AlertDialog open={!!staffToReset} onOpenChange={(open) => !open && setStaffToReset(null)}>
+        <AlertDialogContent className="bg-white/95 dark:bg-gray-900/95 border-gray-200 dark:border-gray-700/50 backdrop-blur-xl">
+          <AlertDialogHeader>
+            <AlertDialogTitle className="text-gray-900 dark:text-white">Reset Sign-In Credentials</AlertDialogTitle>
+            <AlertDialogDescription className="text-gray-600 dark:text-gray-400">
+              {staffToReset?.name} will be signed out, their authenticator and recovery codes stop working, and a new invitation is emailed to {staffToReset?.email} to set them up again.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel className="bg-gray-100 hover:bg-gray-200 dark:bg-gray-800 dark:hover:bg-gray-700">
+              Cancel
+            </AlertDialogCancel>
+            <AlertDialogAction
+              onClick={handleResetCredentials}
+              disabled={loading}
+              className="bg-gray-900 hover:bg-gray-800 text-white"
+            >
+              {loading ? (
+                <>
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                  Resetting...
+                </>
+              ) : (
+                'Reset'
+              )}
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+
       {/* Add Permissions Dialog */}
       <Dialog open={isAddPermissionOpen} onOpenChange={setIsAddPermissionOpen}>
         <DialogContent className={cn(
@@ -663,6 +790,7 @@ export default function AdminStaff() {
                 .filter(perm => {
                   // Filter out "all" permission and already assigned permissions
                   if (perm.id === "all") return false;
+                  if (getRole(selectedStaffPermissions?.role)?.permissions.includes(perm.id)) return false;
                   return !selectedStaffPermissions?.permissions?.includes(perm.id);
                 })
                 .map((perm) => {
@@ -697,7 +825,9 @@ export default function AdminStaff() {
                   );
                 })}
               {permissionOptions.filter(perm => 
-                perm.id !== "all" && !selectedStaffPermissions?.permissions?.includes(perm.id)
+                perm.id !== "all" &&
+                !getRole(selectedStaffPermissions?.role)?.permissions.includes(perm.id) &&
+                !selectedStaffPermissions?.permissions?.includes(perm.id)
               ).length === 0 && (
                 <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
                   All available permissions have been assigned
@@ -728,8 +858,60 @@ export default function AdminStaff() {
           </div>
         </DialogContent>
       </Dialog>
+
+      {/* Edit Role Dialog */}
+      <Dialog open={!!roleToEdit} onOpenChange={(open) => !open && setRoleToEdit(null)}>
+        <DialogContent className={cn(
+          "bg-white/95 dark:bg-gray-900/95 border-gray-200 dark:border-gray-700/50 sm:max-w-md backdrop-blur-xl"
+        )}>
+          <DialogHeader>
+            <DialogTitle className="text-gray-900 dark:text-white">
+              {roleToEdit?.label} Permissions
+            </DialogTitle>
+            <DialogDescription className="text-gray-600 dark:text-gray-400">
+              Applies to all {roleToEdit?.staffCount} {roleToEdit?.staffCount === 1 ? "member" : "members"} with this role on their next request.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4 py-4 max-h-[400px] overflow-y-auto pr-2">
+            {permissionGroups.map(({ group, permissions }) => (
+              <div key={group} className="space-y-2">
+                <p className="text-xs font-light text-gray-600 dark:text-gray-400 uppercase tracking-wide">{group}</p>
+                {permissions.map((perm) => (
+                  <div key={perm.id} className="flex items-center space-x-2 pl-4">
+                    <Checkbox
+                      id={`role-${perm.id}`}
+                      checked={rolePermissionsDraft.includes(perm.id)}
+                      onCheckedChange={() => toggleRolePermission(perm.id)}
+                    />
+                    <label htmlFor={`role-${perm.id}`} className="text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                      {perm.label}
+                    </label>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-end gap-2 pt-4 border-t border-gray-200 dark:border-gray-700/50">
+            <Button
+              variant="outline"
+              onClick={() => setRoleToEdit(null)}
+              disabled={savingRole}
+            >
+              Cancel
+            </Button>
+            <Button
+              onClick={handleSaveRole}
+              disabled={savingRole}
+              className="gap-2"
+            >
+              {savingRole && <Loader2 className="w-4 h-4 animate-spin" />}
+              Save
+            </Button>
+          </div>
+        </DialogContent>
+      </Dialog>
     </div>
   );
 }
-
-
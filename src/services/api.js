@@ -20,12 +20,49 @@ export const fetchStores = async (filters = {}, page = 1, limit = 50) => {
     if (filters.tags && filters.tags.length > 0) {
       filters.tags.forEach(tag => params.append('tags', tag));
     }
+    // Market filters - ship-to countries, currencies, storefront locales
+    if (filters.niches && filters.niches.length > 0) {
+      filters.niches.forEach(niche => params.append('niches', niche));
+    }
+    if (filters.techStack && filters.techStack.length > 0) {
+      filters.techStack.forEach(app => params.append('techStack', app));
+    }
+    ['shipsTo', 'currencies', 'locales'].forEach(key => {
+      (filters[key] || []).forEach(value => params.append(key, value));
+    });
+    // Ad filters - observed ads per platform, optionally within the last N days
+    (filters.adPlatforms || []).forEach(platform => params.append('adPlatforms', platform));
+    if (filters.adWithinDays) {
+      params.append('adWithinDays', filters.adWithinDays.toString());
+    }
+    // Product filters - keyword search and price band over each store's sampled products
+    // (prices in each store's own currency, or in the selected currencies)
+    if (filters.productQuery) {
+      params.append('productQuery', filters.productQuery);
+    }
+    ['priceMin', 'priceMax'].forEach(key => {
+      if (filters[key] !== null && filters[key] !== undefined && filters[key] !== '') {
+        params.append(key, filters[key].toString());
+      }
+    });
     if (filters.dateRange?.from) {
       params.append('dateFrom', filters.dateRange.from);
     }
     if (filters.dateRange?.to) {
       params.append('dateTo', filters.dateRange.to);
     }
+    // Free-text search over name, URL, description and product titles (ranked by relevance)
+    if (filters.q) {
+      params.append('q', filters.q);
+    }
+    // Sort order (see STORE_SORT_OPTIONS) - the server defaults to date added
+    if (filters.sort && filters.sort !== 'dateAdded') {
+      params.append('sort', filters.sort);
+    }
+    // Saved search - the server replaces the filter params with the saved ones
+    if (filters.savedSearchId) {
+      params.append('savedSearchId', filters.savedSearchId);
+    }
     
     // Add filterCount parameter if provided (for usage tracking)
     if (filters.filterCount !== undefined && filters.filterCount > 0) {
@@ -117,6 +154,93 @@ export const fetchStores = async (filters = {}, page = 1, limit = 50) => {
   }
 };
 
+/**
+ * Fetch a single store with the explanation behind its classification
+ * (Shopify signals, business model scores and signals, discovery source, health timeline)
+ */
+export const fetchStoreById = async (storeId) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    const response = await fetch(`${API_BASE_URL}/stores/${storeId}`, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(errorData.message || errorData.error || 'Failed to fetch store');
+      error.status = response.status;
+      throw error;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching store:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch a store's change history (snapshots oldest first, changes newest first)
+ */
+export const fetchStoreHistory = async (storeId) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    const response = await fetch(`${API_BASE_URL}/stores/${storeId}/history`, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to fetch store history');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching store history:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the stores most similar to a store (lookalikes, paid plans)
+ * Returns: { stores: [{ id, name, url, country, theme, niches, similarity, sharedFeatures }], vectorUpdatedAt }
+ */
+export const fetchSimilarStores = async (storeId, limit = 20) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/stores/${storeId}/similar?limit=${limit}`, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(errorData.message || errorData.error || 'Failed to fetch similar stores');
+      if (errorData.requiresUpgrade) {
+        error.isUpgradeRequired = true;
+      }
+      throw error;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching similar stores:', error);
+    throw error;
+  }
+};
+
 /**
  * Start scraping job
  */
@@ -1693,9 +1817,9 @@ export const updateStaffPermissions = async (staffId, permissions) => {
 };
 
 /**
- * Delete staff member
+ * Reset a staff member's sign-in credentials and resend their invitation
  */
-export const deleteStaff = async (staffId) => {
+export const resetStaffCredentials = async (staffId) => {
   try {
     const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
     const token = localStorage.getItem('adminToken');
@@ -1704,8 +1828,8 @@ export const deleteStaff = async (staffId) => {
       throw new Error('Admin token required');
     }
 
-    const response = await fetch(`${API_BASE_URL}/auth/admin/staff/${staffId}`, {
-      method: 'DELETE',
+    const response = await fetch(`${API_BASE_URL}/auth/admin/staff/${staffId}/reset-credentials`, {
+      method: 'POST',
       headers: {
         'Authorization': `Bearer ${token}`,
       },
@@ -1713,216 +1837,1612 @@ export const deleteStaff = async (staffId) => {
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || 'Failed to delete staff member');
+      throw new Error(errorData.message || 'Failed to reset staff credentials');
     }
 
     return await response.json();
   } catch (error) {
-    console.error('Error deleting staff member:', error);
+    console.error('Error resetting staff credentials:', error);
     throw error;
   }
 };
 
 /**
- * Accept staff invitation
+ * Change a staff member's role
  */
-export const acceptStaffInvitation = async (token) => {
+export const updateStaffMemberRole = async (staffId, role) => {
   try {
     const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+    const token = localStorage.getItem('adminToken');
+    
+    if (!token) {
+      throw new Error('Admin token required');
+    }
 
-    const response = await fetch(`${API_BASE_URL}/auth/staff/accept-invite`, {
-      method: 'POST',
+    const response = await fetch(`${API_BASE_URL}/auth/admin/staff/${staffId}`, {
+      method: 'PUT',
       headers: {
         'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
       },
-      body: JSON.stringify({ token }),
+      body: JSON.stringify({ role }),
     });
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || 'Failed to accept invitation');
+      throw new Error(errorData.message || 'Failed to change staff role');
     }
 
     return await response.json();
   } catch (error) {
-    console.error('Error accepting staff invitation:', error);
+    console.error('Error changing staff role:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the signed-in admin or staff member's role and effective permissions
+ * Throws with error.status 401/403 when the session is no longer valid
+ */
+export const getMyPermissions = async () => {
+  const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+  const token = localStorage.getItem('adminToken');
+
+  if (!token) {
+    const error = new Error('Admin token required');
+    error.status = 401;
+    throw error;
+  }
+
+  const response = await fetch(`${API_BASE_URL}/auth/admin/me/permissions`, {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    if (response.status === 401 || response.status === 403) {
+      // Token expired or staff account no longer active
+      localStorage.removeItem('adminToken');
+      localStorage.removeItem('adminUser');
+      localStorage.removeItem('staffInfo');
+    }
+    const error = new Error(errorData.message || 'Failed to fetch permissions');
+    error.status = response.status;
     throw error;
   }
+
+  return await response.json();
 };
 
 /**
- * Staff login (no password required)
+ * Get the named staff roles with their permission sets, and the permission registry
  */
-export const staffLogin = async (email) => {
+export const getStaffRoles = async () => {
   try {
     const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+    const token = localStorage.getItem('adminToken');
+    
+    if (!token) {
+      throw new Error('Admin token required');
+    }
 
-    const response = await fetch(`${API_BASE_URL}/auth/staff/login`, {
-      method: 'POST',
+    const response = await fetch(`${API_BASE_URL}/auth/admin/roles`, {
       headers: {
-        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
       },
-      body: JSON.stringify({ email }),
     });
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || 'Staff login failed');
+      throw new Error(errorData.message || 'Failed to fetch staff roles');
     }
 
-    const data = await response.json();
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching staff roles:', error);
+    throw error;
+  }
+};
+
+/**
+ * Replace a staff role's permission set
+ */
+export const updateRolePermissions = async (roleName, permissions) => {
+  try {
+    const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+    const token = localStorage.getItem('adminToken');
     
-    // Store token
-    if (data.token) {
-      localStorage.setItem('authToken', data.token);
+    if (!token) {
+      throw new Error('Admin token required');
     }
 
-    return data;
+    const response = await fetch(`${API_BASE_URL}/auth/admin/roles/${roleName}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ permissions }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || 'Failed to update role permissions');
+    }
+
+    return await response.json();
   } catch (error) {
-    console.error('Error in staff login:', error);
+    console.error('Error updating role permissions:', error);
     throw error;
   }
 };
 
 /**
- * Logout user
+ * Delete staff member
  */
-export const logout = async () => {
+export const deleteStaff = async (staffId) => {
   try {
     const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
-    const token = localStorage.getItem('authToken');
-    
-    // Clear user cache first
-    clearUserCache();
+    const token = localStorage.getItem('adminToken');
     
-    // Call logout endpoint (optional, but good for consistency)
-    if (token) {
-      try {
-        await fetch(`${API_BASE_URL}/auth/logout`, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${token}`,
-          },
-        });
-      } catch (error) {
-        // Ignore errors from logout endpoint
-        console.log('Logout endpoint error (ignored):', error);
-      }
+    if (!token) {
+      throw new Error('Admin token required');
     }
-    
-    // Remove token from localStorage
-    localStorage.removeItem('authToken');
-    localStorage.removeItem('rememberMe');
-    
-    return { success: true };
+
+    const response = await fetch(`${API_BASE_URL}/auth/admin/staff/${staffId}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || 'Failed to delete staff member');
+    }
+
+    return await response.json();
   } catch (error) {
-    console.error('Error logging out:', error);
-    // Still remove token even if API call fails
-    clearUserCache();
-    localStorage.removeItem('authToken');
-    localStorage.removeItem('rememberMe');
-    return { success: true };
+    console.error('Error deleting staff member:', error);
+    throw error;
   }
 };
 
 /**
- * Export stores to CSV
+ * Get scraping control center data (settings, sources, run status, queue counts)
  */
-export const exportStoresToCSV = async (storeIds) => {
+export const getAdminScraping = async () => {
   try {
-    const token = localStorage.getItem('authToken');
+    const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+    const token = localStorage.getItem('adminToken');
+    
     if (!token) {
-      throw new Error('Authentication required');
+      throw new Error('Admin token required');
     }
 
-    const response = await fetch(`${API_BASE_URL}/stores/export/csv`, {
-      method: 'POST',
+    const response = await fetch(`${API_BASE_URL}/auth/admin/scraping`, {
       headers: {
-        'Content-Type': 'application/json',
         'Authorization': `Bearer ${token}`,
       },
-      body: JSON.stringify({ storeIds }),
     });
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      const errorMessage = errorData.message || 'Failed to export CSV';
-      
-      // Check if it's a limit reached error (subscribed user who hit limit)
-      if (errorData.limitReached) {
-        const error = new Error(errorMessage);
-        error.isLimitReached = true;
-        throw error;
-      }
-      
-      // Check if it's a free user restriction
-      if (errorMessage.includes('Free plan') || errorMessage.includes('not available') || errorMessage.includes('upgrade')) {
-        const error = new Error(errorMessage);
-        error.isUpgradeRequired = true;
-        throw error;
-      }
-      
-      throw new Error(errorMessage);
+      throw new Error(errorData.message || errorData.error || 'Failed to fetch scraping status');
     }
 
-    // Get the CSV content from response
-    const blob = await response.blob();
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `store_links_${new Date().toISOString().split('T')[0]}.csv`;
-    document.body.appendChild(a);
-    a.click();
-    window.URL.revokeObjectURL(url);
-    document.body.removeChild(a);
-
-    return { success: true };
+    return await response.json();
   } catch (error) {
-    console.error('Error exporting CSV:', error);
+    console.error('Error fetching scraping status:', error);
     throw error;
   }
 };
 
 /**
- * Copy store links to clipboard
+ * Update scraping settings - { enabledSources?, batchSize?, maxConcurrent?, autoScrapeInterval? }
  */
-export const copyStoreLinks = async (storeIds) => {
+export const updateAdminScrapingConfig = async (settings) => {
   try {
-    const token = localStorage.getItem('authToken');
+    const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+    const token = localStorage.getItem('adminToken');
+    
     if (!token) {
-      throw new Error('Authentication required');
+      throw new Error('Admin token required');
     }
 
-    const response = await fetch(`${API_BASE_URL}/stores/copy`, {
-      method: 'POST',
+    const response = await fetch(`${API_BASE_URL}/auth/admin/scraping/config`, {
+      method: 'PUT',
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${token}`,
       },
-      body: JSON.stringify({ storeIds }),
+      body: JSON.stringify(settings),
     });
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      // Don't throw error with "Free plan" message - handle it gracefully in component
-      const errorMessage = errorData.message || 'Failed to copy links';
-      if (errorMessage.includes('Free plan') || errorMessage.includes('not available') || errorMessage.includes('upgrade')) {
-        // Return a special error that won't show red card
-        const error = new Error(errorMessage);
-        error.isUpgradeRequired = true;
-        throw error;
-      }
-      throw new Error(errorMessage);
+      throw new Error(errorData.message || errorData.error || 'Failed to update scraping settings');
     }
 
-    const data = await response.json();
-    
-    // Copy to clipboard
-    await navigator.clipboard.writeText(data.links);
-    
-    return { success: true, count: data.count };
+    return await response.json();
   } catch (error) {
-    console.error('Error copying links:', error);
+    console.error('Error updating scraping settings:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get per-source scraping yield for the last N days
+ */
+export const getAdminScrapingYield = async (days = 7) => {
+  try {
+    const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+    const token = localStorage.getItem('adminToken');
+    
+    if (!token) {
+      throw new Error('Admin token required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/auth/admin/scraping/yield?days=${days}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to fetch scraping yield');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching scraping yield:', error);
+    throw error;
+  }
+};
+
+/**
+ * Start a scraping run now (also resumes scheduled scraping)
+ */
+export const startAdminScraping = async () => {
+  try {
+    const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+    const token = localStorage.getItem('adminToken');
+    
+    if (!token) {
+      throw new Error('Admin token required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/auth/admin/scraping/start`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to start scraping');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error starting scraping:', error);
+    throw error;
+  }
+};
+
+/**
+ * Stop scraping (the running scrape ends after its current source)
+ */
+export const stopAdminScraping = async () => {
+  try {
+    const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+    const token = localStorage.getItem('adminToken');
+    
+    if (!token) {
+      throw new Error('Admin token required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/auth/admin/scraping/stop`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to stop scraping');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error stopping scraping:', error);
+    throw error;
+  }
+};
+
+/**
+ * Re-queue dead pipeline jobs (all queues if queue is null)
+ */
+export const retryDeadQueueJobs = async (queue = null) => {
+  try {
+    const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+    const token = localStorage.getItem('adminToken');
+    
+    if (!token) {
+      throw new Error('Admin token required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/auth/admin/queues/retry-dead`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ queue }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to retry dead jobs');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error retrying dead jobs:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the theme fingerprint catalog (themes, admin entries, unmatched Theme Store ids)
+ */
+export const getAdminThemeCatalog = async () => {
+  try {
+    const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+    const token = localStorage.getItem('adminToken');
+    
+    if (!token) {
+      throw new Error('Admin token required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/auth/admin/themes`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to fetch theme catalog');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching theme catalog:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add a theme fingerprint or extend one by name - { name, type, themeStoreIds?, aliases?, assetPatterns?, isActive? }
+ */
+export const saveAdminThemeFingerprint = async (fingerprint) => {
+  try {
+    const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+    const token = localStorage.getItem('adminToken');
+    
+    if (!token) {
+      throw new Error('Admin token required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/auth/admin/themes`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify(fingerprint),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to save theme fingerprint');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error saving theme fingerprint:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove an admin theme fingerprint
+ */
+export const deleteAdminThemeFingerprint = async (id) => {
+  try {
+    const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+    const token = localStorage.getItem('adminToken');
+    
+    if (!token) {
+      throw new Error('Admin token required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/auth/admin/themes/${id}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to delete theme fingerprint');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error deleting theme fingerprint:', error);
+    throw error;
+  }
+};
+
+/**
+ * Build the query string of audit log filters (empty values skipped)
+ */
+const toAuditQuery = (filters = {}) => {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value !== undefined && value !== null && value !== '') params.append(key, value);
+  }
+  return params.toString();
+};
+
+/**
+ * Get audit log events
+ * @param {Object} filters - { q, action, actorType, targetType, targetId, dateFrom, dateTo, page, limit }
+ */
+export const getAuditEvents = async (filters = {}) => {
+  try {
+    const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+    const token = localStorage.getItem('adminToken');
+    
+    if (!token) {
+      throw new Error('Admin token required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/auth/admin/audit-events?${toAuditQuery(filters)}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to fetch audit log');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    throw error;
+  }
+};
+
+/**
+ * Download the audit log events matching the filters
+ * @param {Object} filters - Same as getAuditEvents (page/limit ignored)
+ * @param {string} format - 'csv' | 'ndjson'
+ */
+export const exportAuditEvents = async (filters = {}, format = 'csv') => {
+  try {
+    const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+    const token = localStorage.getItem('adminToken');
+    
+    if (!token) {
+      throw new Error('Admin token required');
+    }
+
+    const { page, limit, ...exportFilters } = filters;
+    const response = await fetch(`${API_BASE_URL}/auth/admin/audit-events/export?${toAuditQuery({ ...exportFilters, format })}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to export audit log');
+    }
+
+    await saveDownloadResponse(response, `audit_log.${format}`);
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    throw error;
+  }
+};
+
+/**
+ * Accept staff invitation
+ */
+export const acceptStaffInvitation = async (token) => {
+  try {
+    const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+
+    const response = await fetch(`${API_BASE_URL}/auth/staff/accept-invite`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ token }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || 'Failed to accept invitation');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error accepting staff invitation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Confirm staff invitation with the first code from the newly set up authenticator app
+ * Returns the staff member's recovery codes (shown once)
+ */
+export const confirmStaffInvitation = async (token, code) => {
+  try {
+    const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+
+    const response = await fetch(`${API_BASE_URL}/auth/staff/accept-invite/confirm`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ token, code }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || 'Failed to confirm authentication code');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error confirming staff invitation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Store the token of a staff sign-in
+ */
+const storeStaffSession = (data) => {
+  if (data.token) {
+    localStorage.setItem('authToken', data.token);
+  }
+  return data;
+};
+
+/**
+ * Staff login with an authenticator code or a recovery code
+ * @param {string} email - Staff email
+ * @param {Object} credentials - { code } or { recoveryCode }
+ */
+export const staffLogin = async (email, { code, recoveryCode } = {}) => {
+  try {
+    const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+
+    const response = await fetch(`${API_BASE_URL}/auth/staff/login`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ email, code, recoveryCode }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || 'Staff login failed');
+    }
+
+    return storeStaffSession(await response.json());
+  } catch (error) {
+    console.error('Error in staff login:', error);
+    throw error;
+  }
+};
+
+/**
+ * Email a one-time staff sign-in link
+ */
+export const requestStaffLoginLink = async (email) => {
+  try {
+    const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+
+    const response = await fetch(`${API_BASE_URL}/auth/staff/login-link`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ email }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || 'Failed to send sign-in link');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error requesting staff sign-in link:', error);
+    throw error;
+  }
+};
+
+/**
+ * Staff login with an emailed sign-in link token
+ */
+export const verifyStaffLoginLink = async (token) => {
+  try {
+    const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+
+    const response = await fetch(`${API_BASE_URL}/auth/staff/login-link/verify`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ token }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || 'Sign-in link is invalid or expired');
+    }
+
+    return storeStaffSession(await response.json());
+  } catch (error) {
+    console.error('Error verifying staff sign-in link:', error);
+    throw error;
+  }
+};
+
+/**
+ * Logout user
+ */
+export const logout = async () => {
+  try {
+    const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+    const token = localStorage.getItem('authToken');
+    
+    // Clear user cache first
+    clearUserCache();
+    
+    // Call logout endpoint (optional, but good for consistency)
+    if (token) {
+      try {
+        await fetch(`${API_BASE_URL}/auth/logout`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+          },
+        });
+      } catch (error) {
+        // Ignore errors from logout endpoint
+        console.log('Logout endpoint error (ignored):', error);
+      }
+    }
+    
+    // Remove token from localStorage
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('rememberMe');
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Error logging out:', error);
+    // Still remove token even if API call fails
+    clearUserCache();
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('rememberMe');
+    return { success: true };
+  }
+};
+
+/**
+ * Convert dashboard filters ({ countries, themes, tags, niches, techStack, shipsTo, currencies, locales, adPlatforms, productQuery, priceMin, priceMax, adWithinDays, dateRange })
+ * into the request-body shape the server expects (same keys, with dateRange as dateFrom / dateTo)
+ */
+const toStoreFilterBody = (filters = {}) => ({
+  countries: filters.countries || [],
+  themes: filters.themes || [],
+  tags: filters.tags || [],
+  niches: filters.niches || [],
+  techStack: filters.techStack || [],
+  shipsTo: filters.shipsTo || [],
+  currencies: filters.currencies || [],
+  locales: filters.locales || [],
+  adPlatforms: filters.adPlatforms || [],
+  productQuery: filters.productQuery || null,
+  priceMin: filters.priceMin ?? null,
+  priceMax: filters.priceMax ?? null,
+  adWithinDays: filters.adWithinDays || null,
+  dateFrom: filters.dateRange?.from || null,
+  dateTo: filters.dateRange?.to || null,
+});
+
+/**
+ * Store list sort orders (keys match the server's GET /api/stores ?sort=)
+ */
+export const STORE_SORT_OPTIONS = [
+  { key: 'dateAdded', label: 'Date added' },
+  { key: 'score', label: 'Score' },
+  { key: 'productCount', label: 'Product count' },
+  { key: 'name', label: 'Name' },
+  { key: 'adCount', label: 'Most ads' },
+];
+
+/**
+ * Columns available in store exports (keys match the server's EXPORT_COLUMNS)
+ */
+export const EXPORT_COLUMN_OPTIONS = [
+  { key: 'url', label: 'URL' },
+  { key: 'name', label: 'Name' },
+  { key: 'country', label: 'Country' },
+  { key: 'countryCode', label: 'Country code' },
+  { key: 'primaryMarket', label: 'Primary market' },
+  { key: 'currencies', label: 'Currencies' },
+  { key: 'shipsTo', label: 'Ships to' },
+  { key: 'theme', label: 'Theme' },
+  { key: 'niches', label: 'Niches' },
+  { key: 'techStack', label: 'Apps' },
+  { key: 'productCount', label: 'Product count' },
+  { key: 'score', label: 'Score' },
+  { key: 'primaryBusinessModel', label: 'Business model' },
+  { key: 'businessModelConfidence', label: 'Business model confidence' },
+  { key: 'shopifyConfidence', label: 'Shopify confidence' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'hasFacebookAds', label: 'Running Facebook ads' },
+  { key: 'dateAdded', label: 'Date added' },
+];
+
+/**
+ * Save a file download response to disk (filename comes from Content-Disposition)
+ */
+const saveDownloadResponse = async (response, fallbackFilename) => {
+  const blob = await response.blob();
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const filenameMatch = disposition.match(/filename="([^"]+)"/);
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filenameMatch ? filenameMatch[1] : fallbackFilename;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  document.body.removeChild(a);
+};
+
+/**
+ * Export stores to CSV, XLSX or NDJSON
+ * @param {Array|null} storeIds - Store IDs to export (ignored when options.filters is set)
+ * @param {Object} options - { format: 'csv' | 'xlsx' | 'ndjson', columns: [...], filters: dashboard filters } (defaults to a URL-only CSV)
+ * With filters, every matching store is exported. Large exports run in the background:
+ * the result is then { success: true, job } and the file is fetched later with downloadExport.
+ */
+export const exportStoresToCSV = async (storeIds, options = {}) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/stores/export`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({
+        ...(options.filters ? { filters: toStoreFilterBody(options.filters) } : { storeIds }),
+        format: options.format || 'csv',
+        columns: options.columns,
+      }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const errorMessage = errorData.message || 'Failed to export CSV';
+      
+      // Check if it's a limit reached error (subscribed user who hit limit)
+      if (errorData.limitReached) {
+        const error = new Error(errorMessage);
+        error.isLimitReached = true;
+        throw error;
+      }
+      
+      // Check if it's a free user restriction
+      if (errorMessage.includes('Free plan') || errorMessage.includes('not available') || errorMessage.includes('upgrade')) {
+        const error = new Error(errorMessage);
+        error.isUpgradeRequired = true;
+        throw error;
+      }
+      
+      throw new Error(errorMessage);
+    }
+
+    // Large filtered export - queued as a background job
+    if (response.status === 202) {
+      const data = await response.json();
+      return { success: true, job: data.job, truncated: data.truncated };
+    }
+
+    await saveDownloadResponse(response, `store_links_${new Date().toISOString().split('T')[0]}.csv`);
+
+    return { success: true, truncated: response.headers.get('X-Export-Truncated') === 'true' };
+  } catch (error) {
+    console.error('Error exporting CSV:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the status of a background export job
+ */
+export const getExportJob = async (jobId) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/exports/${jobId}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to fetch export');
+    }
+
+    const data = await response.json();
+    return data.job;
+  } catch (error) {
+    console.error('Error fetching export:', error);
+    throw error;
+  }
+};
+
+/**
+ * Download the file of a completed background export job
+ */
+export const downloadExport = async (jobId) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/exports/${jobId}/download`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to download export');
+    }
+
+    await saveDownloadResponse(response, `stores_${new Date().toISOString().split('T')[0]}.csv`);
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error downloading export:', error);
+    throw error;
+  }
+};
+
+/**
+ * Copy store links to clipboard
+ * @param {Array|null} storeIds - Store IDs to copy (ignored when filters is set)
+ * @param {Object} filters - Optional dashboard filters; copies links for all matching stores
+ */
+export const copyStoreLinks = async (storeIds, filters = null) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/stores/copy`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify(filters ? { filters: toStoreFilterBody(filters) } : { storeIds }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      // Don't throw error with "Free plan" message - handle it gracefully in component
+      const errorMessage = errorData.message || 'Failed to copy links';
+      if (errorMessage.includes('Free plan') || errorMessage.includes('not available') || errorMessage.includes('upgrade')) {
+        // Return a special error that won't show red card
+        const error = new Error(errorMessage);
+        error.isUpgradeRequired = true;
+        throw error;
+      }
+      throw new Error(errorMessage);
+    }
+
+    const data = await response.json();
+    
+    // Copy to clipboard
+    await navigator.clipboard.writeText(data.links);
+    
+    return { success: true, count: data.count, truncated: data.truncated };
+  } catch (error) {
+    console.error('Error copying links:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the user's saved searches (with unread counts)
+ */
+export const getSavedSearches = async () => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/saved-searches`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to fetch saved searches');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save the current filter set as a named search
+ * @param {string} name - Saved search name
+ * @param {Object} filters - Dashboard filters ({ countries, themes, tags, dateRange })
+ * @param {boolean} emailAlerts - Email a digest of new matches
+ */
+export const createSavedSearch = async (name, filters, emailAlerts = true) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/saved-searches`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({
+        name,
+        emailAlerts,
+        filters: toStoreFilterBody(filters),
+      }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(errorData.message || errorData.error || 'Failed to save search');
+      if (errorData.requiresUpgrade || errorData.error === 'Feature not available') {
+        error.isUpgradeRequired = true;
+      }
+      throw error;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error saving search:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a saved search (name, filters or emailAlerts)
+ */
+export const updateSavedSearch = async (savedSearchId, updates) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/saved-searches/${savedSearchId}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify(updates),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to update saved search');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error updating saved search:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a saved search
+ */
+export const deleteSavedSearch = async (savedSearchId) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/saved-searches/${savedSearchId}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to delete saved search');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the stores the user follows (watchlist) and the plan limit (-1 = unlimited)
+ */
+export const getWatchlist = async () => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/watchlist`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to fetch watchlist');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching watchlist:', error);
+    throw error;
+  }
+};
+
+/**
+ * Follow a store, or update alert settings for a followed store
+ * @param {string} storeId - Store ID
+ * @param {Object} options - { productCountThreshold?: number | null, emailAlerts?: boolean }
+ */
+export const watchStore = async (storeId, options = {}) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/watchlist/${storeId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify(options),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(errorData.message || errorData.error || 'Failed to follow store');
+      if (errorData.requiresUpgrade || errorData.limitReached) {
+        error.isUpgradeRequired = true;
+      }
+      throw error;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error following store:', error);
+    throw error;
+  }
+};
+
+/**
+ * Unfollow a store
+ */
+export const unwatchStore = async (storeId) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/watchlist/${storeId}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to unfollow store');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error unfollowing store:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the user's API keys (public API)
+ */
+export const getApiKeys = async () => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/api-keys`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to fetch API keys');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create an API key - the full key is only returned once (response.key)
+ */
+export const createApiKey = async (name) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/api-keys`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ name }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(errorData.message || errorData.error || 'Failed to create API key');
+      if (errorData.requiresUpgrade) {
+        error.isUpgradeRequired = true;
+      }
+      throw error;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke an API key
+ */
+export const revokeApiKey = async (apiKeyId) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/api-keys/${apiKeyId}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to revoke API key');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the user's team with members, seats and shared usage (team is null when not in a team)
+ */
+export const getTeam = async () => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/team`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to fetch team');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching team:', error);
+    throw error;
+  }
+};
+
+/**
+ * Start a team (plans with more than one seat)
+ */
+export const createTeam = async (name) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/team`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ name }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(errorData.message || errorData.error || 'Failed to create team');
+      if (errorData.requiresUpgrade) {
+        error.isUpgradeRequired = true;
+      }
+      throw error;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error creating team:', error);
+    throw error;
+  }
+};
+
+/**
+ * Rename the team (owner only)
+ */
+export const updateTeam = async (name) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/team`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ name }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to rename team');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error renaming team:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete the team (owner only)
+ */
+export const deleteTeam = async () => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/team`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to delete team');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error deleting team:', error);
+    throw error;
+  }
+};
+
+/**
+ * Invite someone to the team by email (owner only)
+ */
+export const inviteTeamMember = async (email) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/team/invitations`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ email }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(errorData.message || errorData.error || 'Failed to send invitation');
+      if (errorData.requiresUpgrade) {
+        error.isUpgradeRequired = true;
+      }
+      throw error;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error inviting team member:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a pending team invitation (owner only)
+ */
+export const revokeTeamInvitation = async (invitationId) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/team/invitations/${invitationId}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to revoke invitation');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error revoking team invitation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Accept a team invitation with the token from the invitation email
+ */
+export const acceptTeamInvitation = async (token) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/team/invitations/accept`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ token }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to accept invitation');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error accepting team invitation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a team member (owner), or leave the team (your own user ID)
+ */
+export const removeTeamMember = async (userId) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/team/members/${userId}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to remove member');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error removing team member:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the user's devices and signed-in sessions
+ */
+export const getDevices = async () => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/devices`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to fetch devices');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching devices:', error);
+    throw error;
+  }
+};
+
+/**
+ * Sign out one of the user's other sessions
+ */
+export const signOutSession = async (sessionId) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/devices/sessions/${sessionId}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to sign out session');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error signing out session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Forget a device - frees its slot and signs out its sessions
+ */
+export const forgetDevice = async (deviceId) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/devices/${deviceId}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || 'Failed to remove device');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error removing device:', error);
     throw error;
   }
 };